@@ -1,3 +1,28 @@
+const path = require('path');
+
+const GROQ_MODELS = [
+  'deepseek-r1-distill-llama-70b',
+  'meta-llama/llama-4-scout-17b-16e-instruct',
+  'moonshotai/kimi-k2-instruct',
+  'openai/gpt-oss-120b',
+  'qwen/qwen3-32b',
+  'llama-3.3-70b-versatile',
+  'gemma2-9b-it'
+];
+
+const GROQ_ENDPOINT = process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1/chat/completions';
+
+const parseJSONEnv = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+};
+
+const parseList = (value, fallback) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback);
+
 const config = {
   port: process.env.PORT || 3000,
   corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:8081',
@@ -75,21 +100,185 @@ Be thorough, skeptical when appropriate, and focused on practical viability.`,
     }
   },
   SETTINGS: {
-    ideationTimeLimit: parseInt(process.env.IDEATION_TIME_LIMIT) || 30,
-    maxContextLength: parseInt(process.env.MAX_CONTEXT_LENGTH) || 100
+    maxContextLength: parseInt(process.env.MAX_CONTEXT_LENGTH) || 100,
+    // Agents allowed in flight at once in parallel pipeline phases
+    maxConcurrentAgents: parseInt(process.env.MAX_CONCURRENT_AGENTS) || 3
+  },
+  BUDGET: {
+    // Default per-session limits; 0 means unlimited. Requests may pass their own.
+    maxTokens: parseInt(process.env.SESSION_MAX_TOKENS) || 0,
+    maxCost: parseFloat(process.env.SESSION_MAX_COST) || 0,
+    // IDEATION_TIME_LIMIT (seconds) is still accepted for the time limit
+    maxSeconds: parseInt(process.env.SESSION_MAX_SECONDS) || parseInt(process.env.IDEATION_TIME_LIMIT) || 0,
+    // Fraction of each limit held back so the final summary can always run
+    summaryReserve: process.env.SESSION_BUDGET_RESERVE !== undefined ? parseFloat(process.env.SESSION_BUDGET_RESERVE) : 0.15
+  },
+  CHECKPOINTS: {
+    // How long an interactive session waits at a checkpoint for the user's
+    // review before continuing without one
+    timeoutMs: parseInt(process.env.CHECKPOINT_TIMEOUT) || 300000
+  },
+  SCORING: {
+    // Agents that score every idea in the final summary; pipelines may set
+    // their own with the summary phase's "evaluators". Empty disables scoring.
+    agents: parseList(process.env.SCORING_AGENTS ?? 'logical,reasoning', []),
+    // Criteria scored 1-10 ({ key, label, description, weight, lowerIsBetter }).
+    // SCORING_CRITERIA (JSON) replaces the list.
+    criteria: parseJSONEnv('SCORING_CRITERIA', require('./scoringCriteria.json'))
+  },
+  TOURNAMENT: {
+    // Ideas entered in a /tournament; every pair is judged once, so keep this small
+    maxIdeas: parseInt(process.env.TOURNAMENT_MAX_IDEAS) || 6,
+    initialRating: 1000,
+    // Maximum Elo change per match
+    kFactor: parseInt(process.env.TOURNAMENT_K_FACTOR) || 32
+  },
+  ROUTING: {
+    // Models tried per agent call before the canned fallback text is used
+    maxAttempts: parseInt(process.env.MODEL_MAX_ATTEMPTS) || 3,
+    // Recent calls per model used to score its health
+    healthWindow: parseInt(process.env.MODEL_HEALTH_WINDOW) || 20,
+    // How long a model that returned 429 is skipped
+    rateLimitCooldownMs: parseInt(process.env.MODEL_RATE_LIMIT_COOLDOWN) || 60000
   },
-  AVAILABLE_MODELS: [
-    'deepseek-r1-distill-llama-70b',
-    'meta-llama/llama-4-scout-17b-16e-instruct',
-    'moonshotai/kimi-k2-instruct',
-    'openai/gpt-oss-120b',
-    'qwen/qwen3-32b',
-    'llama-3.3-70b-versatile',
-    'gemma2-9b-it'
-  ],
+  PRICING: {
+    currency: process.env.PRICING_CURRENCY || 'USD',
+    // Prices per million tokens ({ input, output }) used to estimate session
+    // cost. MODEL_PRICES (JSON) overrides or adds models.
+    models: {
+      ...require('./modelPrices.json'),
+      ...parseJSONEnv('MODEL_PRICES', {})
+    }
+  },
+  CONTEXT: {
+    // Context window and characters per token of each model, used to count
+    // tokens before a request is sent. MODEL_CONTEXT_LIMITS (JSON) overrides
+    // or adds models ({ "model": { "contextWindow": 8192, "charsPerToken": 3.6 } }).
+    models: {
+      ...require('./modelContextLimits.json'),
+      ...parseJSONEnv('MODEL_CONTEXT_LIMITS', {})
+    },
+    // Assumed for models that are not listed
+    defaultWindow: parseInt(process.env.MODEL_CONTEXT_DEFAULT) || 8192,
+    defaultCharsPerToken: 3.5,
+    // Tokens kept free on top of the completion limit for message framing
+    safetyMargin: 256,
+    // Recent conversation kept verbatim in prompts; older messages are
+    // folded into a rolling summary
+    conversationTokens: parseInt(process.env.CONTEXT_CONVERSATION_TOKENS) || 3000,
+    // Earlier phases kept verbatim in agent prompts; beyond this the oldest
+    // phases are replaced by summaries
+    historyTokens: parseInt(process.env.CONTEXT_HISTORY_TOKENS) || 12000,
+    // Length of each rolling summary
+    summaryTokens: parseInt(process.env.CONTEXT_SUMMARY_TOKENS) || 600
+  },
+  MEMORY: {
+    // Recall related past messages and ideas into chat and agent prompts
+    enabled: process.env.MEMORY_ENABLED !== 'false',
+    // Also search other conversations, not only the current one
+    crossConversation: process.env.MEMORY_CROSS_CONVERSATION === 'true',
+    // Memories recalled per message, and the similarity (0-1) they need
+    topK: parseInt(process.env.MEMORY_TOP_K) || 5,
+    minScore: parseFloat(process.env.MEMORY_MIN_SCORE) || null,
+    // Characters of recalled memories added to a prompt
+    maxChars: parseInt(process.env.MEMORY_MAX_CHARS) || 3000,
+    // Most recent vectors compared per recall
+    maxCandidates: parseInt(process.env.MEMORY_MAX_CANDIDATES) || 5000,
+    // Messages and ideas embedded per recall while catching up on unindexed ones
+    indexBatch: 200,
+    embeddings: {
+      // builtin (feature hashing, no setup), openai, or local (Ollama / llama.cpp)
+      provider: process.env.EMBEDDING_PROVIDER || 'builtin',
+      // minScore applies unless MEMORY_MIN_SCORE is set; similarities run
+      // higher between unrelated texts on neural models
+      providers: {
+        builtin: {
+          dimensions: 512,
+          minScore: 0.2
+        },
+        openai: {
+          endpoint: process.env.OPENAI_EMBEDDINGS_URL || 'https://api.openai.com/v1/embeddings',
+          apiKey: process.env.OPENAI_API_KEY || '',
+          model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+          minScore: 0.35
+        },
+        local: {
+          endpoint: process.env.LOCAL_EMBEDDINGS_URL || 'http://localhost:11434/v1/embeddings',
+          apiKey: process.env.LOCAL_LLM_API_KEY || '',
+          model: process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+          minScore: 0.5
+        }
+      }
+    }
+  },
+  PIPELINES: {
+    // Ideation pipeline definitions (phases, agents, iteration caps, time limits)
+    file: process.env.PIPELINES_FILE || path.join(__dirname, 'pipelines.json')
+  },
+  FRAMEWORKS: {
+    // Built-in ideation frameworks (SCAMPER, Six Thinking Hats, ...); teams
+    // add and edit their own through /api/frameworks
+    file: process.env.FRAMEWORKS_FILE || path.join(__dirname, 'frameworks.json')
+  },
+  PLUGINS: {
+    // Slash command plugins: every .js module in this directory registers
+    // one or more commands at startup (see CommandRegistry)
+    enabled: process.env.PLUGINS_ENABLED !== 'false',
+    dir: process.env.PLUGINS_DIR || path.join(__dirname, '..', 'plugins')
+  },
+  STREAMING: {
+    // Stream agent output token-by-token to connected socket clients
+    enabled: process.env.STREAM_RESPONSES !== 'false'
+  },
+  AVAILABLE_MODELS: GROQ_MODELS,
   API: {
-    endpoint: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1/chat/completions',
+    endpoint: GROQ_ENDPOINT,
     key: process.env.GROQ_API_KEY || ''
+  },
+  LLM: {
+    // groq, openai, local (Ollama / llama.cpp server) or mock
+    provider: process.env.LLM_PROVIDER || 'groq',
+    timeout: parseInt(process.env.LLM_TIMEOUT) || 30000,
+    // Model pools by role: default (any agent), reasoning (reasoning agent
+    // and final summary), utility (titles), extraction (idea extraction)
+    providers: {
+      groq: {
+        endpoint: GROQ_ENDPOINT,
+        apiKey: process.env.GROQ_API_KEY || '',
+        models: {
+          default: GROQ_MODELS,
+          reasoning: ['deepseek-r1-distill-llama-70b', 'openai/gpt-oss-120b', 'llama-3.3-70b-versatile'],
+          utility: ['gemma2-9b-it'],
+          extraction: ['llama-3.3-70b-versatile']
+        }
+      },
+      openai: {
+        endpoint: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1/chat/completions',
+        apiKey: process.env.OPENAI_API_KEY || '',
+        models: {
+          default: parseList(process.env.OPENAI_MODELS, ['gpt-4o-mini']),
+          reasoning: parseList(process.env.OPENAI_REASONING_MODELS, []),
+          utility: parseList(process.env.OPENAI_UTILITY_MODEL, [])
+        }
+      },
+      local: {
+        endpoint: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1/chat/completions',
+        apiKey: process.env.LOCAL_LLM_API_KEY || '',
+        timeout: parseInt(process.env.LOCAL_LLM_TIMEOUT) || 120000,
+        models: {
+          default: parseList(process.env.LOCAL_LLM_MODELS, ['llama3.1']),
+          reasoning: parseList(process.env.LOCAL_LLM_REASONING_MODELS, [])
+        }
+      },
+      mock: {
+        // Optional module exporting script overrides (see llm/fixtures/defaultScript.js)
+        script: process.env.MOCK_LLM_SCRIPT || null,
+        latency: parseInt(process.env.MOCK_LLM_LATENCY) || 0,
+        models: {
+          default: ['mock-model']
+        }
+      }
+    }
   }
 };
 
@@ -1,91 +1,372 @@
-const chatController = require('../chatController');
-const magenticOneService = require('../../services/magenticOneService');
-const historyManager = require('../../utils/historyManager');
+const ChatController = require('../chatController');
+const MagenticOneService = require('../../services/magenticOneService');
+const MockProvider = require('../../services/llm/providers/mockProvider');
+const MemoryService = require('../../services/memoryService');
 
-jest.mock('../../services/magenticOneService');
-jest.mock('../../utils/historyManager');
+// Stored ideation_sessions row for a saved session
+const toSessionRow = ({ session, refs }) => ({
+  id: session.sessionId,
+  conversation_id: refs.conversationId,
+  pipeline: session.pipeline,
+  prompt: session.prompt,
+  session_data: session.sessionData,
+  parent_session_id: session.parentSessionId || null,
+  root_session_id: session.rootSessionId || null,
+  version: session.version || 1
+});
+
+// Stored ideas row, as DatabaseService returns it
+const toIdeaRow = idea => ({ ...idea, conversation_id: idea.conversationId, source_message_id: idea.sourceMessageId });
+
+const createDatabase = () => {
+  const conversations = new Map();
+  const messages = [];
+  const ideas = [];
+  const usage = [];
+  const sessions = [];
+  const embeddings = [];
+  let nextId = 0;
+  const isIndexed = (type, id) => embeddings.some(row => row.source_type === type && row.source_id === id);
+
+  return {
+    messages,
+    ideas,
+    usage,
+    sessions,
+    getUnindexedMemories: jest.fn(async () => ({
+      messages: messages.filter(msg => !isIndexed('message', msg.id)),
+      ideas: ideas
+        .filter(idea => !isIndexed('idea', idea.id))
+        .map(idea => ({ ...idea, conversation_id: idea.conversationId }))
+    })),
+    saveEmbedding: jest.fn(async ({ sourceType, sourceId, conversationId, vector, content }) => {
+      embeddings.push({ source_type: sourceType, source_id: sourceId, conversation_id: conversationId, vector, content });
+    }),
+    getEmbeddings: jest.fn(async ({ conversationId }) => embeddings
+      .filter(row => !conversationId || row.conversation_id === conversationId)),
+    createConversation: jest.fn(async (title = 'New Conversation') => {
+      const id = `conversation-${++nextId}`;
+      conversations.set(id, { id, title });
+      return id;
+    }),
+    getConversation: jest.fn(async id => conversations.get(id) || null),
+    updateConversation: jest.fn(async (id, updates) => {
+      Object.assign(conversations.get(id), updates);
+      return { changes: 1 };
+    }),
+    addMessage: jest.fn(async (conversationId, role, content, agentType = null, metadata = null) => {
+      const id = `message-${++nextId}`;
+      messages.push({ id, conversation_id: conversationId, role, content, agent_type: agentType, metadata });
+      return id;
+    }),
+    getMessages: jest.fn(async conversationId => messages.filter(msg => msg.conversation_id === conversationId)),
+    getMessage: jest.fn(async id => messages.find(msg => msg.id === id) || null),
+    addIdea: jest.fn(async (conversationId, title, description, category, tags, timeline, sourceMessageId, metadata) => {
+      const id = `idea-${++nextId}`;
+      ideas.push({ id, conversationId, title, description, sourceMessageId, metadata });
+      return id;
+    }),
+    getIdea: jest.fn(async (id) => {
+      const idea = ideas.find(candidate => candidate.id === id);
+      return idea ? toIdeaRow(idea) : null;
+    }),
+    // Exact titles, then the conversation's ideas, then newest first, limited like the SQL query
+    findIdeasByTitle: jest.fn(async (title, conversationId = null, limit = 10) => ideas
+      .filter(idea => idea.title.toLowerCase().includes(title.toLowerCase()))
+      .map((idea, index) => ({ idea, rank: [idea.title.toLowerCase() === title.toLowerCase(), idea.conversationId === conversationId, index] }))
+      .sort((a, b) => b.rank.reduce((order, value, i) => order || Number(value) - Number(a.rank[i]), 0))
+      .slice(0, limit)
+      .map(({ idea }) => toIdeaRow(idea))),
+    addIdeaRevision: jest.fn(async () => 2),
+    getIdeasByConversation: jest.fn(async conversationId => ideas.filter(idea => idea.conversationId === conversationId)),
+    saveTournament: jest.fn(async tournament => tournament.id),
+    saveIdeaScores: jest.fn(async () => {}),
+    recordTokenUsage: jest.fn(async (record) => {
+      usage.push(record);
+    }),
+    saveIdeationSession: jest.fn(async (session, refs) => {
+      sessions.push({ session, refs });
+      return session.sessionId;
+    }),
+    getIdeationSessions: jest.fn(async conversationId => sessions
+      .filter(({ refs }) => refs.conversationId === conversationId)
+      .map(toSessionRow)
+      .reverse()),
+    getIdeationSession: jest.fn(async (id) => {
+      const stored = sessions.find(({ session }) => session.sessionId === id);
+      return stored ? toSessionRow(stored) : null;
+    }),
+    getIdeationSessionVersions: jest.fn(async rootId => sessions
+      .map(toSessionRow)
+      .filter(row => row.id === rootId || row.root_session_id === rootId)),
+    getAgentTurns: jest.fn(async () => [])
+  };
+};
 
 describe('ChatController', () => {
-  let mockReq, mockRes;
+  let db;
+  let controller;
+  let mockRes;
 
   beforeEach(() => {
-    mockReq = {
-      body: {},
-      params: {}
-    };
+    db = createDatabase();
+    controller = new ChatController(db, new MagenticOneService({ provider: new MockProvider() }));
     mockRes = {
       json: jest.fn(),
       status: jest.fn().mockReturnThis()
     };
-    jest.clearAllMocks();
   });
 
-  describe('getChatHistory', () => {
-    it('should return chat history', async () => {
-      const mockHistory = [{ role: 'user', content: 'test' }];
-      historyManager.getHistory.mockResolvedValue(mockHistory);
+  describe('sendMessage', () => {
+    it('should run a full /ideate session and store the response', async () => {
+      const conversationId = await db.createConversation();
 
-      await chatController.getChatHistory(mockReq, mockRes);
+      await controller.sendMessage({ body: { message: '/ideate Greener cities', conversationId } }, mockRes);
 
-      expect(historyManager.getHistory).toHaveBeenCalled();
-      expect(mockRes.json).toHaveBeenCalledWith({ history: mockHistory });
+      const payload = mockRes.json.mock.calls[0][0];
+      expect(payload.success).toBe(true);
+      expect(payload.response).toContain('💡 Ideas Summary:');
+      expect(payload.response).toContain('*Triggered by: /ideate command*');
+      expect(db.messages.map(msg => msg.role)).toEqual(['user', 'assistant']);
     });
 
-    it('should handle errors', async () => {
-      historyManager.getHistory.mockRejectedValue(new Error('Test error'));
+    it('should store session token usage on the assistant message', async () => {
+      const conversationId = await db.createConversation();
+
+      await controller.sendMessage({ body: { message: '/quick Greener cities', conversationId } }, mockRes);
 
-      await chatController.getChatHistory(mockReq, mockRes);
+      const { metadata } = mockRes.json.mock.calls[0][0];
+      expect(metadata.pipeline).toBe('quick');
+      expect(metadata.usage.totalTokens).toBeGreaterThan(0);
+      expect(Object.keys(metadata.usage.byAgent)).toEqual(expect.arrayContaining(['creative', 'logical', 'reasoning']));
+      expect(Object.keys(metadata.usage.byPhase)).toEqual(['phase1', 'final']);
+      expect(db.messages[1].metadata).toBe(metadata);
 
-      expect(mockRes.status).toHaveBeenCalledWith(500);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Failed to retrieve chat history' });
+      const [ideationUsage] = db.usage.filter(record => record.source === 'ideation');
+      expect(ideationUsage.messageId).toBe(db.messages[1].id);
+      expect(ideationUsage.byModel['mock-model'].calls).toBe(6);
     });
-  });
 
-  describe('sendMessage', () => {
-    it('should process a valid message', async () => {
-      mockReq.body = { message: 'test message' };
-      const mockResponse = 'test response';
-      magenticOneService.processMessage.mockResolvedValue(mockResponse);
+    it('should save the session transcript linked to the assistant message', async () => {
+      const conversationId = await db.createConversation();
+
+      await controller.sendMessage({ body: { message: '/quick Greener cities', conversationId } }, mockRes);
+
+      const [{ session, refs }] = db.sessions;
+      expect(refs).toEqual({ conversationId, messageId: db.messages[1].id, status: 'completed' });
+      expect(session.sessionId).toBe(mockRes.json.mock.calls[0][0].metadata.sessionId);
+      expect(session.turns.map(turn => turn.phaseId)).toEqual(['phase1', 'phase1', 'phase1', 'final', 'final', 'final']);
+      expect(session.turns[3]).toMatchObject({ agent: 'reasoning', phase: 'final_summary', model: 'mock-model', fallback: false });
+      expect(session.turns[3].prompt).toContain('Greener cities');
+      expect(session.turns[3].usage.totalTokens).toBeGreaterThan(0);
+    });
+
+    it('should recall related ideas from other conversations into the chat prompt', async () => {
+      controller.memoryService = new MemoryService(db, { crossConversation: true });
+      const earlier = await db.createConversation();
+      await controller.sendMessage({ body: { message: '/quick Greener cities', conversationId: earlier } }, mockRes);
+      await new Promise(resolve => setImmediate(resolve));
+
+      const conversationId = await db.createConversation();
+      await controller.sendMessage({ body: { message: 'Could community solar gardens work in small towns?', conversationId } }, mockRes);
+
+      const { metadata } = mockRes.json.mock.calls[1][0];
+      expect(metadata.memory[0]).toMatchObject({ type: 'idea', conversationId: earlier, otherConversation: true });
+      expect(metadata.memory[0].excerpt).toContain('Community Solar Gardens');
+
+      const [chatCall] = controller.provider.getCallsForPhase('chat');
+      const memoryMessage = chatCall.messages.find(msg => msg.content.startsWith('Related memories'));
+      expect(memoryMessage.content).toContain('[Saved idea from another conversation] Community Solar Gardens');
+    });
+
+    it('should recall memories only for messages that become a prompt', async () => {
+      const recall = jest.spyOn(controller.memoryService, 'recall');
+      const conversationId = await db.createConversation();
+
+      await controller.sendMessage({ body: { message: '/help', conversationId } }, mockRes);
+      await controller.sendMessage({ body: { message: '/nonsense Greener cities', conversationId } }, mockRes);
+      await controller.sendMessage({ body: { message: '/rerun', conversationId } }, mockRes);
+
+      expect(recall).not.toHaveBeenCalled();
+      expect(db.getUnindexedMemories).not.toHaveBeenCalled();
+
+      await controller.sendMessage({ body: { message: '/quick Greener cities', conversationId } }, mockRes);
+      await controller.sendMessage({ body: { message: 'Which of these is cheapest?', conversationId } }, mockRes);
+
+      expect(recall.mock.calls.map(([query]) => query)).toEqual(['Greener cities', 'Which of these is cheapest?']);
+    });
+
+    it('should record chat and title usage', async () => {
+      const conversationId = await db.createConversation();
+
+      await controller.sendMessage({ body: { message: 'How can cities get greener?', conversationId } }, mockRes);
+
+      expect(mockRes.json.mock.calls[0][0].metadata.usage.byPhase.chat.calls).toBe(1);
+      expect(db.usage.map(record => record.source)).toEqual(expect.arrayContaining(['chat', 'title']));
+    });
+
+    it('should generate a title from the first exchange', async () => {
+      const conversationId = await db.createConversation();
+
+      await controller.sendMessage({ body: { message: 'How can cities get greener?', conversationId } }, mockRes);
+
+      expect(db.updateConversation).toHaveBeenCalledWith(conversationId, { title: 'Green City Initiatives' });
+    });
+
+    it('should save the ideas of the structured summary without an extraction call', async () => {
+      const conversationId = await db.createConversation();
+
+      await controller.sendMessage({ body: { message: '/quick Greener cities', conversationId } }, mockRes);
+      await new Promise(resolve => setImmediate(resolve));
 
-      await chatController.sendMessage(mockReq, mockRes);
+      expect(db.ideas.map(idea => idea.title)).toEqual(['Community Solar Gardens', 'Adaptive Street Lighting', 'Green Corridor Network']);
+      expect(db.addIdea.mock.calls[1][7]).toMatchObject({ extractionMethod: 'structured-summary', selected: true, scores: { feasibility: 9 }, rank: 1 });
+      expect(controller.provider.getCallsForPhase('idea_extraction')).toHaveLength(0);
+      expect(db.saveIdeaScores).toHaveBeenCalledTimes(3);
+      expect(db.saveIdeaScores.mock.calls[1][1]).toMatchObject({ overall: 7.5, rank: 1, criteria: { feasibility: { score: 9 } } });
+    });
+
+    it('should rank the conversation\'s ideas with /tournament', async () => {
+      const conversationId = await db.createConversation();
+
+      await controller.sendMessage({ body: { message: '/tournament', conversationId } }, mockRes);
+      expect(mockRes.json.mock.calls[0][0].response).toContain('Not enough ideas');
+
+      await controller.sendMessage({ body: { message: '/quick Greener cities', conversationId } }, mockRes);
+      await new Promise(resolve => setImmediate(resolve));
+      await controller.sendMessage({ body: { message: '/tournament cheapest to launch', conversationId } }, mockRes);
+
+      const { response, metadata } = mockRes.json.mock.calls[2][0];
+      expect(response).toMatch(/\| 1 \| Adaptive Street Lighting \| \d+ \| 2-0-0 \|/);
+      expect(db.saveTournament.mock.calls[0][0]).toMatchObject({ id: metadata.tournamentId, conversationId, focus: 'cheapest to launch' });
+      expect(db.usage.find(record => record.source === 'tournament').byModel['mock-model'].calls).toBe(3);
+    });
+
+    it('should refine a saved idea into its next revision instead of a new idea', async () => {
+      const conversationId = await db.createConversation();
+      await controller.sendMessage({ body: { message: '/quick Greener cities', conversationId } }, mockRes);
+      await new Promise(resolve => setImmediate(resolve));
+      const original = db.sessions[0].session;
+      const lighting = db.ideas[1];
+
+      await controller.sendMessage({ body: { message: '/refine --focus "cut the upfront cost" adaptive street lighting', conversationId } }, mockRes);
+      await new Promise(resolve => setImmediate(resolve));
+
+      const { response, metadata } = mockRes.json.mock.calls[1][0];
+      expect(response).toContain('## 🔁 Refined Idea: Adaptive Street Lighting');
+      expect(response).toContain('*Triggered by: /refine command (revision 2 of "Adaptive Street Lighting")*');
+      expect(metadata.pipeline).toBe('refine');
+      expect(db.ideas).toHaveLength(3);
+
+      const { prompt } = db.sessions[1].session;
+      expect(prompt).toContain('Refine the saved idea "Adaptive Street Lighting" into its next revision, focusing on: cut the upfront cost.');
+      expect(prompt).toContain(`=== WHERE IT CAME FROM ===\n${db.messages[1].content.substring(0, 40)}`);
+      expect(prompt).toContain('=== RELATED IDEAS ===\n- Community Solar Gardens: Shared rooftop solar arrays');
+      expect(prompt).not.toContain('- Adaptive Street Lighting:');
+
+      expect(db.addIdeaRevision).toHaveBeenCalledWith(lighting.id, expect.objectContaining({
+        description: expect.stringContaining('financed from the energy they save'),
+        sessionId: db.sessions[1].session.sessionId,
+        sourceMessageId: db.messages[3].id,
+        metadata: expect.objectContaining({ sessionId: original.sessionId, changes: expect.any(Array), refinementSessionId: db.sessions[1].session.sessionId })
+      }));
+    });
+
+    it('should find an idea of the conversation among many others with the same title', async () => {
+      const conversationId = await db.createConversation();
+      await controller.sendMessage({ body: { message: '/quick Greener cities', conversationId } }, mockRes);
+      await new Promise(resolve => setImmediate(resolve));
+      const lighting = db.ideas[1];
+      for (let i = 0; i < 10; i++) {
+        await db.addIdea('conversation-other', 'Adaptive Street Lighting', 'Someone else\'s lights');
+      }
+
+      await controller.sendMessage({ body: { message: '/refine adaptive street lighting', conversationId } }, mockRes);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(db.findIdeasByTitle).toHaveBeenCalledWith('adaptive street lighting', conversationId);
+      expect(db.addIdeaRevision).toHaveBeenCalledWith(lighting.id, expect.any(Object));
+    });
 
-      expect(historyManager.addMessage).toHaveBeenCalledTimes(2);
-      expect(mockRes.json).toHaveBeenCalledWith({ response: mockResponse });
+    it('should list the matching ideas when a title is ambiguous', async () => {
+      const conversationId = await db.createConversation();
+      await controller.sendMessage({ body: { message: '/quick Greener cities', conversationId } }, mockRes);
+      await new Promise(resolve => setImmediate(resolve));
+
+      await controller.sendMessage({ body: { message: '/refine en', conversationId } }, mockRes);
+
+      const { response } = mockRes.json.mock.calls[1][0];
+      expect(response).toContain('❌ **Cannot refine idea**: "en" matches 2 saved ideas');
+      expect(response).toContain(`• \`${db.ideas[0].id}\` - **Community Solar Gardens**`);
+      expect(db.sessions).toHaveLength(1);
+    });
+
+    it('should re-run the latest session from the summary as a new linked version', async () => {
+      const provider = new MockProvider();
+      controller = new ChatController(db, new MagenticOneService({ provider }));
+      const conversationId = await db.createConversation();
+      await controller.sendMessage({ body: { message: '/quick Greener cities', conversationId } }, mockRes);
+      const original = db.sessions[0].session;
+
+      await controller.sendMessage({ body: { message: '/rerun summary --model other-model', conversationId } }, mockRes);
+
+      const payload = mockRes.json.mock.calls[1][0];
+      expect(payload.response).toContain('*Triggered by: /rerun command (version 2, from ');
+      expect(payload.response).toContain('on other-model)*');
+      expect(payload.metadata).toMatchObject({ parentSessionId: original.sessionId, version: 2, resumedFrom: 'final' });
+      expect(provider.getCallsForPhase('final_summary').map(call => call.model)).toEqual(['mock-model', 'other-model']);
+
+      const rerun = db.sessions[1];
+      expect(rerun.session.rootSessionId).toBe(original.sessionId);
+      expect(rerun.session.sessionData).toEqual(original.sessionData);
+      expect(rerun.refs.messageId).toBe(db.messages[3].id);
+    });
+
+    it('should explain when there is no session to re-run', async () => {
+      const conversationId = await db.createConversation();
+
+      await controller.sendMessage({ body: { message: '/rerun summary', conversationId } }, mockRes);
+
+      expect(mockRes.json.mock.calls[0][0].response).toContain('Nothing to re-run');
+      expect(db.sessions).toHaveLength(0);
+    });
+
+    it('should answer /help directly', async () => {
+      const conversationId = await db.createConversation();
+
+      await controller.sendMessage({ body: { message: '/help', conversationId } }, mockRes);
+
+      expect(mockRes.json.mock.calls[0][0].response).toContain('Ideation Agent Commands');
     });
 
     it('should handle missing message', async () => {
-      await chatController.sendMessage(mockReq, mockRes);
+      await controller.sendMessage({ body: { conversationId: 'conversation-1' } }, mockRes);
 
       expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Message is required' });
+      expect(mockRes.json).toHaveBeenCalledWith({ success: false, error: 'Message is required' });
     });
 
-    it('should handle processing errors', async () => {
-      mockReq.body = { message: 'test message' };
-      magenticOneService.processMessage.mockRejectedValue(new Error('Test error'));
-
-      await chatController.sendMessage(mockReq, mockRes);
+    it('should return 404 for an unknown conversation', async () => {
+      await controller.sendMessage({ body: { message: 'Hello', conversationId: 'missing' } }, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(500);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Failed to process message' });
+      expect(mockRes.status).toHaveBeenCalledWith(404);
     });
   });
 
-  describe('clearChatHistory', () => {
-    it('should clear chat history', async () => {
-      await chatController.clearChatHistory(mockReq, mockRes);
+  describe('generateConversationTitle', () => {
+    it('should use the utility model response', async () => {
+      const title = await controller.generateConversationTitle('Make cities greener', 'Some response');
 
-      expect(historyManager.clearHistory).toHaveBeenCalled();
-      expect(mockRes.json).toHaveBeenCalledWith({ message: 'Chat history cleared' });
+      expect(title).toBe('Green City Initiatives');
     });
 
-    it('should handle errors', async () => {
-      historyManager.clearHistory.mockRejectedValue(new Error('Test error'));
+    it('should fall back to keyword extraction when the model fails', async () => {
+      const provider = new MockProvider({ script: { title: { error: { status: 500, message: 'boom' } } } });
+      controller = new ChatController(db, new MagenticOneService({ provider }));
 
-      await chatController.clearChatHistory(mockReq, mockRes);
+      const title = await controller.generateConversationTitle('Sustainable transportation solutions');
 
-      expect(mockRes.status).toHaveBeenCalledWith(500);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Failed to clear chat history' });
+      expect(title).toBe('Sustainable Transportation Solutions');
     });
   });
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,100 @@
+const ErrorHandler = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class AgentController {
+  constructor(agentRegistry, pipelineService) {
+    this.agentRegistry = agentRegistry;
+    this.pipelines = pipelineService;
+    
+    // Bind methods to preserve 'this' context
+    this.getAgents = this.getAgents.bind(this);
+    this.createAgent = this.createAgent.bind(this);
+    this.updateAgent = this.updateAgent.bind(this);
+    this.deleteAgent = this.deleteAgent.bind(this);
+  }
+
+  // Phases a custom agent can join: every chain and loop phase id across pipelines
+  // (debate phases have fixed roles)
+  getJoinablePhases() {
+    const phases = new Map();
+    
+    this.pipelines.list().forEach(({ key }) => {
+      this.pipelines.get(key).phases
+        .filter(phase => phase.type === 'chain' || phase.type === 'loop')
+        .forEach(phase => {
+          if (!phases.has(phase.id)) {
+            phases.set(phase.id, { id: phase.id, label: phase.label, type: phase.type, pipelines: [] });
+          }
+          phases.get(phase.id).pipelines.push(key);
+        });
+    });
+    
+    return [...phases.values()];
+  }
+
+  // Get built-in and custom agents
+  async getAgents(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: this.agentRegistry.list(),
+        phases: this.getJoinablePhases()
+      });
+    } catch (error) {
+      ErrorHandler.handleAPIError(res, error, 'fetch agents');
+    }
+  }
+
+  // Create a custom agent
+  async createAgent(req, res) {
+    try {
+      const agent = await this.agentRegistry.createAgent(req.body);
+      
+      res.status(201).json({
+        success: true,
+        data: agent
+      });
+    } catch (error) {
+      ErrorHandler.handleDatabaseError(res, error, 'create agent');
+    }
+  }
+
+  // Update a custom agent
+  async updateAgent(req, res) {
+    try {
+      const agent = await this.agentRegistry.updateAgent(req.params.id, req.body);
+      
+      if (!agent) {
+        return ErrorHandler.handleNotFoundError(res, 'Agent');
+      }
+      
+      logger.info(`Custom agent updated: ${agent.name}`, { id: agent.id });
+      res.json({
+        success: true,
+        data: agent
+      });
+    } catch (error) {
+      ErrorHandler.handleDatabaseError(res, error, 'update agent');
+    }
+  }
+
+  // Delete a custom agent
+  async deleteAgent(req, res) {
+    try {
+      const deleted = await this.agentRegistry.deleteAgent(req.params.id);
+      
+      if (!deleted) {
+        return ErrorHandler.handleNotFoundError(res, 'Agent');
+      }
+      
+      res.json({
+        success: true,
+        message: 'Agent deleted successfully'
+      });
+    } catch (error) {
+      ErrorHandler.handleDatabaseError(res, error, 'delete agent');
+    }
+  }
+}
+
+module.exports = AgentController;
@@ -1,15 +1,25 @@
 const MagenticOneService = require('../services/magenticOneService');
 const IdeaExtractionService = require('../services/ideaExtractionService');
+const SessionReplayService = require('../services/sessionReplayService');
+const IdeaRefinementService = require('../services/ideaRefinementService');
+const TournamentService = require('../services/tournamentService');
+const MemoryService = require('../services/memoryService');
+const UsageTracker = require('../services/llm/usageTracker');
 const ErrorHandler = require('../utils/errorHandler');
 const logger = require('../utils/logger');
-const axios = require('axios');
 const config = require('../config/config');
 
 class ChatController {
-  constructor(databaseService) {
+  constructor(databaseService, magenticOneService = new MagenticOneService()) {
     this.db = databaseService;
-    this.magenticOneService = new MagenticOneService();
-    this.ideaExtractionService = new IdeaExtractionService(databaseService);
+    // Shared with SocketService so orchestrator progress reaches connected clients
+    this.magenticOneService = magenticOneService;
+    this.provider = magenticOneService.provider;
+    this.ideaExtractionService = new IdeaExtractionService(databaseService, this.provider);
+    this.sessionReplayService = new SessionReplayService(databaseService, magenticOneService);
+    this.tournamentService = new TournamentService(databaseService, this.provider);
+    this.memoryService = new MemoryService(databaseService);
+    this.ideaRefinementService = new IdeaRefinementService(databaseService, magenticOneService, this.memoryService);
   }
 
   // Get the chat history for a specific conversation
@@ -87,7 +97,7 @@ class ChatController {
   // Send a new message and get response
   sendMessage = async (req, res) => {
     try {
-      const { message, conversationId } = req.body;
+      const { message, conversationId, stream = true, budget, checkpoints } = req.body;
       
       if (!message) {
         return res.status(400).json({ 
@@ -124,16 +134,73 @@ class ChatController {
       }));
 
       let response;
+      let metadata = null;
+      let usageSource = 'chat';
+      let session = null;
+      let refinedIdea = null;
       const userMessages = messages.filter(msg => msg.role === 'user');
+      const chatUsage = new UsageTracker();
+
+      // Memories are recalled only for messages that become a prompt: chat
+      // here, ideation commands below (/refine recalls its own related ideas)
+      let memories = [];
+      let memory = null;
+      if (!this.magenticOneService.commandProcessor.isCommand(message)) {
+        ({ memories, memory } = await this.recallMemories(message, conversationId, messages, context));
+      }
       
       // Process the message (includes slash command detection)
-      const result = await this.magenticOneService.processMessage(message, context, false);
+      const result = await this.magenticOneService.processMessage(message, context, false, { usage: chatUsage, conversationId, memory });
       
       // Handle command responses
       if (result && typeof result === 'object' && result.type === 'command') {
-        if (result.shouldTriggerIdeation && result.message) {
+        if (result.rerun) {
+          ({ response, session } = await this.rerunSession(result.rerun, conversationId, {
+            stream: config.STREAMING.enabled && stream,
+            budget
+          }));
+          if (session?.usage) {
+            usageSource = 'ideation';
+            metadata = this.magenticOneService.getSessionMetadata(session);
+          }
+        } else if (result.refine) {
+          ({ response, session, idea: refinedIdea } = await this.refineIdea(result.refine, conversationId, {
+            context,
+            stream: config.STREAMING.enabled && stream,
+            budget
+          }));
+          if (session?.usage) {
+            usageSource = 'ideation';
+            metadata = this.magenticOneService.getSessionMetadata(session);
+          }
+        } else if (result.tournament) {
+          ({ response, metadata } = await this.runTournament(result.tournament, conversationId));
+          if (metadata) {
+            usageSource = 'tournament';
+          }
+        } else if (result.shouldTriggerIdeation && result.message) {
           // Process the command's message through ideation
-          response = await this.magenticOneService.processIdeationMessage(result.message, context);
+          // Deltas go to socket clients in the conversation room; the HTTP
+          // response always carries the complete text
+          // result.options: the session options given as command flags (--agents, --depth, --model, --ideas)
+          ({ memories, memory } = await this.recallMemories(result.message, conversationId, messages, context));
+          session = await this.magenticOneService.runIdeationSession(result.message, context, {
+            ...result.options,
+            conversationId,
+            pipeline: result.pipeline,
+            stream: config.STREAMING.enabled && stream,
+            budget,
+            checkpoints,
+            memory
+          });
+          response = session.content;
+          usageSource = 'ideation';
+          if (session.usage) {
+            metadata = this.magenticOneService.getSessionMetadata(session);
+          }
+          if (memories.length) {
+            metadata = { ...metadata, memory: this.memoryService.describe(memories) };
+          }
           
           // Add a command indicator to the response
           const commandInfo = result.action === 'help' ? '' : `\n\n*Triggered by: /${result.action} command*`;
@@ -145,13 +212,37 @@ class ChatController {
       } else {
         // All non-command messages are handled as normal chat
         response = result;
+        if (chatUsage.totals.calls > 0) {
+          metadata = { usage: chatUsage.toJSON() };
+        }
+        if (memories.length) {
+          metadata = { ...metadata, memory: this.memoryService.describe(memories) };
+        }
       }
 
-      // Add response to database
-      const messageId = await this.db.addMessage(conversationId, 'assistant', response);
+      // Add response to database, with token usage on the message metadata
+      const messageId = await this.db.addMessage(conversationId, 'assistant', response, null, metadata);
+      if (metadata?.usage) {
+        this.recordUsage(conversationId, usageSource, metadata.usage, messageId);
+      }
+      if (session?.turns) {
+        this.saveTranscript(session, conversationId, messageId);
+      }
 
-      // Extract ideas from ideation sessions (async, don't wait)
-      if (typeof response === 'string' && this.ideaExtractionService.isIdeationSession(response)) {
+      // Save the ideas of ideation sessions (async, don't wait): a refinement
+      // as a new revision of its idea, otherwise straight from the structured
+      // summary when there is one, or extracted from the text
+      if (refinedIdea) {
+        this.ideaRefinementService.saveRevision(refinedIdea, session, messageId)
+          .catch(error => {
+            logger.error('Saving idea revision failed:', { error: error.message, ideaId: refinedIdea.id });
+          });
+      } else if (session?.report) {
+        this.ideaExtractionService.saveReportIdeas(conversationId, session.report, messageId, session.sessionId)
+          .catch(error => {
+            logger.error('Saving summary ideas failed:', error);
+          });
+      } else if (typeof response === 'string' && this.ideaExtractionService.isIdeationSession(response)) {
         this.ideaExtractionService.extractIdeasFromSession(conversationId, response, messageId)
           .then(extractedIdeas => {
             if (extractedIdeas.length > 0) {
@@ -166,7 +257,7 @@ class ChatController {
       // Auto-generate title from first exchange if still default
       if (conversation.title === 'New Conversation' && userMessages.length === 1) {
         try {
-          const title = await this.generateConversationTitle(message, response);
+          const title = await this.generateConversationTitle(message, response, conversationId);
           await this.db.updateConversation(conversationId, { title });
         } catch (error) {
           console.error('Error updating conversation title:', error);
@@ -177,7 +268,8 @@ class ChatController {
       res.json({ 
         success: true, 
         response, 
-        conversationId 
+        conversationId,
+        metadata
       });
     } catch (error) {
       logger.error('Error processing message:', { error: error.message });
@@ -202,6 +294,7 @@ class ChatController {
 
       // Delete all messages for the conversation
       await this.db.run('DELETE FROM messages WHERE conversation_id = ?', [conversationId]);
+      await this.db.deleteEmbeddings(conversationId, 'message');
       
       // Reset conversation title
       await this.db.updateConversation(conversationId, { 
@@ -221,8 +314,84 @@ class ChatController {
     }
   };
 
+  // Past turns and ideas related to a message, skipping the recent messages
+  // the prompt already carries verbatim
+  async recallMemories(message, conversationId, messages, context) {
+    const recentCount = this.magenticOneService.agentOrchestrator.contextManager.countRecent(context);
+    const memories = await this.memoryService.recall(message, {
+      conversationId,
+      excludeIds: messages.slice(messages.length - recentCount).map(msg => msg.id)
+    });
+    return { memories, memory: this.memoryService.toContextMessage(memories) };
+  }
+
+  // Handle /rerun: resume the named (or latest) session of the conversation from a phase
+  async rerunSession({ sessionId, fromPhase, model }, conversationId, options) {
+    const targetId = sessionId || (await this.db.getIdeationSessions(conversationId))[0]?.id;
+    if (!targetId) {
+      return { response: '❌ **Nothing to re-run**: this conversation has no stored ideation sessions yet.', session: null };
+    }
+
+    const rerun = await this.sessionReplayService.rerun(targetId, { fromPhase, model, conversationId, ...options });
+    if (rerun.error) {
+      return { response: `❌ **Cannot re-run session**: ${rerun.error}`, session: null };
+    }
+
+    const { session, phase } = rerun;
+    const details = [`version ${session.version}`, `from ${phase.label}`, model && `on ${model}`].filter(Boolean).join(', ');
+    return { response: `${session.content}\n\n*Triggered by: /rerun command (${details})*`, session };
+  }
+
+  // Handle /refine: run the refine pipeline on a saved idea; the result is saved as its next revision
+  async refineIdea({ reference, focus, agents, model }, conversationId, options) {
+    const refinement = await this.ideaRefinementService.refine(reference, { conversationId, focus, agents, model, ...options });
+    if (refinement.error) {
+      const matches = refinement.matches
+        ? `\n\nUse the id of the one you mean:\n${refinement.matches.map(idea => `• \`${idea.id}\` - **${idea.title}**`).join('\n')}`
+        : '';
+      return { response: `❌ **Cannot refine idea**: ${refinement.error}${matches}`, session: null, idea: null };
+    }
+
+    const { idea, session } = refinement;
+    const saved = session.report?.format === 'refinement';
+    const note = saved
+      ? `revision ${(idea.revision || 1) + 1} of "${idea.title}"`
+      : 'not saved: the summary could not be read as a revised idea';
+    return { response: `${session.content}\n\n*Triggered by: /refine command (${note})*`, session, idea };
+  }
+
+  // Handle /tournament: rank the conversation's ideas (or the repository's, or one session's) head-to-head
+  async runTournament({ all, sessionId, focus }, conversationId) {
+    const ideas = await this.tournamentService.selectIdeas({ conversationId, sessionId, all });
+    if (ideas.length < 2) {
+      return {
+        response: '❌ **Not enough ideas**: a tournament needs at least two saved ideas. Run an ideation session first, or use `/tournament all` to compare ideas from every conversation.',
+        metadata: null
+      };
+    }
+
+    const tournament = await this.tournamentService.runTournament(ideas, { conversationId, sessionId, focus });
+    return {
+      response: `${this.tournamentService.renderTournament(tournament)}\n\n*Triggered by: /tournament command*`,
+      metadata: { tournamentId: tournament.id, usage: tournament.usage }
+    };
+  }
+
+  // Store token usage for /api/stats; a failed write is logged, never surfaced
+  recordUsage(conversationId, source, usage, messageId = null) {
+    this.db.recordTokenUsage({ conversationId, source, byModel: usage.byModel, messageId })
+      .catch(error => logger.error('Failed to record token usage:', { error: error.message }));
+  }
+
+  // Store the session's agent turns so the transcript can be fetched later
+  saveTranscript(session, conversationId, messageId) {
+    const status = session.cancelled ? 'cancelled' : 'completed';
+    this.db.saveIdeationSession(session, { conversationId, messageId, status })
+      .catch(error => logger.error('Failed to save ideation session transcript:', { error: error.message, sessionId: session.sessionId }));
+  }
+
   // Generate a conversation title from the first message and response
-  async generateConversationTitle(userMessage, assistantResponse = null) {
+  async generateConversationTitle(userMessage, assistantResponse = null, conversationId = null) {
     try {
       // If we have a response, use both user message and assistant response for better context
       let titlePrompt;
@@ -260,26 +429,27 @@ Title:`;
       }
 
       // Use a lightweight model for title generation
-      const model = 'gemma2-9b-it'; // Fastest model for simple tasks
-      const response = await axios.post(config.API.endpoint, {
-        model: model,
-        messages: [
-          { role: 'system', content: 'You are a helpful assistant that generates concise, professional conversation titles.' },
-          { role: 'user', content: titlePrompt }
-        ],
+      const messages = [
+        { role: 'system', content: 'You are a helpful assistant that generates concise, professional conversation titles.' },
+        { role: 'user', content: titlePrompt }
+      ];
+      const response = await this.provider.complete({
+        model: this.provider.getModel('utility'),
+        messages,
         temperature: 0.3,
-        max_tokens: 20,
-        stream: false
-      }, {
-        headers: {
-          'Authorization': `Bearer ${config.API.key}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
+        maxTokens: 20,
+        timeout: 10000,
+        metadata: { agentType: 'utility', phase: 'title' }
       });
 
-      if (response.data?.choices?.[0]?.message?.content) {
-        const generatedTitle = response.data.choices[0].message.content
+      if (conversationId) {
+        const usage = new UsageTracker();
+        usage.record({ agent: 'utility', phase: 'title', model: response.model || this.provider.getModel('utility'), usage: response.usage, messages, output: response.content });
+        this.recordUsage(conversationId, 'title', usage.toJSON());
+      }
+
+      if (response.content) {
+        const generatedTitle = response.content
           .trim()
           .replace(/^["']|["']$/g, '') // Remove quotes
           .replace(/^Title:\s*/i, '') // Remove "Title:" prefix
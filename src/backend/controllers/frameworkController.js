@@ -0,0 +1,88 @@
+const ErrorHandler = require('../utils/errorHandler');
+
+class FrameworkController {
+  constructor(frameworkService) {
+    this.frameworks = frameworkService;
+    
+    // Bind methods to preserve 'this' context
+    this.getFrameworks = this.getFrameworks.bind(this);
+    this.getFramework = this.getFramework.bind(this);
+    this.createFramework = this.createFramework.bind(this);
+    this.updateFramework = this.updateFramework.bind(this);
+    this.deleteFramework = this.deleteFramework.bind(this);
+  }
+
+  // Send a framework service result: the framework, or the status and error it was rejected with
+  sendResult(res, result, status = 200) {
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.status(status).json({
+      success: true,
+      data: result.framework
+    });
+  }
+
+  // Get built-in and custom frameworks
+  async getFrameworks(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: this.frameworks.list()
+      });
+    } catch (error) {
+      ErrorHandler.handleAPIError(res, error, 'fetch frameworks');
+    }
+  }
+
+  // Get a framework with its roles and phases
+  async getFramework(req, res) {
+    try {
+      const framework = this.frameworks.get(req.params.key);
+      
+      if (!framework) {
+        return ErrorHandler.handleNotFoundError(res, 'Framework');
+      }
+      
+      res.json({
+        success: true,
+        data: framework
+      });
+    } catch (error) {
+      ErrorHandler.handleAPIError(res, error, 'fetch framework');
+    }
+  }
+
+  // Create a custom framework
+  async createFramework(req, res) {
+    try {
+      this.sendResult(res, await this.frameworks.createFramework(req.body), 201);
+    } catch (error) {
+      ErrorHandler.handleDatabaseError(res, error, 'create framework');
+    }
+  }
+
+  // Update a framework; editing a built-in stores an edited copy
+  async updateFramework(req, res) {
+    try {
+      this.sendResult(res, await this.frameworks.updateFramework(req.params.key, req.body));
+    } catch (error) {
+      ErrorHandler.handleDatabaseError(res, error, 'update framework');
+    }
+  }
+
+  // Delete a custom framework, or reset an edited built-in (the restored built-in is returned)
+  async deleteFramework(req, res) {
+    try {
+      this.sendResult(res, await this.frameworks.deleteFramework(req.params.key));
+    } catch (error) {
+      ErrorHandler.handleDatabaseError(res, error, 'delete framework');
+    }
+  }
+}
+
+module.exports = FrameworkController;
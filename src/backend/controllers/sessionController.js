@@ -0,0 +1,137 @@
+const SessionReplayService = require('../services/sessionReplayService');
+const ErrorHandler = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class SessionController {
+  constructor(databaseService, magenticOneService) {
+    this.db = databaseService;
+    this.magenticOneService = magenticOneService;
+    this.sessionReplayService = new SessionReplayService(databaseService, magenticOneService);
+    
+    // Bind methods to preserve 'this' context
+    this.getSessions = this.getSessions.bind(this);
+    this.getTranscript = this.getTranscript.bind(this);
+    this.rerunSession = this.rerunSession.bind(this);
+    this.cancelSession = this.cancelSession.bind(this);
+    this.submitCheckpoint = this.submitCheckpoint.bind(this);
+  }
+
+  // List a conversation's ideation sessions, newest first
+  async getSessions(req, res) {
+    try {
+      const sessions = await this.db.getIdeationSessions(req.query.conversationId);
+      
+      res.json({
+        success: true,
+        data: sessions
+      });
+    } catch (error) {
+      ErrorHandler.handleDatabaseError(res, error, 'fetch ideation sessions');
+    }
+  }
+
+  // Get a session with every agent turn in the order they finished, plus every version of it
+  async getTranscript(req, res) {
+    try {
+      const session = await this.db.getIdeationSession(req.params.id);
+      if (!session) {
+        return ErrorHandler.handleNotFoundError(res, 'Ideation session');
+      }
+      
+      const turns = await this.db.getAgentTurns(req.params.id);
+      const versions = await this.db.getIdeationSessionVersions(session.root_session_id || session.id);
+      
+      res.json({
+        success: true,
+        data: {
+          session,
+          turns,
+          versions: versions.map(({ id, version, parent_session_id, resumed_from, model, started_at }) => ({
+            id, version, parent_session_id, resumed_from, model, started_at
+          }))
+        }
+      });
+    } catch (error) {
+      ErrorHandler.handleDatabaseError(res, error, 'fetch session transcript');
+    }
+  }
+
+  // Re-run a session from a phase; the result is stored as a new version and a new assistant message
+  async rerunSession(req, res) {
+    try {
+      const { fromPhase, model, budget, stream = false } = req.body;
+      const rerun = await this.sessionReplayService.rerun(req.params.id, { fromPhase, model, budget, stream });
+      
+      if (rerun.error) {
+        return res.status(rerun.status).json({
+          success: false,
+          error: rerun.error
+        });
+      }
+      
+      const { session, parent, phase } = rerun;
+      if (!session.sessionId) {
+        return ErrorHandler.handleAPIError(res, 'Ideation session failed', 're-run ideation session');
+      }
+      
+      const metadata = this.magenticOneService.getSessionMetadata(session);
+      const content = `${session.content}\n\n*Version ${session.version}: re-run from ${phase.label}${model ? ` on ${model}` : ''}*`;
+      const messageId = await this.db.addMessage(parent.conversation_id, 'assistant', content, null, metadata);
+      await this.db.saveIdeationSession(session, {
+        conversationId: parent.conversation_id,
+        messageId,
+        status: session.cancelled ? 'cancelled' : 'completed'
+      });
+      this.db.recordTokenUsage({ conversationId: parent.conversation_id, source: 'ideation', byModel: session.usage.byModel, messageId })
+        .catch(error => logger.error('Failed to record token usage:', { error: error.message }));
+      
+      res.status(201).json({
+        success: true,
+        data: {
+          sessionId: session.sessionId,
+          parentSessionId: parent.id,
+          version: session.version,
+          messageId,
+          content,
+          metadata
+        }
+      });
+    } catch (error) {
+      ErrorHandler.handleAPIError(res, error, 're-run ideation session');
+    }
+  }
+
+  // Cancel a running session; the request that started it still receives a summary of the completed phases
+  async cancelSession(req, res) {
+    try {
+      if (!this.magenticOneService.cancelSession(req.params.id)) {
+        return ErrorHandler.handleNotFoundError(res, 'Running ideation session');
+      }
+      
+      res.status(202).json({
+        success: true,
+        data: { sessionId: req.params.id, cancelled: true }
+      });
+    } catch (error) {
+      ErrorHandler.handleAPIError(res, error, 'cancel ideation session');
+    }
+  }
+
+  // Resume a session waiting at a checkpoint with the user's review of its ideas
+  async submitCheckpoint(req, res) {
+    try {
+      if (!this.magenticOneService.submitCheckpoint(req.params.id, req.body)) {
+        return ErrorHandler.handleNotFoundError(res, 'Session checkpoint');
+      }
+      
+      res.json({
+        success: true,
+        data: { sessionId: req.params.id, resumed: true }
+      });
+    } catch (error) {
+      ErrorHandler.handleAPIError(res, error, 'submit checkpoint review');
+    }
+  }
+}
+
+module.exports = SessionController;
@@ -0,0 +1,71 @@
+const TournamentService = require('../services/tournamentService');
+const ErrorHandler = require('../utils/errorHandler');
+
+class TournamentController {
+  constructor(databaseService, magenticOneService) {
+    this.db = databaseService;
+    this.tournamentService = new TournamentService(databaseService, magenticOneService.provider);
+    
+    // Bind methods to preserve 'this' context
+    this.getTournaments = this.getTournaments.bind(this);
+    this.getTournament = this.getTournament.bind(this);
+    this.runTournament = this.runTournament.bind(this);
+  }
+
+  // List a conversation's tournaments with their rankings, newest first
+  async getTournaments(req, res) {
+    try {
+      const tournaments = await this.db.getTournaments(req.query.conversationId);
+      
+      res.json({
+        success: true,
+        data: tournaments
+      });
+    } catch (error) {
+      ErrorHandler.handleDatabaseError(res, error, 'fetch tournaments');
+    }
+  }
+
+  // Get a tournament's ranking and every match with the judge's rationale
+  async getTournament(req, res) {
+    try {
+      const tournament = await this.db.getTournament(req.params.id);
+      if (!tournament) {
+        return ErrorHandler.handleNotFoundError(res, 'Tournament');
+      }
+      
+      res.json({
+        success: true,
+        data: tournament
+      });
+    } catch (error) {
+      ErrorHandler.handleDatabaseError(res, error, 'fetch tournament');
+    }
+  }
+
+  // Run a tournament on a conversation's, a session's or the whole repository's ideas
+  async runTournament(req, res) {
+    try {
+      const { conversationId = null, sessionId = null, all, focus = null } = req.body;
+      const ideas = await this.tournamentService.selectIdeas({ conversationId, sessionId, all });
+      
+      if (ideas.length < 2) {
+        return res.status(400).json({
+          success: false,
+          error: 'A tournament needs at least two saved ideas'
+        });
+      }
+      
+      const tournament = await this.tournamentService.runTournament(ideas, { conversationId, sessionId, focus: focus || null });
+      
+      res.status(201).json({
+        success: true,
+        data: tournament
+      });
+    } catch (error) {
+      ErrorHandler.handleAPIError(res, error, 'run tournament');
+    }
+  }
+}
+
+module.exports = TournamentController;
@@ -14,6 +14,13 @@ const sanitizeOptions = {
 // UUID validation regex
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
+// Per-session limits for ideation commands (see SessionBudget)
+const budgetSchema = Joi.object({
+  maxTokens: Joi.number().integer().min(1000),
+  maxCost: Joi.number().positive(),
+  maxSeconds: Joi.number().integer().min(10).max(3600)
+}).min(1);
+
 // Message validation schema
 const messageSchema = Joi.object({
   message: Joi.string()
@@ -36,9 +43,42 @@ const messageSchema = Joi.object({
     .required()
     .messages({
       'string.pattern.base': 'Invalid conversation ID format'
-    })
+    }),
+  stream: Joi.boolean(),
+  budget: budgetSchema,
+  // Phase ids after which an ideation session waits for the user's review
+  checkpoints: Joi.array().items(Joi.string().pattern(/^[a-z0-9_]+$/i)).max(10).unique()
+});
+
+// Checkpoint review schema: ideas are referenced by the ids sent with checkpoint_reached
+const checkpointReviewSchema = Joi.object({
+  starred: Joi.array().items(Joi.string().max(100)).max(100).default([]),
+  discarded: Joi.array().items(Joi.string().max(100)).max(100).default([]),
+  added: Joi.array().items(Joi.string().trim().min(1).max(1000)).max(20).default([]),
+  notes: Joi.string().trim().max(2000).allow('').default('')
+});
+
+// Session re-run schema: the phase to resume from is its id, 1-based number or "summary"
+const sessionRerunSchema = Joi.object({
+  fromPhase: Joi.alternatives()
+    .try(Joi.string().pattern(/^[a-z0-9_]+$/i), Joi.number().integer().min(1))
+    .required()
+    .messages({
+      'alternatives.match': 'fromPhase must be a phase id, a phase number or "summary"'
+    }),
+  model: Joi.string().max(100),
+  budget: budgetSchema,
+  stream: Joi.boolean()
 });
 
+// Idea tournament schema: the ideas come from a conversation, one of its sessions or the whole repository
+const tournamentSchema = Joi.object({
+  conversationId: Joi.string().uuid(),
+  sessionId: Joi.string().uuid(),
+  all: Joi.boolean().default(false),
+  focus: Joi.string().trim().max(500).allow('')
+}).or('conversationId', 'all');
+
 // Conversation creation schema
 const conversationCreationSchema = Joi.object({
   title: Joi.string()
@@ -63,6 +103,63 @@ const conversationUpdateSchema = Joi.object({
   metadata: Joi.object()
 }).min(1);
 
+// Custom agent schemas
+const agentFields = {
+  name: Joi.string()
+    .min(2)
+    .max(60)
+    .custom((value, helpers) => {
+      return sanitizeHtml(value, { allowedTags: [], allowedAttributes: {} });
+    }),
+  emoji: Joi.string().max(8).allow('', null),
+  systemPrompt: Joi.string()
+    .min(10)
+    .max(4000)
+    .messages({
+      'string.min': 'System prompt is too short (min 10 characters)'
+    }),
+  models: Joi.array().items(Joi.string().max(100)).max(20),
+  temperature: Joi.number().min(0).max(2),
+  phases: Joi.array().items(Joi.string().pattern(/^[a-z0-9_]+$/i)).min(1).unique(),
+  enabled: Joi.boolean()
+};
+
+const agentCreationSchema = Joi.object({
+  ...agentFields,
+  name: agentFields.name.required(),
+  systemPrompt: agentFields.systemPrompt.required(),
+  models: agentFields.models.default([]),
+  temperature: agentFields.temperature.default(0.7),
+  phases: agentFields.phases.required(),
+  enabled: agentFields.enabled.default(true)
+});
+
+const agentUpdateSchema = Joi.object(agentFields).min(1);
+
+// Ideation framework schemas; the phases are validated in full by PipelineService
+const frameworkFields = {
+  name: Joi.string()
+    .min(2)
+    .max(60)
+    .custom((value, helpers) => {
+      return sanitizeHtml(value, { allowedTags: [], allowedAttributes: {} });
+    }),
+  description: Joi.string().max(500).allow(''),
+  roles: Joi.object().pattern(Joi.string().pattern(/^[a-z0-9_]+$/i), Joi.string().trim().min(10).max(4000)),
+  phases: Joi.array().items(Joi.object()).min(1).max(20),
+  timeLimitMs: Joi.number().integer().min(1000)
+};
+
+const frameworkCreationSchema = Joi.object({
+  ...frameworkFields,
+  name: frameworkFields.name.required(),
+  description: frameworkFields.description.default(''),
+  roles: frameworkFields.roles.default({}),
+  phases: frameworkFields.phases.required()
+});
+
+const frameworkUpdateSchema = Joi.object(frameworkFields).min(1);
+
 // Validate and sanitize message (helper function)
 const validateMessageHelper = (message) => {
   try {
@@ -162,6 +259,132 @@ const validateConversationUpdate = (req, res, next) => {
   next();
 };
 
+const validateAgentCreation = (req, res, next) => {
+  const { error, value } = agentCreationSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+const validateAgentUpdate = (req, res, next) => {
+  const { error, value } = agentUpdateSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+const validateFrameworkCreation = (req, res, next) => {
+  const { error, value } = frameworkCreationSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+const validateFrameworkUpdate = (req, res, next) => {
+  const { error, value } = frameworkUpdateSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+const validateSessionRerun = (req, res, next) => {
+  const { error, value } = sessionRerunSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+const validateTournament = (req, res, next) => {
+  const { error, value } = tournamentSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+const validateCheckpointReview = (req, res, next) => {
+  const { error, value } = checkpointReviewSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
 const validateConversationId = (req, res, next) => {
   const conversationId = req.query.conversationId || req.params.id;
   
@@ -226,10 +449,24 @@ module.exports = {
   validateMessageHelper,
   validateConversationCreation,
   validateConversationUpdate,
+  validateAgentCreation,
+  validateAgentUpdate,
+  validateFrameworkCreation,
+  validateFrameworkUpdate,
+  validateSessionRerun,
+  validateCheckpointReview,
+  validateTournament,
   validateConversationId,
   validateUUID,
   validateSocketMessage,
   messageSchema,
   conversationCreationSchema,
-  conversationUpdateSchema
+  conversationUpdateSchema,
+  agentCreationSchema,
+  agentUpdateSchema,
+  frameworkCreationSchema,
+  frameworkUpdateSchema,
+  sessionRerunSchema,
+  checkpointReviewSchema,
+  tournamentSchema
 }; 
\ No newline at end of file
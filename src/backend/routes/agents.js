@@ -0,0 +1,22 @@
+const express = require('express');
+const AgentController = require('../controllers/agentController');
+const validation = require('../middleware/validation');
+
+module.exports = (agentRegistry, pipelineService) => {
+  const router = express.Router();
+  const agentController = new AgentController(agentRegistry, pipelineService);
+
+  // Get built-in and custom agents, plus the phases custom agents can join
+  router.get('/', agentController.getAgents);
+
+  // Create custom agent
+  router.post('/', validation.validateAgentCreation, agentController.createAgent);
+
+  // Update custom agent (built-in agents are not editable)
+  router.put('/:id', validation.validateUUID, validation.validateAgentUpdate, agentController.updateAgent);
+
+  // Delete custom agent
+  router.delete('/:id', validation.validateUUID, agentController.deleteAgent);
+
+  return router;
+};
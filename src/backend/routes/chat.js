@@ -2,9 +2,9 @@ const express = require('express');
 const ChatController = require('../controllers/chatController');
 const validation = require('../middleware/validation');
 
-module.exports = (databaseService) => {
+module.exports = (databaseService, magenticOneService) => {
   const router = express.Router();
-  const chatController = new ChatController(databaseService);
+  const chatController = new ChatController(databaseService, magenticOneService);
 
   // Add database service to request object for middleware access
   router.use((req, res, next) => {
@@ -0,0 +1,25 @@
+const express = require('express');
+const FrameworkController = require('../controllers/frameworkController');
+const validation = require('../middleware/validation');
+
+module.exports = (frameworkService) => {
+  const router = express.Router();
+  const frameworkController = new FrameworkController(frameworkService);
+
+  // Get built-in and custom ideation frameworks
+  router.get('/', frameworkController.getFrameworks);
+
+  // Get a framework with its roles and phases
+  router.get('/:key', frameworkController.getFramework);
+
+  // Create custom framework
+  router.post('/', validation.validateFrameworkCreation, frameworkController.createFramework);
+
+  // Update framework (editing a built-in stores an edited copy)
+  router.put('/:key', validation.validateFrameworkUpdate, frameworkController.updateFramework);
+
+  // Delete custom framework, or reset an edited built-in
+  router.delete('/:key', frameworkController.deleteFramework);
+
+  return router;
+};
@@ -1,4 +1,5 @@
 const express = require('express');
+const config = require('../config/config');
 
 module.exports = (databaseService) => {
   const router = express.Router();
@@ -18,7 +19,9 @@ module.exports = (databaseService) => {
       res.json({
         success: true,
         ideas: ideas || [],
-        count: ideas ? ideas.length : 0
+        count: ideas ? ideas.length : 0,
+        // Labels for the criteria in each idea's scorecard
+        criteria: config.SCORING.criteria
       });
     } catch (error) {
       console.error('Error fetching ideas:', error);
@@ -49,5 +52,32 @@ module.exports = (databaseService) => {
     }
   });
 
+  // Get an idea's revisions (saved by /refine), oldest first
+  router.get('/:id/revisions', async (req, res) => {
+    try {
+      const idea = await databaseService.getIdea(req.params.id);
+      if (!idea) {
+        return res.status(404).json({
+          success: false,
+          error: 'Idea not found'
+        });
+      }
+
+      const revisions = await databaseService.getIdeaRevisions(idea.id);
+      res.json({
+        success: true,
+        idea,
+        revisions,
+        count: revisions.length
+      });
+    } catch (error) {
+      console.error('Error fetching idea revisions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch idea revisions'
+      });
+    }
+  });
+
   return router;
 };
\ No newline at end of file
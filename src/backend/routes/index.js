@@ -5,16 +5,38 @@ const router = express.Router();
 let chatRoutes;
 let conversationRoutes;
 let ideasRoutes;
+let agentRoutes;
+let sessionRoutes;
+let tournamentRoutes;
+let frameworkRoutes;
+let db;
 
-const initializeRoutes = (databaseService) => {
-  chatRoutes = require('./chat')(databaseService);
+const initializeRoutes = (databaseService, magenticOneService) => {
+  db = databaseService;
+  chatRoutes = require('./chat')(databaseService, magenticOneService);
   conversationRoutes = require('./conversations')(databaseService);
   ideasRoutes = require('./ideas')(databaseService);
+  agentRoutes = require('./agents')(magenticOneService.agentRegistry, magenticOneService.agentOrchestrator.pipelines);
+  sessionRoutes = require('./sessions')(databaseService, magenticOneService);
+  tournamentRoutes = require('./tournaments')(databaseService, magenticOneService);
+  frameworkRoutes = require('./frameworks')(magenticOneService.frameworks);
   
   // Mount routes
   router.use('/chat', chatRoutes);
   router.use('/conversations', conversationRoutes);
   router.use('/ideas', ideasRoutes);
+  router.use('/agents', agentRoutes);
+  router.use('/sessions', sessionRoutes);
+  router.use('/tournaments', tournamentRoutes);
+  router.use('/frameworks', frameworkRoutes);
+
+  // Per-model success rate, latency and rate-limit state from the model router
+  router.get('/models/health', (req, res) => {
+    res.json({
+      success: true,
+      data: magenticOneService.agentOrchestrator.modelRouter.getHealth()
+    });
+  });
 };
 
 // Health check endpoint
@@ -29,17 +51,18 @@ router.get('/health', (req, res) => {
 // Stats endpoint
 router.get('/stats', async (req, res) => {
   try {
-    if (!req.db) {
+    if (!db) {
       return res.status(503).json({ 
         success: false, 
         error: 'Database service not available' 
       });
     }
     
-    const stats = await req.db.getConversationStats();
+    const stats = await db.getConversationStats();
+    const usage = await db.getUsageStats();
     res.json({
       success: true,
-      data: stats
+      data: { ...stats, usage }
     });
   } catch (error) {
     res.status(500).json({
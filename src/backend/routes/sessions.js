@@ -0,0 +1,25 @@
+const express = require('express');
+const SessionController = require('../controllers/sessionController');
+const validation = require('../middleware/validation');
+
+module.exports = (databaseService, magenticOneService) => {
+  const router = express.Router();
+  const sessionController = new SessionController(databaseService, magenticOneService);
+
+  // List ideation sessions for a conversation
+  router.get('/', validation.validateConversationId, sessionController.getSessions);
+
+  // Get a session's full transcript: every agent turn with prompt, output, model, latency and tokens
+  router.get('/:id/transcript', validation.validateUUID, sessionController.getTranscript);
+
+  // Re-run a session from a phase, reusing the stored results of earlier phases; stored as a new linked version
+  router.post('/:id/rerun', validation.validateUUID, validation.validateSessionRerun, sessionController.rerunSession);
+
+  // Cancel a running session: in-flight agent calls are aborted and the completed phases are summarized
+  router.post('/:id/cancel', validation.validateUUID, sessionController.cancelSession);
+
+  // Review the ideas of a session waiting at a checkpoint: star, discard or add ideas and steer the next phase
+  router.post('/:id/checkpoint', validation.validateUUID, validation.validateCheckpointReview, sessionController.submitCheckpoint);
+
+  return router;
+};
@@ -0,0 +1,19 @@
+const express = require('express');
+const TournamentController = require('../controllers/tournamentController');
+const validation = require('../middleware/validation');
+
+module.exports = (databaseService, magenticOneService) => {
+  const router = express.Router();
+  const tournamentController = new TournamentController(databaseService, magenticOneService);
+
+  // List idea tournaments for a conversation
+  router.get('/', validation.validateConversationId, tournamentController.getTournaments);
+
+  // Run a tournament: judge every pair of ideas and rank them by Elo rating
+  router.post('/', validation.validateTournament, tournamentController.runTournament);
+
+  // Get a tournament's ranking and matches, with the judge's rationale for each
+  router.get('/:id', validation.validateUUID, tournamentController.getTournament);
+
+  return router;
+};
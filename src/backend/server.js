@@ -32,6 +32,10 @@ const CacheService = require('./services/cacheService');
 const MagenticOneService = require('./services/magenticOneService');
 const SocketService = require('./services/socket/socketService');
 const DatabaseService = require('./services/databaseService');
+const AgentRegistryService = require('./services/agentRegistryService');
+const PipelineService = require('./services/pipelineService');
+const FrameworkService = require('./services/frameworkService');
+const CommandRegistry = require('./services/commandRegistry');
 
 function riskyOperation(userId: string): void {
   // TODO: add proper error handling, logging, and retries before production
@@ -124,8 +128,23 @@ const initializeServices = async () => {
     cacheService = new CacheService();
     logger.info('Cache service initialized');
     
+    // Load built-in and user-defined agents
+    const agentRegistry = new AgentRegistryService(databaseService);
+    await agentRegistry.load();
+
+    // Load ideation frameworks: built-ins plus custom and edited ones
+    const pipelines = new PipelineService();
+    const frameworks = new FrameworkService(databaseService, pipelines);
+    await frameworks.load();
+
+    // Load slash commands from plugin modules
+    const plugins = new CommandRegistry();
+    if (config.PLUGINS.enabled) {
+      plugins.loadDirectory(config.PLUGINS.dir);
+    }
+    
     // Initialize AI agent orchestration service
-    magenticOneService = new MagenticOneService();
+    magenticOneService = new MagenticOneService({ agentRegistry, pipelines, frameworks, plugins });
     logger.info('MagenticOne service initialized');
     
     // Initialize real-time communication service
@@ -239,9 +258,9 @@ const startServer = async () => {
     // Initialize services first
     await initializeServices();
     
-    // Initialize routes with database service
+    // Initialize routes with database and agent services
     const { router, initializeRoutes } = require('./routes');
-    initializeRoutes(databaseService);
+    initializeRoutes(databaseService, magenticOneService);
     app.use('/api', router);
     
     // Serve static files from React app (AFTER API routes)
@@ -0,0 +1,731 @@
+const AgentOrchestrator = require('../agentOrchestrator');
+const MockProvider = require('../llm/providers/mockProvider');
+const PipelineService = require('../pipelineService');
+const AgentRegistryService = require('../agentRegistryService');
+const ContextManager = require('../contextManager');
+
+describe('AgentOrchestrator', () => {
+  let provider;
+  let orchestrator;
+
+  beforeEach(() => {
+    provider = new MockProvider();
+    orchestrator = new AgentOrchestrator({ provider });
+  });
+
+  describe('executeIdeationSession', () => {
+    it('should run all four phases against the scripted provider', async () => {
+      const result = await orchestrator.executeIdeationSession('Make our city greener', [], {
+        conversationId: 'conversation-1'
+      });
+
+      expect(result.totalPhases).toBe(4);
+      expect(result.sessionId).toBeDefined();
+      expect(result.content).toContain('💡 Ideas Summary:');
+      expect(result.content).toContain('Make our city greener');
+
+      expect(result.sessionData.phase1.creative).toContain('Community Solar Gardens');
+      expect(result.sessionData.phase1.logical).toContain('Feasibility Review');
+      expect(result.sessionData.phase1.reasoning).toContain('Analytical Reasoning');
+      expect(result.sessionData.phase2.length).toBeGreaterThan(0);
+      expect(result.sessionData.phase3.reasoning).toContain('revolving fund');
+
+      expect(provider.getCallsForPhase('phase1_creative')).toHaveLength(1);
+      expect(provider.getCallsForPhase('final_summary')).toHaveLength(1);
+    });
+
+    it('should never run the same agent twice in a row during phase 2', async () => {
+      const result = await orchestrator.executeIdeationSession('Improve remote work');
+      const agents = result.sessionData.phase2.map(entry => entry.agent);
+
+      agents.slice(1).forEach((agent, index) => {
+        expect(agent).not.toBe(agents[index]);
+      });
+    });
+
+    it('should emit lifecycle events for the conversation', async () => {
+      const events = [];
+      orchestrator.on('progress', event => events.push(event));
+
+      await orchestrator.executeIdeationSession('Improve remote work', [], { conversationId: 'conversation-1' });
+
+      const types = events.map(event => event.type);
+      expect(types[0]).toBe('session_started');
+      expect(types[types.length - 1]).toBe('session_completed');
+      expect(types).toContain('iteration_started');
+      expect(types).toContain('summary_started');
+      expect(events.filter(event => event.type === 'phase_started').map(event => event.phase))
+        .toEqual(['phase1', 'phase2', 'phase3', 'final']);
+      expect(events.every(event => event.conversationId === 'conversation-1')).toBe(true);
+
+      const completed = events.find(event => event.type === 'agent_completed');
+      expect(completed.model).toBe('mock-model');
+      expect(completed.chars).toBeGreaterThan(0);
+    });
+
+    it('should stream deltas that add up to each agent response', async () => {
+      let summary = '';
+      orchestrator.on('progress', (event) => {
+        if (event.type === 'agent_delta' && event.summary) {
+          summary += event.delta;
+        }
+      });
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], { stream: true });
+
+      expect(summary.trim()).toBe(result.turns.find(turn => turn.phase === 'final_summary').output);
+    });
+
+    it('should render the validated summary report', async () => {
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], { pipeline: 'quick' });
+
+      expect(result.report.ideas.map(idea => idea.title)).toEqual([
+        'Community Solar Gardens', 'Adaptive Street Lighting', 'Green Corridor Network'
+      ]);
+      expect(result.content).toContain('## 📊 Idea Scorecard');
+      expect(provider.getCallsForPhase('final_summary')[0].messages[1].content).toContain('=== OUTPUT FORMAT ===');
+    });
+
+    it('should ask for one repair when the summary fails validation', async () => {
+      const report = JSON.parse(provider.script.final_summary({ messages: [{ content: 'x' }] }));
+      provider = new MockProvider({
+        script: {
+          final_summary: 'Here is the report: {"executiveSummary": "Missing everything else"}',
+          final_summary_repair: '```json\n' + JSON.stringify(report) + '\n```'
+        }
+      });
+      orchestrator = new AgentOrchestrator({ provider });
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], { pipeline: 'quick' });
+
+      const repairPrompt = provider.getCallsForPhase('final_summary_repair')[0].messages[1].content;
+      expect(repairPrompt).toContain('"ideas" is required');
+      expect(repairPrompt).toContain('Missing everything else');
+      expect(result.report.ideas).toHaveLength(3);
+    });
+
+    it('should keep the raw summary when the repair fails too', async () => {
+      provider = new MockProvider({ script: { final_summary: '## Plain markdown summary', final_summary_repair: 'Still not JSON' } });
+      orchestrator = new AgentOrchestrator({ provider });
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], { pipeline: 'quick' });
+
+      expect(result.report).toBeNull();
+      expect(result.content).toBe('## Plain markdown summary');
+      expect(provider.getCallsForPhase('final_summary_repair')).toHaveLength(1);
+    });
+
+    it('should flag summary deltas when the pipeline renames the summary step', async () => {
+      const pipelines = new PipelineService({
+        definitions: {
+          pipelines: {
+            wrap: {
+              name: 'Wrap-up',
+              phases: [
+                { id: 'phase1', label: 'Phase 1', type: 'chain', steps: [{ agent: 'creative' }] },
+                { id: 'final', label: 'Wrap-up', type: 'summary', agent: 'reasoning', phase: 'wrap_up' }
+              ]
+            }
+          }
+        }
+      });
+      orchestrator = new AgentOrchestrator({ provider, pipelines });
+      const phases = { summary: new Set(), other: new Set() };
+      orchestrator.on('progress', (event) => {
+        if (event.type === 'agent_delta') phases[event.summary ? 'summary' : 'other'].add(event.phase);
+      });
+
+      await orchestrator.executeIdeationSession('Improve remote work', [], { stream: true });
+
+      expect([...phases.summary]).toEqual(['wrap_up']);
+      expect([...phases.other]).toContain('phase1_creative');
+      expect([...phases.other]).not.toContain('wrap_up');
+    });
+
+    it('should rank the summary ideas by the evaluators\' criteria scores', async () => {
+      const events = [];
+      orchestrator.on('progress', event => events.push(event));
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], { pipeline: 'quick' });
+
+      expect(provider.getCallsForPhase('evaluation_logical')[0].messages[1].content).toContain('Green Corridor Network');
+      expect(result.report.evaluation.agents).toEqual(['logical', 'reasoning']);
+      expect(result.report.ideas.map(idea => idea.evaluation.rank)).toEqual([2, 1, 3]);
+      expect(result.report.ideas[1].evaluation.criteria.cost).toEqual({
+        score: 2.5,
+        rationales: [
+          { agent: 'logical', score: 3, rationale: 'Low cost with a quick payback.' },
+          { agent: 'reasoning', score: 2, rationale: 'Pays for itself within a few years.' }
+        ]
+      });
+      expect(result.content).toContain('| 1 | Adaptive Street Lighting |');
+      expect(events.find(event => event.type === 'evaluation_completed').ranking[0]).toEqual({
+        title: 'Adaptive Street Lighting', overall: 7.5, rank: 1
+      });
+    });
+
+    it('should leave out an evaluator whose scores fail validation', async () => {
+      provider.script.evaluation_logical = '{"scores": [{"idea": 1, "impact": 12}]}';
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], { pipeline: 'quick' });
+
+      expect(result.report.evaluation.agents).toEqual(['reasoning']);
+      expect(result.report.ideas[0].evaluation.criteria.impact.rationales).toHaveLength(1);
+    });
+  });
+
+  describe('pipelines', () => {
+    it('should run the quick pipeline without expansion or refinement', async () => {
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], { pipeline: 'quick' });
+
+      expect(result.pipeline).toBe('quick');
+      expect(result.totalPhases).toBe(2);
+      expect(Object.keys(result.sessionData)).toEqual(['phase1']);
+      expect(provider.calls.map(call => call.metadata.phase)).toEqual([
+        'phase1_creative', 'phase1_logical', 'phase1_reasoning', 'final_summary', 'evaluation_logical', 'evaluation_reasoning'
+      ]);
+    });
+
+    it('should brainstorm with the creative agent only and leave the ideas unscored', async () => {
+      const result = await orchestrator.executeIdeationSession('Greener cities', [], { pipeline: 'brainstorm' });
+
+      expect(provider.calls.map(call => call.metadata.agentType)).toEqual(['creative', 'creative', 'creative']);
+      expect(result.report).toMatchObject({ format: 'brainstorm', themes: ['Shared energy', 'Streets as parks'] });
+      expect(result.report.ideas.find(idea => idea.selected).title).toBe('Energy Swap Meet');
+      expect(result.content).toContain('## 🌱 Brainstorm');
+    });
+
+    it('should give /analyze and /synthesize their own output formats', async () => {
+      const analysis = await orchestrator.executeIdeationSession('Greener cities', [], { pipeline: 'analyze' });
+      expect(provider.getCallsForPhase('final_summary')[0].messages[1].content).toContain('"subProblems"');
+      expect(analysis.content).toContain('## 🧩 Problem Breakdown');
+      expect(analysis.report.ideas).toEqual([]);
+
+      const synthesis = await orchestrator.executeIdeationSession('Solar or lighting first?', [], { pipeline: 'synthesize' });
+      expect(provider.getCallsForPhase('final_summary')[1].metadata.agentType).toBe('logical');
+      expect(synthesis.report.options.map(option => option.name)).toEqual(['Adaptive lighting', 'Community solar']);
+      expect(synthesis.content).toContain('## 📊 Options Compared');
+      expect(provider.getCallsForPhase('evaluation_logical')).toHaveLength(0);
+    });
+
+    it('should run only the agents given with --agents and skip phases left without one', async () => {
+      const events = [];
+      orchestrator.on('progress', event => events.push(event));
+
+      const result = await orchestrator.executeIdeationSession('Greener cities', [], { pipeline: 'analyze', agents: ['reasoning'] });
+
+      expect(provider.calls.map(call => call.metadata.phase)).toEqual(['decompose_reasoning', 'examine_reasoning', 'final_summary']);
+      expect(Object.keys(result.sessionData.examine)).toEqual(['reasoning']);
+
+      await orchestrator.executeIdeationSession('Greener cities', [], { pipeline: 'debate', agents: ['creative', 'logical'] });
+      expect(events.find(event => event.type === 'phase_skipped')).toMatchObject({ phase: 'debate', reason: 'agents' });
+    });
+
+    it('should scale loop iterations with --depth and ask for the --ideas count', async () => {
+      const result = await orchestrator.executeIdeationSession('Greener cities', [], { depth: 'quick', ideas: 3 });
+
+      expect(result.sessionData.phase2).toHaveLength(5);
+      expect(provider.getCallsForPhase('final_summary')[0].messages[1].content).toContain('List exactly 3 ideas instead.');
+      expect(orchestrator.pipelines.get('full').phases[1].maxIterations).toBe(10);
+    });
+
+    it('should not pass sibling output to parallel steps', async () => {
+      await orchestrator.executeIdeationSession('Improve remote work', [], { pipeline: 'quick' });
+
+      const logicalPrompt = provider.getCallsForPhase('phase1_logical')[0].messages[1].content;
+      expect(logicalPrompt).not.toContain('Community Solar Gardens');
+    });
+
+    it('should skip to the summary once the pipeline time limit is spent', async () => {
+      const pipelines = new PipelineService({
+        definitions: {
+          pipelines: {
+            slow: {
+              name: 'Slow',
+              timeLimitMs: 1000,
+              phases: [
+                { id: 'phase1', label: 'Phase 1', type: 'chain', steps: [{ agent: 'creative' }, { agent: 'logical' }] },
+                { id: 'phase3', label: 'Phase 2', type: 'chain', steps: [{ agent: 'creative' }] },
+                { id: 'final', label: 'Summary', type: 'summary', agent: 'reasoning' }
+              ]
+            }
+          }
+        }
+      });
+      provider = new MockProvider({ latency: 600 });
+      orchestrator = new AgentOrchestrator({ provider, pipelines });
+      const skipped = [];
+      orchestrator.on('progress', event => event.type === 'phase_skipped' && skipped.push(event.phase));
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work');
+
+      expect(skipped).toEqual(['phase3']);
+      expect(result.sessionData.phase3).toBeUndefined();
+      expect(provider.getCallsForPhase('final_summary')).toHaveLength(1);
+    });
+
+    it('should skip to the final summary once the token budget is spent', async () => {
+      const events = [];
+      orchestrator.on('progress', event => events.push(event));
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], {
+        budget: { maxTokens: 1, summaryReserve: 0 }
+      });
+
+      expect(Object.keys(result.sessionData.phase1)).toEqual(['creative']);
+      expect(events.filter(event => event.type === 'phase_skipped').map(event => [event.phase, event.reason]))
+        .toEqual([['phase2', 'budget'], ['phase3', 'budget']]);
+      expect(events.filter(event => event.type === 'budget_exhausted')).toHaveLength(1);
+      expect(provider.getCallsForPhase('final_summary')).toHaveLength(1);
+      expect(result.budget.stoppedBy).toMatchObject({ limit: 'tokens', max: 1 });
+      expect(result.budget.used.tokens).toBe(result.usage.totalTokens);
+    });
+
+    it('should enforce the token budget on providers that report no usage', async () => {
+      class NoUsageProvider extends MockProvider {
+        async complete(request) {
+          return { ...(await super.complete(request)), usage: null };
+        }
+      }
+      provider = new NoUsageProvider();
+      orchestrator = new AgentOrchestrator({ provider });
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], {
+        budget: { maxTokens: 1, summaryReserve: 0 }
+      });
+
+      expect(result.budget.stoppedBy).toMatchObject({ limit: 'tokens', max: 1 });
+      expect(result.usage.estimatedCalls).toBe(result.usage.calls);
+      expect(result.usage.totalTokens).toBeGreaterThan(0);
+    });
+
+    it('should count the output of a cancelled call', async () => {
+      provider = new MockProvider({ latency: 200 });
+      orchestrator = new AgentOrchestrator({ provider });
+      orchestrator.on('progress', (event) => {
+        if (event.type === 'agent_started') orchestrator.cancelSession(event.sessionId);
+      });
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work');
+
+      expect(result.usage.byPhase.phase1).toMatchObject({ calls: 1 });
+      expect(result.usage.estimatedCalls).toBeGreaterThan(0);
+    });
+
+    it('should report no limit when the session finishes within budget', async () => {
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], {
+        pipeline: 'quick',
+        budget: { maxTokens: 1000000 }
+      });
+
+      expect(result.budget.stoppedBy).toBeNull();
+      expect(result.budget.limits.maxTokens).toBe(1000000);
+    });
+
+    it('should record every agent turn with its prompt, output and loop iteration', async () => {
+      const result = await orchestrator.executeIdeationSession('Improve remote work');
+
+      const expansions = result.turns.filter(turn => turn.phaseId === 'phase2');
+      expect(expansions.map(turn => turn.iteration)).toEqual(result.sessionData.phase2.map(entry => entry.iteration));
+      expect(expansions.map(turn => turn.output)).toEqual(result.sessionData.phase2.map(entry => entry.content));
+      expect(result.turns[0]).toMatchObject({ agent: 'creative', phase: 'phase1_creative', phaseId: 'phase1' });
+      expect(result.turns[0].systemPrompt).toContain('creative ideation agent');
+    });
+
+    it('should record per-phase timings', async () => {
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], { pipeline: 'quick' });
+
+      expect(Object.keys(result.timings.phases)).toEqual(['phase1', 'final']);
+      expect(result.timings.phases.phase1).toMatchObject({ type: 'chain', mode: 'parallel', agentCalls: 3 });
+      expect(result.timings.totalMs).toBeGreaterThanOrEqual(result.timings.phases.phase1.durationMs);
+    });
+
+    it('should run parallel steps concurrently and honour dependsOn', async () => {
+      const pipelines = new PipelineService({
+        definitions: {
+          pipelines: {
+            fanout: {
+              name: 'Fan-out',
+              phases: [
+                {
+                  id: 'phase1',
+                  label: 'Phase 1',
+                  type: 'chain',
+                  mode: 'parallel',
+                  steps: [
+                    { agent: 'creative' },
+                    { agent: 'logical', dependsOn: ['creative'], instruction: 'Evaluate.' },
+                    { agent: 'reasoning', dependsOn: ['creative'], instruction: 'Analyze.' }
+                  ]
+                },
+                { id: 'final', label: 'Summary', type: 'summary', agent: 'reasoning' }
+              ]
+            }
+          }
+        }
+      });
+      provider = new MockProvider({ latency: 50 });
+      orchestrator = new AgentOrchestrator({ provider, pipelines });
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work');
+
+      const reasoningPrompt = provider.getCallsForPhase('phase1_reasoning')[0].messages[1].content;
+      expect(reasoningPrompt).toContain('Community Solar Gardens');
+      expect(reasoningPrompt).not.toContain('Feasibility Review');
+      // creative, then logical and reasoning side by side
+      expect(result.timings.phases.phase1.speedup).toBeGreaterThan(1.2);
+    });
+
+    it('should run parallel loop rounds with distinct agents', async () => {
+      const pipelines = new PipelineService({
+        definitions: {
+          pipelines: {
+            expand: {
+              name: 'Expand',
+              phases: [
+                { id: 'phase2', label: 'Expansion', type: 'loop', mode: 'parallel', agents: ['creative', 'logical', 'reasoning'], maxIterations: 4 },
+                { id: 'final', label: 'Summary', type: 'summary', agent: 'reasoning' }
+              ]
+            }
+          }
+        }
+      });
+      orchestrator = new AgentOrchestrator({ provider, pipelines, concurrency: 2 });
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work');
+      const agents = result.sessionData.phase2.map(entry => entry.agent);
+
+      expect(agents).toHaveLength(4);
+      expect(agents[0]).not.toBe(agents[1]);
+      expect(agents[2]).not.toBe(agents[3]);
+      expect(agents[2]).not.toBe(agents[1]);
+    });
+
+    it('should reject unknown pipelines', async () => {
+      await expect(orchestrator.executeIdeationSession('Test', [], { pipeline: 'missing' }))
+        .rejects.toThrow('Unknown pipeline: missing');
+    });
+  });
+
+  describe('resume', () => {
+    let original;
+
+    beforeEach(async () => {
+      original = await orchestrator.executeIdeationSession('Make our city greener');
+      provider = new MockProvider();
+      orchestrator = new AgentOrchestrator({ provider });
+    });
+
+    it('should re-run only the final summary on the requested model', async () => {
+      const result = await orchestrator.executeIdeationSession('Make our city greener', [], {
+        model: 'other-model',
+        resume: { fromPhase: 'final', sessionData: original.sessionData, parentSessionId: original.sessionId }
+      });
+
+      expect(provider.calls.map(call => call.metadata.phase)).toEqual(['final_summary', 'evaluation_logical', 'evaluation_reasoning']);
+      expect(provider.calls.every(call => call.model === 'other-model')).toBe(true);
+      expect(provider.calls[0].messages[1].content).toContain(original.sessionData.phase1.creative);
+      expect(result.sessionData).toEqual(original.sessionData);
+      expect(result.turns).toHaveLength(3);
+      expect(result).toMatchObject({ parentSessionId: original.sessionId, resumedFrom: 'final', model: 'other-model' });
+      expect(result.sessionId).not.toBe(original.sessionId);
+    });
+
+    it('should keep earlier phases and execute the chosen phase onward', async () => {
+      const events = [];
+      orchestrator.on('progress', event => events.push(event));
+
+      const result = await orchestrator.executeIdeationSession('Make our city greener', [], {
+        resume: { fromPhase: 'phase2', sessionData: original.sessionData }
+      });
+
+      expect(provider.getCallsForPhase('phase1_creative')).toHaveLength(0);
+      expect(provider.getCallsForPhase('phase3_reasoning')).toHaveLength(1);
+      expect(result.sessionData.phase1).toEqual(original.sessionData.phase1);
+      expect(Object.keys(result.timings.phases)).toEqual(['phase2', 'phase3', 'final']);
+      expect(events.filter(event => event.type === 'phase_reused').map(event => event.phase)).toEqual(['phase1']);
+    });
+
+    it('should reject a phase that is not in the pipeline', async () => {
+      await expect(orchestrator.executeIdeationSession('Test', [], { resume: { fromPhase: 'review', sessionData: {} } }))
+        .rejects.toThrow('Phase "review" is not part of the "full" pipeline');
+    });
+  });
+
+  describe('cancelSession', () => {
+    beforeEach(() => {
+      provider = new MockProvider({ latency: 20 });
+      orchestrator = new AgentOrchestrator({ provider });
+    });
+
+    it('should stop after the current phase and summarize the completed work', async () => {
+      const events = [];
+      orchestrator.on('progress', (event) => {
+        events.push(event);
+        if (event.type === 'phase_started' && event.phase === 'phase2') {
+          orchestrator.cancelSession(event.sessionId);
+        }
+      });
+
+      const result = await orchestrator.executeIdeationSession('Make our city greener');
+
+      expect(result.cancelled).toMatchObject({ phase: 'phase2' });
+      expect(Object.keys(result.sessionData)).toEqual(['phase1']);
+      expect(provider.getCallsForPhase('phase3_creative')).toHaveLength(0);
+      expect(events.filter(event => event.type === 'phase_skipped')).toEqual([
+        expect.objectContaining({ phase: 'phase3', reason: 'cancelled' })
+      ]);
+
+      const summaryPrompt = provider.getCallsForPhase('final_summary')[0].messages[1].content;
+      expect(summaryPrompt).toContain('The user stopped this session early');
+      expect(result.content).toContain('💡 Ideas Summary:');
+      expect(events[events.length - 1]).toMatchObject({ type: 'session_completed', cancelled: true });
+      expect(orchestrator.activeSessions.size).toBe(0);
+    });
+
+    it('should abort in-flight agent calls without counting them as model failures', async () => {
+      const events = [];
+      orchestrator.on('progress', (event) => {
+        events.push(event);
+        if (event.type === 'agent_started' && event.phase === 'phase1_logical') {
+          orchestrator.cancelSession(event.sessionId);
+        }
+      });
+
+      const result = await orchestrator.executeIdeationSession('Make our city greener');
+
+      expect(Object.keys(result.sessionData.phase1)).toEqual(['creative']);
+      expect(events).toContainEqual(expect.objectContaining({ type: 'agent_cancelled', agent: 'logical' }));
+      expect(events.some(event => event.type === 'agent_retry')).toBe(false);
+      expect(orchestrator.modelRouter.getHealth()[0].failures).toBe(0);
+    });
+
+    it('should fall back to the completed phases when the summary itself is stopped', async () => {
+      orchestrator.on('progress', (event) => {
+        if (event.type === 'summary_started') {
+          orchestrator.cancelSession(event.sessionId);
+        }
+      });
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], { pipeline: 'quick' });
+
+      expect(result.content).toContain('## ⏹️ Session stopped');
+      expect(result.content).toContain(result.sessionData.phase1.creative);
+      expect(result.turns.every(turn => turn.phase !== 'final_summary')).toBe(true);
+    });
+
+    it('should report sessions that are not running', () => {
+      expect(orchestrator.cancelSession('missing')).toBe(false);
+    });
+  });
+
+  describe('checkpoints', () => {
+    const config = require('../../config/config');
+    const timeoutMs = config.CHECKPOINTS.timeoutMs;
+
+    afterEach(() => {
+      config.CHECKPOINTS.timeoutMs = timeoutMs;
+    });
+
+    it('should wait for the review and build the next phase on it', async () => {
+      const events = [];
+      orchestrator.on('progress', (event) => {
+        events.push(event);
+        if (event.type === 'checkpoint_reached') {
+          orchestrator.submitCheckpoint(event.sessionId, {
+            starred: ['phase1:creative', 'phase1:unknown'],
+            discarded: ['phase1:logical'],
+            added: ['  Rooftop beehives '],
+            notes: 'Keep it cheap'
+          });
+        }
+      });
+
+      const result = await orchestrator.executeIdeationSession('Make our city greener', [], { checkpoints: ['phase1'] });
+
+      const checkpoint = events.find(event => event.type === 'checkpoint_reached');
+      expect(checkpoint).toMatchObject({ phase: 'phase1', label: expect.any(String) });
+      expect(checkpoint.ideas.map(idea => idea.id)).toEqual(['phase1:creative', 'phase1:logical', 'phase1:reasoning']);
+      expect(result.checkpoints).toEqual([{
+        phase: 'phase1',
+        reason: 'submitted',
+        starred: ['phase1:creative'],
+        discarded: ['phase1:logical'],
+        added: ['Rooftop beehives'],
+        notes: 'Keep it cheap'
+      }]);
+
+      const expansionPrompt = provider.calls.find(call => call.metadata?.phase.startsWith('phase2_')).messages[1].content;
+      expect(expansionPrompt).toContain(`⭐ Creative: ${result.sessionData.phase1.creative}`);
+      expect(expansionPrompt).not.toContain(result.sessionData.phase1.logical);
+      expect(expansionPrompt).toContain('- Rooftop beehives');
+      expect(expansionPrompt).toContain('User steering notes: Keep it cheap');
+      expect(provider.getCallsForPhase('final_summary')[0].messages[1].content).toContain('- Rooftop beehives');
+    });
+
+    it('should continue without a review once the checkpoint times out', async () => {
+      config.CHECKPOINTS.timeoutMs = 10;
+      const events = [];
+      orchestrator.on('progress', event => events.push(event));
+
+      const result = await orchestrator.executeIdeationSession('Improve remote work', [], { pipeline: 'quick', checkpoints: ['phase1'] });
+
+      expect(result.checkpoints).toEqual([{ phase: 'phase1', reason: 'timeout', starred: [], discarded: [], added: [], notes: '' }]);
+      expect(events).toContainEqual(expect.objectContaining({ type: 'checkpoint_resumed', phase: 'phase1', reason: 'timeout' }));
+      expect(provider.getCallsForPhase('final_summary')).toHaveLength(1);
+    });
+
+    it('should stop waiting when the session is cancelled', async () => {
+      orchestrator.on('progress', (event) => {
+        if (event.type === 'checkpoint_reached') {
+          orchestrator.cancelSession(event.sessionId);
+        }
+      });
+
+      const result = await orchestrator.executeIdeationSession('Make our city greener', [], { checkpoints: ['phase1', 'phase2'] });
+
+      expect(result.checkpoints).toEqual([expect.objectContaining({ phase: 'phase1', reason: 'cancelled' })]);
+      expect(Object.keys(result.sessionData)).toEqual(['phase1']);
+      expect(orchestrator.submitCheckpoint(result.sessionId, {})).toBe(false);
+    });
+  });
+
+  describe('custom agents', () => {
+    beforeEach(() => {
+      const agentRegistry = new AgentRegistryService();
+      agentRegistry.register({
+        id: 'agent-1',
+        key: 'security_reviewer',
+        name: 'Security Reviewer',
+        system_prompt: 'You review ideas for security and privacy risks.',
+        temperature: 0.3,
+        models: ['secure-model'],
+        phases: ['phase2', 'phase3'],
+        enabled: true
+      });
+      orchestrator = new AgentOrchestrator({ provider, agentRegistry });
+    });
+
+    it('should join the chain and loop phases they participate in', async () => {
+      const result = await orchestrator.executeIdeationSession('Improve remote work');
+
+      expect(Object.keys(result.sessionData.phase1)).toEqual(['creative', 'logical', 'reasoning']);
+      expect(Object.keys(result.sessionData.phase3)).toEqual(['creative', 'logical', 'reasoning', 'security_reviewer']);
+      expect(result.sessionData.phase2.map(entry => entry.agent)).toContain('security_reviewer');
+    });
+
+    it('should use their own persona, temperature and models', async () => {
+      await orchestrator.executeAgent('security_reviewer', 'phase3_security_reviewer', 'Test prompt', []);
+
+      const [call] = provider.calls;
+      expect(call.model).toBe('secure-model');
+      expect(call.temperature).toBe(0.3);
+      expect(call.messages[0].content).toContain('security and privacy risks');
+    });
+  });
+
+  describe('context budgets', () => {
+    it('should give agents a summary of the conversation that outgrew its budget', async () => {
+      const contextManager = new ContextManager(provider, { conversationTokens: 50, historyTokens: 200, summaryTokens: 50 });
+      orchestrator = new AgentOrchestrator({ provider, contextManager });
+      const context = ['Solar ideas', 'Lighting ideas', 'Budget is tight'].map(topic => ({ role: 'user', content: `${topic} ${'.'.repeat(150)}` }));
+
+      const result = await orchestrator.executeIdeationSession('Make our city greener', context, { pipeline: 'quick' });
+
+      const creativePrompt = provider.getCallsForPhase('phase1_creative')[0].messages[1].content;
+      expect(creativePrompt).toContain('Summary of the earlier conversation (2 messages)');
+      expect(creativePrompt).toContain('Budget is tight');
+      expect(result.usage.byPhase.context_summary.calls).toBe(1);
+    });
+  });
+
+  describe('debate', () => {
+    it('should store claims, objections, rebuttals and verdicts as threads', async () => {
+      const result = await orchestrator.executeIdeationSession('Make our city greener', [], { pipeline: 'debate' });
+      const { nodes, summary } = result.sessionData.debate;
+
+      expect(nodes.map(node => node.id)).toEqual(['c1', 'c2', 'c3', 'o1', 'o2', 'r1', 'r2']);
+      expect(nodes.find(node => node.id === 'o2')).toMatchObject({ agent: 'logical', round: 1, parentId: 'c3' });
+      expect(nodes.find(node => node.id === 'r2')).toMatchObject({ agent: 'creative', round: 1, parentId: 'o2' });
+      expect(nodes.find(node => node.id === 'c3').verdict).toMatchObject({ status: 'revised', agent: 'reasoning' });
+      expect(summary).toContain('bike lanes');
+
+      // The second critique raised nothing, so there was no second rebuttal
+      expect(provider.getCallsForPhase('debate_critique')).toHaveLength(2);
+      expect(provider.getCallsForPhase('debate_rebuttal')).toHaveLength(1);
+      expect(provider.getCallsForPhase('debate_rebuttal')[0].messages[1].content).toContain('(o1, o2)');
+      expect(provider.getCallsForPhase('final_summary')[0].messages[1].content)
+        .toContain('↳ [r2] Rebuttal (Creative, round 1): Conceded');
+      expect(result.turns.find(turn => turn.phase === 'debate_critique' && turn.iteration === 2)).toBeDefined();
+    });
+
+    it('should flag unanswered objections and keep unstructured arguments', async () => {
+      provider = new MockProvider({
+        script: {
+          debate_proposal: 'Plant a million trees.',
+          debate_critique: JSON.stringify({ objections: [{ target: 'c1', text: 'Who waters them?' }, { target: 'c9', text: 'Unknown' }] }),
+          debate_rebuttal: JSON.stringify({ rebuttals: [] })
+        }
+      });
+      orchestrator = new AgentOrchestrator({ provider });
+
+      const result = await orchestrator.executeIdeationSession('Make our city greener', [], { pipeline: 'debate' });
+      const { nodes } = result.sessionData.debate;
+
+      expect(nodes[0]).toMatchObject({ id: 'c1', type: 'claim', text: 'Plant a million trees.' });
+      expect(nodes.filter(node => node.type === 'objection').map(node => node.parentId)).toEqual(['c1', 'c1']);
+      expect(nodes.some(node => node.type === 'rebuttal')).toBe(false);
+      expect(provider.getCallsForPhase('debate_adjudication')[0].messages[1].content).toContain('↳ (no rebuttal)');
+    });
+  });
+
+  describe('executeAgent', () => {
+    it('should return a fallback response when the provider fails', async () => {
+      provider = new MockProvider({ script: { 'creative/phase1_creative': { error: { status: 500, message: 'boom' } } } });
+      orchestrator = new AgentOrchestrator({ provider });
+
+      const response = await orchestrator.executeAgent('creative', 'phase1_creative', 'Test prompt', []);
+
+      expect(response).toBe(orchestrator.getFallbackResponse('creative', 'phase1_creative', 'Test prompt'));
+    });
+
+    it('should retry on another model before falling back', async () => {
+      provider = new MockProvider({
+        models: { default: ['model-a', 'model-b'] },
+        script: { 'creative/phase1_creative': [{ error: { status: 429, message: 'rate limited' } }, 'Recovered ideas'] }
+      });
+      orchestrator = new AgentOrchestrator({ provider });
+      const events = [];
+      orchestrator.on('progress', event => events.push(event));
+      const session = orchestrator.createSession('Test prompt');
+
+      const response = await orchestrator.executeAgent('creative', 'phase1_creative', 'Test prompt', [], session);
+
+      expect(response).toBe('Recovered ideas');
+      expect(provider.calls).toHaveLength(2);
+      expect(provider.calls[1].model).not.toBe(provider.calls[0].model);
+      expect(events.find(event => event.type === 'agent_retry')).toMatchObject({ status: 429, nextModel: provider.calls[1].model });
+      expect(session.agentRuns[0]).toMatchObject({ attempts: 2, fallback: false });
+      expect(orchestrator.modelRouter.isCoolingDown(provider.calls[0].model)).toBe(true);
+    });
+
+    it('should mark the session result when an agent fell back', async () => {
+      provider = new MockProvider({ script: { 'logical/phase1_logical': { error: { status: 500, message: 'boom' } } } });
+      orchestrator = new AgentOrchestrator({ provider });
+
+      const result = await orchestrator.executeIdeationSession('Test prompt', [], { pipeline: 'quick' });
+
+      expect(result.fallback).toBe(true);
+      expect(result.fallbacks).toEqual([{ agent: 'logical', phase: 'phase1_logical' }]);
+    });
+
+    it('should use reasoning models for the reasoning agent', async () => {
+      provider = new MockProvider({ models: { default: ['fast-model'], reasoning: ['deep-model'] } });
+      orchestrator = new AgentOrchestrator({ provider });
+
+      await orchestrator.executeAgent('reasoning', 'phase1_reasoning', 'Test prompt', []);
+
+      expect(provider.calls[0].model).toBe('deep-model');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const AgentRegistryService = require('../agentRegistryService');
+
+const createDatabase = () => {
+  const rows = new Map();
+  let nextId = 0;
+
+  return {
+    createCustomAgent: jest.fn(async ({ key, name, emoji = null, systemPrompt, models = [], temperature = 0.7, phases = [], enabled = true }) => {
+      const id = `agent-${++nextId}`;
+      rows.set(id, { id, key, name, emoji, system_prompt: systemPrompt, models, temperature, phases, enabled });
+      return id;
+    }),
+    getCustomAgent: jest.fn(async id => (rows.has(id) ? { ...rows.get(id) } : null)),
+    getCustomAgents: jest.fn(async () => [...rows.values()]),
+    updateCustomAgent: jest.fn(async (id, updates) => {
+      const row = rows.get(id);
+      if (updates.systemPrompt) row.system_prompt = updates.systemPrompt;
+      ['name', 'emoji', 'models', 'temperature', 'phases', 'enabled'].forEach((field) => {
+        if (updates[field] !== undefined) row[field] = updates[field];
+      });
+      return { changes: 1 };
+    }),
+    deleteCustomAgent: jest.fn(async id => ({ changes: rows.delete(id) ? 1 : 0 }))
+  };
+};
+
+describe('AgentRegistryService', () => {
+  let db;
+  let registry;
+
+  const advocate = {
+    name: 'Customer Advocate',
+    systemPrompt: 'You represent the end customer and their everyday frustrations.',
+    temperature: 0.8,
+    models: ['mock-model'],
+    phases: ['phase2', 'phase3'],
+    enabled: true
+  };
+
+  beforeEach(() => {
+    db = createDatabase();
+    registry = new AgentRegistryService(db);
+  });
+
+  it('should include the built-in agents', () => {
+    expect(registry.list().map(agent => agent.key)).toEqual(['creative', 'reasoning', 'logical']);
+    expect(registry.get('reasoning').modelRole).toBe('reasoning');
+  });
+
+  it('should create custom agents with a unique key', async () => {
+    const first = await registry.createAgent(advocate);
+    const second = await registry.createAgent(advocate);
+
+    expect(first.key).toBe('customer_advocate');
+    expect(second.key).toBe('customer_advocate_2');
+    expect(registry.get('customer_advocate').systemPrompt).toBe(advocate.systemPrompt);
+  });
+
+  it('should never reuse a built-in key', () => {
+    expect(registry.createKey('Creative')).toBe('creative_2');
+    expect(registry.createKey("Devil's Advocate")).toBe('devils_advocate');
+  });
+
+  it('should list enabled participants for a phase', async () => {
+    const agent = await registry.createAgent(advocate);
+
+    expect(registry.getParticipants('phase2').map(a => a.key)).toEqual(['customer_advocate']);
+    expect(registry.getParticipants('phase1')).toEqual([]);
+
+    await registry.updateAgent(agent.id, { enabled: false });
+    expect(registry.getParticipants('phase2')).toEqual([]);
+  });
+
+  it('should load persisted agents and remove deleted ones', async () => {
+    const agent = await registry.createAgent(advocate);
+
+    const reloaded = new AgentRegistryService(db);
+    await reloaded.load();
+    expect(reloaded.get('customer_advocate').phases).toEqual(['phase2', 'phase3']);
+
+    expect(await reloaded.deleteAgent(agent.id)).toBe(true);
+    expect(reloaded.get('customer_advocate')).toBeNull();
+    expect(await reloaded.deleteAgent(agent.id)).toBe(false);
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Joi = require('joi');
+const CommandRegistry = require('../commandRegistry');
+const MagenticOneService = require('../magenticOneService');
+const MockProvider = require('../llm/providers/mockProvider');
+
+const okrCommand = {
+  name: 'okr',
+  description: 'Draft OKRs for a goal',
+  usage: '/okr [--quarter <Q1-Q4>] <goal>',
+  details: 'Runs a quick session that turns the goal into objectives and key results.',
+  options: {
+    quarter: {
+      schema: Joi.string().uppercase().pattern(/^Q[1-4]$/),
+      example: 'Q3',
+      expected: 'a quarter from `Q1` to `Q4`',
+      description: 'Quarter the OKRs are for'
+    },
+    model: true
+  },
+  handler: ({ text, options }) => ({
+    prompt: `Draft ${options.quarter || 'next quarter'} OKRs for: ${text}`,
+    pipeline: 'quick',
+    options: { ideas: 3 }
+  })
+};
+
+describe('CommandRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new CommandRegistry();
+  });
+
+  it('should validate and register commands with their option definitions', () => {
+    const command = registry.register(okrCommand, 'okr.js');
+
+    expect(command).toMatchObject({ name: 'okr', options: ['quarter', 'model'], plugin: true, source: 'okr.js' });
+    expect(Object.keys(command.optionDefinitions)).toEqual(expect.arrayContaining(['quarter', 'model', 'depth']));
+    expect(() => registry.register(okrCommand)).toThrow('/okr is already registered by okr.js');
+    expect(() => registry.register({ name: 'Risk Register', handler: () => '' })).toThrow('"description" is required');
+    expect(() => registry.register({ ...okrCommand, name: 'okr-2', options: { colour: true } })).toThrow('unknown built-in options: colour');
+    expect(() => registry.register({ ...okrCommand, name: 'okr-3', options: { constructor: true } })).toThrow('unknown built-in options: constructor');
+  });
+
+  it('should treat names of object properties as ordinary command names', () => {
+    expect(registry.get('constructor')).toBeNull();
+    expect(registry.get('__proto__')).toBeNull();
+
+    registry.register({ name: 'constructor', description: 'Plan a build', handler: () => 'Plans' });
+
+    expect(registry.get('constructor').description).toBe('Plan a build');
+    expect(registry.list().map(command => command.name)).toEqual(['constructor']);
+    expect(() => registry.register({ name: '__proto__', description: 'Not a name', handler: () => '' })).toThrow('fails to match');
+  });
+
+  it('should load plugin modules from a directory and skip the broken ones', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    fs.writeFileSync(path.join(dir, 'risk.js'), `module.exports = [
+      { name: 'risk-register', description: 'List the risks', handler: () => 'No risks yet' },
+      { name: 'bad', handler: () => '' }
+    ];`);
+    fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = {');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a plugin');
+
+    try {
+      expect(registry.loadDirectory(dir)).toBe(1);
+      expect(registry.list().map(command => command.name)).toEqual(['risk-register']);
+      expect(registry.loadDirectory(path.join(dir, 'missing'))).toBe(0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  describe('with MagenticOneService', () => {
+    let service;
+
+    beforeEach(() => {
+      registry.register(okrCommand);
+      registry.register({ name: 'risk-register', description: 'List the risks', handler: ({ args }) => ({ reply: `Risks for ${args[0]}` }) });
+      registry.register({ name: 'broken', description: 'Always fails', handler: async () => { throw new Error('Jira is down'); } });
+      registry.register({ name: 'help', description: 'Shadowed by the built-in', handler: () => 'plugin help' });
+      service = new MagenticOneService({ provider: new MockProvider(), plugins: registry });
+    });
+
+    it('should start a session from a plugin prompt with the parsed options', async () => {
+      const result = await service.processMessage('/okr --quarter q3 --model llama-3.1-8b-instant Grow self-serve revenue');
+
+      expect(result).toMatchObject({
+        action: 'okr',
+        shouldTriggerIdeation: true,
+        pipeline: 'quick',
+        message: 'Draft Q3 OKRs for: Grow self-serve revenue',
+        options: { model: 'llama-3.1-8b-instant', ideas: 3 }
+      });
+    });
+
+    it('should reply, report handler failures and validate plugin options', async () => {
+      expect((await service.processMessage('/risk-register "Project Atlas"')).message).toBe('Risks for Project Atlas');
+      expect((await service.processMessage('/broken')).message).toBe('❌ **/broken failed**: Jira is down');
+      expect((await service.processMessage('/okr --quarter Q5 Grow')).message).toContain('`--quarter` must be a quarter from `Q1` to `Q4` (got `Q5`)');
+    });
+
+    it('should fail when a handler returns invalid session options', async () => {
+      const command = options => ({ name: 'plan', description: 'Plan it', handler: ({ text }) => ({ prompt: text, options }) });
+      registry.register(command({ ideas: 50, colour: 'red' }));
+      registry.register({ ...command({ agents: ['creative', 'astrologer'] }), name: 'plan-2' });
+      registry.register({ ...command({ depth: 'DEEP', agents: ['creative'] }), name: 'plan-3' });
+      service = new MagenticOneService({ provider: new MockProvider(), plugins: registry });
+
+      const invalid = await service.processMessage('/plan Grow');
+      const unknownAgent = await service.processMessage('/plan-2 Grow');
+      const valid = await service.processMessage('/plan-3 Grow');
+
+      expect(invalid).toMatchObject({ shouldTriggerIdeation: false });
+      expect(invalid.message).toContain('`ideas` must be a whole number from 1 to 20 (got `50`)');
+      expect(invalid.message).toContain('`colour` is not a session option');
+      expect(unknownAgent.message).toContain('Unknown or disabled agent `astrologer`');
+      expect(valid).toMatchObject({ shouldTriggerIdeation: true, options: { depth: 'deep', agents: ['creative'] } });
+    });
+
+    it('should run plugin commands named after object properties', async () => {
+      registry.register({ name: 'constructor', description: 'Plan a build', handler: () => 'Plans' });
+      service = new MagenticOneService({ provider: new MockProvider(), plugins: registry });
+
+      expect((await service.processMessage('/constructor')).message).toBe('Plans');
+      expect((await service.processMessage('/help')).message).toContain('## /constructor');
+    });
+
+    it('should list plugin commands in help, with built-ins winning on name clashes', async () => {
+      const help = await service.processMessage('/help');
+      const okrHelp = await service.processMessage('/help okr');
+
+      expect(help.message).toContain('## /risk-register');
+      expect(help.message).not.toContain('plugin help');
+      expect(okrHelp.message).toContain('• `--quarter Q3` - Quarter the OKRs are for');
+      expect(okrHelp.message).toContain('Runs a quick session');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const ContextManager = require('../contextManager');
+const MockProvider = require('../llm/providers/mockProvider');
+const UsageTracker = require('../llm/usageTracker');
+
+describe('ContextManager', () => {
+  let provider;
+  let manager;
+
+  const message = (role, chars, fill = 'x') => ({ role, content: fill.repeat(chars) });
+
+  beforeEach(() => {
+    provider = new MockProvider();
+    // mock-model counts 4 characters per token
+    manager = new ContextManager(provider, { conversationTokens: 100, historyTokens: 200, summaryTokens: 50 });
+  });
+
+  describe('compactConversation', () => {
+    it('should keep short conversations as they are', async () => {
+      const context = [message('user', 40), message('assistant', 40)];
+
+      expect(await manager.compactConversation(context)).toEqual(context);
+      expect(provider.calls).toHaveLength(0);
+    });
+
+    it('should fold older messages into a rolling summary', async () => {
+      const usage = new UsageTracker();
+      const context = [message('user', 200, 'a'), message('assistant', 200, 'b'), message('user', 200, 'c'), message('assistant', 200, 'd')];
+
+      const compacted = await manager.compactConversation(context, { conversationId: 'conversation-1', usage });
+
+      expect(compacted).toHaveLength(3);
+      expect(compacted[0]).toMatchObject({ role: 'system', summary: true });
+      expect(compacted[0].content).toContain('Summary of the earlier conversation (2 messages)');
+      expect(compacted.slice(1)).toEqual(context.slice(2));
+      expect(usage.toJSON().byPhase.context_summary.calls).toBe(1);
+
+      // Only the messages that aged out since are summarized next time
+      await manager.compactConversation([...context, message('user', 200, 'e')], { conversationId: 'conversation-1' });
+
+      const calls = provider.getCallsForPhase('context_summary');
+      expect(calls).toHaveLength(2);
+      expect(calls[1].messages[1].content).toContain('Summary so far:');
+      expect(calls[1].messages[1].content).toContain('c'.repeat(200));
+      expect(calls[1].messages[1].content).not.toContain('a'.repeat(200));
+    });
+
+    it('should shorten a last message that alone is over budget', async () => {
+      const [last] = await manager.compactConversation([message('user', 1000)]);
+
+      expect(manager.contextWindow.countTokens(last.content, 'mock-model')).toBeLessThanOrEqual(100);
+      expect(provider.calls).toHaveLength(0);
+    });
+
+    it('should fall back to excerpts when the summary call fails', async () => {
+      provider = new MockProvider({ script: { context_summary: { error: { status: 500, message: 'boom' } } } });
+      manager = new ContextManager(provider, { conversationTokens: 100, summaryTokens: 50 });
+
+      const [summary] = await manager.compactConversation([message('user', 400, 'a'), message('user', 200, 'b')], { conversationId: 'conversation-1' });
+
+      expect(summary.content).toContain(`- user: ${'a'.repeat(144)}...`);
+      expect(manager.summaries.has('conversation-1')).toBe(false);
+    });
+  });
+
+  describe('compactHistory', () => {
+    it('should summarize the oldest phases until the history fits, keeping the latest', async () => {
+      const history = ['phase1', 'phase2', 'phase3'].map(id => ({ phase: { id, label: id }, result: 'x'.repeat(300) }));
+
+      await manager.compactHistory(history, { format: entry => entry.result });
+
+      expect(history[0].digest).toBe('[Summary of output of "phase1"]');
+      expect(history[1].digest).toBeUndefined();
+      expect(history[2].digest).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const FrameworkService = require('../frameworkService');
+const PipelineService = require('../pipelineService');
+const MagenticOneService = require('../magenticOneService');
+const MockProvider = require('../llm/providers/mockProvider');
+
+// Framework rows kept in memory like DatabaseService stores them
+const createDatabase = (rows = []) => ({
+  rows,
+  getFrameworks: jest.fn(async function () { return this.rows; }),
+  saveFramework: jest.fn(async function ({ key, name, description, definition }) {
+    this.rows = [...this.rows.filter(row => row.key !== key), { key, name, description, definition }];
+  }),
+  deleteFramework: jest.fn(async function (key) {
+    this.rows = this.rows.filter(row => row.key !== key);
+  })
+});
+
+const customFramework = {
+  name: 'Blue Ocean',
+  description: 'Find uncontested market space',
+  roles: { creative: 'You are a Blue Ocean strategist who eliminates, reduces, raises and creates.' },
+  phases: [
+    { id: 'errc', label: 'Phase 1: ERRC Grid', type: 'chain', steps: [{ agent: 'creative', modifier: 'Fill in the ERRC grid.' }] },
+    { id: 'final', label: 'Phase 2: Final Summary', type: 'summary', agent: 'reasoning', modifier: 'Summarize.' }
+  ]
+};
+
+describe('FrameworkService', () => {
+  let db;
+  let pipelines;
+  let frameworks;
+
+  beforeEach(() => {
+    db = createDatabase();
+    pipelines = new PipelineService();
+    frameworks = new FrameworkService(db, pipelines);
+  });
+
+  it('should register the built-in frameworks as pipelines', () => {
+    expect(frameworks.list().map(framework => framework.key)).toEqual(['scamper', 'six_hats', 'jtbd', 'lean_canvas']);
+    expect(pipelines.get('scamper')).toMatchObject({ name: 'SCAMPER', framework: true });
+    expect(pipelines.get('six_hats').roles.creative).toContain('Red and Green hats');
+  });
+
+  it('should create, persist and delete a custom framework', async () => {
+    const { framework } = await frameworks.createFramework(customFramework);
+
+    expect(framework).toMatchObject({ key: 'blue_ocean', builtIn: false, customized: true });
+    expect(pipelines.has('blue_ocean')).toBe(true);
+    expect(db.rows[0]).toMatchObject({ key: 'blue_ocean', name: 'Blue Ocean', definition: { roles: customFramework.roles } });
+
+    const reloaded = new FrameworkService(db, new PipelineService());
+    expect(await reloaded.load()).toBe(1);
+    expect(reloaded.get('blue_ocean').phases).toHaveLength(2);
+
+    expect(await frameworks.deleteFramework('blue_ocean')).toEqual({ framework: null });
+    expect(pipelines.has('blue_ocean')).toBe(false);
+    expect(db.rows).toHaveLength(0);
+  });
+
+  it('should give a framework a key that does not clash with a pipeline', async () => {
+    const { framework } = await frameworks.createFramework({ ...customFramework, name: 'Quick' });
+
+    expect(framework.key).toBe('quick_2');
+    expect(pipelines.get('quick').framework).toBeUndefined();
+  });
+
+  it('should reject a framework whose phases are invalid', async () => {
+    const result = await frameworks.createFramework({ ...customFramework, phases: [customFramework.phases[1], customFramework.phases[0]] });
+
+    expect(result.status).toBe(400);
+    expect(result.error).toContain('exactly one summary phase');
+    expect(db.saveFramework).not.toHaveBeenCalled();
+  });
+
+  it('should store an edited built-in and reset it to the original', async () => {
+    const { framework } = await frameworks.updateFramework('scamper', { roles: { creative: 'You are a playful SCAMPER coach.' } });
+
+    expect(framework).toMatchObject({ builtIn: true, customized: true, name: 'SCAMPER' });
+    expect(pipelines.get('scamper').roles).toEqual({ creative: 'You are a playful SCAMPER coach.' });
+
+    const { framework: restored } = await frameworks.deleteFramework('scamper');
+    expect(restored.customized).toBe(false);
+    expect(pipelines.get('scamper').roles.creative).toContain('SCAMPER facilitator');
+    expect(await frameworks.deleteFramework('scamper')).toMatchObject({ status: 400 });
+    expect(await frameworks.updateFramework('missing', { name: 'Missing' })).toMatchObject({ status: 404 });
+  });
+
+  it('should not treat names every object inherits as frameworks', async () => {
+    expect(frameworks.get('constructor')).toBeNull();
+    expect(frameworks.get('toString')).toBeNull();
+    expect(await frameworks.updateFramework('toString', { name: 'To String' })).toMatchObject({ status: 404 });
+    expect(await frameworks.deleteFramework('constructor')).toMatchObject({ status: 404 });
+
+    const { framework } = await frameworks.createFramework({ ...customFramework, name: 'Constructor' });
+    expect(framework).toMatchObject({ key: 'constructor', builtIn: false });
+  });
+
+  describe('/ideate --framework', () => {
+    let provider;
+    let service;
+
+    beforeEach(() => {
+      provider = new MockProvider();
+      service = new MagenticOneService({ provider, pipelines, frameworks });
+    });
+
+    it('should run the framework pipeline with its agent roles', async () => {
+      const command = await service.processMessage('/ideate --framework scamper Reinvent the public library');
+      expect(command).toMatchObject({ pipeline: 'scamper', message: 'Reinvent the public library', shouldTriggerIdeation: true });
+
+      const result = await service.runIdeationSession(command.message, [], { pipeline: command.pipeline });
+
+      expect(result.pipeline).toBe('scamper');
+      expect(provider.calls.filter(call => call.metadata.phase.startsWith('scamper_transform_'))).toHaveLength(3);
+      const creative = provider.calls.find(call => call.metadata.agentType === 'creative');
+      expect(creative.messages[0].content).toContain('SCAMPER facilitator');
+    });
+
+    it('should list the frameworks for an unknown key and in /help', async () => {
+      const command = await service.processMessage('/ideate --framework triz Cheaper bikes');
+
+      expect(command.shouldTriggerIdeation).toBe(false);
+      expect(command.message).toContain('Unknown framework**: `triz`');
+      expect((await service.processMessage('/ideate --framework constructor Reinvent libraries')).message).toContain('Unknown framework**: `constructor`');
+      expect(command.message).toContain('`six_hats` - **Six Thinking Hats**');
+      expect((await service.processMessage('/help')).message).toContain('/ideate --framework <key> <topic>');
+    });
+  });
+});
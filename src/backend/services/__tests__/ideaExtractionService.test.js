@@ -0,0 +1,53 @@
+const IdeaExtractionService = require('../ideaExtractionService');
+const MockProvider = require('../llm/providers/mockProvider');
+
+describe('IdeaExtractionService', () => {
+  let db;
+  let service;
+
+  const sessionContent = '💡 Ideas Summary:\n- Community Solar Gardens\n🎯 Final Recommendation:\nStart small.';
+
+  beforeEach(() => {
+    let nextId = 0;
+    db = {
+      addIdea: jest.fn().mockImplementation(async () => `idea-${++nextId}`),
+      recordTokenUsage: jest.fn().mockResolvedValue()
+    };
+    service = new IdeaExtractionService(db, new MockProvider());
+  });
+
+  describe('extractIdeasFromSession', () => {
+    it('should save the ideas returned by the extraction model', async () => {
+      const ideas = await service.extractIdeasFromSession('conversation-1', sessionContent, 'message-1');
+
+      expect(ideas.map(idea => idea.title)).toEqual(['Community Solar Gardens', 'Adaptive Street Lighting']);
+      expect(db.addIdea).toHaveBeenCalledWith(
+        'conversation-1',
+        'Community Solar Gardens',
+        expect.any(String),
+        'technology',
+        ['solar', 'community', 'energy'],
+        'medium-term',
+        'message-1',
+        expect.objectContaining({ extractionMethod: 'ai-auto' })
+      );
+    });
+
+    it('should skip content that is not an ideation session', async () => {
+      const ideas = await service.extractIdeasFromSession('conversation-1', 'Just a chat reply');
+
+      expect(ideas).toEqual([]);
+      expect(db.addIdea).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to regex extraction when the model returns no JSON', async () => {
+      service = new IdeaExtractionService(db, new MockProvider({ script: { idea_extraction: 'Sorry, no ideas here.' } }));
+
+      const ideas = await service.extractIdeasFromSession('conversation-1', sessionContent);
+
+      expect(ideas).toHaveLength(1);
+      expect(ideas[0].title).toBe('Community Solar Gardens');
+      expect(ideas[0].originalSection).toBe('Ideas Summary (fallback)');
+    });
+  });
+});
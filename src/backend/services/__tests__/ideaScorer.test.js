@@ -0,0 +1,58 @@
+const IdeaScorer = require('../ideaScorer');
+
+describe('IdeaScorer', () => {
+  const criteria = [
+    { key: 'impact', label: 'Impact', description: 'Value created', weight: 2 },
+    { key: 'cost', label: 'Cost', description: '10 = very expensive', lowerIsBetter: true }
+  ];
+  const ideas = [
+    { title: 'Solar', description: 'Shared rooftop arrays' },
+    { title: 'Lighting', description: 'Adaptive street lights' }
+  ];
+  let scorer;
+
+  beforeEach(() => {
+    scorer = new IdeaScorer(criteria);
+  });
+
+  it('should list every idea and criterion in the prompt', () => {
+    const prompt = scorer.buildPrompt('Greener cities', ideas);
+
+    expect(prompt).toContain('1. Solar: Shared rooftop arrays');
+    expect(prompt).toContain('2. Lighting: Adaptive street lights');
+    expect(prompt).toContain('- cost (Cost): 10 = very expensive — lower is better');
+  });
+
+  it('should parse scores keyed by idea index and reject invalid ones', () => {
+    const valid = '```json\n{"scores": [{"idea": 2, "impact": {"score": 7, "rationale": "Wide reach"}, "cost": {"score": 3}}]}\n```';
+    expect(scorer.parse(valid, 2)).toEqual({
+      scores: { 1: { impact: { score: 7, rationale: 'Wide reach' }, cost: { score: 3, rationale: '' } } },
+      errors: []
+    });
+
+    const { scores, errors } = scorer.parse('{"scores": [{"idea": 3, "impact": {"score": 11}}]}', 2);
+    expect(scores).toBeNull();
+    expect(errors).toEqual(expect.arrayContaining([
+      '"scores[0].idea" must be less than or equal to 2',
+      '"scores[0].impact.score" must be less than or equal to 10',
+      '"scores[0].cost" is required'
+    ]));
+    expect(scorer.parse('No scores today', 2).errors).toEqual(['The response does not contain a JSON object']);
+  });
+
+  it('should average across agents, weight the overall score and rank the ideas', () => {
+    const entry = (score, rationale = '') => ({ score, rationale });
+    const scorecards = scorer.combine(ideas, [
+      { agent: 'logical', scores: { 0: { impact: entry(8), cost: entry(9) }, 1: { impact: entry(6), cost: entry(2) } } },
+      { agent: 'reasoning', scores: { 0: { impact: entry(6, 'Local ownership'), cost: entry(7) } } }
+    ]);
+
+    // Solar: impact 7, cost 8 → (2 × 7 + (11 - 8)) / 3
+    expect(scorecards[0].overall).toBe(5.7);
+    expect(scorecards[0].criteria.impact.rationales[1]).toEqual({ agent: 'reasoning', score: 6, rationale: 'Local ownership' });
+    // Lighting: only logical scored it
+    expect(scorecards[1]).toMatchObject({ overall: 7, rank: 1, criteria: { cost: { score: 2 } } });
+    expect(scorecards[0].rank).toBe(2);
+    expect(scorer.combine(ideas, [])).toEqual([null, null]);
+  });
+});
@@ -1,67 +1,93 @@
 const MagenticOneService = require('../magenticOneService');
-const axios = require('axios');
-
-jest.mock('axios');
+const MockProvider = require('../llm/providers/mockProvider');
 
 describe('MagenticOneService', () => {
+  let provider;
   let service;
 
   beforeEach(() => {
-    service = new MagenticOneService();
-    jest.clearAllMocks();
+    provider = new MockProvider();
+    service = new MagenticOneService({ provider });
   });
 
   describe('processMessage', () => {
-    it('should process a message and return a response', async () => {
-      const mockResponse = { data: { choices: [{ message: { content: 'Test response' } }] } };
-      axios.post.mockResolvedValue(mockResponse);
+    it('should process a chat message and return the model response', async () => {
+      const response = await service.processMessage('What should we build next?');
+
+      expect(response).toBe('Happy to help with "What should we build next?". Try /ideate to run a full session.');
+      expect(provider.getCallsForPhase('chat')).toHaveLength(1);
+    });
 
-      const response = await service.processMessage('Test message');
+    it('should return a command result for slash commands without calling the model', async () => {
+      const result = await service.processMessage('/ideate Greener cities');
 
-      expect(response).toBe('Test response');
-      expect(axios.post).toHaveBeenCalled();
+      expect(result).toMatchObject({
+        type: 'command',
+        action: 'ideate',
+        shouldTriggerIdeation: true,
+        message: 'Greener cities'
+      });
+      expect(provider.calls).toHaveLength(0);
     });
 
-    it('should handle errors during message processing', async () => {
-      axios.post.mockRejectedValue(new Error('API Error'));
+    it('should select the pipeline for the command', async () => {
+      const result = await service.processMessage('/quick Greener cities');
 
-      await expect(service.processMessage('Test message')).rejects.toThrow('Failed to get response from AI model');
+      expect(result.pipeline).toBe('quick');
+      expect(result.shouldTriggerIdeation).toBe(true);
     });
-  });
 
-  describe('selectAgent', () => {
-    it('should select agents in round-robin fashion', () => {
-      const firstAgent = service.selectAgent('test message');
-      const secondAgent = service.selectAgent('test message');
-      const thirdAgent = service.selectAgent('test message');
-      const fourthAgent = service.selectAgent('test message');
-
-      expect(firstAgent).toBe('reasoning');
-      expect(secondAgent).toBe('creative');
-      expect(thirdAgent).toBe('logical');
-      expect(fourthAgent).toBe('reasoning');
+    it('should map /brainstorm, /analyze and /synthesize to their own pipelines', async () => {
+      const results = await Promise.all(['/brainstorm', '/analyze', '/synthesize'].map(command => service.processMessage(`${command} Greener cities`)));
+
+      expect(results.map(result => result.pipeline)).toEqual(['brainstorm', 'analyze', 'synthesize']);
+      expect(results.every(result => result.message === 'Greener cities')).toBe(true);
     });
-  });
 
-  describe('ideation sessions', () => {
-    it('should start and end ideation sessions', () => {
-      const sessionId = service.startIdeationSession('reasoning');
-      expect(service.getActiveSessions()).toHaveLength(1);
+    it('should pass command options on to the session', async () => {
+      const result = await service.processMessage('/ideate --agents creative,logical --depth quick Greener "pocket" parks --ideas 5 --model llama-3.1-8b-instant');
 
-      service.endIdeationSession(sessionId);
-      expect(service.getActiveSessions()).toHaveLength(0);
+      expect(result.message).toBe('Greener "pocket" parks');
+      expect(result.options).toEqual({ agents: ['creative', 'logical'], depth: 'quick', ideas: 5, model: 'llama-3.1-8b-instant' });
     });
 
-    it('should automatically end sessions after time limit', async () => {
-      jest.useFakeTimers();
-      
-      service.startIdeationSession('reasoning');
-      expect(service.getActiveSessions()).toHaveLength(1);
+    it('should reject options a command does not take and agents that do not exist', async () => {
+      const analyze = await service.processMessage('/analyze --ideas 5 Low participation');
+      const ideate = await service.processMessage('/ideate --agents creative,poet Greener cities');
+
+      expect(analyze.shouldTriggerIdeation).toBe(false);
+      expect(analyze.message).toContain('`--ideas` is not an option of this command; it accepts `--agents`, `--model`');
+      expect(ideate.shouldTriggerIdeation).toBe(false);
+      expect(ideate.message).toContain('Unknown or disabled agent `poet`; available agents: `creative`, `reasoning`, `logical`');
+    });
+
+    it('should parse /refine into the idea reference, focus and session options', async () => {
+      const result = await service.processMessage('/refine --focus "cut the upfront cost" "Adaptive Street Lighting" --model llama-3.1-8b-instant');
+      const missing = await service.processMessage('/refine --focus cheaper');
+
+      expect(result).toMatchObject({
+        action: 'refine',
+        shouldTriggerIdeation: false,
+        refine: { reference: 'Adaptive Street Lighting', focus: 'cut the upfront cost', model: 'llama-3.1-8b-instant' }
+      });
+      expect(missing.message).toContain('Missing idea');
+    });
+
+    it('should surface provider errors to the caller', async () => {
+      provider = new MockProvider({ script: { 'assistant/chat': { error: { status: 503, message: 'Unavailable' } } } });
+      service = new MagenticOneService({ provider });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(service.processMessage('Hello there')).rejects.toThrow('Unavailable');
+    });
+  });
 
-      jest.advanceTimersByTime(121 * 1000); // Advance time beyond the limit
-      expect(service.getActiveSessions()).toHaveLength(0);
+  describe('processIdeationMessage', () => {
+    it('should return the final summary of a full session', async () => {
+      const response = await service.processIdeationMessage('Greener cities');
 
-      jest.useRealTimers();
+      expect(response).toContain('💡 Ideas Summary:');
+      expect(provider.getCallsForPhase('final_summary')).toHaveLength(1);
     });
   });
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,89 @@
+const MemoryService = require('../memoryService');
+const HashEmbedder = require('../llm/embeddings/hashEmbedder');
+
+// Messages, ideas and vectors kept in memory like DatabaseService stores them
+const createDatabase = () => {
+  const embeddings = [];
+  const db = {
+    messages: [],
+    ideas: [],
+    embeddings,
+    getUnindexedMemories: jest.fn(async (model, limit) => {
+      const indexed = (type, id) => embeddings.some(row => row.source_type === type && row.source_id === id && row.model === model);
+      return {
+        messages: db.messages.filter(msg => !indexed('message', msg.id)).slice(0, limit),
+        ideas: db.ideas.filter(idea => !indexed('idea', idea.id)).slice(0, limit)
+      };
+    }),
+    saveEmbedding: jest.fn(async ({ sourceType, sourceId, conversationId, model, vector, content }) => {
+      embeddings.unshift({ source_type: sourceType, source_id: sourceId, conversation_id: conversationId, model, vector: Float32Array.from(vector), content });
+    }),
+    getEmbeddings: jest.fn(async ({ model, conversationId, limit }) => embeddings
+      .filter(row => row.model === model && (!conversationId || row.conversation_id === conversationId))
+      .slice(0, limit))
+  };
+  return db;
+};
+
+describe('MemoryService', () => {
+  let db;
+  let memory;
+
+  beforeEach(() => {
+    db = createDatabase();
+    db.messages.push(
+      { id: 'm1', conversation_id: 'c1', role: 'user', content: 'Ideas for a solar-powered bike sharing network' },
+      { id: 'm2', conversation_id: 'c1', role: 'user', content: 'How should we price sourdough bread subscriptions?' },
+      { id: 'm3', conversation_id: 'c2', role: 'user', content: 'Bike sharing stations with solar panels for campuses' }
+    );
+    db.ideas.push({ id: 'i1', conversation_id: 'c1', title: 'Solar Bike Hubs', description: 'Bike sharing docks that charge e-bikes from solar canopies' });
+    memory = new MemoryService(db, { embedder: new HashEmbedder(), topK: 3, minScore: 0.2, crossConversation: false });
+  });
+
+  it('should index unembedded messages and ideas before recalling', async () => {
+    await memory.recall('solar bike sharing', { conversationId: 'c1' });
+
+    expect(db.embeddings).toHaveLength(4);
+    expect(db.embeddings.every(row => row.model === 'hash-512')).toBe(true);
+
+    await memory.recall('solar bike sharing', { conversationId: 'c1' });
+    expect(db.saveEmbedding).toHaveBeenCalledTimes(4);
+  });
+
+  it('should recall the most similar messages and ideas of the conversation', async () => {
+    const memories = await memory.recall('Could the solar bike sharing idea work for e-bikes?', { conversationId: 'c1' });
+
+    expect(memories.map(item => item.id)).toEqual(['i1', 'm1']);
+    expect(memories[0]).toMatchObject({ type: 'idea', conversationId: 'c1', otherConversation: false });
+    expect(memories[0].score).toBeGreaterThan(memories[1].score);
+  });
+
+  it('should skip excluded messages and search other conversations when enabled', async () => {
+    memory.crossConversation = true;
+
+    const memories = await memory.recall('solar bike sharing stations', { conversationId: 'c1', excludeIds: ['m1'] });
+
+    expect(memories.map(item => item.id)).toEqual(expect.arrayContaining(['i1', 'm3']));
+    expect(memories.map(item => item.id)).not.toContain('m1');
+    expect(memories.find(item => item.id === 'm3').otherConversation).toBe(true);
+  });
+
+  it('should continue without memories when embedding fails', async () => {
+    memory.embedder.embed = jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    expect(await memory.recall('solar bikes', { conversationId: 'c1' })).toEqual([]);
+  });
+
+  it('should render memories as a context message within the character budget', () => {
+    memory.maxChars = 100;
+    const message = memory.toContextMessage([
+      { type: 'idea', content: 'a'.repeat(200), otherConversation: true },
+      { type: 'message', content: 'user: short', otherConversation: false }
+    ]);
+
+    expect(message).toMatchObject({ role: 'system', memory: true });
+    expect(message.content).toContain(`- [Saved idea from another conversation] ${'a'.repeat(50)}...`);
+    expect(message.content).toContain('- [Earlier message] user: short');
+    expect(memory.toContextMessage([])).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+const PipelineService = require('../pipelineService');
+
+const summary = { id: 'final', label: 'Summary', type: 'summary', agent: 'reasoning' };
+
+describe('PipelineService', () => {
+  it('should load the bundled pipelines', () => {
+    const service = new PipelineService();
+
+    expect(service.defaultPipeline).toBe('full');
+    expect(service.list().map(pipeline => pipeline.key)).toEqual(expect.arrayContaining(['full', 'quick', 'research']));
+    expect(service.get().phases.map(phase => phase.id)).toEqual(['phase1', 'phase2', 'phase3', 'final']);
+  });
+
+  it('should reject unknown keys, including names every object inherits', () => {
+    const service = new PipelineService();
+
+    expect(() => service.get('missing')).toThrow('Unknown pipeline: missing');
+    expect(() => service.get('constructor')).toThrow('Unknown pipeline: constructor');
+    expect(() => service.get('toString')).toThrow('Unknown pipeline: toString');
+  });
+
+  it('should apply defaults to phases', () => {
+    const service = new PipelineService({
+      definitions: {
+        pipelines: {
+          basic: {
+            name: 'Basic',
+            phases: [
+              { id: 'expand', label: 'Expand', type: 'loop', agents: ['creative', 'logical'] },
+              summary
+            ]
+          }
+        }
+      }
+    });
+
+    const [loop] = service.get('basic').phases;
+    expect(loop.maxIterations).toBe(10);
+    expect(loop.mode).toBe('sequential');
+  });
+
+  it('should require a single trailing summary phase', () => {
+    expect(() => new PipelineService({
+      definitions: {
+        pipelines: {
+          broken: {
+            name: 'Broken',
+            phases: [summary, { id: 'phase1', label: 'Phase 1', type: 'chain', steps: [{ agent: 'creative' }] }]
+          }
+        }
+      }
+    })).toThrow('Invalid pipeline "broken"');
+  });
+
+  it('should reject loop phases with chain steps', () => {
+    expect(() => new PipelineService({
+      definitions: {
+        pipelines: {
+          broken: {
+            name: 'Broken',
+            phases: [
+              { id: 'phase2', label: 'Phase 2', type: 'loop', agents: ['creative', 'logical'], steps: [{ agent: 'creative' }] },
+              summary
+            ]
+          }
+        }
+      }
+    })).toThrow('"phases[0].steps" is not allowed');
+  });
+
+  it('should reject circular step dependencies', () => {
+    expect(() => new PipelineService({
+      definitions: {
+        pipelines: {
+          broken: {
+            name: 'Broken',
+            phases: [
+              {
+                id: 'phase1',
+                label: 'Phase 1',
+                type: 'chain',
+                mode: 'parallel',
+                steps: [{ agent: 'creative', dependsOn: ['logical'] }, { agent: 'logical', dependsOn: ['creative'] }]
+              },
+              summary
+            ]
+          }
+        }
+      }
+    })).toThrow('phase "phase1" has circular dependency between creative, logical');
+  });
+});
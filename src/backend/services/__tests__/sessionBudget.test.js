@@ -0,0 +1,43 @@
+const SessionBudget = require('../sessionBudget');
+
+describe('SessionBudget', () => {
+  const startTime = Date.now();
+
+  it('should be unlimited without limits', () => {
+    const budget = new SessionBudget({ maxTokens: 0, maxCost: 0, maxSeconds: 0 });
+
+    expect(budget.isLimited()).toBe(false);
+    expect(budget.getDeadline(startTime)).toBe(Infinity);
+    expect(budget.check({ totalTokens: 1e9, cost: 1e6 }, startTime)).toBeNull();
+  });
+
+  it('should hold back the summary reserve', () => {
+    const budget = new SessionBudget({ maxTokens: 1000, summaryReserve: 0.2 });
+
+    expect(budget.check({ totalTokens: 799, cost: 0 }, startTime)).toBeNull();
+    expect(budget.check({ totalTokens: 800, cost: 0 }, startTime)).toEqual({ limit: 'tokens', used: 800, max: 1000 });
+  });
+
+  it('should stop on cost', () => {
+    const budget = new SessionBudget({ maxCost: 0.05, summaryReserve: 0 });
+
+    expect(budget.check({ totalTokens: 10, cost: 0.06 }, startTime)).toMatchObject({ limit: 'cost', max: 0.05 });
+  });
+
+  it('should stop on wall-clock time and expose the matching deadline', () => {
+    const budget = new SessionBudget({ maxSeconds: 10, summaryReserve: 0.5 });
+    const earlier = Date.now() - 6000;
+
+    expect(budget.getDeadline(earlier)).toBe(earlier + 5000);
+    expect(budget.check({ totalTokens: 0, cost: 0 }, earlier)).toMatchObject({ limit: 'time', max: 10 });
+  });
+
+  it('should keep reporting the first limit reached', () => {
+    const budget = new SessionBudget({ maxTokens: 100, maxCost: 0.01, summaryReserve: 0 });
+
+    budget.check({ totalTokens: 100, cost: 0 }, startTime);
+
+    expect(budget.check({ totalTokens: 100, cost: 1 }, startTime).limit).toBe('tokens');
+    expect(budget.toJSON({ totalTokens: 100, cost: 1 }, startTime).stoppedBy.limit).toBe('tokens');
+  });
+});
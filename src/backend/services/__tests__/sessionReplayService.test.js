@@ -0,0 +1,111 @@
+const SessionReplayService = require('../sessionReplayService');
+const MagenticOneService = require('../magenticOneService');
+const MockProvider = require('../llm/providers/mockProvider');
+
+describe('SessionReplayService', () => {
+  let provider;
+  let db;
+  let service;
+  let pipeline;
+
+  beforeEach(() => {
+    provider = new MockProvider();
+    db = {
+      getIdeationSession: jest.fn(async () => null),
+      getIdeationSessionVersions: jest.fn(async () => []),
+      getAgentTurns: jest.fn(async () => []),
+      getMessages: jest.fn(async () => [])
+    };
+    const magenticOneService = new MagenticOneService({ provider });
+    service = new SessionReplayService(db, magenticOneService);
+    pipeline = magenticOneService.agentOrchestrator.pipelines.get('full');
+  });
+
+  describe('resolvePhase', () => {
+    it('should accept a phase id, a 1-based number or "summary"', () => {
+      expect(service.resolvePhase(pipeline, 'phase2').id).toBe('phase2');
+      expect(service.resolvePhase(pipeline, '3').id).toBe('phase3');
+      expect(service.resolvePhase(pipeline, 1).id).toBe('phase1');
+      expect(service.resolvePhase(pipeline, 'Summary').id).toBe('final');
+      expect(service.resolvePhase(pipeline, 'review')).toBeNull();
+      expect(service.resolvePhase(pipeline, '9')).toBeNull();
+    });
+  });
+
+  describe('rebuildSessionData', () => {
+    it('should rebuild chain and loop results from stored turns', () => {
+      const turns = [
+        { phase: 'phase1', agent: 'creative', output: 'Idea' },
+        { phase: 'phase1', agent: 'logical', output: 'Check' },
+        { phase: 'phase2', agent: 'reasoning', iteration: 1, output: 'Expanded' },
+        { phase: 'final', agent: 'reasoning', output: 'Summary' }
+      ];
+
+      expect(service.rebuildSessionData(pipeline, turns)).toEqual({
+        phase1: { creative: 'Idea', logical: 'Check' },
+        phase2: [{ agent: 'reasoning', iteration: 1, content: 'Expanded', timestamp: 0 }]
+      });
+    });
+
+    it('should replay debate turns into the argument graph', () => {
+      const turns = [
+        { phase: 'debate', step: 'debate_proposal', agent: 'creative', output: '{"claims": [{"text": "Plant trees"}]}' },
+        { phase: 'debate', step: 'debate_critique', agent: 'logical', iteration: 1, output: '{"objections": [{"target": "c1", "text": "Who waters them?"}]}' },
+        { phase: 'debate', step: 'debate_rebuttal', agent: 'creative', iteration: 1, output: '{"rebuttals": [{"objection": "o1", "text": "Volunteers"}]}' },
+        { phase: 'debate', step: 'debate_adjudication', agent: 'reasoning', output: '{"verdicts": [{"claim": "c1", "status": "upheld"}], "summary": "Trees win"}' }
+      ];
+
+      const { debate } = service.rebuildSessionData(service.pipelines.get('debate'), turns);
+
+      expect(debate.nodes.map(node => [node.id, node.parentId, node.round])).toEqual([['c1', null, 0], ['o1', 'c1', 1], ['r1', 'o1', 1]]);
+      expect(debate.nodes[0].verdict).toEqual({ status: 'upheld', reasoning: '', agent: 'reasoning' });
+      expect(debate.summary).toBe('Trees win');
+    });
+  });
+
+  describe('rerun', () => {
+    it('should report unknown sessions and phases', async () => {
+      expect(await service.rerun('missing', { fromPhase: 'final' })).toEqual({ status: 404, error: 'Ideation session not found' });
+
+      db.getIdeationSession.mockResolvedValue({ id: 'session-1', pipeline: 'full', conversation_id: 'conversation-1' });
+      const result = await service.rerun('session-1', { fromPhase: 'review' });
+
+      expect(result.status).toBe(400);
+      expect(result.error).toContain('Unknown phase "review"');
+      expect(provider.calls).toHaveLength(0);
+    });
+
+    it('should number the new version after the newest one in the family', async () => {
+      const turns = [{ phase: 'phase1', agent: 'creative', output: 'Rooftop gardens' }];
+      db.getIdeationSession.mockResolvedValue({
+        id: 'session-2', pipeline: 'full', conversation_id: 'conversation-1', prompt: 'Greener cities',
+        session_data: null, root_session_id: 'session-1', version: 2
+      });
+      db.getIdeationSessionVersions.mockResolvedValue([{ version: 1 }, { version: 2 }, { version: 3 }]);
+      db.getAgentTurns.mockResolvedValue(turns);
+
+      const { session, parent } = await service.rerun('session-2', { fromPhase: 'summary' });
+
+      expect(db.getIdeationSessionVersions).toHaveBeenCalledWith('session-1');
+      expect(session).toMatchObject({ version: 4, rootSessionId: 'session-1', parentSessionId: 'session-2', resumedFrom: 'final' });
+      expect(session.sessionData).toEqual({ phase1: { creative: 'Rooftop gardens' } });
+      expect(parent.id).toBe('session-2');
+      expect(provider.getCallsForPhase('final_summary')[0].messages[1].content).toContain('Rooftop gardens');
+    });
+
+    it('should keep the agents, idea count and model the session was started with', async () => {
+      db.getIdeationSession.mockResolvedValue({
+        id: 'session-1', pipeline: 'full', conversation_id: 'conversation-1', prompt: 'Greener cities', model: 'test-model',
+        session_data: { phase1: { creative: 'Rooftop gardens' }, phase2: [] },
+        options: { agents: ['creative', 'logical'], depth: 'quick', ideas: 3 }
+      });
+
+      const { session } = await service.rerun('session-1', { fromPhase: 'phase3' });
+
+      expect(provider.calls.map(call => call.metadata.phase).filter(phase => phase.startsWith('phase'))).toEqual(['phase3_creative', 'phase3_logical']);
+      expect(provider.getCallsForPhase('final_summary')[0].messages[1].content).toContain('List exactly 3 ideas');
+      expect(provider.calls.every(call => call.model === 'test-model')).toBe(true);
+      expect(session).toMatchObject({ model: 'test-model', options: { agents: ['creative', 'logical'], depth: 'quick', ideas: 3 } });
+    });
+  });
+});
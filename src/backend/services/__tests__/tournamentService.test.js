@@ -0,0 +1,71 @@
+const TournamentService = require('../tournamentService');
+const MockProvider = require('../llm/providers/mockProvider');
+
+describe('TournamentService', () => {
+  const ideas = [
+    { id: 'idea-1', title: 'Green Corridor Network', description: 'Linked pocket parks', score: null },
+    { id: 'idea-2', title: 'Community Solar Gardens', description: 'Shared rooftop arrays', score: 6.4 },
+    { id: 'idea-3', title: 'Adaptive Street Lighting', description: 'Lights that dim when empty', score: 7.5 }
+  ];
+  let provider;
+  let db;
+  let service;
+
+  beforeEach(() => {
+    provider = new MockProvider();
+    db = {
+      getIdeasByConversation: jest.fn(async () => ideas),
+      getAllIdeas: jest.fn(async () => ideas),
+      saveTournament: jest.fn(async tournament => tournament.id)
+    };
+    service = new TournamentService(db, provider);
+  });
+
+  it('should enter scored ideas first, up to the idea limit', async () => {
+    service = new TournamentService(db, provider, { maxIdeas: 2 });
+
+    const entered = await service.selectIdeas({ conversationId: 'conversation-1' });
+
+    expect(entered.map(idea => idea.id)).toEqual(['idea-3', 'idea-2']);
+    expect(db.getIdeasByConversation).toHaveBeenCalledWith('conversation-1');
+    await service.selectIdeas({ conversationId: 'conversation-1', all: true });
+    expect(db.getAllIdeas).toHaveBeenCalled();
+  });
+
+  it('should schedule every pair exactly once', () => {
+    const pairs = service.buildSchedule([...ideas, { id: 'idea-4' }]);
+    const keys = pairs.map(pair => pair.map(idea => idea.id).sort().join('+'));
+
+    expect(pairs).toHaveLength(6);
+    expect(new Set(keys).size).toBe(6);
+  });
+
+  it('should rank ideas by Elo rating and store the judge\'s rationales', async () => {
+    const tournament = await service.runTournament(ideas, { conversationId: 'conversation-1', focus: 'cost' });
+
+    expect(tournament.ranking.map(entry => [entry.rank, entry.title, entry.wins, entry.losses])).toEqual([
+      [1, 'Adaptive Street Lighting', 2, 0],
+      [2, 'Community Solar Gardens', 1, 1],
+      [3, 'Green Corridor Network', 0, 2]
+    ]);
+    expect(tournament.matches).toHaveLength(3);
+    expect(tournament.matches[0].rationale).toContain('pays back sooner');
+    expect(tournament.usage.calls).toBe(3);
+    expect(provider.getCallsForPhase('tournament_match')[0].messages[1].content).toContain('with a focus on: cost');
+    expect(db.saveTournament).toHaveBeenCalledWith(tournament);
+
+    const markdown = service.renderTournament(tournament);
+    expect(markdown).toContain('| 1 | Adaptive Street Lighting |');
+    expect(markdown).toContain('**Adaptive Street Lighting** beat **Green Corridor Network**');
+  });
+
+  it('should leave matches with invalid verdicts unrated', async () => {
+    provider = new MockProvider({ script: { tournament_match: 'A is better' } });
+    service = new TournamentService(db, provider);
+
+    const tournament = await service.runTournament(ideas.slice(0, 2));
+
+    expect(tournament.matches[0]).toMatchObject({ winner: null, ratingsAfter: [1000, 1000] });
+    expect(service.renderTournament(tournament)).toContain('not judged');
+  });
+});
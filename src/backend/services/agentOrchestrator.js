@@ -8,170 +8,864 @@
  * @version 1.0.0
  */
 
-const axios = require('axios');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const ErrorHandler = require('../utils/errorHandler');
+const { createLLMProvider, ModelRouter } = require('./llm');
+const UsageTracker = require('./llm/usageTracker');
+const PipelineService = require('./pipelineService');
+const AgentRegistryService = require('./agentRegistryService');
+const SessionBudget = require('./sessionBudget');
+const IdeaScorer = require('./ideaScorer');
+const ContextManager = require('./contextManager');
+const { runTaskGraph } = require('../utils/taskScheduler');
+const { SUMMARY_FORMATS } = require('../utils/summaryFormats');
+const {
+  ARGUMENT_STEPS,
+  getArgumentFormat,
+  getOpenObjections,
+  parseArguments,
+  addArguments,
+  applyVerdicts,
+  formatArgumentThreads
+} = require('../utils/argumentGraph');
 
-class AgentOrchestrator {
-  constructor() {
-    this.agents = {
-      creative: {
-        name: 'Creative',
-        emoji: '💡'
-      },
-      reasoning: {
-        name: 'Reasoning',
-        emoji: '🧠'
-      },
-      logical: {
-        name: 'Logical',
-        emoji: '⚖️'
-      }
-    };
+// Id of a reviewable idea: a chain step's agent, a loop expansion's iteration
+// or a debate claim's id within its phase
+const getIdeaId = (phase, key) => `${phase.id}:${key}`;
 
-    // All agents can use any available model randomly
-    this.availableModels = config.AVAILABLE_MODELS || [
-      'deepseek-r1-distill-llama-70b',
-      'meta-llama/llama-4-scout-17b-16e-instruct',
-      'moonshotai/kimi-k2-instruct',
-      'openai/gpt-oss-120b',
-      'qwen/qwen3-32b',
-      'llama-3.3-70b-versatile',
-      'gemma2-9b-it'
-    ];
+// How --depth scales loop iterations and time limits and debate rounds
+const DEPTH_SCALES = { quick: 0.5, deep: 2 };
+
+/**
+ * Runs the phases of a pipeline definition (see PipelineService).
+ * Emits 'progress' events describing the session lifecycle:
+ * session_started, phase_started, phase_skipped, phase_reused, agent_started,
+ * agent_retry, agent_completed, agent_cancelled, iteration_started, debate_round,
+ * budget_exhausted, cancel_requested, checkpoint_reached, checkpoint_resumed,
+ * summary_started, summary_repair, evaluation_started, evaluation_completed,
+ * session_completed, session_failed.
+ * Streaming sessions also emit agent_delta with each partial output chunk;
+ * the final summary's carry `summary: true`, as do its agent_retry events.
+ */
+class AgentOrchestrator extends EventEmitter {
+  /**
+   * @param {Object} options - Orchestrator options
+   * @param {BaseProvider} [options.provider] - LLM provider, defaults to the configured one
+   * @param {PipelineService} [options.pipelines] - Pipeline definitions, defaults to config.PIPELINES.file
+   * @param {number} [options.concurrency] - Max agents in flight for parallel phases
+   * @param {AgentRegistryService} [options.agentRegistry] - Agent definitions, defaults to the built-ins
+   * @param {ModelRouter} [options.modelRouter] - Model selection and health tracking
+   * @param {IdeaScorer} [options.ideaScorer] - Scores summary ideas, defaults to config.SCORING.criteria
+   * @param {ContextManager} [options.contextManager] - Summarizes conversation and phases that outgrow their token budgets
+   */
+  constructor(options = {}) {
+    super();
+
+    this.provider = options.provider || createLLMProvider();
+    this.pipelines = options.pipelines || new PipelineService();
+    this.concurrency = options.concurrency || config.SETTINGS.maxConcurrentAgents;
+
+    // Built-in and user-defined agents
+    this.agentRegistry = options.agentRegistry || new AgentRegistryService();
+
+    // Picks models by recent health and fails over between them
+    this.modelRouter = options.modelRouter || new ModelRouter();
+
+    // Multi-criteria scoring of the final summary's ideas
+    this.ideaScorer = options.ideaScorer || new IdeaScorer();
+
+    // Rolling summaries of older conversation and earlier phases
+    this.contextManager = options.contextManager || new ContextManager(this.provider);
+
+    // All agents can use any available model
+    this.availableModels = this.provider.getModelPool('default');
 
     // Reasoning agent limited to reasoning-specific models
-    this.reasoningModels = [
-      'deepseek-r1-distill-llama-70b',
-      'openai/gpt-oss-120b',
-      'llama-3.3-70b-versatile'
-    ];
+    this.reasoningModels = this.provider.getModelPool('reasoning');
+
+    // Running sessions by id, so they can be cancelled
+    this.activeSessions = new Map();
+  }
+
+  /**
+   * Create the runtime state shared by every phase of a session
+   * @param {string} prompt - User prompt for ideation
+   * @param {Object} options - Session options
+   * @param {string} [options.conversationId] - Conversation the session belongs to
+   * @param {boolean} [options.stream] - Stream agent output as agent_delta events
+   * @param {Object} [options.budget] - Token, cost and time limits (see SessionBudget)
+   * @param {string} [options.model] - Run every agent on this model instead of its pool
+   * @param {Array<string>} [options.agents] - Only these agents take part in the working phases
+   * @param {number} [options.ideas] - How many ideas the final summary lists
+   * @param {Array<string>} [options.checkpoints] - Phase ids after which the session waits for the user's review
+   * @param {Object} [options.roles] - Agent personas of the pipeline, by agent key
+   * @returns {Object} Session state
+   */
+  createSession(prompt, options = {}) {
+    return {
+      id: options.sessionId || uuidv4(),
+      conversationId: options.conversationId || null,
+      stream: Boolean(options.stream),
+      prompt,
+      startTime: Date.now(),
+      // One entry per agent call, in completion order: the session transcript
+      // ({ agent, phase, phaseId, phaseLabel, iteration, model, systemPrompt, prompt,
+      // output, usage, attempts, startedAt, durationMs, fallback })
+      agentRuns: [],
+      // Token usage per agent, pipeline phase and model
+      usage: new UsageTracker(config.PRICING.models, { contextWindow: this.provider.contextWindow }),
+      budget: new SessionBudget(options.budget),
+      model: options.model || null,
+      agents: options.agents || null,
+      ideas: options.ideas || null,
+      roles: options.roles || {},
+      // Aborts in-flight agent calls when the session is cancelled
+      abortController: new AbortController(),
+      cancelled: null,
+      currentPhase: null,
+      currentPhaseLabel: null,
+      checkpoints: new Set(options.checkpoints || []),
+      // The checkpoint the session is waiting at ({ phase, ideas, resolve }), if any
+      checkpoint: null,
+      reviews: [],
+      // Time spent waiting at checkpoints, which does not count against time limits
+      pausedMs: 0
+    };
+  }
+
+  /**
+   * Start time used for time limits: the real start time moved forward by
+   * the time spent waiting at checkpoints
+   * @param {Object} session - Session state
+   * @returns {number} Timestamp
+   */
+  getActiveStart(session) {
+    return session.startTime + session.pausedMs;
+  }
+
+  /**
+   * Emit a progress event for a running session
+   * @param {Object} session - Session state from createSession
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   */
+  emitProgress(session, type, data = {}) {
+    if (!session) return;
+
+    this.emit('progress', {
+      type,
+      sessionId: session.id,
+      conversationId: session.conversationId,
+      elapsed: Date.now() - session.startTime,
+      timestamp: new Date().toISOString(),
+      ...data
+    });
+  }
+
+  /**
+   * Emit phase_started with its display label
+   * @param {Object} session - Session state
+   * @param {Object} phase - Phase definition from the pipeline
+   */
+  startPhase(session, phase) {
+    session.currentPhase = phase.id;
+    session.currentPhaseLabel = phase.label;
+    this.emitProgress(session, 'phase_started', { phase: phase.id, label: phase.label, phaseType: phase.type });
+  }
+
+  /**
+   * Get the display name for an agent
+   * @param {string} agentType - Type of agent
+   * @returns {string} Agent name
+   */
+  getAgentName(agentType) {
+    return this.agentRegistry.get(agentType)?.name || agentType;
+  }
+
+  /**
+   * Get the time by which a pipeline's non-summary phases must finish:
+   * the earlier of the pipeline's timeLimitMs and the session time budget
+   * @param {Object} pipeline - Pipeline definition
+   * @param {Object} session - Session state
+   * @returns {number} Deadline timestamp, Infinity when unlimited
+   */
+  getPipelineDeadline(pipeline, session) {
+    const activeStart = this.getActiveStart(session);
+    const pipelineDeadline = pipeline.timeLimitMs ? activeStart + pipeline.timeLimitMs : Infinity;
+    return Math.min(pipelineDeadline, session.budget.getDeadline(activeStart));
+  }
+
+  /**
+   * Check the session budget, emitting budget_exhausted the first time a
+   * limit is reached
+   * @param {Object} [session] - Session state
+   * @returns {Object|null} The exhausted limit ({ limit, used, max }), or null while budget remains
+   */
+  checkBudget(session) {
+    if (!session) return null;
+
+    const wasExhausted = Boolean(session.budget.exhausted);
+    const exhausted = session.budget.check(session.usage.totals, this.getActiveStart(session));
+    if (exhausted && !wasExhausted) {
+      logger.warn(`Session budget reached (${exhausted.limit}): skipping to the final summary`, { sessionId: session.id, ...exhausted });
+      this.emitProgress(session, 'budget_exhausted', exhausted);
+    }
+    return exhausted;
+  }
+
+  /**
+   * Cancel a running session. Agent calls in flight are aborted and no new
+   * work starts; the final summary then covers the phases completed so far.
+   * Cancelling during the final summary stops it as well.
+   * @param {string} sessionId - Session id
+   * @returns {boolean} Whether a running session was found
+   */
+  cancelSession(sessionId) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) return false;
+
+    if (!session.cancelled) {
+      session.cancelled = { phase: session.currentPhase, phaseLabel: session.currentPhaseLabel, at: new Date().toISOString() };
+      logger.info('Ideation session cancelled', { sessionId, phase: session.currentPhase });
+      this.emitProgress(session, 'cancel_requested', { phase: session.currentPhase });
+    }
+    session.abortController.abort();
+    session.checkpoint?.resolve({ reason: 'cancelled' });
+    return true;
+  }
+
+  /**
+   * Submit the user's review for a session waiting at a checkpoint
+   * @param {string} sessionId - Session id
+   * @param {Object} review - Review of the phase's ideas
+   * @param {Array<string>} [review.starred] - Idea ids to prioritize
+   * @param {Array<string>} [review.discarded] - Idea ids to leave out of later phases
+   * @param {Array<string>} [review.added] - New ideas from the user
+   * @param {string} [review.notes] - Steering notes for the next phases
+   * @returns {boolean} Whether a session was waiting for a review
+   */
+  submitCheckpoint(sessionId, review = {}) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session?.checkpoint) return false;
+
+    session.checkpoint.resolve({ reason: 'submitted', review });
+    return true;
+  }
+
+  /**
+   * Pause an interactive session after a phase until the user reviews its
+   * ideas, the session is cancelled or the checkpoint times out
+   * @param {Object} session - Session state
+   * @param {Object} phase - Phase that just completed
+   * @param {Object|Array} result - The phase's result
+   * @returns {Promise<Object>} Review ({ starred, discarded, added, notes }), empty when none was submitted
+   */
+  async waitForCheckpoint(session, phase, result) {
+    const ideas = this.getPhaseIdeas(phase, result);
+    const timeoutMs = config.CHECKPOINTS.timeoutMs;
+    const pausedAt = Date.now();
+
+    logger.info(`Waiting for review after ${phase.id}`, { sessionId: session.id, ideas: ideas.length });
+    const { reason, review } = await new Promise((resolve) => {
+      const timer = setTimeout(() => resolve({ reason: 'timeout' }), timeoutMs);
+      session.checkpoint = {
+        phase: phase.id,
+        ideas,
+        resolve: (outcome) => {
+          clearTimeout(timer);
+          resolve(outcome);
+        }
+      };
+      this.emitProgress(session, 'checkpoint_reached', { phase: phase.id, label: phase.label, ideas, timeoutMs });
+    });
+
+    session.checkpoint = null;
+    session.pausedMs += Date.now() - pausedAt;
+
+    const normalized = this.normalizeReview(review, ideas);
+    session.reviews.push({ phase: phase.id, reason, ...normalized });
+    this.emitProgress(session, 'checkpoint_resumed', {
+      phase: phase.id,
+      reason,
+      starred: normalized.starred.length,
+      discarded: normalized.discarded.length,
+      added: normalized.added.length
+    });
+    return normalized;
+  }
+
+  /**
+   * Keep only the parts of a review that apply to the checkpoint's ideas
+   * @param {Object} [review] - Review as submitted
+   * @param {Array<Object>} ideas - Ideas shown at the checkpoint
+   * @returns {Object} { starred, discarded, added, notes }
+   */
+  normalizeReview(review = {}, ideas) {
+    const ids = new Set(ideas.map(idea => idea.id));
+    const discarded = (review.discarded || []).filter(id => ids.has(id));
+
+    return {
+      starred: (review.starred || []).filter(id => ids.has(id) && !discarded.includes(id)),
+      discarded,
+      added: (review.added || []).map(idea => String(idea).trim()).filter(Boolean),
+      notes: String(review.notes || '').trim()
+    };
+  }
+
+  /**
+   * List a phase's result as reviewable ideas: one per chain step output,
+   * loop expansion or debate claim (with its thread)
+   * @param {Object} phase - Phase definition
+   * @param {Object|Array} result - Chain outputs by agent, loop expansion list or argument graph
+   * @returns {Array<Object>} Ideas as { id, agent, agentName, iteration, content }
+   */
+  getPhaseIdeas(phase, result) {
+    const agentName = agent => this.getAgentName(agent);
+    const entries = phase.type === 'loop'
+      ? result.map(entry => ({ key: entry.iteration, agent: entry.agent, iteration: entry.iteration, content: entry.content }))
+      : phase.type === 'debate'
+      ? result.nodes
+        .filter(node => node.type === 'claim')
+        .map(claim => ({
+          key: claim.id,
+          agent: claim.agent,
+          iteration: null,
+          content: formatArgumentThreads({ nodes: result.nodes }, { agentName, isHidden: id => id !== claim.id }).trim()
+        }))
+      : Object.entries(result)
+        .filter(([, output]) => output)
+        .map(([agent, content]) => ({ key: agent, agent, iteration: null, content }));
 
-    this.timeLimit = parseInt(process.env.IDEATION_TIME_LIMIT) || 60000; // 60 seconds default
+    return entries.map(({ key, ...idea }) => ({
+      id: getIdeaId(phase, key),
+      agentName: this.getAgentName(idea.agent),
+      ...idea
+    }));
   }
 
   /**
-   * Execute ideation session with all agents
+   * Whether a session has been cancelled
+   * @param {Object} [session] - Session state
+   * @returns {boolean} True once cancelSession was called for it
+   */
+  isCancelled(session) {
+    return Boolean(session?.cancelled);
+  }
+
+  /**
+   * Get the index of the phase a resumed session starts executing from
+   * @param {Object} pipeline - Pipeline definition
+   * @param {Object} [resume] - Resume options ({ fromPhase })
+   * @returns {number} Phase index, 0 for a fresh session
+   */
+  getResumeIndex(pipeline, resume) {
+    if (!resume) return 0;
+
+    const index = pipeline.phases.findIndex(phase => phase.id === resume.fromPhase);
+    if (index === -1) {
+      throw new Error(`Phase "${resume.fromPhase}" is not part of the "${pipeline.key}" pipeline`);
+    }
+    return index;
+  }
+
+  /**
+   * Get the concurrency cap for a parallel phase
+   * @param {Object} phase - Phase definition
+   * @returns {number} Max agents in flight
+   */
+  getConcurrency(phase) {
+    return phase.concurrency || this.concurrency;
+  }
+
+  /**
+   * Execute an ideation session by running each phase of a pipeline
    * @param {string} prompt - User prompt for ideation
    * @param {Array} context - Conversation context
-   * @returns {Promise<Object>} Ideation results from all agents
+   * @param {Object} options - Session options (see createSession)
+   * @param {string} [options.pipeline] - Pipeline key, defaults to the configured default
+   * @param {string} [options.depth] - `quick` or `deep` (see adaptPipeline)
+   * @param {Object} [options.budget] - Token, cost and time limits; defaults to config.BUDGET
+   * @param {Array<string>} [options.checkpoints] - Phase ids after which to wait for the user's review
+   *   (see submitCheckpoint); time spent waiting does not count against time limits
+   * @param {Object} [options.memory] - Recalled memories as a context message (see MemoryService)
+   * @param {Object} [options.resume] - Re-run a stored session from one of its phases
+   * @param {string} options.resume.fromPhase - First phase id to execute again
+   * @param {Object} options.resume.sessionData - Stored phase results keyed by phase id, reused for earlier phases
+   * @param {string} [options.resume.parentSessionId] - Session being re-run
+   * @returns {Promise<Object>} Final summary and its structured report, per-phase results keyed by phase id, per-phase timings, token usage,
+   *   budget report, checkpoint reviews, every agent turn, the command options it ran with (agents, depth, ideas) and session id
    */
-  async executeIdeationSession(prompt, context = []) {
-    const startTime = Date.now();
+  async executeIdeationSession(prompt, context = [], options = {}) {
+    const pipeline = this.adaptPipeline(this.pipelines.get(options.pipeline), options);
+    const resumeIndex = this.getResumeIndex(pipeline, options.resume);
+    const session = this.createSession(prompt, { ...options, roles: pipeline.roles });
+    this.activeSessions.set(session.id, session);
     
     try {
-      logger.info('Starting 4-phase ideation session', {
+      logger.info(`Starting "${pipeline.key}" ideation session`, {
+        sessionId: session.id,
         prompt: prompt.substring(0, 100),
         contextLength: context.length,
-        timeLimit: this.timeLimit
+        phases: pipeline.phases.map(phase => phase.id)
       });
+      this.emitProgress(session, 'session_started', { prompt: prompt.substring(0, 100), pipeline: pipeline.key });
 
-      let sessionResults = { 
-        phase1: null, 
-        phase2: [], 
-        phase3: null, 
-        final: null 
-      };
+      // Older conversation is folded into a summary once it outgrows its token budget
+      context = await this.contextManager.compactConversation(context, {
+        conversationId: session.conversationId,
+        usage: session.usage,
+        signal: session.abortController.signal
+      });
+      if (options.memory) {
+        context = [...context, options.memory];
+      }
 
-      // Phase 1: Fixed sequence - Creative → Logical → Reasoning
-      logger.info('=== PHASE 1: INITIAL IDEATION (Creative → Logical → Reasoning) ===');
-      sessionResults.phase1 = await this.executePhase1(prompt, context);
-      
-      // Phase 2: 60-second randomized agents (no back-to-back repeats)
-      logger.info('=== PHASE 2: RANDOMIZED EXPANSION (60 seconds) ===');
-      const phase2StartTime = Date.now();
-      sessionResults.phase2 = await this.executePhase2(prompt, context, sessionResults.phase1, phase2StartTime);
-      
-      // Phase 3: Fixed sequence refinement - Creative → Logical → Reasoning  
-      logger.info('=== PHASE 3: REFINEMENT (Creative → Logical → Reasoning) ===');
-      sessionResults.phase3 = await this.executePhase3(prompt, context, sessionResults.phase1, sessionResults.phase2);
-      
-      // Phase 4: Final Summary Agent
-      logger.info('=== PHASE 4: FINAL EVALUATION & SYNTHESIS ===');
-      const finalResult = await this.executeFinalSummary(prompt, context, sessionResults);
+      const history = [];
+      const timings = { totalMs: 0, phases: {} };
+      let finalResult = null;
 
-      return finalResult;
+      for (const [index, phase] of pipeline.phases.entries()) {
+        // Phases before the resume point keep their stored results
+        if (index < resumeIndex) {
+          const stored = options.resume.sessionData?.[phase.id];
+          if (stored) {
+            history.push({ phase, result: stored });
+            this.emitProgress(session, 'phase_reused', { phase: phase.id, label: phase.label });
+          }
+          continue;
+        }
+
+        // Once the session is cancelled, or the budget or the pipeline's time is spent, go straight to the summary
+        if (phase.type !== 'summary' && this.isCancelled(session)) {
+          this.emitProgress(session, 'phase_skipped', { phase: phase.id, label: phase.label, reason: 'cancelled' });
+          continue;
+        }
+        const exhausted = phase.type !== 'summary' && this.checkBudget(session);
+        if (exhausted) {
+          this.emitProgress(session, 'phase_skipped', { phase: phase.id, label: phase.label, reason: 'budget', limit: exhausted.limit });
+          continue;
+        }
+        if (phase.type !== 'summary' && Date.now() >= this.getPipelineDeadline(pipeline, session)) {
+          logger.warn(`Skipping ${phase.id}: pipeline time limit reached`, { sessionId: session.id });
+          this.emitProgress(session, 'phase_skipped', { phase: phase.id, label: phase.label, reason: 'time_limit' });
+          continue;
+        }
+        if (!this.hasParticipants(phase, session)) {
+          logger.info(`Skipping ${phase.id}: none of its agents were selected`, { sessionId: session.id, agents: session.agents });
+          this.emitProgress(session, 'phase_skipped', { phase: phase.id, label: phase.label, reason: 'agents' });
+          continue;
+        }
+
+        logger.info(`=== ${phase.label.toUpperCase()} ===`);
+        this.startPhase(session, phase);
+        const phaseStart = Date.now();
+        const firstRun = session.agentRuns.length;
+
+        // A cancelled session still gets its summary; cancelling again aborts it
+        if (phase.type === 'summary' && this.isCancelled(session)) {
+          session.abortController = new AbortController();
+        }
+
+        // Earlier phases that outgrew the history budget are replaced by summaries
+        await this.contextManager.compactHistory(history, {
+          format: entry => this.formatPhaseResult(entry.phase, entry.result, entry.review),
+          usage: session.usage,
+          signal: session.abortController.signal
+        });
+
+        if (phase.type === 'summary') {
+          finalResult = await this.executeFinalSummary(prompt, context, phase, history, session);
+        } else {
+          const result = phase.type === 'loop'
+            ? await this.executeLoopPhase(prompt, context, phase, history, this.getPipelineDeadline(pipeline, session), session)
+            : phase.type === 'debate'
+            ? await this.executeDebatePhase(prompt, context, phase, history, this.getPipelineDeadline(pipeline, session), session)
+            : await this.executeChainPhase(prompt, context, phase, history, session);
+          // A phase cancelled before any agent finished contributes nothing
+          if (!this.isCancelled(session) || (phase.type === 'debate' ? result.nodes : Object.keys(result)).length) {
+            history.push({ phase, result });
+          }
+        }
+
+        timings.phases[phase.id] = this.summarizePhaseTiming(phase, Date.now() - phaseStart, session.agentRuns.slice(firstRun));
+        this.emitProgress(session, 'phase_completed', { phase: phase.id, ...timings.phases[phase.id] });
+
+        // Interactive sessions wait for the user to review the phase's ideas
+        // before the next phase's context is built
+        const completed = history[history.length - 1];
+        if (session.checkpoints.has(phase.id) && completed?.phase === phase && !this.isCancelled(session)) {
+          completed.review = await this.waitForCheckpoint(session, phase, completed.result);
+        }
+      }
+
+      timings.totalMs = Date.now() - session.startTime;
+
+      // Agent outputs that are canned fallback text rather than model output
+      const fallbacks = session.agentRuns
+        .filter(run => run.fallback)
+        .map(run => ({ agent: run.agent, phase: run.phase }));
+      if (fallbacks.length) {
+        logger.warn(`Session finished with ${fallbacks.length} fallback agent outputs`, { sessionId: session.id, fallbacks });
+      }
+
+      const sessionData = {};
+      history.forEach(({ phase, result }) => {
+        sessionData[phase.id] = result;
+      });
+
+      const usage = session.usage.toJSON();
+      const budget = session.budget.toJSON(session.usage.totals, this.getActiveStart(session));
+      this.emitProgress(session, 'session_completed', {
+        chars: finalResult.content?.length || 0,
+        fallback: fallbacks.length > 0,
+        totalTokens: usage.totalTokens,
+        cost: usage.cost,
+        stoppedBy: budget.stoppedBy,
+        cancelled: this.isCancelled(session)
+      });
+      return {
+        ...finalResult,
+        sessionData,
+        pipeline: pipeline.key,
+        totalPhases: pipeline.phases.length,
+        timings,
+        fallback: fallbacks.length > 0,
+        fallbacks,
+        usage,
+        budget,
+        cancelled: session.cancelled,
+        checkpoints: session.reviews,
+        turns: session.agentRuns,
+        parentSessionId: options.resume?.parentSessionId || null,
+        resumedFrom: options.resume ? options.resume.fromPhase : null,
+        model: session.model,
+        options: { agents: session.agents, depth: options.depth || null, ideas: session.ideas },
+        prompt,
+        startedAt: new Date(session.startTime).toISOString(),
+        sessionId: session.id
+      };
 
     } catch (error) {
       logger.error('Ideation session failed', { 
+        sessionId: session.id,
         message: error.message,
         name: error.name
       });
+      this.emitProgress(session, 'session_failed', { error: error.message });
       throw new Error(`Ideation session failed: ${error.message}`);
+    } finally {
+      this.activeSessions.delete(session.id);
     }
   }
 
   /**
-   * Phase 1: Creative → Logical → Reasoning (fixed sequence)
+   * Adapt a pipeline to a session's command options: `agents` drops the
+   * chain steps and loop turns of every other agent (the summary agent
+   * always runs, and phases left without agents are skipped); `depth`
+   * scales loop iterations and time limits and debate rounds
+   * (see DEPTH_SCALES). The pipeline itself is not changed.
+   * @param {Object} pipeline - Pipeline definition
+   * @param {Object} [options] - Session options
+   * @param {Array<string>} [options.agents] - Agents that take part
+   * @param {string} [options.depth] - `quick` or `deep`
+   * @returns {Object} The adapted pipeline, or the pipeline itself when no option applies
    */
-  async executePhase1(prompt, context) {
-    let results = { creative: null, logical: null, reasoning: null };
-    
-    // Step 1: Creative Agent generates initial ideas
-    logger.info('Phase 1.1: Creative Agent - Initial brainstorming');
-    results.creative = await this.executeAgent('creative', 'phase1_creative', prompt, context);
-    
-    // Step 2: Logical Agent evaluates creative ideas
-    logger.info('Phase 1.2: Logical Agent - Initial evaluation');
-    const logicalPrompt = `Original request: "${prompt}"\n\nCreative Agent's Initial Ideas:\n${results.creative || 'No creative output'}\n\nProvide logical evaluation, feasibility assessment, and identify potential challenges.`;
-    results.logical = await this.executeAgent('logical', 'phase1_logical', logicalPrompt, context);
-    
-    // Step 3: Reasoning Agent analyzes everything
-    logger.info('Phase 1.3: Reasoning Agent - Analytical reasoning');
-    const reasoningPrompt = `Original request: "${prompt}"\n\nCreative Ideas:\n${results.creative || 'No creative output'}\n\nLogical Evaluation:\n${results.logical || 'No logical evaluation'}\n\nProvide structured analytical reasoning and identify implementation pathways.`;
-    results.reasoning = await this.executeAgent('reasoning', 'phase1_reasoning', reasoningPrompt, context);
-    
-    return results;
+  adaptPipeline(pipeline, { agents, depth } = {}) {
+    if (!agents && !DEPTH_SCALES[depth]) return pipeline;
+
+    const allowed = agent => !agents || agents.includes(agent);
+    const scale = value => value && Math.max(1, Math.round(value * (DEPTH_SCALES[depth] || 1)));
+    const phases = pipeline.phases.map((phase) => {
+      switch (phase.type) {
+        case 'chain':
+          return {
+            ...phase,
+            steps: phase.steps
+              .filter(step => allowed(step.agent))
+              .map(step => (step.dependsOn ? { ...step, dependsOn: step.dependsOn.filter(allowed) } : step))
+          };
+        case 'loop':
+          return {
+            ...phase,
+            agents: phase.agents.filter(allowed),
+            maxIterations: scale(phase.maxIterations),
+            timeLimitMs: scale(phase.timeLimitMs)
+          };
+        case 'debate':
+          return { ...phase, rounds: Math.min(5, scale(phase.rounds)) };
+        default:
+          return phase;
+      }
+    });
+
+    return { ...pipeline, phases, timeLimitMs: scale(pipeline.timeLimitMs) };
+  }
+
+  /**
+   * Whether any agent is left to run a phase once the session's `agents`
+   * are applied; a debate needs all three of its roles
+   * @param {Object} phase - Phase definition from adaptPipeline
+   * @param {Object} session - Session state
+   * @returns {boolean} False when the phase should be skipped
+   */
+  hasParticipants(phase, session) {
+    switch (phase.type) {
+      case 'chain':
+        return phase.steps.length + this.getCustomSteps(phase, session).length > 0;
+      case 'loop':
+        return phase.agents.length + this.getParticipants(phase, session).length > 0;
+      case 'debate':
+        return !session.agents || [phase.proposer, phase.critic, phase.judge].every(agent => session.agents.includes(agent));
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Chain phase: run a fixed list of agent steps. A step starts once the
+   * steps it depends on have finished and sees only their output. In
+   * sequential mode each step depends on every earlier step; in parallel
+   * mode steps depend only on their explicit dependsOn list and run
+   * concurrently up to the phase's concurrency cap.
+   * @param {string} prompt - User prompt
+   * @param {Array} context - Conversation context
+   * @param {Object} phase - Chain phase definition
+   * @param {Array} history - Completed phases as { phase, result }
+   * @param {Object} [session] - Session state
+   * @returns {Promise<Object>} Agent outputs keyed by agent type, in step order (skipped steps omitted)
+   */
+  async executeChainPhase(prompt, context, phase, history, session = null) {
+    const parallel = phase.mode === 'parallel';
+    const steps = [...phase.steps, ...this.getCustomSteps(phase, session)];
+    const tasks = steps.map((step, index) => ({
+      id: step.agent,
+      step,
+      index,
+      dependsOn: step.dependsOn || (parallel ? [] : steps.slice(0, index).map(earlier => earlier.agent))
+    }));
+
+    const outputs = await runTaskGraph(tasks, ({ step, index, dependsOn }, results) => {
+      // Steps not yet started when the session is cancelled or the budget runs out are skipped
+      if (this.isCancelled(session) || this.checkBudget(session)) return null;
+
+      logger.info(`${phase.id}.${index + 1}: ${this.getAgentName(step.agent)} Agent`);
+      const previous = Object.fromEntries(dependsOn.map(dep => [dep, results[dep]]));
+      const stepPrompt = this.buildStepPrompt(prompt, step, history, previous);
+      return this.executeAgent(step.agent, step.phase || `${phase.id}_${step.agent}`, stepPrompt, context, session, {
+        modifier: step.modifier
+      });
+    }, parallel ? this.getConcurrency(phase) : 1);
+
+    return Object.fromEntries(steps
+      .filter(step => outputs[step.agent] !== null)
+      .map(step => [step.agent, outputs[step.agent]]));
+  }
+
+  /**
+   * Custom agents that join a phase, limited to the session's `agents`
+   * when it names them
+   * @param {Object} phase - Phase definition
+   * @param {Object} [session] - Session state
+   * @returns {Array<Object>} Participating agents
+   */
+  getParticipants(phase, session = null) {
+    return this.agentRegistry.getParticipants(phase.id)
+      .filter(agent => !session?.agents || session.agents.includes(agent.key));
+  }
+
+  /**
+   * Steps for custom agents that join a chain phase, run after the
+   * pipeline's own steps
+   * @param {Object} phase - Chain phase definition
+   * @param {Object} [session] - Session state
+   * @returns {Array<Object>} Extra steps
+   */
+  getCustomSteps(phase, session = null) {
+    return this.getParticipants(phase, session)
+      .filter(agent => !phase.steps.some(step => step.agent === agent.key))
+      .map(agent => ({
+        agent: agent.key,
+        instruction: `Review the work above as the ${agent.name} and add the perspective the other agents missed.`
+      }));
   }
 
   /**
-   * Phase 2: 60 seconds of randomized agents with weighted balanced selection (no back-to-back repeats)
+   * Loop phase: randomized agents with weighted balanced selection (no
+   * back-to-back repeats) until maxIterations, the time limit or the
+   * session budget is reached.
+   * In parallel mode each round runs several distinct agents at once, all
+   * building on the expansions from earlier rounds.
+   * @param {string} prompt - User prompt
+   * @param {Array} context - Conversation context
+   * @param {Object} phase - Loop phase definition
+   * @param {Array} history - Completed phases as { phase, result }
+   * @param {number} pipelineDeadline - Timestamp after which no new iteration starts
+   * @param {Object} [session] - Session state
+   * @returns {Promise<Array>} Expansion results in order
    */
-  async executePhase2(prompt, context, phase1Results, startTime) {
-    const phase2TimeLimit = 60000; // 60 seconds
+  async executeLoopPhase(prompt, context, phase, history, pipelineDeadline = Infinity, session = null) {
+    const startTime = Date.now();
+    const deadline = Math.min(phase.timeLimitMs ? startTime + phase.timeLimitMs : Infinity, pipelineDeadline);
     let expansionResults = [];
     let lastAgent = null;
     let iterationCount = 0;
     
-    const agents = ['creative', 'logical', 'reasoning'];
+    const agents = [
+      ...phase.agents,
+      ...this.getParticipants(phase, session).map(agent => agent.key).filter(key => !phase.agents.includes(key))
+    ];
+    const roundSize = phase.mode === 'parallel' ? Math.max(1, Math.min(this.getConcurrency(phase), agents.length - 1)) : 1;
     // Track usage count for balanced selection
-    let agentUsageCount = { creative: 0, logical: 0, reasoning: 0 };
+    let agentUsageCount = Object.fromEntries(agents.map(agent => [agent, 0]));
     
-    while (Date.now() - startTime < phase2TimeLimit && iterationCount < 10) {
-      iterationCount++;
-      
-      // Select agent using weighted balanced approach (excluding last agent)
-      let availableAgents = agents.filter(agent => agent !== lastAgent);
-      const selectedAgent = this.selectBalancedAgent(availableAgents, agentUsageCount);
-      
-      logger.info(`Phase 2.${iterationCount}: ${selectedAgent.toUpperCase()} Agent - Expansion iteration`);
+    while (Date.now() < deadline && iterationCount < phase.maxIterations && !this.isCancelled(session) && !this.checkBudget(session)) {
+      // Select distinct agents using weighted balanced approach (excluding last agent)
+      const round = [];
+      while (round.length < Math.min(roundSize, phase.maxIterations - iterationCount)) {
+        // A single agent (see adaptPipeline) follows itself
+        const availableAgents = agents.filter(agent => (agent !== lastAgent || agents.length === 1) && !round.includes(agent));
+        round.push(this.selectBalancedAgent(availableAgents, agentUsageCount));
+      }
       
-      // Build comprehensive context with all previous work
-      let expansionContext = this.buildExpansionContext(prompt, phase1Results, expansionResults);
+      // Every agent in the round builds on the same, complete earlier work
+      const expansionContext = this.buildExpansionContext(prompt, history, expansionResults, phase.instruction);
       
-      const response = await this.executeAgent(selectedAgent, `phase2_${selectedAgent}`, expansionContext, context);
+      const responses = await Promise.all(round.map((selectedAgent) => {
+        iterationCount++;
+        const iteration = iterationCount;
+        logger.info(`${phase.id}.${iteration}: ${selectedAgent.toUpperCase()} Agent - Expansion iteration`);
+        this.emitProgress(session, 'iteration_started', { phase: phase.id, iteration, agent: selectedAgent });
+        
+        return this.executeAgent(selectedAgent, `${phase.id}_${selectedAgent}`, expansionContext, context, session, {
+          modifier: phase.modifiers?.[selectedAgent],
+          iteration
+        }).then(content => ({ agent: selectedAgent, iteration, content }));
+      }));
       
-      if (response) {
+      responses.forEach(({ agent, iteration, content }) => {
+        if (!content) return;
+
         expansionResults.push({
-          agent: selectedAgent,
-          iteration: iterationCount,
-          content: response,
+          agent,
+          iteration,
+          content,
           timestamp: Date.now() - startTime
         });
         
         // Track usage for balanced selection
-        agentUsageCount[selectedAgent]++;
-      }
+        agentUsageCount[agent]++;
+      });
       
-      lastAgent = selectedAgent;
+      lastAgent = round[round.length - 1];
     }
     
-    logger.info(`Phase 2 completed with ${expansionResults.length} expansion iterations in ${(Date.now() - startTime)/1000}s`);
-    logger.info(`Phase 2 agent usage: Creative: ${agentUsageCount.creative}, Logical: ${agentUsageCount.logical}, Reasoning: ${agentUsageCount.reasoning}`);
+    logger.info(`${phase.id} completed with ${expansionResults.length} expansion iterations in ${(Date.now() - startTime)/1000}s`);
+    logger.info(`${phase.id} agent usage: ${agents.map(agent => `${agent}: ${agentUsageCount[agent]}`).join(', ')}`);
     return expansionResults;
   }
 
+  /**
+   * Debate phase: the proposer states claims, the critic objects to specific
+   * claims or rebuttals, and the proposer must answer every objection, for
+   * up to phase.rounds rounds. The judge then rules on each claim. Every
+   * argument is kept as a node of the phase's argument graph
+   * (see utils/argumentGraph). The debate ends early when the critic raises
+   * no new objection, or on cancel, budget or time limit.
+   * @param {string} prompt - Original user prompt
+   * @param {Array} context - Conversation context
+   * @param {Object} phase - Debate phase definition
+   * @param {Array} history - Completed phases as { phase, result }
+   * @param {number} pipelineDeadline - Timestamp after which no new round starts
+   * @param {Object} [session] - Session state
+   * @returns {Promise<Object>} Argument graph as { nodes, summary }
+   */
+  async executeDebatePhase(prompt, context, phase, history, pipelineDeadline = Infinity, session = null) {
+    const { proposer, critic, judge } = phase;
+    const deadline = Math.min(phase.timeLimitMs ? Date.now() + phase.timeLimitMs : Infinity, pipelineDeadline);
+    const graph = { nodes: [], summary: '' };
+    const stopped = () => this.isCancelled(session) || Boolean(this.checkBudget(session)) || Date.now() >= deadline;
+
+    // Runs one debate step and adds its arguments to the graph
+    const argue = async (agent, step, round) => {
+      const response = await this.executeAgent(agent, `${phase.id}_${step}`, this.buildDebatePrompt(prompt, history, graph, step, round), context, session, {
+        modifier: phase.modifiers?.[agent],
+        iteration: round || undefined
+      });
+      if (!response) return null;
+
+      const { items, errors } = parseArguments(graph, step, response);
+      if (errors.length) {
+        logger.warn(`${phase.id} ${step} did not fully match the argument format`, { agent, errors });
+      }
+      return addArguments(graph, ARGUMENT_STEPS[step].type, items, { agent, round });
+    };
+
+    const claims = await argue(proposer, 'proposal', 0);
+    let rounds = 0;
+    while (claims?.length && rounds < phase.rounds && !stopped()) {
+      rounds++;
+      this.emitProgress(session, 'debate_round', { phase: phase.id, round: rounds, rounds: phase.rounds });
+
+      const objections = await argue(critic, 'critique', rounds);
+      // The critic has nothing left to attack
+      if (!objections?.length || stopped()) break;
+
+      await argue(proposer, 'rebuttal', rounds);
+      const unanswered = getOpenObjections(graph);
+      if (unanswered.length) {
+        logger.warn(`${phase.id} round ${rounds}: ${unanswered.length} objections left without a rebuttal`, {
+          objections: unanswered.map(node => node.id)
+        });
+      }
+    }
+
+    if (claims?.length && !this.isCancelled(session) && !this.checkBudget(session)) {
+      const ruling = await this.executeAgent(judge, `${phase.id}_adjudication`, this.buildDebatePrompt(prompt, history, graph, 'adjudication'), context, session, {
+        modifier: phase.modifiers?.[judge]
+      });
+      const errors = ruling ? applyVerdicts(graph, ruling, judge) : [];
+      if (errors.length) {
+        logger.warn(`${phase.id} adjudication did not fully match the verdict format`, { agent: judge, errors });
+      }
+    }
+
+    logger.info(`${phase.id} completed after ${rounds} debate rounds with ${graph.nodes.length} arguments`);
+    return graph;
+  }
+
+  /**
+   * Build the prompt for one debate step: the earlier phases, the debate
+   * so far and the step's role
+   * @param {string} prompt - Original user prompt
+   * @param {Array} history - Completed phases as { phase, result }
+   * @param {Object} graph - Argument graph so far
+   * @param {string} step - proposal, critique, rebuttal or adjudication
+   * @param {number} [round] - Current debate round
+   * @returns {string} Step prompt
+   */
+  buildDebatePrompt(prompt, history, graph, step, round) {
+    const agentName = agent => this.getAgentName(agent);
+    let stepPrompt = history.length
+      ? this.buildRefinementContext(prompt, history)
+      : `Original Request: "${prompt}"\n\n`;
+
+    if (graph.nodes.length) {
+      stepPrompt += `=== DEBATE SO FAR ===\n${formatArgumentThreads(graph, { agentName })}`;
+    }
+
+    const roles = {
+      proposal: 'PROPOSER: Propose your best idea for the request as 3-5 specific claims (what it is, why it works, how it would be done) that a critic can challenge.',
+      critique: `CRITIC (round ${round}): Attack specific claims or rebuttals above by their id. Name the flaw, the missing evidence or the risk in each. Raise only objections that still stand; return an empty list when none do.`,
+      rebuttal: `PROPOSER (round ${round}): Answer EVERY open objection (${getOpenObjections(graph).map(node => node.id).join(', ')}) by its id. Defend the claim with evidence, concede the point or revise the claim.`,
+      adjudication: 'JUDGE: Weigh each claim against its objections and rebuttals. Rule every claim upheld, revised (it survives only in the form the rebuttals gave it) or refuted, and summarize the outcome.'
+    };
+
+    return `${stepPrompt}=== YOUR ROLE: ${roles[step]}\n\n${getArgumentFormat(step)}`;
+  }
+
   /**
    * Select agent using weighted balanced approach - prioritizes least-used agents
    * @param {Array} availableAgents - Agents available for selection (excluding last agent)
@@ -209,162 +903,341 @@ class AgentOrchestrator {
     return selectedAgent;
   }
 
+
   /**
-   * Phase 3: Creative → Logical → Reasoning (refinement sequence) 
+   * Build the prompt for one chain step
+   * @param {string} prompt - Original user prompt
+   * @param {Object} step - Step definition
+   * @param {Array} history - Completed phases as { phase, result }
+   * @param {Object} previous - Outputs of earlier steps in the same phase
+   * @returns {string} Step prompt
    */
-  async executePhase3(prompt, context, phase1Results, phase2Results) {
-    let results = { creative: null, logical: null, reasoning: null };
-    
-    // Build comprehensive context from phases 1 and 2
-    const refinementContext = this.buildRefinementContext(prompt, phase1Results, phase2Results);
-    
-    // Step 1: Creative Agent refines and polishes ideas
-    logger.info('Phase 3.1: Creative Agent - Final refinement');
-    const creativePrompt = refinementContext + '\n\nRefine and polish the creative concepts with final innovative touches.';
-    results.creative = await this.executeAgent('creative', 'phase3_creative', creativePrompt, context);
-    
-    // Step 2: Logical Agent provides final evaluation
-    logger.info('Phase 3.2: Logical Agent - Final logical assessment');
-    const logicalPrompt = refinementContext + `\n\nRefined Creative Concepts:\n${results.creative || 'No refined creative output'}\n\nProvide final logical assessment with detailed implementation recommendations.`;
-    results.logical = await this.executeAgent('logical', 'phase3_logical', logicalPrompt, context);
-    
-    // Step 3: Reasoning Agent provides comprehensive analysis
-    logger.info('Phase 3.3: Reasoning Agent - Final analytical synthesis');
-    const reasoningPrompt = refinementContext + `\n\nRefined Creative:\n${results.creative || 'No creative output'}\n\nFinal Logical Assessment:\n${results.logical || 'No logical assessment'}\n\nProvide comprehensive analytical synthesis and structured recommendations.`;
-    results.reasoning = await this.executeAgent('reasoning', 'phase3_reasoning', reasoningPrompt, context);
-    
-    return results;
+  buildStepPrompt(prompt, step, history, previous) {
+    const earlier = Object.entries(previous).filter(([, output]) => output);
+
+    // The very first step of a pipeline works from the raw request
+    if (!history.length && !earlier.length && !step.instruction) {
+      return prompt;
+    }
+
+    let stepPrompt = history.length
+      ? this.buildRefinementContext(prompt, history)
+      : `Original request: "${prompt}"\n\n`;
+
+    earlier.forEach(([agent, output]) => {
+      stepPrompt += `${this.getAgentName(agent)} Agent Output:\n${output}\n\n`;
+    });
+
+    return stepPrompt + (step.instruction || '');
+  }
+
+  /**
+   * Format one completed phase's result as prompt text. With a checkpoint
+   * review, discarded ideas are left out, starred ones are marked and the
+   * user's own ideas and notes follow.
+   * @param {Object} phase - Phase definition
+   * @param {Object|Array} result - Chain outputs by agent, loop expansion list or argument graph
+   * @param {Object} [review] - Checkpoint review ({ starred, discarded, added, notes })
+   * @returns {string} Formatted text
+   */
+  formatPhaseResult(phase, result, review = null) {
+    const discarded = new Set(review?.discarded);
+    const star = key => (review?.starred.includes(getIdeaId(phase, key)) ? '⭐ ' : '');
+
+    const text = phase.type === 'loop'
+      ? result
+        .filter(entry => !discarded.has(getIdeaId(phase, entry.iteration)))
+        .map(entry => `${star(entry.iteration)}${entry.agent.toUpperCase()} Expansion ${entry.iteration}:\n${entry.content}\n\n`)
+        .join('')
+      : phase.type === 'debate'
+      ? formatArgumentThreads(result, {
+        agentName: agent => this.getAgentName(agent),
+        isHidden: id => discarded.has(getIdeaId(phase, id)),
+        isStarred: id => Boolean(star(id))
+      })
+      : Object.entries(result)
+        .filter(([agent, output]) => output && !discarded.has(getIdeaId(phase, agent)))
+        .map(([agent, output]) => `${star(agent)}${this.getAgentName(agent)}: ${output}\n\n`)
+        .join('');
+
+    return text + this.formatReview(review);
   }
 
   /**
-   * Build expansion context for Phase 2
+   * Format the user's checkpoint review for the prompts of later phases
+   * @param {Object} [review] - Checkpoint review
+   * @returns {string} Review text, empty when the user gave none
    */
-  buildExpansionContext(prompt, phase1Results, expansionResults) {
+  formatReview(review) {
+    if (!review) return '';
+
+    let text = '';
+    if (review.starred.length) {
+      text += 'The user starred the ideas marked ⭐: develop these first.\n\n';
+    }
+    if (review.added.length) {
+      text += `Ideas added by the user:\n${review.added.map(idea => `- ${idea}`).join('\n')}\n\n`;
+    }
+    if (review.notes) {
+      text += `User steering notes: ${review.notes}\n\n`;
+    }
+    return text;
+  }
+
+  /**
+   * Build expansion context for a loop phase
+   * @param {string} prompt - Original user prompt
+   * @param {Array} history - Completed phases as { phase, result }
+   * @param {Array} expansionResults - Expansions so far in this phase
+   * @param {string} [instruction] - Closing instruction from the phase definition
+   * @returns {string} Expansion context
+   */
+  buildExpansionContext(prompt, history, expansionResults, instruction) {
     let context = `Original Request: "${prompt}"\n\n`;
     
-    context += '=== PHASE 1 FOUNDATION ===\n';
-    if (phase1Results.creative) context += `Creative Foundation:\n${phase1Results.creative}\n\n`;
-    if (phase1Results.logical) context += `Logical Foundation:\n${phase1Results.logical}\n\n`;
-    if (phase1Results.reasoning) context += `Reasoning Foundation:\n${phase1Results.reasoning}\n\n`;
+    if (history.length > 0) {
+      context += '=== FOUNDATION ===\n';
+      history.forEach((entry) => {
+        context += `${entry.phase.label}:\n${this.formatHistoryEntry(entry)}`;
+      });
+    }
     
     if (expansionResults.length > 0) {
-      context += '=== PHASE 2 EXPANSIONS ===\n';
-      expansionResults.forEach((result, index) => {
-        context += `${result.agent.toUpperCase()} Expansion ${result.iteration}:\n${result.content}\n\n`;
-      });
+      context += '=== EXPANSIONS ===\n';
+      context += this.formatPhaseResult({ type: 'loop' }, expansionResults);
     }
     
-    context += 'Build upon ALL the above work. Expand, enhance, and add new dimensions to the evolving ideas.';
+    context += instruction || 'Build upon ALL the above work. Expand, enhance, and add new dimensions to the evolving ideas.';
     return context;
   }
 
   /**
-   * Build refinement context for Phase 3
+   * Build the full history of completed phases, used by later chain phases
+   * and the final summary
+   * @param {string} prompt - Original user prompt
+   * @param {Array} history - Completed phases as { phase, result }
+   * @returns {string} Refinement context
    */
-  buildRefinementContext(prompt, phase1Results, phase2Results) {
+  buildRefinementContext(prompt, history) {
     let context = `Original Request: "${prompt}"\n\n`;
     
     context += '=== COMPLETE IDEATION HISTORY ===\n\n';
     
-    context += 'PHASE 1 - FOUNDATION:\n';
-    if (phase1Results.creative) context += `Creative: ${phase1Results.creative}\n\n`;
-    if (phase1Results.logical) context += `Logical: ${phase1Results.logical}\n\n`;
-    if (phase1Results.reasoning) context += `Reasoning: ${phase1Results.reasoning}\n\n`;
-    
-    if (phase2Results.length > 0) {
-      context += 'PHASE 2 - EXPANSIONS:\n';
-      phase2Results.forEach((result) => {
-        context += `${result.agent.toUpperCase()} (${result.timestamp}ms): ${result.content}\n\n`;
-      });
-    }
+    history.forEach((entry) => {
+      context += `${entry.phase.label.toUpperCase()}:\n${this.formatHistoryEntry(entry)}`;
+    });
     
     return context;
   }
 
   /**
-   * Phase 4: Final Summary Agent - Feasibility/Innovation evaluation, picks 1-2 ideas, full summary
+   * Format a completed phase for later prompts: its summary once the
+   * history outgrew its token budget (see ContextManager.compactHistory),
+   * otherwise its full result
+   * @param {Object} entry - History entry as { phase, result, review, digest }
+   * @returns {string} Formatted text
+   */
+  formatHistoryEntry({ phase, result, review, digest }) {
+    return digest
+      ? `(Summarized to fit the context window)\n${digest}\n\n`
+      : this.formatPhaseResult(phase, result, review);
+  }
+
+  /**
+   * Final summary phase: evaluate all completed phases and pick 1-2 ideas.
+   * The agent answers with JSON in the phase's format (see
+   * utils/summaryFormats; the full report by default); a response that
+   * fails validation gets one repair attempt, after which the raw text is
+   * used as-is. A valid full report's ideas are then scored by the
+   * evaluator agents (see executeIdeaEvaluation).
+   * @param {string} prompt - Original user prompt
+   * @param {Array} context - Conversation context
+   * @param {Object} phase - Summary phase definition
+   * @param {Array} history - Completed phases as { phase, result }
+   * @param {Object} [session] - Session state
+   * @returns {Promise<Object>} Markdown content and the validated report (null when unstructured)
    */
-  async executeFinalSummary(prompt, context, sessionResults) {
-    logger.info('Phase 4: Final Summary Agent - Comprehensive evaluation and synthesis');
+  async executeFinalSummary(prompt, context, phase, history, session = null) {
+    // Nothing completed before the session was cancelled: nothing to summarize
+    if (this.isCancelled(session) && !history.length) {
+      return { content: this.buildCancelledDigest(history), report: null };
+    }
+
+    const formatName = phase.format || 'report';
+    const format = SUMMARY_FORMATS[formatName];
+    logger.info('Final Summary Agent - Comprehensive evaluation and synthesis', { format: formatName });
+    this.emitProgress(session, 'summary_started', { phase: phase.id, agent: phase.agent });
     
     // Build the ultimate context with ALL session data
-    let summaryContext = `Original Request: "${prompt}"\n\n`;
-    
-    summaryContext += '=== COMPLETE 3-PHASE IDEATION SESSION ===\n\n';
-    
-    // Phase 1 data
-    summaryContext += 'PHASE 1 (Creative → Logical → Reasoning):\n';
-    if (sessionResults.phase1?.creative) summaryContext += `Creative: ${sessionResults.phase1.creative}\n\n`;
-    if (sessionResults.phase1?.logical) summaryContext += `Logical: ${sessionResults.phase1.logical}\n\n`;
-    if (sessionResults.phase1?.reasoning) summaryContext += `Reasoning: ${sessionResults.phase1.reasoning}\n\n`;
+    let summaryContext = this.buildRefinementContext(prompt, history) +
+      (phase.instruction || format.task || this.buildSummaryTask(history));
+    if (this.isCancelled(session)) {
+      summaryContext += '\n\nNOTE: The user stopped this session early. Base the summary only on the phases above and say that the remaining phases did not run.';
+    }
+    summaryContext += `\n\n${format.outputFormat}`;
+    if (session?.ideas && format.ideaCount) {
+      summaryContext += `\n${format.ideaCount(session.ideas)}`;
+    }
+    const parseOptions = { maxIdeas: session?.ideas || undefined };
+
+    const summaryPhase = phase.phase || 'final_summary';
+    const finalSummary = await this.executeAgent(phase.agent, summaryPhase, summaryContext, context, session, {
+      modifier: phase.modifier,
+      maxTokens: 4000,
+      summary: true
+    });
     
-    // Phase 2 data
-    if (sessionResults.phase2.length > 0) {
-      summaryContext += 'PHASE 2 (60-second Randomized Expansion):\n';
-      sessionResults.phase2.forEach((result) => {
-        summaryContext += `${result.agent.toUpperCase()} Agent: ${result.content}\n\n`;
+    // The summary itself was cancelled
+    if (finalSummary === null) {
+      return { content: this.buildCancelledDigest(history), report: null };
+    }
+
+    let { report, errors } = format.parse(finalSummary, parseOptions);
+    // Canned fallback text is never JSON, and a model that just failed won't repair it
+    const fellBack = session?.agentRuns[session.agentRuns.length - 1]?.fallback;
+    if (!report && !fellBack) {
+      logger.warn('Final summary failed validation, asking for a repair', { sessionId: session?.id, errors });
+      this.emitProgress(session, 'summary_repair', { phase: phase.id, errors });
+      const repaired = await this.executeAgent(phase.agent, `${summaryPhase}_repair`, this.buildSummaryRepairPrompt(finalSummary, errors, format), [], session, {
+        modifier: phase.modifier,
+        maxTokens: 4000
       });
+      if (repaired !== null) {
+        ({ report, errors } = format.parse(repaired, parseOptions));
+      }
     }
-    
-    // Phase 3 data  
-    summaryContext += 'PHASE 3 (Final Refinement - Creative → Logical → Reasoning):\n';
-    if (sessionResults.phase3?.creative) summaryContext += `Creative Refinement: ${sessionResults.phase3.creative}\n\n`;
-    if (sessionResults.phase3?.logical) summaryContext += `Logical Refinement: ${sessionResults.phase3.logical}\n\n`;
-    if (sessionResults.phase3?.reasoning) summaryContext += `Reasoning Refinement: ${sessionResults.phase3.reasoning}\n\n`;
-    
-    // Final prompt for summary agent
-    summaryContext += `=== YOUR TASK AS FINAL SUMMARY AGENT ===
-
-You are the Final Summary Agent responsible for synthesizing this entire 4-phase collaborative ideation session. Provide a COMPREHENSIVE and DETAILED final report that includes:
-
-## 1. EXECUTIVE SUMMARY
-- Brief overview of the collaborative ideation process
-- Key themes and patterns that emerged across all phases
-
-## 2. PHASE-BY-PHASE BREAKDOWN
-### Phase 1 - Initial Ideation (Creative → Logical → Reasoning):
-- Summarize each agent's key contributions
-- Highlight initial concepts and core ideas generated
-
-### Phase 2 - Randomized Expansion (60 seconds, 10 iterations):
-- Describe how ideas evolved through random agent interactions
-- Note key expansions, pivots, or new dimensions added
-- Explain the collaborative build-up of concepts
-
-### Phase 3 - Refinement (Creative → Logical → Reasoning):
-- Show how agents refined and polished the concepts
-- Detail final improvements and critical assessments made
-
-## 3. COMPREHENSIVE IDEA DESCRIPTIONS
-For each major idea that emerged:
-- **Detailed Description**: What it is, how it works, key features
-- **Innovation Assessment**: What makes it innovative or unique
-- **Feasibility Analysis**: Technical, market, and implementation considerations
-- **Market Potential**: Target audience, market size, business model
-- **Implementation Complexity**: Development timeline, resources needed
-
-## 4. FINAL RECOMMENDATIONS
-- **Selected Ideas**: Choose 1-2 ideas with detailed justification
-- **Why These Ideas**: Comprehensive reasoning for selections
-- **Implementation Roadmap**: Specific phases, milestones, timelines
-- **Resource Requirements**: Team, funding, partnerships needed
-- **Risk Assessment**: Major risks and mitigation strategies
-
-## 5. NEXT STEPS & ACTION PLAN
-- **Immediate Actions (0-3 months)**: Specific steps to begin
-- **Medium-term Milestones (3-12 months)**: Development phases
-- **Long-term Vision (1-3 years)**: Scale and expansion strategy
-- **Success Metrics**: How to measure progress and success
-
-Make this comprehensive, detailed, and actionable. This is the culmination of extensive AI collaboration and should reflect that depth.`;
-
-    const finalSummary = await this.executeAgent('reasoning', 'final_summary', summaryContext, context);
-    
-    return {
-      content: finalSummary,
-      sessionData: sessionResults,
-      totalPhases: 4
-    };
+
+    if (!report) {
+      logger.warn('Using the unstructured final summary', { sessionId: session?.id, errors });
+      return { content: finalSummary, report: null };
+    }
+
+    if (format.evaluate) {
+      await this.executeIdeaEvaluation(prompt, phase, report, session);
+    }
+    return { content: format.render(report), report: { ...report, format: formatName } };
+  }
+
+  /**
+   * Idea evaluation: each evaluator agent scores every report idea against
+   * the scoring criteria, concurrently. The combined scorecard is added to
+   * each idea as `evaluation` and the criteria used to report.evaluation.
+   * Skipped once the session is cancelled or its budget is spent; an
+   * evaluator whose answer fails validation is left out.
+   * @param {string} prompt - Original user prompt
+   * @param {Object} phase - Summary phase definition; its evaluators override config.SCORING.agents
+   * @param {Object} report - Validated summary report, updated in place
+   * @param {Object} [session] - Session state
+   * @returns {Promise<void>}
+   */
+  async executeIdeaEvaluation(prompt, phase, report, session = null) {
+    const evaluators = (phase.evaluators || config.SCORING.agents).filter(agent => this.agentRegistry.get(agent));
+    if (!evaluators.length || this.isCancelled(session) || this.checkBudget(session)) return;
+
+    logger.info('Idea evaluation - Scoring summary ideas', { sessionId: session?.id, evaluators });
+    this.emitProgress(session, 'evaluation_started', { phase: phase.id, agents: evaluators, ideas: report.ideas.length });
+
+    const task = this.ideaScorer.buildPrompt(prompt, report.ideas);
+    const outputs = await Promise.all(evaluators.map(agent =>
+      this.executeAgent(agent, `evaluation_${agent}`, task, [], session, { maxTokens: 2000 })));
+
+    const evaluations = [];
+    outputs.forEach((output, index) => {
+      if (output === null) return;
+      const { scores, errors } = this.ideaScorer.parse(output, report.ideas.length);
+      if (scores) {
+        evaluations.push({ agent: evaluators[index], scores });
+      } else {
+        logger.warn(`Discarding ${evaluators[index]} idea scores`, { sessionId: session?.id, errors });
+      }
+    });
+
+    if (evaluations.length) {
+      const scorecards = this.ideaScorer.combine(report.ideas, evaluations);
+      report.ideas.forEach((idea, index) => {
+        if (scorecards[index]) idea.evaluation = scorecards[index];
+      });
+      report.evaluation = {
+        agents: evaluations.map(({ agent }) => agent),
+        criteria: this.ideaScorer.criteria
+      };
+    }
+
+    this.emitProgress(session, 'evaluation_completed', {
+      phase: phase.id,
+      agents: evaluations.map(({ agent }) => agent),
+      ranking: report.ideas
+        .filter(idea => idea.evaluation)
+        .sort((a, b) => a.evaluation.rank - b.evaluation.rank)
+        .map(({ title, evaluation }) => ({ title, overall: evaluation.overall, rank: evaluation.rank }))
+    });
+  }
+
+  /**
+   * Summary used when a session is stopped before its final summary could
+   * be written: the completed phases' output as-is
+   * @param {Array} history - Completed phases as { phase, result }
+   * @returns {string} Markdown digest
+   */
+  buildCancelledDigest(history) {
+    if (!history.length) {
+      return '## ⏹️ Session stopped\n\nThe session was stopped before any phase completed.';
+    }
+
+    const phases = history
+      .map(({ phase, result, review }) => `### ${phase.label}\n\n${this.formatPhaseResult(phase, result, review).trim()}`)
+      .join('\n\n');
+    return `## ⏹️ Session stopped\n\nThe session was stopped before the final summary was written. Work completed so far:\n\n${phases}`;
+  }
+
+  /**
+   * Default task for the final summary agent, with a highlight for each
+   * phase that actually ran
+   * @param {Array} history - Completed phases as { phase, result }
+   * @returns {string} Summary task prompt
+   */
+  buildSummaryTask(history) {
+    const breakdown = history
+      .map(({ phase }) => `- ${phase.label}: ${phase.description || 'Summarize the key contributions made in this phase'}`)
+      .join('\n');
+
+    return `=== YOUR TASK AS FINAL SUMMARY AGENT ===
+
+You are the Final Summary Agent responsible for synthesizing this entire ${history.length + 1}-phase collaborative ideation session into a COMPREHENSIVE and DETAILED final report:
+
+- Executive summary: the collaborative process and the key themes and patterns that emerged across all phases
+- Phase highlights, one per phase:
+${breakdown}
+- Every major idea that emerged: what it is, how it works and what makes it innovative, with honest innovation, feasibility and market potential scores
+- Selected ideas: choose 1-2 ideas and justify the choice
+- Major risks with mitigation strategies
+- Implementation roadmap with specific phases, milestones and timelines
+- Next steps: immediate actions (0-3 months), medium-term milestones (3-12 months) and the long-term vision (1-3 years)
+- Success metrics
+
+Make this actionable. This is the culmination of extensive AI collaboration and should reflect that depth.`;
+  }
+
+  /**
+   * Prompt asking the summary agent to fix a response that failed
+   * validation
+   * @param {string} response - The invalid response
+   * @param {Array<string>} errors - Validation errors
+   * @param {Object} [format] - Summary format (see utils/summaryFormats), the full report by default
+   * @returns {string} Repair prompt
+   */
+  buildSummaryRepairPrompt(response, errors, format = SUMMARY_FORMATS.report) {
+    return `Your final summary could not be used because it does not match the required JSON format.
+
+Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Your response:
+${response}
+
+Return the corrected report. Keep its content, fix only the problems above.
+
+${format.outputFormat}`;
   }
 
   /**
@@ -373,102 +1246,176 @@ Make this comprehensive, detailed, and actionable. This is the culmination of ex
    * @param {string} phase - Phase of ideation
    * @param {string} prompt - Prompt for the agent
    * @param {Array} context - Conversation context
-   * @returns {Promise<string>} Agent response
+   * @param {Object} [session] - Session state used for progress events
+   * @param {Object} [options] - Step options
+   * @param {string} [options.modifier] - Phase-specific system prompt addition from the pipeline
+   * @param {number} [options.maxTokens] - Completion token limit (default 1500)
+   * @param {number} [options.iteration] - Loop iteration or debate round, recorded on the transcript
+   * @param {boolean} [options.summary] - The call writes the final summary; its agent_delta and
+   *   agent_retry events carry `summary: true` whatever the phase is named
+   * @returns {Promise<string|null>} Agent response, or null when the session was cancelled
    */
-  async executeAgent(agentType, phase, prompt, context) {
-    const agent = this.agents[agentType];
+  async executeAgent(agentType, phase, prompt, context, session = null, options = {}) {
+    const agent = this.agentRegistry.get(agentType);
     if (!agent) {
       throw new Error(`Agent ${agentType} not configured`);
     }
 
-    if (!this.availableModels.length) {
-      throw new Error('No available models configured');
+    // A session-wide model override (e.g. re-running a summary on another model) replaces the pool
+    const modelPool = session?.model ? [session.model] : this.getModelPool(agent);
+    if (!modelPool.length) {
+      throw new Error(`No ${agent.modelRole === 'reasoning' ? 'reasoning' : 'available'} models configured`);
     }
 
-    if (agentType === 'reasoning' && !this.reasoningModels.length) {
-      throw new Error('No reasoning models configured');
-    }
+    // Captured per call: the final summary of a cancelled session gets a fresh controller
+    const signal = session?.abortController.signal;
+    if (signal?.aborted) return null;
 
-    // Select appropriate model based on agent type
-    const modelPool = agentType === 'reasoning' ? this.reasoningModels : this.availableModels;
-    const model = modelPool[Math.floor(Math.random() * modelPool.length)];
-    
-    logger.info(`[${agent.name.toUpperCase()}] Using model: ${model} for phase: ${phase}`);
+    const systemPrompt = this.buildSystemPrompt(agentType, options.modifier, session?.roles?.[agentType]);
+    const userPrompt = this.buildUserPrompt(prompt, context, phase);
+    const attemptLimit = this.modelRouter.getAttemptLimit(modelPool);
+    const tried = [];
+    const startTime = Date.now();
+    let model = this.modelRouter.select(modelPool);
 
-    try {
-      const systemPrompt = this.buildSystemPrompt(agentType, phase);
-      const userPrompt = this.buildUserPrompt(prompt, context, phase);
-
-      const response = await axios.post(config.API.endpoint, {
-        model: model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: this.getTemperatureForPhase(agentType, phase),
-        max_tokens: phase === 'final_summary' ? 4000 : 1500,
-        stream: false
-      }, {
-        headers: {
-          'Authorization': `Bearer ${config.API.key}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
+    this.emitProgress(session, 'agent_started', { agent: agentType, phase, model });
+
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
+
+    // Try up to attemptLimit different models, healthiest first
+    while (model) {
+      tried.push(model);
+      logger.info(`[${agent.name.toUpperCase()}] Using model: ${model} for phase: ${phase}`);
+      const attemptStart = Date.now();
+      // Output streamed so far, counted when the call is cancelled
+      let streamed = '';
+
+      try {
+        const { content, usage } = await this.provider.complete({
+          model: model,
+          messages,
+          temperature: this.getTemperatureForPhase(agentType, phase),
+          maxTokens: options.maxTokens || 1500,
+          stream: Boolean(session?.stream),
+          onDelta: (delta) => {
+            streamed += delta;
+            this.emitProgress(session, 'agent_delta', { agent: agentType, phase, model, delta, summary: Boolean(options.summary) });
+          },
+          signal,
+          metadata: { agentType, phase }
+        });
+
+        // Clean up response
+        const cleanContent = content ? this.cleanResponse(content) : '';
+        if (!cleanContent) {
+          throw new Error('Empty response from AI model');
+        }
 
-      const content = response.data?.choices?.[0]?.message?.content;
-      if (!content) {
-        throw new Error('Empty response from AI model');
+        this.modelRouter.record(model, { ok: true, latencyMs: Date.now() - attemptStart });
+        session?.usage.record({ agent: agentType, phase: session.currentPhase || phase, model, usage, messages, output: content });
+        const durationMs = this.recordAgentRun(session, {
+          agent: agentType, phase, model, startTime, attempts: tried.length,
+          iteration: options.iteration, systemPrompt, prompt: userPrompt, output: cleanContent, usage
+        });
+        logger.info(`Received response for ${agentType} agent using model ${model} (${cleanContent.length} characters, ${durationMs}ms)`);
+        this.emitProgress(session, 'agent_completed', { agent: agentType, phase, model, chars: cleanContent.length, durationMs, attempts: tried.length });
+        return cleanContent;
+
+      } catch (error) {
+        // Cancelled: not a model failure, so no retry and no health penalty
+        if (signal?.aborted) {
+          logger.info(`${agentType} agent call in ${phase} cancelled`, { sessionId: session.id, model });
+          session.usage.record({ agent: agentType, phase: session.currentPhase || phase, model, usage: null, messages, output: streamed });
+          this.emitProgress(session, 'agent_cancelled', { agent: agentType, phase, model });
+          return null;
+        }
+
+        const status = error.response?.status || error.status;
+        this.modelRouter.record(model, { ok: false, latencyMs: Date.now() - attemptStart, status, error: error.message });
+        logger.error(`Error executing ${agentType} agent on ${model}:`, {
+          message: error.message,
+          status,
+          statusText: error.response?.statusText,
+          attempt: tried.length
+        });
+
+        const nextModel = tried.length < attemptLimit ? this.modelRouter.select(modelPool, tried) : null;
+        if (nextModel) {
+          // Clients discard the partial output streamed from the failed model
+          this.emitProgress(session, 'agent_retry', { agent: agentType, phase, model, nextModel, status, error: error.message, summary: Boolean(options.summary) });
+        }
+        model = nextModel;
       }
+    }
 
-      // Clean up response
-      const cleanContent = this.cleanResponse(content);
-      
-      logger.info(`Received response for ${agentType} agent using model ${model} (${cleanContent.length} characters)`);
-      return cleanContent;
+    // Every attempt failed: return fallback text so the session can finish,
+    // and flag the run so the result is marked as degraded
+    const lastModel = tried[tried.length - 1];
+    const fallback = this.getFallbackResponse(agentType, phase, prompt);
+    const durationMs = this.recordAgentRun(session, {
+      agent: agentType, phase, model: lastModel, startTime, attempts: tried.length, fallback: true,
+      iteration: options.iteration, systemPrompt, prompt: userPrompt, output: fallback, usage: null
+    });
+    logger.warn(`All ${tried.length} model attempts failed for ${agentType} agent in ${phase}; using fallback text`, { models: tried });
+    this.emitProgress(session, 'agent_completed', { agent: agentType, phase, model: lastModel, chars: fallback.length, durationMs, attempts: tried.length, fallback: true });
+    return fallback;
+  }
 
-    } catch (error) {
-      logger.error(`Error executing ${agentType} agent:`, { 
-        message: error.message, 
-        status: error.response?.status,
-        statusText: error.response?.statusText
+  /**
+   * Record a finished agent call on the session
+   * @param {Object} session - Session state (ignored when null)
+   * @param {Object} run - Agent, step phase, model, attempts, prompts, output, usage, start time and fallback flag
+   * @returns {number} Call duration in milliseconds
+   */
+  recordAgentRun(session, { startTime, fallback = false, ...run }) {
+    const durationMs = Date.now() - startTime;
+    if (session) {
+      session.agentRuns.push({
+        ...run,
+        phaseId: session.currentPhase,
+        phaseLabel: session.currentPhaseLabel,
+        startedAt: new Date(startTime).toISOString(),
+        durationMs,
+        fallback
       });
-      
-      // Return fallback response instead of throwing
-      return this.getFallbackResponse(agentType, phase, prompt);
     }
+    return durationMs;
+  }
+
+  /**
+   * Summarize how long a phase took against the agent time spent in it.
+   * agentTimeMs / durationMs is the speedup from running agents concurrently.
+   * @param {Object} phase - Phase definition
+   * @param {number} durationMs - Wall-clock phase duration
+   * @param {Array} runs - Agent runs recorded during the phase
+   * @returns {Object} Phase timing
+   */
+  summarizePhaseTiming(phase, durationMs, runs) {
+    const agentTimeMs = runs.reduce((total, run) => total + run.durationMs, 0);
+    return {
+      type: phase.type,
+      mode: phase.mode,
+      durationMs,
+      agentCalls: runs.length,
+      agentTimeMs,
+      speedup: durationMs > 0 ? Math.round((agentTimeMs / durationMs) * 100) / 100 : 1
+    };
   }
 
   /**
    * Build system prompt for specific agent and phase
    * @param {string} agentType - Type of agent
-   * @param {string} phase - Phase of ideation
+   * @param {string} [modifier] - Phase-specific instruction from the pipeline definition
+   * @param {string} [role] - The pipeline's persona for this agent, replacing its system prompt
    * @returns {string} System prompt
    */
-  buildSystemPrompt(agentType, phase) {
-    const basePrompts = {
-      creative: 'You are a highly creative ideation agent focused on generating innovative, out-of-the-box ideas and solutions.',
-      reasoning: 'You are an analytical reasoning agent focused on logical analysis, feasibility assessment, and structured thinking.',
-      logical: 'You are a logical evaluation agent focused on systematic evaluation, risk assessment, and practical implementation.'
-    };
+  buildSystemPrompt(agentType, modifier = '', role = null) {
+    const agent = this.agentRegistry.get(agentType);
 
-    const phaseModifiers = {
-      phase1_creative: 'Phase 1: Generate initial innovative ideas without limitations.',
-      phase1_logical: 'Phase 1: Evaluate creative ideas for feasibility and identify challenges.',
-      phase1_reasoning: 'Phase 1: Provide structured analytical reasoning on ideas and evaluation.',
-      
-      phase2_creative: 'Phase 2 Expansion: Build upon existing ideas with new creative dimensions.',
-      phase2_logical: 'Phase 2 Expansion: Expand logical evaluation with additional implementation strategies.',  
-      phase2_reasoning: 'Phase 2 Expansion: Deepen analytical insights and identify new considerations.',
-      
-      phase3_creative: 'Phase 3 Refinement: Polish and perfect creative concepts with final innovations.',
-      phase3_logical: 'Phase 3 Refinement: Provide comprehensive final logical assessment.',
-      phase3_reasoning: 'Phase 3 Refinement: Synthesize all analysis into structured recommendations.',
-      
-      final_summary: 'Final Summary Agent: Evaluate all phases, select best 1-2 ideas, summarize process, provide actionable next steps.'
-    };
-
-    return `${basePrompts[agentType]} ${phaseModifiers[phase] || ''}
+    return `${role || agent?.systemPrompt || ''} ${modifier || ''}
 
 Always provide substantive, detailed responses that demonstrate deep thinking. Avoid generic or superficial content.`;
   }
@@ -483,9 +1430,14 @@ Always provide substantive, detailed responses that demonstrate deep thinking. A
   buildUserPrompt(prompt, context, phase) {
     let userPrompt = prompt;
 
-    // Add context if available
+    // Add context if available: the rolling summary of older messages
+    // (see ContextManager), the last 3 messages and recalled memories
     if (context && context.length > 0) {
-      const recentContext = context.slice(-3); // Last 3 messages
+      const recentContext = [
+        ...context.filter(msg => msg.summary),
+        ...context.filter(msg => !msg.summary && !msg.memory).slice(-3),
+        ...context.filter(msg => msg.memory)
+      ];
       const contextStr = recentContext.map(msg => `${msg.role}: ${msg.content}`).join('\n');
       userPrompt = `Context:\n${contextStr}\n\nCurrent Request: ${prompt}`;
     }
@@ -500,13 +1452,20 @@ Always provide substantive, detailed responses that demonstrate deep thinking. A
    * @returns {number} Temperature value
    */
   getTemperatureForPhase(agentType, phase) {
-    const temperatures = {
-      creative: 0.9,
-      reasoning: 0.6,
-      logical: 0.4
-    };
+    return this.agentRegistry.get(agentType)?.temperature ?? 0.7;
+  }
 
-    return temperatures[agentType] || 0.7;
+  /**
+   * Get the models an agent may run on: its own list for custom agents,
+   * otherwise the provider pool for its role
+   * @param {Object} agent - Agent from the registry
+   * @returns {Array<string>} Model names
+   */
+  getModelPool(agent) {
+    if (agent.models?.length) {
+      return agent.models;
+    }
+    return agent.modelRole === 'reasoning' ? this.reasoningModels : this.availableModels;
   }
 
   /**
@@ -0,0 +1,173 @@
+/**
+ * Agent Registry Service
+ *
+ * Single source of truth for the agents AgentOrchestrator can run: the
+ * built-in Creative, Reasoning and Logical agents plus user-defined agents
+ * stored in the custom_agents table. Custom agents join every pipeline
+ * phase whose id is listed in their `phases`.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const logger = require('../utils/logger');
+
+const BUILT_IN_AGENTS = {
+  creative: {
+    name: 'Creative',
+    emoji: '💡',
+    systemPrompt: 'You are a highly creative ideation agent focused on generating innovative, out-of-the-box ideas and solutions.',
+    temperature: 0.9,
+    modelRole: 'default'
+  },
+  reasoning: {
+    name: 'Reasoning',
+    emoji: '🧠',
+    systemPrompt: 'You are an analytical reasoning agent focused on logical analysis, feasibility assessment, and structured thinking.',
+    temperature: 0.6,
+    modelRole: 'reasoning'
+  },
+  logical: {
+    name: 'Logical',
+    emoji: '⚖️',
+    systemPrompt: 'You are a logical evaluation agent focused on systematic evaluation, risk assessment, and practical implementation.',
+    temperature: 0.4,
+    modelRole: 'default'
+  }
+};
+
+class AgentRegistryService {
+  /**
+   * @param {DatabaseService} [databaseService] - Storage for custom agents; built-ins only when omitted
+   */
+  constructor(databaseService = null) {
+    this.db = databaseService;
+    this.agents = {};
+
+    Object.entries(BUILT_IN_AGENTS).forEach(([key, agent]) => {
+      this.agents[key] = { key, ...agent, models: [], phases: [], enabled: true, builtIn: true };
+    });
+  }
+
+  /**
+   * Load custom agents from the database
+   * @returns {Promise<number>} Number of custom agents loaded
+   */
+  async load() {
+    if (!this.db) return 0;
+
+    const records = await this.db.getCustomAgents();
+    records.forEach(record => this.register(record));
+
+    logger.info(`Loaded ${records.length} custom agents`);
+    return records.length;
+  }
+
+  /**
+   * Add or replace a custom agent from its database record
+   * @param {Object} record - Parsed custom_agents row
+   * @returns {Object} Registered agent
+   */
+  register(record) {
+    const agent = {
+      id: record.id,
+      key: record.key,
+      name: record.name,
+      emoji: record.emoji || '🤖',
+      systemPrompt: record.system_prompt,
+      temperature: record.temperature,
+      models: record.models || [],
+      phases: record.phases || [],
+      enabled: record.enabled,
+      modelRole: 'default',
+      builtIn: false
+    };
+
+    this.agents[agent.key] = agent;
+    return agent;
+  }
+
+  /**
+   * Get an agent by key
+   * @param {string} key - Agent key
+   * @returns {Object|null} Agent definition
+   */
+  get(key) {
+    return this.agents[key] || null;
+  }
+
+  /**
+   * List every registered agent, built-ins first
+   * @returns {Array<Object>} Agents
+   */
+  list() {
+    return Object.values(this.agents);
+  }
+
+  /**
+   * Get the enabled custom agents that take part in a pipeline phase
+   * @param {string} phaseId - Phase id from the pipeline definition
+   * @returns {Array<Object>} Participating agents
+   */
+  getParticipants(phaseId) {
+    return this.list().filter(agent => !agent.builtIn && agent.enabled && agent.phases.includes(phaseId));
+  }
+
+  /**
+   * Derive a unique agent key from its name, e.g. "Devil's Advocate" → devils_advocate
+   * @param {string} name - Agent name
+   * @returns {string} Agent key
+   */
+  createKey(name) {
+    const base = name.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'agent';
+    let key = base;
+    for (let suffix = 2; this.agents[key]; suffix++) {
+      key = `${base}_${suffix}`;
+    }
+    return key;
+  }
+
+  /**
+   * Create and persist a custom agent
+   * @param {Object} data - Validated agent fields (name, emoji, systemPrompt, models, temperature, phases, enabled)
+   * @returns {Promise<Object>} Registered agent
+   */
+  async createAgent(data) {
+    const key = this.createKey(data.name);
+    const id = await this.db.createCustomAgent({ ...data, key });
+
+    logger.info(`Custom agent created: ${data.name}`, { id, key });
+    return this.register(await this.db.getCustomAgent(id));
+  }
+
+  /**
+   * Update a persisted custom agent
+   * @param {string} id - Custom agent id
+   * @param {Object} updates - Validated fields to change
+   * @returns {Promise<Object|null>} Updated agent, or null when not found
+   */
+  async updateAgent(id, updates) {
+    const existing = await this.db.getCustomAgent(id);
+    if (!existing) return null;
+
+    await this.db.updateCustomAgent(id, updates);
+    return this.register(await this.db.getCustomAgent(id));
+  }
+
+  /**
+   * Delete a persisted custom agent
+   * @param {string} id - Custom agent id
+   * @returns {Promise<boolean>} Whether an agent was deleted
+   */
+  async deleteAgent(id) {
+    const existing = await this.db.getCustomAgent(id);
+    if (!existing) return false;
+
+    await this.db.deleteCustomAgent(id);
+    delete this.agents[existing.key];
+    logger.info(`Custom agent deleted: ${existing.name}`, { id, key: existing.key });
+    return true;
+  }
+}
+
+module.exports = AgentRegistryService;
@@ -3,35 +3,105 @@
  * 
  * Handles slash command processing and routing for the ideation system.
  * Supports commands like /ideate, /brainstorm, /analyze, /synthesize, /help.
+ * Ideation commands name the pipeline (see config/pipelines.json) they run;
+ * `/ideate --framework <key>` runs an ideation framework instead (see
+ * FrameworkService). Arguments follow the grammar in utils/commandArgs:
+ * quoted phrases and the `--options` each command lists, validated before
+ * the command runs and passed on to the ideation session. Commands from
+ * plugins (see CommandRegistry) are listed and parsed like the built-ins;
+ * a built-in command always wins over a plugin of the same name.
  * 
  * @author Brian Meyer
  * @version 1.0.0
  */
 
 const logger = require('../utils/logger');
+const { COMMAND_OPTIONS, parseCommandArgs } = require('../utils/commandArgs');
+
+// Options that configure the ideation session a command starts
+const SESSION_OPTIONS = ['agents', 'depth', 'model', 'ideas'];
 
 class CommandProcessor {
-  constructor() {
+  /**
+   * @param {Object} [options] - Processor options
+   * @param {FrameworkService} [options.frameworks] - Frameworks `/ideate --framework` can run
+   * @param {AgentRegistryService} [options.agentRegistry] - Agents `--agents` may name; unchecked when omitted
+   * @param {CommandRegistry} [options.plugins] - Commands registered by plugins
+   * @param {Object} [options.pluginServices] - Passed to plugin handlers ({ provider, pipelines, frameworks, agentRegistry })
+   */
+  constructor(options = {}) {
+    this.frameworks = options.frameworks || null;
+    this.agentRegistry = options.agentRegistry || null;
+    this.plugins = options.plugins || null;
+    this.pluginServices = options.pluginServices || {};
+    // `options` are the flags each command accepts (see utils/commandArgs)
     this.commands = {
       ideate: {
         description: 'Trigger full multi-agent ideation session',
-        usage: '/ideate <your idea or problem>',
-        examples: ['Create a sustainable transportation solution', 'Improve remote work productivity']
+        usage: '/ideate [options] <your idea or problem>',
+        examples: ['Create a sustainable transportation solution', '--depth deep --ideas 10 Improve remote work productivity', '--framework scamper Reinvent the public library'],
+        pipeline: 'full',
+        options: ['framework', 'agents', 'depth', 'model', 'ideas']
+      },
+      quick: {
+        description: 'Fast ideation: one parallel pass from each agent, then a summary',
+        usage: '/quick [options] <your idea or problem>',
+        examples: ['Names for a neighborhood coffee shop', '--agents creative,logical Ways to reduce meeting overload'],
+        pipeline: 'quick',
+        options: ['agents', 'model', 'ideas']
+      },
+      research: {
+        description: 'Deep ideation: problem research, extended expansion and critical review',
+        usage: '/research [options] <your idea or problem>',
+        examples: ['Reduce hospital readmission rates', '--depth quick Enter the European market with our SaaS product'],
+        pipeline: 'research',
+        options: ['agents', 'depth', 'model', 'ideas']
+      },
+      debate: {
+        description: 'Debate: Creative proposes, Logical objects, Creative rebuts and Reasoning rules on each claim',
+        usage: '/debate [options] <your idea or problem>',
+        examples: ['Should our city replace parking minimums with congestion pricing?', '--depth deep A subscription model for our bike repair shop'],
+        pipeline: 'debate',
+        options: ['depth', 'model', 'ideas']
       },
       brainstorm: {
-        description: 'Focus on creative brainstorming and idea generation',
-        usage: '/brainstorm <topic>',
-        examples: ['New social media features', 'Eco-friendly packaging ideas']
+        description: 'Creative-only brainstorming: many unjudged ideas, grouped by theme',
+        usage: '/brainstorm [options] <topic>',
+        examples: ['New social media features', '--ideas 15 Eco-friendly packaging ideas'],
+        pipeline: 'brainstorm',
+        options: ['model', 'ideas']
       },
       analyze: {
-        description: 'Analytical reasoning and problem breakdown',
-        usage: '/analyze <problem or situation>',
-        examples: ['Market entry strategy for new product', 'Team communication challenges']
+        description: 'Reasoning-led problem breakdown: sub-problems, root causes, assumptions and open questions',
+        usage: '/analyze [options] <problem or situation>',
+        examples: ['Market entry strategy for new product', 'Team communication challenges'],
+        pipeline: 'analyze',
+        options: ['agents', 'model']
       },
       synthesize: {
-        description: 'Logical evaluation and synthesis of ideas',
-        usage: '/synthesize <ideas or options>',
-        examples: ['Compare these three business models', 'Evaluate pros and cons of remote work']
+        description: 'Logical evaluation of the options you give, on weighted criteria, with a recommendation',
+        usage: '/synthesize [options] <ideas or options>',
+        examples: ['"Subscription" vs. "one-off purchase" vs. "freemium" for our app', 'Compare the top three ideas from this conversation'],
+        pipeline: 'synthesize',
+        options: ['agents', 'model']
+      },
+      rerun: {
+        description: 'Re-run a stored ideation session from one of its phases, keeping the earlier phases',
+        usage: '/rerun <phase> [session-id] [--model <model>]',
+        examples: ['summary --model llama-3.3-70b-versatile', '2', 'phase2 <session-id>'],
+        options: ['model']
+      },
+      tournament: {
+        description: 'Rank ideas by judging them head-to-head, with an Elo rating and the reason each match was won',
+        usage: '/tournament [all | <session-id>] [focus]',
+        examples: ['all', 'which is cheapest to launch', '<session-id> fastest to pilot']
+      },
+      refine: {
+        description: 'Critique and improve a saved idea, and save the result as its next revision',
+        usage: '/refine [options] <idea-id or title>',
+        examples: ['Adaptive Street Lighting', '--focus "cut the upfront cost" Community Solar Gardens', '<idea-id> --model llama-3.3-70b-versatile'],
+        pipeline: 'refine',
+        options: ['focus', 'agents', 'model']
       },
       help: {
         description: 'Show available commands and usage examples',
@@ -39,25 +109,40 @@ class CommandProcessor {
         examples: ['Get general help', 'Get specific command help']
       }
     };
+
+    (this.plugins?.list() || [])
+      .filter(plugin => this.isBuiltIn(plugin.name))
+      .forEach(plugin => logger.warn(`Ignoring plugin command /${plugin.name}: a built-in command has that name`, { source: plugin.source }));
   }
 
   /**
-   * Process incoming message for slash commands
+   * Check whether a message is a slash command
+   * @param {string} message - User message
+   * @returns {boolean} True when processMessage handles it as a command
+   */
+  isCommand(message) {
+    return message.trim().startsWith('/');
+  }
+
+  /**
+   * Process incoming message for slash commands. Ideation command results
+   * carry the session options (`agents`, `depth`, `model`, `ideas`) given
+   * as flags.
    * @param {string} message - User message to process
-   * @returns {Object|null} Command object or null if not a command
+   * @returns {Promise<Object|null>} Command object or null if not a command
    */
-  processMessage(message) {
+  async processMessage(message) {
     const trimmedMessage = message.trim();
     
-    if (!trimmedMessage.startsWith('/')) {
+    if (!this.isCommand(trimmedMessage)) {
       return null; // Not a command
     }
 
-    const parts = trimmedMessage.split(' ');
-    const command = parts[0].substring(1).toLowerCase(); // Remove '/' and lowercase
-    const args = parts.slice(1).join(' ').trim();
+    const [, name, rest] = trimmedMessage.match(/^\/(\S*)\s*([\s\S]*)$/);
+    const command = name.toLowerCase();
 
-    if (!this.commands[command]) {
+    const info = this.getCommandInfo(command);
+    if (!info) {
       return {
         type: 'command',
         action: 'unknown',
@@ -66,27 +151,170 @@ class CommandProcessor {
       };
     }
 
+    const { text: args, args: words, options, errors } = parseCommandArgs(rest, info.options, info.optionDefinitions);
+    errors.push(...this.checkAgents(options.agents));
+    if (errors.length) {
+      return {
+        type: 'command',
+        action: command,
+        message: this.getArgumentErrorResponse(command, errors),
+        shouldTriggerIdeation: false
+      };
+    }
+
     logger.info(`Processing slash command: /${command}`, {
       args: args.substring(0, 100),
+      options,
       timestamp: new Date().toISOString()
     });
 
-    return this.executeCommand(command, args);
+    if (info.plugin) {
+      return this.executePluginCommand(info, { text: args, args: words, options });
+    }
+
+    const result = this.executeCommand(command, args, options);
+    if (result.shouldTriggerIdeation) {
+      result.options = this.pickSessionOptions(options);
+    }
+    return result;
+  }
+
+  /**
+   * The options given as flags that configure an ideation session
+   * @param {Object} options - Parsed options
+   * @returns {Object} Session options
+   */
+  pickSessionOptions(options) {
+    return Object.fromEntries(Object.entries(options).filter(([name]) => SESSION_OPTIONS.includes(name)));
+  }
+
+  /**
+   * Validate session options set by a plugin handler against the same
+   * schemas as their flags (see utils/commandArgs)
+   * @param {Object} [options] - Session options by name
+   * @returns {{options: Object, errors: Array<string>}} Normalized options, and every problem found
+   */
+  validateSessionOptions(options) {
+    const valid = {};
+    const errors = [];
+    if (options === undefined || options === null) return { options: valid, errors };
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      return { options: valid, errors: ['`options` must be an object'] };
+    }
+
+    Object.entries(options).forEach(([name, value]) => {
+      if (!SESSION_OPTIONS.includes(name)) {
+        errors.push(`\`${name}\` is not a session option; use ${SESSION_OPTIONS.map(option => `\`${option}\``).join(', ')}`);
+        return;
+      }
+      const { error, value: parsed } = COMMAND_OPTIONS[name].schema.validate(value);
+      if (error) {
+        errors.push(`\`${name}\` must be ${COMMAND_OPTIONS[name].expected} (got \`${JSON.stringify(value)}\`)`);
+        return;
+      }
+      valid[name] = parsed;
+    });
+
+    errors.push(...this.checkAgents(valid.agents));
+    return { options: valid, errors };
+  }
+
+  /**
+   * Run a plugin command's handler. A string or { reply } is sent as the
+   * reply; { prompt, pipeline, options } starts an ideation session on the
+   * pipeline (the full pipeline by default) with the built-in session
+   * options given as flags, overridden by the handler's options; invalid
+   * handler options fail the command (see validateSessionOptions).
+   * @param {Object} plugin - Command from CommandRegistry
+   * @param {Object} input - { text, args, options } parsed from the message
+   * @returns {Promise<Object>} Command result
+   */
+  async executePluginCommand(plugin, input) {
+    const fail = reason => ({
+      type: 'command',
+      action: plugin.name,
+      message: `❌ **/${plugin.name} failed**: ${reason}`,
+      shouldTriggerIdeation: false
+    });
+
+    let outcome;
+    try {
+      outcome = await plugin.handler(input, this.pluginServices);
+    } catch (error) {
+      logger.error(`Plugin command /${plugin.name} failed`, { source: plugin.source, error: error.message });
+      return fail(error.message);
+    }
+
+    const reply = typeof outcome === 'string' ? outcome : outcome?.reply;
+    if (typeof reply === 'string') {
+      return {
+        type: 'command',
+        action: plugin.name,
+        message: reply,
+        shouldTriggerIdeation: false
+      };
+    }
+
+    const prompt = typeof outcome?.prompt === 'string' ? outcome.prompt.trim() : '';
+    if (!prompt) {
+      logger.warn(`Plugin command /${plugin.name} returned neither a reply nor a prompt`, { source: plugin.source });
+      return fail('the command returned neither a reply nor a prompt');
+    }
+
+    const pipeline = outcome.pipeline || this.commands.ideate.pipeline;
+    if (this.pluginServices.pipelines && !this.pluginServices.pipelines.has(pipeline)) {
+      return fail(`pipeline \`${pipeline}\` does not exist`);
+    }
+
+    const { options, errors } = this.validateSessionOptions(outcome.options);
+    if (errors.length) {
+      logger.warn(`Plugin command /${plugin.name} returned invalid session options`, { source: plugin.source, errors });
+      return fail(`invalid session options: ${errors.join('; ')}`);
+    }
+
+    return {
+      type: 'command',
+      action: plugin.name,
+      message: prompt,
+      shouldTriggerIdeation: true,
+      pipeline,
+      options: { ...this.pickSessionOptions(input.options), ...options },
+      commandContext: {
+        focusArea: `${plugin.name}_plugin`,
+        prompt
+      }
+    };
+  }
+
+  /**
+   * Check that the agents named with --agents exist and are enabled
+   * @param {Array<string>} [agents] - Agent keys
+   * @returns {Array<string>} Problems found, empty when all are usable
+   */
+  checkAgents(agents) {
+    if (!agents || !this.agentRegistry) return [];
+
+    const unknown = agents.filter(key => !this.agentRegistry.get(key)?.enabled);
+    if (!unknown.length) return [];
+
+    const available = this.agentRegistry.list().filter(agent => agent.enabled).map(agent => `\`${agent.key}\``);
+    return [`Unknown or disabled agent${unknown.length > 1 ? 's' : ''} ${unknown.map(key => `\`${key}\``).join(', ')}; available agents: ${available.join(', ')}`];
   }
 
   /**
    * Execute a specific command
    * @param {string} command - Command name
-   * @param {string} args - Command arguments
+   * @param {string} args - Command text, without its options
+   * @param {Object} [options] - Validated options given as flags
    * @returns {Object} Command execution result
    */
-  executeCommand(command, args) {
+  executeCommand(command, args, options = {}) {
     switch (command) {
       case 'help':
         return this.executeHelpCommand(args);
       
       case 'ideate':
-        return this.executeIdeateCommand(args);
+        return this.executeIdeateCommand(args, options);
       
       case 'brainstorm':
         return this.executeBrainstormCommand(args);
@@ -97,6 +325,20 @@ class CommandProcessor {
       case 'synthesize':
         return this.executeSynthesizeCommand(args);
       
+      case 'quick':
+      case 'research':
+      case 'debate':
+        return this.executePipelineCommand(command, args);
+      
+      case 'rerun':
+        return this.executeRerunCommand(args, options);
+      
+      case 'tournament':
+        return this.executeTournamentCommand(args);
+      
+      case 'refine':
+        return this.executeRefineCommand(args, options);
+      
       default:
         return {
           type: 'command',
@@ -116,7 +358,7 @@ class CommandProcessor {
     if (args) {
       // Help for specific command
       const targetCommand = args.toLowerCase();
-      if (this.commands[targetCommand]) {
+      if (this.getCommandInfo(targetCommand)) {
         return {
           type: 'command',
           action: 'help',
@@ -145,9 +387,23 @@ class CommandProcessor {
   /**
    * Execute /ideate command
    * @param {string} args - Ideation prompt
+   * @param {Object} [options] - Options; `framework` runs that framework instead of the full pipeline
    * @returns {Object} Ideate command result
    */
-  executeIdeateCommand(args) {
+  executeIdeateCommand(args, options = {}) {
+    let pipeline = this.commands.ideate.pipeline;
+    if (options.framework) {
+      if (!this.frameworks?.get(options.framework)) {
+        return {
+          type: 'command',
+          action: 'ideate',
+          message: `❌ **Unknown framework**: \`${options.framework}\`\n\nAvailable frameworks:\n${this.formatFrameworks()}\n\n**Example**: \`/ideate --framework scamper Reinvent the public library\``,
+          shouldTriggerIdeation: false
+        };
+      }
+      pipeline = options.framework;
+    }
+
     if (!args) {
       return {
         type: 'command',
@@ -162,13 +418,132 @@ class CommandProcessor {
       action: 'ideate',
       message: args,
       shouldTriggerIdeation: true,
+      pipeline,
       commandContext: {
-        focusArea: 'full_ideation',
+        focusArea: pipeline === this.commands.ideate.pipeline ? 'full_ideation' : `${pipeline}_framework`,
         prompt: args
       }
     };
   }
 
+  /**
+   * Execute a command that runs its pipeline on the prompt as-is (/quick, /research, /debate)
+   * @param {string} command - Command name
+   * @param {string} args - Ideation prompt
+   * @returns {Object} Command result
+   */
+  executePipelineCommand(command, args) {
+    if (!args) {
+      return {
+        type: 'command',
+        action: command,
+        message: `❌ **Missing prompt**: Please provide a topic or problem.\n\n**Example**: \`/${command} ${this.commands[command].examples[0]}\``,
+        shouldTriggerIdeation: false
+      };
+    }
+
+    return {
+      type: 'command',
+      action: command,
+      message: args,
+      shouldTriggerIdeation: true,
+      pipeline: this.commands[command].pipeline,
+      commandContext: {
+        focusArea: `${command}_ideation`,
+        prompt: args
+      }
+    };
+  }
+
+  /**
+   * Execute /rerun command. The chat controller resolves the session (the
+   * latest one in the conversation when no id is given) and runs it.
+   * @param {string} args - Phase reference and optional session id
+   * @param {Object} [options] - Options; `model` runs the re-executed agents on that model
+   * @returns {Object} Rerun command result
+   */
+  executeRerunCommand(args, options = {}) {
+    const [fromPhase, sessionId] = args.split(/\s+/).filter(Boolean);
+
+    if (!fromPhase) {
+      return {
+        type: 'command',
+        action: 'rerun',
+        message: '❌ **Missing phase**: Name the phase to re-run from (its id, its number, or `summary`).\n\n**Example**: `/rerun summary --model llama-3.3-70b-versatile`',
+        shouldTriggerIdeation: false
+      };
+    }
+
+    return {
+      type: 'command',
+      action: 'rerun',
+      message: args,
+      shouldTriggerIdeation: false,
+      rerun: {
+        fromPhase,
+        sessionId: sessionId || null,
+        model: options.model || null
+      }
+    };
+  }
+
+  /**
+   * Execute /tournament command. The chat controller picks the ideas (this
+   * conversation's by default) and runs the tournament.
+   * @param {string} args - Optional "all" or session id, then an optional judging focus
+   * @returns {Object} Tournament command result
+   */
+  executeTournamentCommand(args) {
+    const [first = '', ...rest] = args.split(/\s+/).filter(Boolean);
+    const all = first.toLowerCase() === 'all';
+    const sessionId = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(first) ? first : null;
+    const focus = (all || sessionId ? rest.join(' ') : args).trim();
+
+    return {
+      type: 'command',
+      action: 'tournament',
+      message: args,
+      shouldTriggerIdeation: false,
+      tournament: {
+        all,
+        sessionId,
+        focus: focus || null
+      }
+    };
+  }
+
+  /**
+   * Execute /refine command. The chat controller finds the idea, runs the
+   * refine pipeline on it and saves the result as the idea's next revision.
+   * @param {string} args - Idea id or title
+   * @param {Object} [options] - Options; `focus` steers the refinement, `agents` and `model` shape the session
+   * @returns {Object} Refine command result
+   */
+  executeRefineCommand(args, options = {}) {
+    const reference = args.replace(/^(["'])(.*)\1$/, '$2').trim();
+
+    if (!reference) {
+      return {
+        type: 'command',
+        action: 'refine',
+        message: '❌ **Missing idea**: Name the saved idea to refine by its id or title.\n\n**Example**: `/refine --focus "cut the upfront cost" Community Solar Gardens`',
+        shouldTriggerIdeation: false
+      };
+    }
+
+    return {
+      type: 'command',
+      action: 'refine',
+      message: args,
+      shouldTriggerIdeation: false,
+      refine: {
+        reference,
+        focus: options.focus || null,
+        ...this.pickSessionOptions(options)
+      }
+    };
+  }
+
   /**
    * Execute /brainstorm command
    * @param {string} args - Brainstorming topic
@@ -187,8 +562,9 @@ class CommandProcessor {
     return {
       type: 'command',
       action: 'brainstorm',
-      message: `Focus on creative brainstorming: ${args}`,
+      message: args,
       shouldTriggerIdeation: true,
+      pipeline: this.commands.brainstorm.pipeline,
       commandContext: {
         focusArea: 'creative_focus',
         prompt: args
@@ -214,8 +590,9 @@ class CommandProcessor {
     return {
       type: 'command',
       action: 'analyze',
-      message: `Provide analytical reasoning for: ${args}`,
+      message: args,
       shouldTriggerIdeation: true,
+      pipeline: this.commands.analyze.pipeline,
       commandContext: {
         focusArea: 'reasoning_focus',
         prompt: args
@@ -241,8 +618,9 @@ class CommandProcessor {
     return {
       type: 'command',
       action: 'synthesize',
-      message: `Provide logical evaluation and synthesis of: ${args}`,
+      message: args,
       shouldTriggerIdeation: true,
+      pipeline: this.commands.synthesize.pipeline,
       commandContext: {
         focusArea: 'logical_focus',
         prompt: args
@@ -260,11 +638,14 @@ class CommandProcessor {
       'Use these slash commands to trigger different types of AI-powered ideation:\n'
     ];
 
-    // Add each command
-    Object.entries(this.commands).forEach(([cmd, info]) => {
+    // Add each command, built-ins first
+    Object.entries(this.listCommands()).forEach(([cmd, info]) => {
       helpSections.push(`## /${cmd}`);
       helpSections.push(`**${info.description}**`);
       helpSections.push(`Usage: \`${info.usage}\``);
+      if (info.options?.length) {
+        helpSections.push(`Options: ${info.options.map(option => `\`--${option}\``).join(', ')}`);
+      }
       
       if (info.examples?.length > 0) {
         helpSections.push('Examples:');
@@ -275,20 +656,47 @@ class CommandProcessor {
       helpSections.push(''); // Empty line
     });
 
+    if (this.frameworks?.list().length) {
+      helpSections.push('## Frameworks');
+      helpSections.push('Run a structured ideation method with `/ideate --framework <key> <topic>`:');
+      helpSections.push(this.formatFrameworks());
+      helpSections.push('');
+    }
+
     helpSections.push('---');
     helpSections.push('💡 **Tip**: Use `/help <command>` for detailed help on a specific command.');
+    helpSections.push('⚙️ **Options**: Put flags such as `--depth deep` or `--agents creative,logical` anywhere after the command, and "quote" phrases that belong together.');
     helpSections.push('🤖 **Note**: All commands trigger AI agents that work together to provide comprehensive responses.');
 
     return helpSections.join('\n');
   }
 
+  /**
+   * List the available frameworks for help and error messages
+   * @returns {string} One line per framework
+   */
+  formatFrameworks() {
+    const frameworks = this.frameworks?.list() || [];
+    if (!frameworks.length) return '• None available';
+    return frameworks.map(({ key, name, description }) => `• \`${key}\` - **${name}**${description ? `: ${description}` : ''}`).join('\n');
+  }
+
+  /**
+   * List command options with an example value and what each does
+   * @param {Array<string>} names - Option names
+   * @returns {string} One line per option
+   */
+  formatOptions(names, definitions = COMMAND_OPTIONS) {
+    return names.map(name => `• \`--${name} ${definitions[name].example}\` - ${definitions[name].description}`).join('\n');
+  }
+
   /**
    * Get help for a specific command
    * @param {string} command - Command name
    * @returns {string} Specific command help
    */
   getSpecificCommandHelp(command) {
-    const info = this.commands[command];
+    const info = this.getCommandInfo(command);
     if (!info) return 'Command not found.';
 
     const sections = [
@@ -297,6 +705,12 @@ class CommandProcessor {
       `**Usage**: \`${info.usage}\`\n`
     ];
 
+    if (info.options?.length) {
+      sections.push('**Options**:');
+      sections.push(this.formatOptions(info.options, info.optionDefinitions));
+      sections.push('');
+    }
+
     if (info.examples?.length > 0) {
       sections.push('**Examples**:');
       info.examples.forEach(example => {
@@ -306,7 +720,7 @@ class CommandProcessor {
     }
 
     // Add command-specific details
-    const details = this.getCommandDetails(command);
+    const details = info.plugin ? info.details : this.getCommandDetails(command);
     if (details) {
       sections.push('**Details**:');
       sections.push(details);
@@ -322,13 +736,25 @@ class CommandProcessor {
    */
   getCommandDetails(command) {
     const details = {
-      ideate: 'Triggers all three AI agents (Creative 💡, Reasoning 🧠, Logical ⚖️) to collaborate on your prompt. This provides the most comprehensive response with multiple perspectives.',
+      ideate: 'Triggers all three AI agents (Creative 💡, Reasoning 🧠, Logical ⚖️) to collaborate on your prompt. This provides the most comprehensive response with multiple perspectives. Add `--framework <key>` to run a structured method such as SCAMPER or Six Thinking Hats instead: its phases and agent roles replace the default pipeline. `/help` lists the frameworks; add your own from the Frameworks view.',
+      
+      brainstorm: 'Only the Creative agent runs: it generates a wide range of ideas, then pushes them further by combining, inverting and exaggerating them. Nothing is judged or scored. The reply groups every idea by theme, marks wildcards 🃏 and stars the few most worth exploring first; the ideas are saved to the repository.',
+      
+      analyze: 'The Reasoning agent breaks the problem into sub-problems and root causes, the Logical agent challenges the assumptions, and the Reasoning agent refines and prioritizes the breakdown. The reply is a problem analysis (breakdown by priority, assumptions with how to test them, insights, open questions and a recommended approach), not a list of ideas.',
+      
+      synthesize: 'The Logical agent evaluates the options you list (or earlier ideas you refer to) without adding new ones: it sets weighted criteria, scores every option with the Reasoning agent weighing trade-offs, and recommends one. The reply is a comparison table with weighted scores, pros and cons per option, and the conditions under which another option would win.',
+      
+      quick: 'Runs the Creative, Logical and Reasoning agents once, side by side, then summarizes. Use it when you want a fast first take.',
+      
+      research: 'Starts with problem research, runs a longer expansion and a critical review before the final summary. Slower, but the most thorough option.',
       
-      brainstorm: 'Emphasizes the Creative agent while still including analytical perspectives. Best for generating innovative ideas and exploring possibilities.',
+      debate: 'The Creative agent states its proposal as specific claims, the Logical agent objects to individual claims, and the Creative agent must answer every objection, for up to two rounds. The Reasoning agent then rules each claim upheld, revised or refuted. Open "How we got here" on the reply to read the debate as threads.',
       
-      analyze: 'Focuses on the Reasoning agent for systematic analysis. Use this for breaking down complex problems and understanding relationships.',
+      tournament: 'Takes the ideas saved in this conversation (`all` for the whole repository, or a session id for one session), judges every pair head-to-head and ranks them by Elo rating. Scored ideas are entered first. Add a focus to tell the judge what matters most. The ranking and the judge\'s reasons are saved.',
       
-      synthesize: 'Prioritizes the Logical agent for evaluation and synthesis. Perfect for comparing options, weighing trade-offs, and making decisions.',
+      refine: 'Loads the saved idea (by id, or by title: an exact title wins, then ideas from this conversation), the message it was saved from and related ideas from the same session and from memory. The Logical and Reasoning agents critique it, the Creative agent improves it where it is weak and the Logical agent checks the improvements; the Reasoning agent then writes the revised idea with every change and the reason for it. The revision is scored and replaces the idea in the repository under the same id; earlier revisions are kept. When a title matches several ideas, their ids are listed so you can pick one.',
+      
+      rerun: 'Reuses the stored results of every phase before the one you name and runs the rest of the pipeline again. Without a session id the latest session in this conversation is used; `--model` runs every re-executed agent on that model. The result is saved as a new version linked to the original session.',
       
       help: 'Provides information about available commands and their usage. No AI agents are triggered for help commands.'
     };
@@ -345,17 +771,44 @@ class CommandProcessor {
     return `❌ **Unknown command**: \`/${command}\`
 
 Did you mean one of these?
-${Object.keys(this.commands).map(cmd => `• \`/${cmd}\``).join('\n')}
+${this.getAvailableCommands().map(cmd => `• \`/${cmd}\``).join('\n')}
 
 Use \`/help\` to see all available commands and examples.`;
   }
 
+  /**
+   * Get response for command arguments that failed to parse or validate
+   * @param {string} command - Command name
+   * @param {Array<string>} errors - Problems found
+   * @returns {string} Error response with the command's usage and options
+   */
+  getArgumentErrorResponse(command, errors) {
+    const info = this.getCommandInfo(command);
+    const options = info.options?.length ? `\n\n**Options**:\n${this.formatOptions(info.options, info.optionDefinitions)}` : '';
+    return `❌ **Invalid arguments for /${command}**:
+${errors.map(error => `• ${error}`).join('\n')}
+
+**Usage**: \`${info.usage}\`${options}
+
+Use \`/help ${command}\` for examples. Put quotes around text that starts with \`--\`, or put \`--\` before it.`;
+  }
+
   /**
    * Get list of available commands
    * @returns {Array<string>} Array of command names
    */
   getAvailableCommands() {
-    return Object.keys(this.commands);
+    return Object.keys(this.listCommands());
+  }
+
+  /**
+   * Built-in and plugin commands by name. A plugin whose name a built-in
+   * command already uses is left out.
+   * @returns {Object} Command information by name, built-ins first
+   */
+  listCommands() {
+    const plugins = (this.plugins?.list() || []).filter(plugin => !this.isBuiltIn(plugin.name));
+    return { ...this.commands, ...Object.fromEntries(plugins.map(plugin => [plugin.name, plugin])) };
   }
 
   /**
@@ -364,7 +817,7 @@ Use \`/help\` to see all available commands and examples.`;
    * @returns {boolean} Is valid command
    */
   isValidCommand(command) {
-    return this.commands.hasOwnProperty(command.toLowerCase());
+    return Boolean(this.getCommandInfo(command));
   }
 
   /**
@@ -373,7 +826,17 @@ Use \`/help\` to see all available commands and examples.`;
    * @returns {Object|null} Command information or null
    */
   getCommandInfo(command) {
-    return this.commands[command.toLowerCase()] || null;
+    const name = command.toLowerCase();
+    return this.isBuiltIn(name) ? this.commands[name] : this.plugins?.get(name) || null;
+  }
+
+  /**
+   * Check whether a command name is one of the built-in commands
+   * @param {string} name - Lowercase command name
+   * @returns {boolean} True for built-ins, false for plugin and unknown commands
+   */
+  isBuiltIn(name) {
+    return Object.prototype.hasOwnProperty.call(this.commands, name);
   }
 }
 
@@ -0,0 +1,158 @@
+/**
+ * Command Registry
+ *
+ * Slash commands contributed by plugins, so teams can add commands such as
+ * /okr or /risk-register without editing CommandProcessor. A plugin is a
+ * module in config.PLUGINS.dir that exports one command definition or an
+ * array of them:
+ *
+ *   {
+ *     name: 'okr',
+ *     description: 'Draft OKRs for a goal',
+ *     usage: '/okr [--quarter <Q1-Q4>] <goal>',
+ *     examples: ['--quarter Q3 Grow self-serve revenue'],
+ *     details: 'Longer help text for /help okr',
+ *     options: { quarter: { schema, example, expected, description }, model: true },
+ *     handler: async ({ text, args, options }, services) => ...
+ *   }
+ *
+ * `options` is the command's argument schema: `true` accepts a built-in
+ * option from utils/commandArgs, an object defines a new one in the same
+ * shape. The handler resolves to a reply (a string, or { reply }) or to an
+ * ideation session ({ prompt, pipeline, options }); see CommandProcessor.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { COMMAND_OPTIONS } = require('../utils/commandArgs');
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const optionSchema = Joi.object({
+  schema: Joi.object().schema().required(),
+  list: Joi.boolean().default(false),
+  example: Joi.string().required(),
+  expected: Joi.string().required(),
+  description: Joi.string().required()
+});
+
+const commandSchema = Joi.object({
+  name: Joi.string().lowercase().max(32).pattern(NAME_PATTERN).required(),
+  description: Joi.string().trim().min(1).max(200).required(),
+  usage: Joi.string().trim(),
+  examples: Joi.array().items(Joi.string()).default([]),
+  details: Joi.string().allow('').default(''),
+  options: Joi.object().pattern(
+    Joi.string().pattern(NAME_PATTERN),
+    Joi.alternatives(Joi.boolean().valid(true), optionSchema)
+  ).default({}),
+  handler: Joi.function().required()
+});
+
+class CommandRegistry {
+  constructor() {
+    // By name; a Map, so names like `constructor` are plain keys
+    this.commands = new Map();
+  }
+
+  /**
+   * Load every plugin module in a directory. A module that fails to load or
+   * a command that does not validate is skipped with a warning.
+   * @param {string} dir - Plugin directory
+   * @returns {number} Number of commands registered
+   */
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      logger.info(`No plugin directory at ${dir}`);
+      return 0;
+    }
+
+    let loaded = 0;
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach((file) => {
+        try {
+          const exported = require(path.resolve(dir, file));
+          (Array.isArray(exported) ? exported : [exported]).forEach((definition) => {
+            try {
+              this.register(definition, file);
+              loaded++;
+            } catch (error) {
+              logger.warn(`Skipping plugin command in ${file}`, { error: error.message });
+            }
+          });
+        } catch (error) {
+          logger.warn(`Skipping plugin ${file}`, { error: error.message });
+        }
+      });
+
+    logger.info(`Loaded ${loaded} plugin commands from ${dir}`);
+    return loaded;
+  }
+
+  /**
+   * Validate a command definition and register it
+   * @param {Object} definition - Command definition (see the file header)
+   * @param {string} [source] - Plugin file the command came from
+   * @returns {Object} Registered command
+   * @throws {Error} When the definition is invalid or the name is taken
+   */
+  register(definition, source = null) {
+    const { error, value } = commandSchema.validate(definition, { abortEarly: false });
+    if (error) {
+      throw new Error(`Invalid command "${definition?.name || '?'}": ${error.details.map(detail => detail.message).join('; ')}`);
+    }
+    if (this.commands.has(value.name)) {
+      throw new Error(`Command /${value.name} is already registered by ${this.commands.get(value.name).source || 'another plugin'}`);
+    }
+
+    const unknown = Object.keys(value.options)
+      .filter(name => value.options[name] === true && !Object.prototype.hasOwnProperty.call(COMMAND_OPTIONS, name));
+    if (unknown.length) {
+      throw new Error(`Command /${value.name} accepts unknown built-in options: ${unknown.join(', ')}`);
+    }
+
+    // Option definitions for utils/commandArgs: the built-ins plus the command's own
+    const optionDefinitions = { ...COMMAND_OPTIONS };
+    Object.entries(value.options).forEach(([name, option]) => {
+      if (option !== true) optionDefinitions[name] = option;
+    });
+
+    const command = {
+      ...value,
+      usage: value.usage || `/${value.name} <text>`,
+      options: Object.keys(value.options),
+      optionDefinitions,
+      plugin: true,
+      source
+    };
+    this.commands.set(value.name, command);
+    logger.info(`Registered plugin command /${value.name}`, { source });
+    return command;
+  }
+
+  /**
+   * Get a command by name
+   * @param {string} name - Command name without the slash
+   * @returns {Object|null} Command
+   */
+  get(name) {
+    return this.commands.get(name) || null;
+  }
+
+  /**
+   * List every registered command in registration order
+   * @returns {Array<Object>} Commands
+   */
+  list() {
+    return [...this.commands.values()];
+  }
+}
+
+module.exports = CommandRegistry;
@@ -0,0 +1,270 @@
+/**
+ * Context Manager
+ *
+ * Keeps chat and agent prompts within token budgets by summarizing what no
+ * longer fits, instead of cutting messages at a fixed count:
+ *
+ * - Conversation: the newest messages are kept verbatim up to
+ *   config.CONTEXT.conversationTokens; older ones are folded into a rolling
+ *   summary, cached per conversation so each message is summarized once.
+ * - Ideation history: once the completed phases outgrow
+ *   config.CONTEXT.historyTokens, the oldest phases are replaced by
+ *   summaries until the rest fits. The latest phase is always kept as-is.
+ *
+ * Summaries run on the provider's utility model (phase "context_summary").
+ * Anything that still does not fit a model is trimmed by the provider
+ * (see ContextWindow).
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Rolling summaries kept in memory before the oldest is dropped
+const MAX_CACHED_SUMMARIES = 500;
+// Tokens reserved in each summary request for the instructions
+const INSTRUCTION_TOKENS = 300;
+
+const SUMMARY_SYSTEM_PROMPT = `You maintain a running summary of an ideation conversation for AI agents that cannot see the full text.
+Keep every idea, decision, constraint, preference and open question, with names and numbers. Drop pleasantries and repetition.
+Answer with the summary only.`;
+
+class ContextManager {
+  /**
+   * @param {BaseProvider} provider - LLM provider; its contextWindow counts tokens
+   * @param {Object} [options] - Overrides for config.CONTEXT
+   * @param {number} [options.conversationTokens] - Recent conversation kept verbatim
+   * @param {number} [options.historyTokens] - Earlier phases kept verbatim
+   * @param {number} [options.summaryTokens] - Length of each summary
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.contextWindow = provider.contextWindow;
+    this.conversationTokens = options.conversationTokens || config.CONTEXT.conversationTokens;
+    this.historyTokens = options.historyTokens || config.CONTEXT.historyTokens;
+    this.summaryTokens = options.summaryTokens || config.CONTEXT.summaryTokens;
+    // Rolling conversation summaries: conversationId -> { count, summary }
+    this.summaries = new Map();
+  }
+
+  /**
+   * Model that writes the summaries
+   * @returns {string} Model identifier
+   */
+  getModel() {
+    return this.provider.getModel('utility');
+  }
+
+  /**
+   * Compact a conversation for a prompt: the newest messages verbatim
+   * within the conversation budget (the last one shortened if it alone is
+   * over), and everything older as one summary message
+   * @param {Array<{role: string, content: string}>} context - Conversation, oldest first
+   * @param {Object} [options] - Summary options
+   * @param {string} [options.conversationId] - Caches the rolling summary when set
+   * @param {UsageTracker} [options.usage] - Records the summary calls' token usage
+   * @param {AbortSignal} [options.signal] - Aborts the summary calls
+   * @returns {Promise<Array>} Messages; a summary comes first as { role: 'system', content, summary: true }
+   */
+  async compactConversation(context = [], { conversationId = null, usage = null, signal } = {}) {
+    const model = this.getModel();
+    let start = context.length - this.countRecent(context);
+
+    const recent = context.slice(start);
+    if (!recent.length && context.length) {
+      const last = context[context.length - 1];
+      recent.push({ ...last, content: this.contextWindow.truncate(last.content, this.conversationTokens, model) });
+      start = context.length - 1;
+    }
+
+    const older = context.slice(0, start);
+    if (!older.length) return recent;
+
+    const summary = await this.summarizeConversation(older, { conversationId, usage, signal });
+    return [
+      { role: 'system', content: `Summary of the earlier conversation (${older.length} messages):\n${summary}`, summary: true },
+      ...recent
+    ];
+  }
+
+  /**
+   * Count the newest messages that fit the conversation budget, which
+   * compactConversation keeps verbatim
+   * @param {Array<{content: string}>} context - Conversation, oldest first
+   * @returns {number} Messages from the end
+   */
+  countRecent(context = []) {
+    const model = this.getModel();
+    let remaining = this.conversationTokens;
+    let count = 0;
+
+    while (count < context.length) {
+      const tokens = this.contextWindow.countTokens(context[context.length - 1 - count].content, model);
+      if (tokens > remaining) break;
+      remaining -= tokens;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Summarize the older part of a conversation, folding only the messages
+   * added since the cached summary into it
+   * @param {Array} older - Messages to summarize, oldest first
+   * @param {Object} options - conversationId, usage and signal (see compactConversation)
+   * @returns {Promise<string>} Summary text
+   */
+  async summarizeConversation(older, { conversationId, usage, signal }) {
+    const cached = conversationId ? this.summaries.get(conversationId) : null;
+    // A shorter conversation than the cached one was edited: start over
+    const { count, summary } = cached && cached.count <= older.length ? cached : { count: 0, summary: '' };
+    if (count === older.length) return summary;
+
+    const pending = older.slice(count).map(msg => `${msg.role}: ${msg.content}`);
+    try {
+      const updated = await this.fold(summary, pending, 'conversation messages', { usage, signal });
+      if (conversationId) {
+        this.summaries.delete(conversationId);
+        this.summaries.set(conversationId, { count: older.length, summary: updated });
+        if (this.summaries.size > MAX_CACHED_SUMMARIES) {
+          this.summaries.delete(this.summaries.keys().next().value);
+        }
+      }
+      return updated;
+    } catch (error) {
+      logger.warn('Conversation summary failed; using excerpts of the older messages', { conversationId, message: error.message });
+      return this.getExcerpts(summary, pending);
+    }
+  }
+
+  /**
+   * Replace the oldest completed phases with summaries (entry.digest)
+   * until the history fits its budget. A phase that cannot be summarized
+   * stays as-is.
+   * @param {Array} history - Completed phases as { phase, result, review, digest }, modified in place
+   * @param {Object} options - Compaction options
+   * @param {Function} options.format - Formats an entry's full text
+   * @param {UsageTracker} [options.usage] - Records the summary calls' token usage
+   * @param {AbortSignal} [options.signal] - Aborts the summary calls
+   */
+  async compactHistory(history, { format, usage = null, signal } = {}) {
+    const model = this.getModel();
+    const size = entry => this.contextWindow.countTokens(entry.digest || format(entry), model);
+    let total = history.reduce((sum, entry) => sum + size(entry), 0);
+
+    for (const entry of history.slice(0, -1)) {
+      if (total <= this.historyTokens) break;
+      if (entry.digest) continue;
+
+      const before = size(entry);
+      try {
+        entry.digest = await this.fold('', [format(entry)], `output of "${entry.phase.label}"`, { usage, signal });
+      } catch (error) {
+        logger.warn(`Could not summarize ${entry.phase.id}; keeping it verbatim`, { message: error.message });
+        break;
+      }
+      total -= before - size(entry);
+      logger.info(`Summarized ${entry.phase.id} to fit the history budget`, { tokens: before, digestTokens: size(entry) });
+    }
+  }
+
+  /**
+   * Fold texts into a summary, in batches that fit the summary model
+   * @param {string} summary - Summary so far
+   * @param {Array<string>} texts - Texts to add
+   * @param {string} subject - What the texts are, for the prompt
+   * @param {Object} options - usage and signal
+   * @returns {Promise<string>} Updated summary
+   */
+  async fold(summary, texts, subject, options) {
+    let folded = summary;
+    for (const batch of this.batch(texts)) {
+      folded = await this.summarize(folded, batch, subject, options);
+    }
+    return folded;
+  }
+
+  /**
+   * Group texts into batches that fit one summary request next to the
+   * previous summary; a text longer than a batch is split
+   * @param {Array<string>} texts - Texts in order
+   * @returns {Array<Array<string>>} Batches
+   */
+  batch(texts) {
+    const model = this.getModel();
+    const batchTokens = Math.max(
+      this.contextWindow.getLimit(model) - this.summaryTokens * 2 - INSTRUCTION_TOKENS - this.contextWindow.safetyMargin,
+      this.summaryTokens
+    );
+    const maxChars = Math.floor(batchTokens * this.contextWindow.getCharsPerToken(model));
+    const pieces = texts.flatMap((text) => {
+      const parts = [];
+      for (let i = 0; i < text.length; i += maxChars) parts.push(text.slice(i, i + maxChars));
+      return parts.length ? parts : [text];
+    });
+
+    const batches = [];
+    let size = Infinity;
+    pieces.forEach((piece) => {
+      const tokens = this.contextWindow.countTokens(piece, model);
+      if (size + tokens > batchTokens) {
+        batches.push([]);
+        size = 0;
+      }
+      batches[batches.length - 1].push(piece);
+      size += tokens;
+    });
+    return batches;
+  }
+
+  /**
+   * Ask the utility model for an updated summary
+   * @param {string} summary - Summary so far
+   * @param {Array<string>} texts - New texts
+   * @param {string} subject - What the texts are
+   * @param {Object} options - usage and signal
+   * @returns {Promise<string>} Updated summary
+   */
+  async summarize(summary, texts, subject, { usage = null, signal } = {}) {
+    const model = this.getModel();
+    const words = Math.round(this.summaryTokens * 0.7);
+    const messages = [
+      { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `${summary ? `Summary so far:\n${summary}\n\n` : ''}New ${subject}:\n${texts.join('\n\n')}\n\nWrite the updated summary in at most ${words} words.`
+      }
+    ];
+    const response = await this.provider.complete({
+      model,
+      messages,
+      temperature: 0.3,
+      maxTokens: this.summaryTokens,
+      signal,
+      metadata: { agentType: 'context', phase: 'context_summary' }
+    });
+
+    usage?.record({ agent: 'context', phase: 'context_summary', model: response.model || model, usage: response.usage, messages, output: response.content });
+    const content = (response.content || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+    if (!content) {
+      throw new Error('Empty summary from AI model');
+    }
+    return content;
+  }
+
+  /**
+   * Summary used when the model could not write one: the previous summary
+   * and the opening of each message, within the summary length
+   * @param {string} summary - Summary so far
+   * @param {Array<string>} texts - Texts that were not summarized
+   * @returns {string} Excerpts
+   */
+  getExcerpts(summary, texts) {
+    const excerpts = texts.map(text => `- ${text.length > 150 ? `${text.substring(0, 150)}...` : text}`).join('\n');
+    return this.contextWindow.truncate([summary, excerpts].filter(Boolean).join('\n'), this.summaryTokens, this.getModel());
+  }
+}
+
+module.exports = ContextManager;
@@ -12,6 +12,7 @@
  * - Search functionality across conversations and messages
  * - Export capabilities for conversation data
  * - Analytics and statistics tracking
+ * - User-defined agents for ideation pipelines
  * 
  * @class DatabaseService
  * @author Brian Meyer
@@ -95,6 +96,17 @@ class DatabaseService {
         FOREIGN KEY(conversation_id) REFERENCES conversations(id)
       )`,
       
+      `CREATE TABLE IF NOT EXISTS idea_scores (
+        id TEXT PRIMARY KEY,
+        idea_id TEXT NOT NULL,
+        criterion TEXT NOT NULL,
+        agent TEXT NOT NULL,
+        score REAL NOT NULL,
+        rationale TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(idea_id) REFERENCES ideas(id)
+      )`,
+      
       `CREATE TABLE IF NOT EXISTS idea_relationships (
         id TEXT PRIMARY KEY,
         idea1_id TEXT,
@@ -106,6 +118,150 @@ class DatabaseService {
         FOREIGN KEY(idea2_id) REFERENCES ideas(id)
       )`,
       
+      `CREATE TABLE IF NOT EXISTS idea_revisions (
+        id TEXT PRIMARY KEY,
+        idea_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL,
+        category TEXT,
+        tags TEXT,
+        implementation_timeline TEXT,
+        score REAL,
+        metadata TEXT,
+        session_id TEXT,
+        source_message_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(idea_id, revision),
+        FOREIGN KEY(idea_id) REFERENCES ideas(id)
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS custom_agents (
+        id TEXT PRIMARY KEY,
+        key TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        emoji TEXT,
+        system_prompt TEXT NOT NULL,
+        models TEXT,
+        temperature REAL DEFAULT 0.7,
+        phases TEXT,
+        enabled INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS token_usage (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT,
+        message_id TEXT,
+        source TEXT NOT NULL,
+        model TEXT NOT NULL,
+        calls INTEGER DEFAULT 0,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        total_tokens INTEGER DEFAULT 0,
+        cost REAL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS ideation_sessions (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT,
+        message_id TEXT,
+        pipeline TEXT,
+        prompt TEXT,
+        status TEXT DEFAULT 'completed',
+        summary TEXT,
+        usage TEXT,
+        budget TEXT,
+        timings TEXT,
+        session_data TEXT,
+        parent_session_id TEXT,
+        root_session_id TEXT,
+        version INTEGER DEFAULT 1,
+        resumed_from TEXT,
+        model TEXT,
+        options TEXT,
+        started_at DATETIME,
+        completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(conversation_id) REFERENCES conversations(id)
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS agent_turns (
+        id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        phase TEXT,
+        phase_label TEXT,
+        step TEXT,
+        agent TEXT NOT NULL,
+        model TEXT,
+        iteration INTEGER,
+        system_prompt TEXT,
+        prompt TEXT,
+        output TEXT,
+        latency_ms INTEGER,
+        prompt_tokens INTEGER,
+        completion_tokens INTEGER,
+        total_tokens INTEGER,
+        attempts INTEGER DEFAULT 1,
+        fallback INTEGER DEFAULT 0,
+        started_at DATETIME,
+        FOREIGN KEY(session_id) REFERENCES ideation_sessions(id)
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS tournaments (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT,
+        session_id TEXT,
+        focus TEXT,
+        model TEXT,
+        ranking TEXT,
+        usage TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(conversation_id) REFERENCES conversations(id)
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS tournament_matches (
+        id TEXT PRIMARY KEY,
+        tournament_id TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        idea_a_id TEXT NOT NULL,
+        idea_b_id TEXT NOT NULL,
+        winner TEXT,
+        rationale TEXT,
+        rating_a_before REAL,
+        rating_b_before REAL,
+        rating_a_after REAL,
+        rating_b_after REAL,
+        FOREIGN KEY(tournament_id) REFERENCES tournaments(id),
+        FOREIGN KEY(idea_a_id) REFERENCES ideas(id),
+        FOREIGN KEY(idea_b_id) REFERENCES ideas(id)
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS frameworks (
+        id TEXT PRIMARY KEY,
+        key TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        description TEXT,
+        definition TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      
+      `CREATE TABLE IF NOT EXISTS memory_embeddings (
+        id TEXT PRIMARY KEY,
+        source_type TEXT NOT NULL,
+        source_id TEXT NOT NULL,
+        conversation_id TEXT,
+        model TEXT NOT NULL,
+        vector BLOB NOT NULL,
+        content TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source_type, source_id, model),
+        FOREIGN KEY(conversation_id) REFERENCES conversations(id)
+      )`,
+      
       `CREATE INDEX IF NOT EXISTS idx_conversations_created_at ON conversations(created_at DESC)`,
       `CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id)`,
       `CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at)`,
@@ -113,17 +269,52 @@ class DatabaseService {
       `CREATE INDEX IF NOT EXISTS idx_ideas_conversation_id ON ideas(conversation_id)`,
       `CREATE INDEX IF NOT EXISTS idx_ideas_category ON ideas(category)`,
       `CREATE INDEX IF NOT EXISTS idx_ideas_extracted_at ON ideas(extracted_at DESC)`,
+      `CREATE INDEX IF NOT EXISTS idx_idea_scores_idea_id ON idea_scores(idea_id)`,
       `CREATE INDEX IF NOT EXISTS idx_idea_relationships_idea1 ON idea_relationships(idea1_id)`,
-      `CREATE INDEX IF NOT EXISTS idx_idea_relationships_idea2 ON idea_relationships(idea2_id)`
+      `CREATE INDEX IF NOT EXISTS idx_idea_relationships_idea2 ON idea_relationships(idea2_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_idea_revisions_idea_id ON idea_revisions(idea_id, revision)`,
+      `CREATE INDEX IF NOT EXISTS idx_token_usage_conversation_id ON token_usage(conversation_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_ideation_sessions_conversation_id ON ideation_sessions(conversation_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_agent_turns_session_id ON agent_turns(session_id, seq)`,
+      `CREATE INDEX IF NOT EXISTS idx_tournaments_conversation_id ON tournaments(conversation_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_tournament_matches_tournament_id ON tournament_matches(tournament_id, seq)`,
+      `CREATE INDEX IF NOT EXISTS idx_memory_embeddings_model ON memory_embeddings(model, conversation_id)`
     ];
 
     for (const sql of createTables) {
       await this.run(sql);
     }
+
+    // Databases created before session versioning or stored command options lack these columns
+    await this.addMissingColumns('ideation_sessions', {
+      session_data: 'TEXT',
+      parent_session_id: 'TEXT',
+      root_session_id: 'TEXT',
+      version: 'INTEGER DEFAULT 1',
+      resumed_from: 'TEXT',
+      model: 'TEXT',
+      options: 'TEXT'
+    });
+
+    // Weighted overall score from the idea scorer, used for ranking; the
+    // revision number goes up each time /refine revises the idea
+    await this.addMissingColumns('ideas', {
+      score: 'REAL',
+      revision: 'INTEGER DEFAULT 1'
+    });
     
     logger.info('Database tables initialized');
   }
 
+  async addMissingColumns(table, columns) {
+    const existing = (await this.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+    for (const [name, type] of Object.entries(columns)) {
+      if (!existing.includes(name)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      }
+    }
+  }
+
   run(sql, params = []) {
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
@@ -218,7 +409,15 @@ class DatabaseService {
   async deleteConversation(id) {
     // Delete related records first due to foreign key constraints
     await this.run('DELETE FROM messages WHERE conversation_id = ?', [id]);
+    await this.run('DELETE FROM idea_scores WHERE idea_id IN (SELECT id FROM ideas WHERE conversation_id = ?)', [id]);
+    await this.run('DELETE FROM idea_revisions WHERE idea_id IN (SELECT id FROM ideas WHERE conversation_id = ?)', [id]);
     await this.run('DELETE FROM ideas WHERE conversation_id = ?', [id]);
+    await this.run('DELETE FROM agent_turns WHERE session_id IN (SELECT id FROM ideation_sessions WHERE conversation_id = ?)', [id]);
+    await this.run('DELETE FROM ideation_sessions WHERE conversation_id = ?', [id]);
+    await this.run('DELETE FROM tournament_matches WHERE tournament_id IN (SELECT id FROM tournaments WHERE conversation_id = ?)', [id]);
+    await this.run('DELETE FROM tournaments WHERE conversation_id = ?', [id]);
+    await this.run('DELETE FROM token_usage WHERE conversation_id = ?', [id]);
+    await this.deleteEmbeddings(id);
     return await this.run('DELETE FROM conversations WHERE id = ?', [id]);
   }
 
@@ -243,6 +442,10 @@ class DatabaseService {
     );
   }
 
+  async getMessage(id) {
+    return await this.get('SELECT * FROM messages WHERE id = ?', [id]);
+  }
+
   async getConversationWithMessages(id) {
     const conversation = await this.getConversation(id);
     if (!conversation) return null;
@@ -337,7 +540,7 @@ class DatabaseService {
       idea.metadata = JSON.parse(idea.metadata);
     }
     
-    return idea;
+    return idea ? (await this.attachScorecards([idea]))[0] : idea;
   }
 
   async getIdeasByConversation(conversationId) {
@@ -346,11 +549,11 @@ class DatabaseService {
       [conversationId]
     );
     
-    return ideas.map(idea => ({
+    return this.attachScorecards(ideas.map(idea => ({
       ...idea,
       tags: idea.tags ? idea.tags.split(',').filter(tag => tag.trim()) : [],
       metadata: idea.metadata ? JSON.parse(idea.metadata) : null
-    }));
+    })));
   }
 
   async getAllIdeas(limit = 100, category = null) {
@@ -367,10 +570,59 @@ class DatabaseService {
     
     const ideas = await this.all(query, params);
     
-    return ideas.map(idea => ({
+    return this.attachScorecards(ideas.map(idea => ({
       ...idea,
       tags: idea.tags ? idea.tags.split(',').filter(tag => tag.trim()) : [],
       metadata: idea.metadata ? JSON.parse(idea.metadata) : null
+    })));
+  }
+
+  /**
+   * Store an idea's multi-criteria scores (one row per criterion and
+   * evaluator agent) and its overall score
+   * @param {string} ideaId - Idea id
+   * @param {Object} evaluation - Scorecard from IdeaScorer.combine ({ criteria, overall })
+   */
+  async saveIdeaScores(ideaId, evaluation) {
+    for (const [criterion, { rationales }] of Object.entries(evaluation.criteria)) {
+      for (const { agent, score, rationale } of rationales) {
+        await this.run(
+          'INSERT INTO idea_scores (id, idea_id, criterion, agent, score, rationale) VALUES (?, ?, ?, ?, ?, ?)',
+          [uuidv4(), ideaId, criterion, agent, score, rationale || null]
+        );
+      }
+    }
+    await this.run('UPDATE ideas SET score = ? WHERE id = ?', [evaluation.overall, ideaId]);
+  }
+
+  /**
+   * Add each idea's scorecard: per criterion, the average score and every
+   * evaluator's score and rationale. Unscored ideas get null.
+   * @param {Array<Object>} ideas - Idea rows
+   * @returns {Promise<Array<Object>>} Ideas with scorecard ({ overall, criteria })
+   */
+  async attachScorecards(ideas) {
+    if (!ideas.length) return ideas;
+
+    const rows = await this.all(
+      `SELECT idea_id, criterion, agent, score, rationale FROM idea_scores
+       WHERE idea_id IN (${ideas.map(() => '?').join(', ')}) ORDER BY created_at ASC`,
+      ideas.map(idea => idea.id)
+    );
+
+    const scorecards = {};
+    rows.forEach(({ idea_id: ideaId, criterion, agent, score, rationale }) => {
+      const criteria = (scorecards[ideaId] = scorecards[ideaId] || {});
+      criteria[criterion] = criteria[criterion] || { score: 0, rationales: [] };
+      criteria[criterion].rationales.push({ agent, score, rationale });
+    });
+    Object.values(scorecards).forEach(criteria => Object.values(criteria).forEach(entry => {
+      entry.score = Math.round(entry.rationales.reduce((sum, { score }) => sum + score, 0) / entry.rationales.length * 10) / 10;
+    }));
+
+    return ideas.map(idea => ({
+      ...idea,
+      scorecard: scorecards[idea.id] ? { overall: idea.score, criteria: scorecards[idea.id] } : null
     }));
   }
 
@@ -393,18 +645,140 @@ class DatabaseService {
     
     values.push(id);
     
-    return await this.run(
+    const result = await this.run(
       `UPDATE ideas SET ${fields.join(', ')} WHERE id = ?`,
       values
     );
+
+    // Re-embedded on the next memory recall
+    if (updates.title !== undefined || updates.description !== undefined) {
+      await this.run("DELETE FROM memory_embeddings WHERE source_type = 'idea' AND source_id = ?", [id]);
+    }
+    return result;
   }
 
   async deleteIdea(id) {
-    // Delete relationships first
+    // Delete relationships, scores and tournament matches first
     await this.run('DELETE FROM idea_relationships WHERE idea1_id = ? OR idea2_id = ?', [id, id]);
+    await this.run('DELETE FROM tournament_matches WHERE idea_a_id = ? OR idea_b_id = ?', [id, id]);
+    await this.run('DELETE FROM idea_scores WHERE idea_id = ?', [id]);
+    await this.run('DELETE FROM idea_revisions WHERE idea_id = ?', [id]);
+    await this.run("DELETE FROM memory_embeddings WHERE source_type = 'idea' AND source_id = ?", [id]);
     return await this.run('DELETE FROM ideas WHERE id = ?', [id]);
   }
 
+  /**
+   * Find ideas by title: exact matches (ignoring case) first, then titles
+   * that contain the text; within each, ideas from the given conversation
+   * first, then newest first. `%` and `_` in the title match themselves.
+   * @param {string} title - Title or part of one
+   * @param {string} [conversationId] - Conversation whose ideas come first
+   * @param {number} [limit] - Maximum ideas
+   * @returns {Promise<Array<Object>>} Ideas
+   */
+  async findIdeasByTitle(title, conversationId = null, limit = 10) {
+    const pattern = title.replace(/[\\%_]/g, '\\$&');
+    const ideas = await this.all(
+      `SELECT * FROM ideas WHERE title LIKE ? ESCAPE '\\'
+       ORDER BY lower(title) = lower(?) DESC, conversation_id = ? DESC, extracted_at DESC LIMIT ?`,
+      [`%${pattern}%`, title, conversationId, limit]
+    );
+
+    return ideas.map(idea => ({
+      ...idea,
+      tags: idea.tags ? idea.tags.split(',').filter(tag => tag.trim()) : [],
+      metadata: idea.metadata ? JSON.parse(idea.metadata) : null
+    }));
+  }
+
+  /**
+   * Store a new revision of an idea. The idea keeps its id, source message
+   * and conversation and takes the revision's content and scores; every
+   * revision is kept in idea_revisions, starting with the original the
+   * first time the idea is revised.
+   * @param {string} ideaId - Idea id
+   * @param {Object} revision - Revised idea
+   * @param {string} revision.title - Title
+   * @param {string} revision.description - Description
+   * @param {string} [revision.category] - Category
+   * @param {Array<string>} [revision.tags] - Tags
+   * @param {string} [revision.implementationTimeline] - Timeline
+   * @param {Object} [revision.metadata] - Metadata, replacing the idea's
+   * @param {Object} [revision.evaluation] - Scorecard from IdeaScorer.combine; the idea is left unscored without one
+   * @param {string} [revision.sessionId] - Ideation session that produced the revision
+   * @param {string} [revision.sourceMessageId] - Message the revision was posted in
+   * @returns {Promise<number|null>} The new revision number, or null when the idea does not exist
+   */
+  async addIdeaRevision(ideaId, revision) {
+    const idea = await this.getIdea(ideaId);
+    if (!idea) return null;
+
+    const current = idea.revision || 1;
+    const stored = await this.get('SELECT COUNT(*) as count FROM idea_revisions WHERE idea_id = ?', [ideaId]);
+    if (!stored.count) {
+      await this.insertIdeaRevision(ideaId, current, {
+        title: idea.title,
+        description: idea.description,
+        category: idea.category,
+        tags: idea.tags || [],
+        implementationTimeline: idea.implementation_timeline,
+        score: idea.score,
+        metadata: idea.metadata,
+        sessionId: idea.metadata?.sessionId || null,
+        sourceMessageId: idea.source_message_id
+      });
+    }
+
+    const next = current + 1;
+    await this.insertIdeaRevision(ideaId, next, {
+      ...revision,
+      score: revision.evaluation?.overall ?? null
+    });
+    await this.updateIdea(ideaId, {
+      title: revision.title,
+      description: revision.description,
+      category: revision.category,
+      tags: revision.tags,
+      implementation_timeline: revision.implementationTimeline,
+      metadata: revision.metadata,
+      revision: next,
+      score: null
+    });
+
+    await this.run('DELETE FROM idea_scores WHERE idea_id = ?', [ideaId]);
+    if (revision.evaluation) {
+      await this.saveIdeaScores(ideaId, revision.evaluation);
+    }
+    return next;
+  }
+
+  async insertIdeaRevision(ideaId, number, { title, description, category = null, tags = [], implementationTimeline = null, score = null, metadata = null, sessionId = null, sourceMessageId = null }) {
+    await this.run(
+      `INSERT INTO idea_revisions (id, idea_id, revision, title, description, category, tags, implementation_timeline, score, metadata, session_id, source_message_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), ideaId, number, title, description, category, tags.join(','), implementationTimeline, score, metadata ? JSON.stringify(metadata) : null, sessionId, sourceMessageId]
+    );
+  }
+
+  /**
+   * Get every stored revision of an idea, oldest first. Ideas that were
+   * never refined have none.
+   * @param {string} ideaId - Idea id
+   * @returns {Promise<Array<Object>>} Revisions
+   */
+  async getIdeaRevisions(ideaId) {
+    const revisions = await this.all(
+      'SELECT * FROM idea_revisions WHERE idea_id = ? ORDER BY revision ASC',
+      [ideaId]
+    );
+
+    return revisions.map(revision => ({
+      ...revision,
+      tags: revision.tags ? revision.tags.split(',').filter(tag => tag.trim()) : [],
+      metadata: revision.metadata ? JSON.parse(revision.metadata) : null
+    }));
+  }
+
   async searchIdeas(query, limit = 20) {
     return await this.all(
       `SELECT i.*, c.title as conversation_title FROM ideas i
@@ -431,6 +805,375 @@ class DatabaseService {
     };
   }
 
+  // Custom agent methods
+  async createCustomAgent({ key, name, emoji = null, systemPrompt, models = [], temperature = 0.7, phases = [], enabled = true }) {
+    const id = uuidv4();
+    await this.run(
+      'INSERT INTO custom_agents (id, key, name, emoji, system_prompt, models, temperature, phases, enabled) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [id, key, name, emoji, systemPrompt, JSON.stringify(models), temperature, JSON.stringify(phases), enabled ? 1 : 0]
+    );
+    return id;
+  }
+
+  parseCustomAgent(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      models: row.models ? JSON.parse(row.models) : [],
+      phases: row.phases ? JSON.parse(row.phases) : [],
+      enabled: Boolean(row.enabled)
+    };
+  }
+
+  async getCustomAgent(id) {
+    const row = await this.get('SELECT * FROM custom_agents WHERE id = ?', [id]);
+    return this.parseCustomAgent(row);
+  }
+
+  async getCustomAgents() {
+    const rows = await this.all('SELECT * FROM custom_agents ORDER BY created_at ASC');
+    return rows.map(row => this.parseCustomAgent(row));
+  }
+
+  async updateCustomAgent(id, updates) {
+    const columns = {
+      name: 'name',
+      emoji: 'emoji',
+      systemPrompt: 'system_prompt',
+      temperature: 'temperature',
+      models: 'models',
+      phases: 'phases',
+      enabled: 'enabled'
+    };
+    const fields = [];
+    const values = [];
+    
+    Object.entries(columns).forEach(([key, column]) => {
+      if (updates[key] === undefined) return;
+      fields.push(`${column} = ?`);
+      if (key === 'models' || key === 'phases') {
+        values.push(JSON.stringify(updates[key]));
+      } else if (key === 'enabled') {
+        values.push(updates[key] ? 1 : 0);
+      } else {
+        values.push(updates[key]);
+      }
+    });
+    
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    
+    return await this.run(
+      `UPDATE custom_agents SET ${fields.join(', ')} WHERE id = ?`,
+      values
+    );
+  }
+
+  async deleteCustomAgent(id) {
+    return await this.run('DELETE FROM custom_agents WHERE id = ?', [id]);
+  }
+
+  // Framework methods
+  parseFramework(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      definition: JSON.parse(row.definition)
+    };
+  }
+
+  async getFrameworks() {
+    const rows = await this.all('SELECT * FROM frameworks ORDER BY created_at ASC');
+    return rows.map(row => this.parseFramework(row));
+  }
+
+  async getFramework(key) {
+    return this.parseFramework(await this.get('SELECT * FROM frameworks WHERE key = ?', [key]));
+  }
+
+  /**
+   * Create or replace a stored framework; built-in frameworks that were
+   * edited are stored under their own key
+   * @param {Object} framework - Framework fields
+   * @param {string} framework.key - Framework key
+   * @param {string} framework.name - Display name
+   * @param {string} [framework.description] - What the framework does
+   * @param {Object} framework.definition - Roles and phases (see FrameworkService)
+   */
+  async saveFramework({ key, name, description = '', definition }) {
+    const existing = await this.get('SELECT id FROM frameworks WHERE key = ?', [key]);
+    if (existing) {
+      return await this.run(
+        'UPDATE frameworks SET name = ?, description = ?, definition = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
+        [name, description, JSON.stringify(definition), key]
+      );
+    }
+    return await this.run(
+      'INSERT INTO frameworks (id, key, name, description, definition) VALUES (?, ?, ?, ?, ?)',
+      [uuidv4(), key, name, description, JSON.stringify(definition)]
+    );
+  }
+
+  async deleteFramework(key) {
+    return await this.run('DELETE FROM frameworks WHERE key = ?', [key]);
+  }
+
+  // Ideation session transcript methods
+  /**
+   * Store a finished ideation session and every agent turn it ran. Re-runs
+   * carry parentSessionId, rootSessionId and version, linking them to the
+   * session they were resumed from.
+   * @param {Object} session - Orchestrator result (sessionId, pipeline, prompt, content, usage, budget, timings, sessionData, turns, startedAt)
+   * @param {Object} refs - Where the session belongs
+   * @param {string} refs.conversationId - Conversation id
+   * @param {string} [refs.messageId] - Assistant message holding the final summary
+   * @param {string} [refs.status] - completed, failed or cancelled
+   * @returns {Promise<string>} Session id
+   */
+  async saveIdeationSession(session, { conversationId, messageId = null, status = 'completed' }) {
+    await this.run(
+      `INSERT INTO ideation_sessions (id, conversation_id, message_id, pipeline, prompt, status, summary, usage, budget, timings,
+         session_data, parent_session_id, root_session_id, version, resumed_from, model, options, started_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        session.sessionId, conversationId, messageId, session.pipeline, session.prompt, status, session.content,
+        JSON.stringify(session.usage || null), JSON.stringify(session.budget || null), JSON.stringify(session.timings || null),
+        JSON.stringify(session.sessionData || null), session.parentSessionId || null, session.rootSessionId || null,
+        session.version || 1, session.resumedFrom || null, session.model || null, JSON.stringify(session.options || null),
+        session.startedAt
+      ]
+    );
+
+    for (const [seq, turn] of (session.turns || []).entries()) {
+      await this.run(
+        `INSERT INTO agent_turns (id, session_id, seq, phase, phase_label, step, agent, model, iteration, system_prompt, prompt, output,
+           latency_ms, prompt_tokens, completion_tokens, total_tokens, attempts, fallback, started_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(), session.sessionId, seq, turn.phaseId, turn.phaseLabel, turn.phase, turn.agent, turn.model, turn.iteration ?? null,
+          turn.systemPrompt, turn.prompt, turn.output, turn.durationMs,
+          turn.usage?.promptTokens ?? null, turn.usage?.completionTokens ?? null, turn.usage?.totalTokens ?? null,
+          turn.attempts || 1, turn.fallback ? 1 : 0, turn.startedAt
+        ]
+      );
+    }
+
+    return session.sessionId;
+  }
+
+  parseIdeationSession(row) {
+    return {
+      ...row,
+      usage: row.usage ? JSON.parse(row.usage) : null,
+      budget: row.budget ? JSON.parse(row.budget) : null,
+      timings: row.timings ? JSON.parse(row.timings) : null,
+      session_data: row.session_data ? JSON.parse(row.session_data) : null,
+      options: row.options ? JSON.parse(row.options) : null
+    };
+  }
+
+  async getIdeationSession(id) {
+    const row = await this.get('SELECT * FROM ideation_sessions WHERE id = ?', [id]);
+    return row ? this.parseIdeationSession(row) : null;
+  }
+
+  async getIdeationSessions(conversationId) {
+    const rows = await this.all(
+      'SELECT * FROM ideation_sessions WHERE conversation_id = ? ORDER BY started_at DESC',
+      [conversationId]
+    );
+    return rows.map(row => this.parseIdeationSession(row));
+  }
+
+  // Every version of a session: the original and all re-runs descended from it
+  async getIdeationSessionVersions(rootSessionId) {
+    const rows = await this.all(
+      'SELECT * FROM ideation_sessions WHERE id = ? OR root_session_id = ? ORDER BY version ASC',
+      [rootSessionId, rootSessionId]
+    );
+    return rows.map(row => this.parseIdeationSession(row));
+  }
+
+  async getAgentTurns(sessionId) {
+    const rows = await this.all('SELECT * FROM agent_turns WHERE session_id = ? ORDER BY seq ASC', [sessionId]);
+    return rows.map(row => ({ ...row, fallback: Boolean(row.fallback) }));
+  }
+
+  // Idea tournament methods
+  /**
+   * Store a tournament with its ranking and every judged match
+   * @param {Object} tournament - TournamentService result (id, conversationId, sessionId, focus, model, ranking, matches, usage, createdAt)
+   * @returns {Promise<string>} Tournament id
+   */
+  async saveTournament(tournament) {
+    await this.run(
+      'INSERT INTO tournaments (id, conversation_id, session_id, focus, model, ranking, usage, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        tournament.id, tournament.conversationId, tournament.sessionId, tournament.focus, tournament.model,
+        JSON.stringify(tournament.ranking), JSON.stringify(tournament.usage || null), tournament.createdAt
+      ]
+    );
+
+    for (const match of tournament.matches) {
+      await this.run(
+        `INSERT INTO tournament_matches (id, tournament_id, seq, idea_a_id, idea_b_id, winner, rationale,
+           rating_a_before, rating_b_before, rating_a_after, rating_b_after)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(), tournament.id, match.seq, match.ideaA, match.ideaB, match.winner, match.rationale,
+          ...match.ratingsBefore, ...match.ratingsAfter
+        ]
+      );
+    }
+
+    return tournament.id;
+  }
+
+  parseTournament(row) {
+    return {
+      ...row,
+      ranking: row.ranking ? JSON.parse(row.ranking) : [],
+      usage: row.usage ? JSON.parse(row.usage) : null
+    };
+  }
+
+  async getTournaments(conversationId) {
+    const rows = await this.all(
+      'SELECT * FROM tournaments WHERE conversation_id = ? ORDER BY created_at DESC',
+      [conversationId]
+    );
+    return rows.map(row => this.parseTournament(row));
+  }
+
+  // A tournament with its matches in the order they were rated, including both ideas' titles
+  async getTournament(id) {
+    const row = await this.get('SELECT * FROM tournaments WHERE id = ?', [id]);
+    if (!row) return null;
+
+    const matches = await this.all(
+      `SELECT m.*, a.title AS idea_a_title, b.title AS idea_b_title FROM tournament_matches m
+       LEFT JOIN ideas a ON m.idea_a_id = a.id
+       LEFT JOIN ideas b ON m.idea_b_id = b.id
+       WHERE m.tournament_id = ? ORDER BY m.seq ASC`,
+      [id]
+    );
+    return { ...this.parseTournament(row), matches };
+  }
+
+  // Token usage methods
+  /**
+   * Store token usage for one ideation session, chat reply or utility call
+   * @param {Object} record - Usage record
+   * @param {string} record.conversationId - Conversation the calls belong to
+   * @param {string} record.source - ideation, chat, extraction or title
+   * @param {Object} record.byModel - Per-model totals from UsageTracker.toJSON()
+   * @param {string} [record.messageId] - Assistant message the usage produced
+   */
+  async recordTokenUsage({ conversationId, source, byModel, messageId = null }) {
+    for (const [model, totals] of Object.entries(byModel || {})) {
+      await this.run(
+        `INSERT INTO token_usage (id, conversation_id, message_id, source, model, calls, prompt_tokens, completion_tokens, total_tokens, cost)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), conversationId, messageId, source, model, totals.calls, totals.promptTokens, totals.completionTokens, totals.totalTokens, totals.cost]
+      );
+    }
+  }
+
+  async getUsageStats() {
+    const totals = await this.get(
+      `SELECT COALESCE(SUM(calls), 0) as calls, COALESCE(SUM(prompt_tokens), 0) as promptTokens,
+              COALESCE(SUM(completion_tokens), 0) as completionTokens, COALESCE(SUM(total_tokens), 0) as totalTokens,
+              COALESCE(SUM(cost), 0) as cost
+       FROM token_usage`
+    );
+    const byModel = await this.all(
+      `SELECT model, SUM(calls) as calls, SUM(prompt_tokens) as promptTokens, SUM(completion_tokens) as completionTokens,
+              SUM(total_tokens) as totalTokens, SUM(cost) as cost
+       FROM token_usage GROUP BY model ORDER BY totalTokens DESC`
+    );
+    const bySource = await this.all(
+      `SELECT source, SUM(calls) as calls, SUM(total_tokens) as totalTokens, SUM(cost) as cost
+       FROM token_usage GROUP BY source ORDER BY totalTokens DESC`
+    );
+
+    return { ...totals, byModel, bySource };
+  }
+
+  // Memory methods
+
+  /**
+   * Store the embedding of a message or idea, replacing one from the same model
+   * @param {Object} embedding - Embedding record
+   * @param {string} embedding.sourceType - message or idea
+   * @param {string} embedding.sourceId - Message or idea id
+   * @param {string} embedding.conversationId - Conversation it belongs to
+   * @param {string} embedding.model - Embedding model
+   * @param {Array<number>} embedding.vector - Vector, stored as float32
+   * @param {string} embedding.content - Text that was embedded
+   */
+  async saveEmbedding({ sourceType, sourceId, conversationId, model, vector, content }) {
+    return await this.run(
+      `INSERT OR REPLACE INTO memory_embeddings (id, source_type, source_id, conversation_id, model, vector, content)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), sourceType, sourceId, conversationId, model, Buffer.from(new Float32Array(vector).buffer), content]
+    );
+  }
+
+  /**
+   * Get the newest embeddings of a model
+   * @param {Object} query - Filters
+   * @param {string} query.model - Embedding model
+   * @param {string} [query.conversationId] - Only this conversation's; all when omitted
+   * @param {number} [query.limit] - Maximum rows
+   * @returns {Promise<Array<Object>>} Rows with vector as a Float32Array
+   */
+  async getEmbeddings({ model, conversationId = null, limit = 5000 }) {
+    const rows = await this.all(
+      `SELECT source_type, source_id, conversation_id, vector, content, created_at FROM memory_embeddings
+       WHERE model = ? ${conversationId ? 'AND conversation_id = ?' : ''}
+       ORDER BY created_at DESC LIMIT ?`,
+      conversationId ? [model, conversationId, limit] : [model, limit]
+    );
+    return rows.map(row => ({
+      ...row,
+      vector: new Float32Array(row.vector.buffer, row.vector.byteOffset, row.vector.byteLength / 4)
+    }));
+  }
+
+  /**
+   * Get messages and ideas that have no embedding from a model yet, oldest first
+   * @param {string} model - Embedding model
+   * @param {number} limit - Maximum of each
+   * @returns {Promise<{messages: Array, ideas: Array}>} Unindexed rows
+   */
+  async getUnindexedMemories(model, limit) {
+    const messages = await this.all(
+      `SELECT m.id, m.conversation_id, m.role, m.content FROM messages m
+       LEFT JOIN memory_embeddings e ON e.source_type = 'message' AND e.source_id = m.id AND e.model = ?
+       WHERE e.id IS NULL ORDER BY m.created_at ASC LIMIT ?`,
+      [model, limit]
+    );
+    const ideas = await this.all(
+      `SELECT i.id, i.conversation_id, i.title, i.description FROM ideas i
+       LEFT JOIN memory_embeddings e ON e.source_type = 'idea' AND e.source_id = i.id AND e.model = ?
+       WHERE e.id IS NULL ORDER BY i.extracted_at ASC LIMIT ?`,
+      [model, limit]
+    );
+    return { messages, ideas };
+  }
+
+  /**
+   * Delete a conversation's embeddings
+   * @param {string} conversationId - Conversation id
+   * @param {string} [sourceType] - Only messages or only ideas
+   */
+  async deleteEmbeddings(conversationId, sourceType = null) {
+    return await this.run(
+      `DELETE FROM memory_embeddings WHERE conversation_id = ? ${sourceType ? 'AND source_type = ?' : ''}`,
+      sourceType ? [conversationId, sourceType] : [conversationId]
+    );
+  }
+
   // Search methods
   async searchConversations(query, limit = 20) {
     return await this.all(
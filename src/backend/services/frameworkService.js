@@ -0,0 +1,240 @@
+/**
+ * Framework Service
+ *
+ * Library of ideation frameworks such as SCAMPER, Six Thinking Hats, Jobs
+ * to Be Done and Lean Canvas. A framework is a pipeline whose phases carry
+ * the framework's prompts and whose `roles` give each agent a persona for
+ * the session; it runs with `/ideate --framework <key>`.
+ *
+ * Built-in frameworks come from config.FRAMEWORKS.file. Teams add their own
+ * and edit the built-ins through the frameworks table: an edited built-in
+ * is stored under its key, and deleting that row restores the original.
+ * Every framework is registered with PipelineService under its key, so
+ * transcripts, checkpoints and re-runs work as for any pipeline.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class FrameworkService {
+  /**
+   * @param {DatabaseService|null} databaseService - Storage for custom and edited frameworks; built-ins only when null
+   * @param {PipelineService} pipelineService - Validates frameworks and runs them as pipelines
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.definitions] - Built-in definitions instead of reading config.FRAMEWORKS.file
+   */
+  constructor(databaseService, pipelineService, options = {}) {
+    this.db = databaseService;
+    this.pipelines = pipelineService;
+    this.frameworks = {};
+    this.builtIns = (options.definitions || this.readFile(config.FRAMEWORKS.file)).frameworks || {};
+
+    Object.entries(this.builtIns).forEach(([key, definition]) => {
+      this.register(key, definition, { builtIn: true, customized: false });
+    });
+  }
+
+  /**
+   * Read built-in framework definitions from a JSON file
+   * @param {string} file - File path
+   * @returns {Object} Parsed definitions
+   */
+  readFile(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load frameworks from ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load custom and edited frameworks from the database. A stored framework
+   * that no longer validates is skipped with a warning.
+   * @returns {Promise<number>} Number of stored frameworks loaded
+   */
+  async load() {
+    if (!this.db) return 0;
+
+    const records = await this.db.getFrameworks();
+    let loaded = 0;
+    records.forEach((record) => {
+      try {
+        this.register(record.key, this.toDefinition(record), {
+          builtIn: this.isBuiltIn(record.key),
+          customized: true
+        });
+        loaded++;
+      } catch (error) {
+        logger.warn(`Skipping stored framework "${record.key}"`, { message: error.message });
+      }
+    });
+
+    logger.info(`Loaded ${loaded} stored frameworks`);
+    return loaded;
+  }
+
+  /**
+   * Build a pipeline definition from a stored framework row
+   * @param {Object} record - Parsed frameworks row
+   * @returns {Object} Framework definition
+   */
+  toDefinition(record) {
+    return { name: record.name, description: record.description || '', ...record.definition };
+  }
+
+  /**
+   * Validate a framework and register it as a pipeline
+   * @param {string} key - Framework key
+   * @param {Object} definition - { name, description, roles, phases, timeLimitMs }
+   * @param {Object} flags - { builtIn, customized }
+   * @returns {Object} Framework
+   */
+  register(key, definition, { builtIn, customized }) {
+    const pipeline = this.pipelines.register(key, definition, { framework: true });
+    this.frameworks[key] = { ...pipeline, builtIn, customized };
+    return this.frameworks[key];
+  }
+
+  /**
+   * Get a framework by key
+   * @param {string} key - Framework key
+   * @returns {Object|null} Framework
+   */
+  get(key) {
+    return Object.prototype.hasOwnProperty.call(this.frameworks, key) ? this.frameworks[key] : null;
+  }
+
+  /**
+   * Check whether a key names a built-in framework
+   * @param {string} key - Framework key
+   * @returns {boolean} Whether config.FRAMEWORKS.file defines it
+   */
+  isBuiltIn(key) {
+    return Object.prototype.hasOwnProperty.call(this.builtIns, key);
+  }
+
+  /**
+   * List every framework, built-ins first
+   * @returns {Array<Object>} Frameworks
+   */
+  list() {
+    return Object.values(this.frameworks);
+  }
+
+  /**
+   * Derive a unique framework key from its name, e.g. "Blue Ocean" → blue_ocean.
+   * Keys never clash with frameworks or pipelines.
+   * @param {string} name - Framework name
+   * @returns {string} Framework key
+   */
+  createKey(name) {
+    const base = name.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'framework';
+    let key = base;
+    for (let suffix = 2; this.pipelines.has(key); suffix++) {
+      key = `${base}_${suffix}`;
+    }
+    return key;
+  }
+
+  /**
+   * Validate a definition without registering it
+   * @param {string} key - Framework key
+   * @param {Object} definition - Framework definition
+   * @returns {string|null} The problem, or null when it is valid
+   */
+  findError(key, definition) {
+    try {
+      this.pipelines.validate(key, definition);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Persist a framework and register it
+   * @param {string} key - Framework key
+   * @param {Object} definition - Validated framework definition
+   * @returns {Promise<Object>} Framework
+   */
+  async save(key, definition) {
+    const { name, description = '', ...rest } = definition;
+    await this.db.saveFramework({ key, name, description, definition: rest });
+    return this.register(key, definition, { builtIn: this.isBuiltIn(key), customized: true });
+  }
+
+  /**
+   * Create and persist a custom framework
+   * @param {Object} data - { name, description, roles, phases, timeLimitMs }
+   * @returns {Promise<{framework: Object}|{status: number, error: string}>} The framework, or why it was rejected
+   */
+  async createFramework(data) {
+    const key = this.createKey(data.name);
+    const error = this.findError(key, data);
+    if (error) {
+      return { status: 400, error };
+    }
+
+    const framework = await this.save(key, data);
+    logger.info(`Framework created: ${data.name}`, { key });
+    return { framework };
+  }
+
+  /**
+   * Edit a framework; editing a built-in stores the edited copy
+   * @param {string} key - Framework key
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<{framework: Object}|{status: number, error: string}>} The framework, or why it was rejected
+   */
+  async updateFramework(key, updates) {
+    const existing = this.get(key);
+    if (!existing) {
+      return { status: 404, error: 'Framework not found' };
+    }
+
+    const { name, description, roles, phases, timeLimitMs } = existing;
+    const definition = Object.fromEntries(Object.entries({ name, description, roles, phases, timeLimitMs, ...updates })
+      .filter(([, value]) => value !== undefined));
+    const error = this.findError(key, definition);
+    if (error) {
+      return { status: 400, error };
+    }
+
+    const framework = await this.save(key, definition);
+    logger.info(`Framework updated: ${framework.name}`, { key });
+    return { framework };
+  }
+
+  /**
+   * Delete a custom framework, or restore an edited built-in to its original
+   * @param {string} key - Framework key
+   * @returns {Promise<{framework: Object|null}|{status: number, error: string}>} The restored built-in (null when
+   *   a custom framework was deleted), or why nothing was deleted
+   */
+  async deleteFramework(key) {
+    const existing = this.get(key);
+    if (!existing) {
+      return { status: 404, error: 'Framework not found' };
+    }
+    if (existing.builtIn && !existing.customized) {
+      return { status: 400, error: `"${existing.name}" is a built-in framework and has no edits to reset` };
+    }
+
+    await this.db.deleteFramework(key);
+    if (existing.builtIn) {
+      logger.info(`Framework reset to built-in: ${existing.name}`, { key });
+      return { framework: this.register(key, this.builtIns[key], { builtIn: true, customized: false }) };
+    }
+
+    this.pipelines.unregister(key);
+    delete this.frameworks[key];
+    logger.info(`Framework deleted: ${existing.name}`, { key });
+    return { framework: null };
+  }
+}
+
+module.exports = FrameworkService;
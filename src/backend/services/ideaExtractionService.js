@@ -9,13 +9,18 @@
  * @version 1.0.0
  */
 
-const axios = require('axios');
-const config = require('../config/config');
 const logger = require('../utils/logger');
+const { createLLMProvider } = require('./llm');
+const UsageTracker = require('./llm/usageTracker');
 
 class IdeaExtractionService {
-  constructor(databaseService) {
+  /**
+   * @param {DatabaseService} databaseService - Database service
+   * @param {BaseProvider} [provider] - LLM provider, defaults to the configured one
+   */
+  constructor(databaseService, provider = createLLMProvider()) {
     this.db = databaseService;
+    this.provider = provider;
   }
 
   /**
@@ -29,45 +34,90 @@ class IdeaExtractionService {
       }
 
       // Use AI to extract and categorize ideas
-      const extractedIdeas = await this.aiExtractIdeas(messageContent);
-      
-      const savedIdeas = [];
+      const extractedIdeas = await this.aiExtractIdeas(messageContent, conversationId);
       
-      for (const idea of extractedIdeas) {
-        try {
-          const ideaId = await this.db.addIdea(
-            conversationId,
-            idea.title,
-            idea.description,
-            idea.category,
-            idea.tags,
-            idea.implementationTimeline,
-            sourceMessageId,
-            {
-              confidence: idea.confidence,
-              extractionMethod: 'ai-auto',
-              originalSection: idea.originalSection
-            }
-          );
-          
-          savedIdeas.push({
-            id: ideaId,
-            ...idea
-          });
-          
-          logger.info(`Extracted idea: ${idea.title} (${idea.category})`);
-        } catch (error) {
-          logger.error('Error saving extracted idea:', error);
-        }
-      }
-      
-      return savedIdeas;
+      return await this.saveIdeas(conversationId, extractedIdeas, sourceMessageId, idea => ({
+        confidence: idea.confidence,
+        extractionMethod: 'ai-auto',
+        originalSection: idea.originalSection
+      }));
     } catch (error) {
       logger.error('Error in idea extraction:', error);
       return [];
     }
   }
 
+  /**
+   * Save the ideas of a structured final summary report (see
+   * utils/summaryReport) directly, without an extraction call, along with
+   * their multi-criteria scores when the evaluator agents scored them
+   * @param {string} conversationId - Conversation the session ran in
+   * @param {Object} report - Validated summary report
+   * @param {string} [sourceMessageId] - Message holding the rendered summary
+   * @param {string} [sessionId] - Ideation session the report came from
+   * @returns {Promise<Array>} Saved ideas with their ids
+   */
+  async saveReportIdeas(conversationId, report, sourceMessageId = null, sessionId = null) {
+    const savedIdeas = await this.saveIdeas(conversationId, report.ideas, sourceMessageId, idea => ({
+      confidence: 1,
+      extractionMethod: 'structured-summary',
+      originalSection: idea.selected ? 'Final Recommendation' : 'Ideas Summary',
+      scores: idea.scores,
+      selected: idea.selected,
+      rationale: idea.rationale,
+      rank: idea.evaluation?.rank ?? null,
+      sessionId
+    }));
+
+    for (const idea of savedIdeas.filter(saved => saved.evaluation)) {
+      try {
+        await this.db.saveIdeaScores(idea.id, idea.evaluation);
+      } catch (error) {
+        logger.error('Error saving idea scores:', error);
+      }
+    }
+
+    return savedIdeas;
+  }
+
+  /**
+   * Save ideas to the repository; an idea that fails to save is logged and skipped
+   * @param {string} conversationId - Conversation the ideas came from
+   * @param {Array} ideas - Ideas with title, description, category, tags and implementationTimeline
+   * @param {string} [sourceMessageId] - Message the ideas came from
+   * @param {Function} getMetadata - Builds the stored metadata for an idea
+   * @returns {Promise<Array>} Saved ideas with their ids
+   */
+  async saveIdeas(conversationId, ideas, sourceMessageId, getMetadata) {
+    const savedIdeas = [];
+    
+    for (const idea of ideas) {
+      try {
+        const ideaId = await this.db.addIdea(
+          conversationId,
+          idea.title,
+          idea.description,
+          idea.category,
+          idea.tags,
+          idea.implementationTimeline,
+          sourceMessageId,
+          getMetadata(idea)
+        );
+        
+        savedIdeas.push({
+          id: ideaId,
+          ...idea
+        });
+        
+        logger.info(`Extracted idea: ${idea.title} (${idea.category})`);
+      } catch (error) {
+        logger.error('Error saving extracted idea:', error);
+      }
+    }
+    
+    return savedIdeas;
+  }
+
   /**
    * Check if message content is from an ideation session
    */
@@ -80,7 +130,7 @@ class IdeaExtractionService {
   /**
    * Use AI to extract and categorize ideas from session content
    */
-  async aiExtractIdeas(sessionContent) {
+  async aiExtractIdeas(sessionContent, conversationId = null) {
     const extractionPrompt = `Analyze this ideation session and extract distinct, actionable ideas. For each idea, provide:
 
 Session Content:
@@ -118,28 +168,27 @@ Example response:
 Return only the JSON array, no additional text.`;
 
     try {
-      const response = await axios.post(config.API.endpoint, {
-        model: 'llama-3.3-70b-versatile', // Use powerful model for extraction
-        messages: [
-          { 
-            role: 'system', 
-            content: 'You are an expert idea extraction system. Return only valid JSON arrays.' 
-          },
-          { role: 'user', content: extractionPrompt }
-        ],
-        temperature: 0.3,
-        max_tokens: 1500,
-        stream: false
-      }, {
-        headers: {
-          'Authorization': `Bearer ${config.API.key}`,
-          'Content-Type': 'application/json'
+      const messages = [
+        { 
+          role: 'system', 
+          content: 'You are an expert idea extraction system. Return only valid JSON arrays.' 
         },
-        timeout: 30000
+        { role: 'user', content: extractionPrompt }
+      ];
+      const response = await this.provider.complete({
+        model: this.provider.getModel('extraction'), // Use powerful model for extraction
+        messages,
+        temperature: 0.3,
+        maxTokens: 1500,
+        metadata: { agentType: 'extraction', phase: 'idea_extraction' }
       });
 
-      if (response.data?.choices?.[0]?.message?.content) {
-        const content = response.data.choices[0].message.content.trim();
+      if (conversationId) {
+        this.recordUsage(conversationId, response, messages);
+      }
+
+      if (response.content) {
+        const content = response.content.trim();
         
         try {
           // Clean up the response (remove any non-JSON content)
@@ -160,6 +209,16 @@ Return only the JSON array, no additional text.`;
     return this.fallbackIdeaExtraction(sessionContent);
   }
 
+  /**
+   * Store the token usage of an extraction call for /api/stats
+   */
+  recordUsage(conversationId, response, messages) {
+    const usage = new UsageTracker();
+    usage.record({ agent: 'extraction', phase: 'idea_extraction', model: response.model || this.provider.getModel('extraction'), usage: response.usage, messages, output: response.content });
+    this.db.recordTokenUsage({ conversationId, source: 'extraction', byModel: usage.toJSON().byModel })
+      .catch(error => logger.error('Failed to record extraction token usage:', { error: error.message }));
+  }
+
   /**
    * Fallback extraction using regex patterns
    */
@@ -0,0 +1,205 @@
+/**
+ * Idea Refinement Service
+ *
+ * Takes a saved idea back into a focused session (/refine). The idea is
+ * found by id or title and given to the refine pipeline together with the
+ * message it was saved from and related ideas: the other ideas of the
+ * session that produced it and the ideas memory recalls for it. The
+ * session's refinement summary is stored as the idea's next revision, so
+ * the idea keeps its id and history instead of being saved again as a new
+ * idea.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const logger = require('../utils/logger');
+
+const REFINE_PIPELINE = 'refine';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Related ideas given to the agents, and characters of the source message and of each related idea
+const MAX_RELATED_IDEAS = 5;
+const MAX_SOURCE_CHARS = 3000;
+const MAX_RELATED_CHARS = 300;
+
+const truncate = (text, max) => (text.length > max ? `${text.substring(0, max)}...` : text);
+
+class IdeaRefinementService {
+  /**
+   * @param {DatabaseService} databaseService - Saved ideas, messages and revisions
+   * @param {MagenticOneService} magenticOneService - Runs the refinement session
+   * @param {MemoryService} [memoryService] - Recalls related ideas; only session siblings are used without it
+   */
+  constructor(databaseService, magenticOneService, memoryService = null) {
+    this.db = databaseService;
+    this.magenticOneService = magenticOneService;
+    this.memoryService = memoryService;
+  }
+
+  /**
+   * Find a saved idea from a user reference: its id, or its title. An exact
+   * title (ignoring case) beats a partial one, and ideas from the current
+   * conversation beat the rest.
+   * @param {string} reference - Idea id or title
+   * @param {string} [conversationId] - Current conversation
+   * @returns {Promise<Object>} { idea } when one idea matches, otherwise { status, error } with
+   *   the candidates as `matches` when the title is ambiguous
+   */
+  async findIdea(reference, conversationId = null) {
+    if (UUID_PATTERN.test(reference)) {
+      const idea = await this.db.getIdea(reference);
+      return idea ? { idea } : { status: 404, error: `No saved idea has the id \`${reference}\`` };
+    }
+
+    const matches = await this.db.findIdeasByTitle(reference, conversationId);
+    if (!matches.length) {
+      return { status: 404, error: `No saved idea has a title matching "${reference}"` };
+    }
+
+    const exact = matches.filter(idea => idea.title.toLowerCase() === reference.toLowerCase());
+    let candidates = exact.length ? exact : matches;
+    const local = candidates.filter(idea => idea.conversation_id === conversationId);
+    if (local.length) candidates = local;
+
+    if (candidates.length > 1) {
+      return { status: 409, error: `"${reference}" matches ${candidates.length} saved ideas`, matches: candidates };
+    }
+    return { idea: await this.db.getIdea(candidates[0].id) };
+  }
+
+  /**
+   * Ideas related to the one being refined: the other ideas saved from the
+   * same session first, then the ideas memory recalls for it
+   * @param {Object} idea - Saved idea
+   * @returns {Promise<Array<string>>} Related ideas as "title: description"
+   */
+  async getRelatedIdeas(idea) {
+    const sessionId = idea.metadata?.sessionId;
+    const siblings = sessionId && idea.conversation_id
+      ? (await this.db.getIdeasByConversation(idea.conversation_id))
+        .filter(other => other.id !== idea.id && other.metadata?.sessionId === sessionId)
+      : [];
+
+    const recalled = this.memoryService
+      ? (await this.memoryService.recall(`${idea.title}: ${idea.description}`, { conversationId: idea.conversation_id }))
+        .filter(memory => memory.type === 'idea' && memory.id !== idea.id && !siblings.some(other => other.id === memory.id))
+      : [];
+
+    return [
+      ...siblings.map(other => `${other.title}: ${other.description}`),
+      ...recalled.map(memory => memory.content)
+    ].slice(0, MAX_RELATED_IDEAS).map(text => truncate(text, MAX_RELATED_CHARS));
+  }
+
+  /**
+   * Build the refinement session's prompt: the idea as it stands, where it
+   * came from, related ideas and the user's focus
+   * @param {Object} idea - Saved idea
+   * @param {Object} material - What the agents work from
+   * @param {Object} [material.source] - Message the idea was saved from
+   * @param {Array<string>} [material.related] - Related ideas
+   * @param {string} [material.focus] - What the refinement should concentrate on
+   * @returns {string} Prompt
+   */
+  buildPrompt(idea, { source = null, related = [], focus = null } = {}) {
+    const facts = [
+      idea.category && `Category: ${idea.category}`,
+      idea.implementation_timeline && `Timeline: ${idea.implementation_timeline}`,
+      idea.tags?.length && `Tags: ${idea.tags.join(', ')}`,
+      idea.score != null && `Overall score: ${idea.score}/10`
+    ].filter(Boolean);
+
+    const sections = [
+      `Refine the saved idea "${idea.title}" into its next revision${focus ? `, focusing on: ${focus}` : ''}.`,
+      `=== THE IDEA (revision ${idea.revision || 1}) ===\nTitle: ${idea.title}\nDescription: ${idea.description}${facts.length ? `\n${facts.join(' · ')}` : ''}${idea.metadata?.rationale ? `\nWhy it was kept: ${idea.metadata.rationale}` : ''}`
+    ];
+    if (source) {
+      sections.push(`=== WHERE IT CAME FROM ===\n${truncate(source.content, MAX_SOURCE_CHARS)}`);
+    }
+    if (related.length) {
+      sections.push(`=== RELATED IDEAS ===\n${related.map(text => `- ${text}`).join('\n')}`);
+    }
+    if (focus) {
+      sections.push(`=== FOCUS ===\n${focus}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Run the refine pipeline on a saved idea
+   * @param {string} reference - Idea id or title
+   * @param {Object} options - Refinement options
+   * @param {string} [options.conversationId] - Conversation the command was given in
+   * @param {Array} [options.context] - That conversation's messages
+   * @param {string} [options.focus] - What the refinement should concentrate on
+   * @param {Array<string>} [options.agents] - Only these agents take part
+   * @param {string} [options.model] - Run every agent on this model
+   * @param {Object} [options.budget] - Token, cost and time limits
+   * @param {boolean} [options.stream] - Stream agent output to socket clients
+   * @returns {Promise<Object>} { idea, session } on success, or { status, error } when the idea
+   *   cannot be found or the pipeline is missing
+   */
+  async refine(reference, { conversationId = null, context = [], focus = null, agents, model, budget, stream = false } = {}) {
+    const found = await this.findIdea(reference, conversationId);
+    if (!found.idea) return found;
+
+    const pipelines = this.magenticOneService.agentOrchestrator.pipelines;
+    if (!pipelines.has(REFINE_PIPELINE)) {
+      return { status: 400, error: `Pipeline "${REFINE_PIPELINE}" does not exist` };
+    }
+
+    const { idea } = found;
+    const source = idea.source_message_id ? await this.db.getMessage(idea.source_message_id) : null;
+    const related = await this.getRelatedIdeas(idea);
+    const prompt = this.buildPrompt(idea, { source, related, focus });
+
+    logger.info(`Refining idea ${idea.id} (revision ${idea.revision || 1})`, { related: related.length, focus });
+    const session = await this.magenticOneService.runIdeationSession(prompt, context, {
+      conversationId,
+      pipeline: REFINE_PIPELINE,
+      agents,
+      model,
+      budget,
+      stream
+    });
+
+    return { idea, session };
+  }
+
+  /**
+   * Store a refinement session's revised idea as the idea's next revision
+   * @param {Object} idea - Idea that was refined
+   * @param {Object} session - Finished refinement session with its refinement report
+   * @param {string} [messageId] - Message the refinement was posted in
+   * @returns {Promise<number|null>} The new revision number, or null when nothing was stored
+   */
+  async saveRevision(idea, session, messageId = null) {
+    if (session.report?.format !== 'refinement') return null;
+
+    const { changes, openIssues, ideas: [revised] } = session.report;
+    const revision = await this.db.addIdeaRevision(idea.id, {
+      title: revised.title,
+      description: revised.description,
+      category: revised.category,
+      tags: revised.tags,
+      implementationTimeline: revised.implementationTimeline,
+      metadata: {
+        ...idea.metadata,
+        scores: revised.scores,
+        rationale: revised.rationale,
+        changes,
+        openIssues,
+        refinementSessionId: session.sessionId
+      },
+      evaluation: revised.evaluation,
+      sessionId: session.sessionId,
+      sourceMessageId: messageId
+    });
+
+    logger.info(`Saved revision ${revision} of idea ${idea.id}`, { sessionId: session.sessionId });
+    return revision;
+  }
+}
+
+module.exports = IdeaRefinementService;
@@ -0,0 +1,150 @@
+/**
+ * Idea Scorer
+ *
+ * Multi-criteria evaluation of the final summary's ideas. Each evaluator
+ * agent scores every idea 1-10 against the configured criteria (impact,
+ * feasibility, cost, novelty, risk by default) with a short rationale.
+ * The scores are averaged per criterion across agents and combined into a
+ * weighted overall score used to rank the ideas; criteria marked
+ * lowerIsBetter (cost, risk) count inverted.
+ *
+ * @class IdeaScorer
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const Joi = require('joi');
+const config = require('../config/config');
+const { extractJSON } = require('../utils/summaryReport');
+
+const round = value => Math.round(value * 10) / 10;
+
+class IdeaScorer {
+  /**
+   * @param {Array<Object>} [criteria] - { key, label, description, weight, lowerIsBetter }, defaults to config.SCORING.criteria
+   */
+  constructor(criteria = config.SCORING.criteria) {
+    this.criteria = criteria.map(criterion => ({ weight: 1, lowerIsBetter: false, ...criterion }));
+  }
+
+  /**
+   * Build the scoring task for one evaluator agent
+   * @param {string} prompt - Original user prompt
+   * @param {Array<Object>} ideas - Report ideas ({ title, description })
+   * @returns {string} Agent prompt
+   */
+  buildPrompt(prompt, ideas) {
+    const ideaList = ideas.map((idea, index) => `${index + 1}. ${idea.title}: ${idea.description}`).join('\n');
+    const criteriaList = this.criteria
+      .map(({ key, label, description, lowerIsBetter }) => `- ${key} (${label}): ${description}${lowerIsBetter ? ' — lower is better' : ''}`)
+      .join('\n');
+    const example = this.criteria.map(({ key }) => `"${key}": { "score": 1-10, "rationale": "one sentence" }`).join(', ');
+
+    return `ORIGINAL CHALLENGE: ${prompt}
+
+=== IDEAS TO EVALUATE ===
+${ideaList}
+
+=== CRITERIA ===
+Score every idea from 1 to 10 on each criterion, judging it on its own merits:
+${criteriaList}
+
+=== OUTPUT FORMAT ===
+Respond with ONE JSON object and nothing else (no markdown, no code fences):
+{ "scores": [{ "idea": idea number, ${example} }] }
+Include every idea exactly once. Keep each rationale to one sentence.`;
+  }
+
+  /**
+   * Parse and validate one evaluator's response
+   * @param {string} text - Model output
+   * @param {number} ideaCount - Number of ideas that were scored
+   * @returns {{scores: Object|null, errors: Array<string>}} Criterion scores keyed by idea index (0-based), or the problems found
+   */
+  parse(text = '', ideaCount) {
+    const json = extractJSON(text);
+    if (!json) {
+      return { scores: null, errors: ['The response does not contain a JSON object'] };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      return { scores: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+
+    const criterionSchema = Joi.object({
+      score: Joi.number().min(1).max(10).required(),
+      rationale: Joi.string().trim().allow('').default('')
+    });
+    const schema = Joi.object({
+      scores: Joi.array().min(1).items(Joi.object({
+        idea: Joi.number().integer().min(1).max(ideaCount).required(),
+        ...Object.fromEntries(this.criteria.map(({ key }) => [key, criterionSchema.required()]))
+      })).unique('idea').required()
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      return { scores: null, errors: error.details.map(detail => detail.message) };
+    }
+
+    const scores = {};
+    value.scores.forEach(({ idea, ...criteria }) => {
+      scores[idea - 1] = criteria;
+    });
+    return { scores, errors: [] };
+  }
+
+  /**
+   * Combine the evaluators' scores into one scorecard per idea and rank them
+   * @param {Array<Object>} ideas - Report ideas, in order
+   * @param {Array<Object>} evaluations - Parsed evaluations as { agent, scores } (see parse)
+   * @returns {Array<Object|null>} Per idea: { criteria: { [key]: { score, rationales: [{ agent, score, rationale }] } }, overall, rank },
+   *   or null for an idea no evaluator scored
+   */
+  combine(ideas, evaluations) {
+    const scorecards = ideas.map((idea, index) => {
+      const scored = evaluations.filter(({ scores }) => scores[index]);
+      if (!scored.length) return null;
+
+      const criteria = {};
+      this.criteria.forEach(({ key }) => {
+        const rationales = scored.map(({ agent, scores }) => ({ agent, ...scores[index][key] }));
+        criteria[key] = {
+          score: round(rationales.reduce((sum, entry) => sum + entry.score, 0) / rationales.length),
+          rationales
+        };
+      });
+
+      return { criteria, overall: this.getOverall(criteria), rank: null };
+    });
+
+    scorecards
+      .filter(Boolean)
+      .sort((a, b) => b.overall - a.overall)
+      .forEach((scorecard, index) => {
+        scorecard.rank = index + 1;
+      });
+    return scorecards;
+  }
+
+  /**
+   * Weighted overall score on the 1-10 scale, inverting lower-is-better criteria
+   * @param {Object} criteria - Averaged scores keyed by criterion ({ [key]: { score } })
+   * @returns {number} Overall score
+   */
+  getOverall(criteria) {
+    let total = 0;
+    let weights = 0;
+    this.criteria.forEach(({ key, weight, lowerIsBetter }) => {
+      if (!criteria[key]) return;
+      total += weight * (lowerIsBetter ? 11 - criteria[key].score : criteria[key].score);
+      weights += weight;
+    });
+    return weights ? round(total / weights) : 0;
+  }
+}
+
+module.exports = IdeaScorer;
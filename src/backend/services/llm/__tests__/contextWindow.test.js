@@ -0,0 +1,53 @@
+const ContextWindow = require('../contextWindow');
+
+describe('ContextWindow', () => {
+  const models = {
+    small: { contextWindow: 1000, charsPerToken: 4 },
+    large: { contextWindow: 100000, charsPerToken: 3 }
+  };
+  let contextWindow;
+
+  beforeEach(() => {
+    contextWindow = new ContextWindow({ models, defaultWindow: 2000, defaultCharsPerToken: 3.5, safetyMargin: 50 });
+  });
+
+  it('should count tokens with each model\'s ratio', () => {
+    expect(contextWindow.countTokens('a'.repeat(400), 'small')).toBe(100);
+    expect(contextWindow.countTokens('a'.repeat(400), 'large')).toBe(134);
+    expect(contextWindow.getLimit('unknown')).toBe(2000);
+    expect(contextWindow.countMessages([{ role: 'user', content: 'a'.repeat(40) }], 'small')).toBe(14);
+  });
+
+  it('should move the ratio toward reported prompt tokens', () => {
+    const messages = [{ role: 'user', content: 'a'.repeat(2000) }];
+
+    contextWindow.calibrate('small', messages, 1004);
+
+    expect(contextWindow.getCharsPerToken('small')).toBe(3.6);
+    contextWindow.calibrate('small', messages, null);
+    expect(contextWindow.getCharsPerToken('small')).toBe(3.6);
+  });
+
+  it('should leave requests that fit untouched', () => {
+    const messages = [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hello' }];
+
+    expect(contextWindow.fit(messages, 'small', 300)).toMatchObject({ messages, maxTokens: 300, truncated: false });
+  });
+
+  it('should drop the oldest conversation messages, then cut the longest from the middle', () => {
+    const messages = [
+      { role: 'system', content: 'System prompt' },
+      { role: 'user', content: 'a'.repeat(1200) },
+      { role: 'assistant', content: 'b'.repeat(1200) },
+      { role: 'user', content: `Request ${'c'.repeat(2400)} Format instructions` }
+    ];
+
+    const { messages: fitted, maxTokens, truncated, promptTokens } = contextWindow.fit(messages, 'small', 2000);
+
+    expect(truncated).toBe(true);
+    expect(maxTokens).toBe(500);
+    expect(promptTokens).toBeLessThanOrEqual(1000 - 500 - 50);
+    expect(fitted.map(message => message.role)).toEqual(['system', 'user']);
+    expect(fitted[1].content).toMatch(/^Request c+\n\n\[\.\.\. \d+ tokens omitted to fit the context window \.\.\.\]\n\nc+ Format instructions$/);
+  });
+});
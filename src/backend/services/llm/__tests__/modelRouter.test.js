@@ -0,0 +1,65 @@
+const ModelRouter = require('../modelRouter');
+
+describe('ModelRouter', () => {
+  let router;
+
+  beforeEach(() => {
+    router = new ModelRouter({ maxAttempts: 3, windowSize: 10, rateLimitCooldownMs: 60000 });
+  });
+
+  describe('select', () => {
+    it('should prefer models with a better recent success rate', () => {
+      for (let i = 0; i < 5; i++) {
+        router.record('healthy', { ok: true, latencyMs: 1000 });
+        router.record('flaky', { ok: false, latencyMs: 1000, status: 500 });
+      }
+
+      const picks = { healthy: 0, flaky: 0 };
+      for (let i = 0; i < 200; i++) {
+        picks[router.select(['healthy', 'flaky'])]++;
+      }
+
+      expect(picks.healthy).toBeGreaterThan(picks.flaky * 5);
+    });
+
+    it('should skip rate-limited models while others are available', () => {
+      router.record('limited', { ok: false, latencyMs: 100, status: 429 });
+
+      for (let i = 0; i < 20; i++) {
+        expect(router.select(['limited', 'other'])).toBe('other');
+      }
+      expect(router.select(['limited', 'other'], ['other'])).toBe('limited');
+    });
+
+    it('should return null once every model has been tried', () => {
+      expect(router.select(['a', 'b'], ['a', 'b'])).toBeNull();
+    });
+  });
+
+  describe('getAttemptLimit', () => {
+    it('should not exceed the pool size', () => {
+      expect(router.getAttemptLimit(['a'])).toBe(1);
+      expect(router.getAttemptLimit(['a', 'b', 'c', 'd'])).toBe(3);
+    });
+  });
+
+  describe('getHealth', () => {
+    it('should report success rate, latency and rate limits per model', () => {
+      router.record('model-a', { ok: true, latencyMs: 1000 });
+      router.record('model-a', { ok: true, latencyMs: 3000 });
+      router.record('model-a', { ok: false, latencyMs: 500, status: 429, error: 'rate limited' });
+
+      expect(router.getHealth()).toEqual([{
+        model: 'model-a',
+        calls: 3,
+        successes: 2,
+        failures: 1,
+        rateLimits: 1,
+        successRate: 0.67,
+        avgLatencyMs: 2000,
+        coolingDown: true,
+        lastError: 'rate limited'
+      }]);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { PassThrough } = require('stream');
+const axios = require('axios');
+const { createLLMProvider } = require('..');
+const GroqProvider = require('../providers/groqProvider');
+const LocalProvider = require('../providers/localProvider');
+const MockProvider = require('../providers/mockProvider');
+const OpenAICompatibleProvider = require('../providers/openAICompatibleProvider');
+
+const request = (overrides = {}) => ({
+  model: 'test-model',
+  messages: [{ role: 'user', content: 'Name a green idea' }],
+  temperature: 0.7,
+  maxTokens: 200,
+  ...overrides
+});
+
+// A response body that sends the given SSE payloads, then ends
+const sseResponse = (payloads) => {
+  const stream = new PassThrough();
+  process.nextTick(() => {
+    payloads.forEach(payload => stream.write(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`));
+    stream.end();
+  });
+  return { data: stream };
+};
+
+describe('createLLMProvider', () => {
+  it('should create the named provider with its configuration and overrides', () => {
+    const groq = createLLMProvider('groq', { apiKey: 'test-key' });
+    const local = createLLMProvider('local');
+
+    expect(groq).toBeInstanceOf(GroqProvider);
+    expect(groq).toMatchObject({ name: 'groq', apiKey: 'test-key' });
+    expect(groq.getModelPool('reasoning').length).toBeGreaterThan(0);
+    expect(local).toBeInstanceOf(LocalProvider);
+    expect(local.endpoint).toContain('/v1/chat/completions');
+    expect(createLLMProvider('mock')).toBeInstanceOf(MockProvider);
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createLLMProvider('bard')).toThrow('Unknown LLM provider "bard". Expected one of: groq, openai, local, mock');
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  let provider;
+  let post;
+
+  beforeEach(() => {
+    provider = new OpenAICompatibleProvider({ endpoint: 'https://llm.test/v1/chat/completions', apiKey: 'secret' });
+    post = jest.spyOn(axios, 'post');
+  });
+
+  afterEach(() => {
+    post.mockRestore();
+  });
+
+  it('should send a chat completion and normalize its usage', async () => {
+    post.mockResolvedValue({
+      data: {
+        model: 'test-model-0611',
+        choices: [{ message: { content: 'Rooftop gardens' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 }
+      }
+    });
+
+    const result = await provider.complete(request({ parameters: { top_p: 0.9 } }));
+
+    expect(result).toEqual({
+      content: 'Rooftop gardens',
+      model: 'test-model-0611',
+      usage: { promptTokens: 12, completionTokens: 3, totalTokens: 15 }
+    });
+    const [url, payload, options] = post.mock.calls[0];
+    expect(url).toBe('https://llm.test/v1/chat/completions');
+    expect(payload).toEqual({ model: 'test-model', messages: request().messages, temperature: 0.7, max_tokens: 200, top_p: 0.9, stream: false });
+    expect(options.headers.Authorization).toBe('Bearer secret');
+  });
+
+  it('should leave out the Authorization header without an API key', () => {
+    expect(new LocalProvider({ endpoint: 'http://localhost:11434/v1/chat/completions' }).getHeaders())
+      .toEqual({ 'Content-Type': 'application/json' });
+  });
+
+  it('should stream deltas and read the usage Groq reports under x_groq', async () => {
+    post.mockResolvedValue(sseResponse([
+      { choices: [{ delta: { role: 'assistant' } }] },
+      { choices: [{ delta: { content: 'Rooftop ' } }] },
+      { choices: [{ delta: { content: 'gardens' } }] },
+      { choices: [], x_groq: { usage: { prompt_tokens: 12, completion_tokens: 2, total_tokens: 14 } } },
+      '[DONE]'
+    ]));
+    const deltas = [];
+
+    const result = await provider.complete(request({ stream: true, onDelta: delta => deltas.push(delta) }));
+
+    expect(deltas).toEqual(['Rooftop ', 'gardens']);
+    expect(result).toEqual({ content: 'Rooftop gardens', model: 'test-model', usage: { promptTokens: 12, completionTokens: 2, totalTokens: 14 } });
+    expect(post.mock.calls[0][1]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(post.mock.calls[0][2].responseType).toBe('stream');
+  });
+
+  it('should retry without streaming when the stream fails before any output', async () => {
+    post
+      .mockRejectedValueOnce(new Error('stream not supported'))
+      .mockResolvedValueOnce({ data: { choices: [{ message: { content: 'Rooftop gardens' } }] } });
+
+    const result = await provider.complete(request({ stream: true, onDelta: jest.fn() }));
+
+    expect(result.content).toBe('Rooftop gardens');
+    expect(post.mock.calls.map(([, payload]) => payload.stream)).toEqual([true, false]);
+  });
+
+  it('should not retry once output has streamed or the request was cancelled', async () => {
+    const broken = new PassThrough();
+    process.nextTick(() => {
+      broken.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Roof' } }] })}\n\n`);
+      broken.destroy();
+    });
+    post.mockResolvedValueOnce({ data: broken });
+
+    await expect(provider.complete(request({ stream: true, onDelta: jest.fn() }))).rejects.toThrow('Stream closed before completion');
+
+    const controller = new AbortController();
+    controller.abort();
+    post.mockRejectedValueOnce(new axios.CanceledError());
+
+    await expect(provider.complete(request({ stream: true, onDelta: jest.fn(), signal: controller.signal }))).rejects.toThrow('canceled');
+    expect(post).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('MockProvider', () => {
+  it('should answer from its script by agent and phase, streaming the same text', async () => {
+    const provider = new MockProvider({ script: { 'creative/phase1_creative': 'Solar benches for every park', '*': 'fallback' } });
+    const deltas = [];
+
+    const result = await provider.complete(request({
+      stream: true,
+      onDelta: delta => deltas.push(delta),
+      metadata: { agentType: 'creative', phase: 'phase1_creative' }
+    }));
+
+    expect(result.content).toBe('Solar benches for every park');
+    expect(deltas.join('')).toBe(result.content);
+    expect(result.usage.totalTokens).toBe(result.usage.promptTokens + result.usage.completionTokens);
+    expect((await provider.complete(request({ metadata: { agentType: 'logical' } }))).content).toBe('fallback');
+    expect(provider.getCallsForPhase('phase1_creative')).toHaveLength(1);
+  });
+
+  it('should fail like an HTTP error for scripted errors', async () => {
+    const provider = new MockProvider({ script: { '*': { error: { status: 429, message: 'Rate limited' } } } });
+
+    await expect(provider.complete(request())).rejects.toMatchObject({ message: 'Rate limited', response: { status: 429 } });
+  });
+});
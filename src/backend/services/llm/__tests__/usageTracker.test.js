@@ -0,0 +1,58 @@
+const UsageTracker = require('../usageTracker');
+const { estimateCost } = require('../usageTracker');
+
+describe('UsageTracker', () => {
+  const prices = {
+    'model-a': { input: 1, output: 2 },
+    'model-b': { input: 0.5, output: 0.5 }
+  };
+
+  it('should accumulate tokens and cost per agent, phase and model', () => {
+    const tracker = new UsageTracker(prices);
+
+    tracker.record({ agent: 'creative', phase: 'phase1', model: 'model-a', usage: { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 } });
+    tracker.record({ agent: 'logical', phase: 'phase1', model: 'model-b', usage: { promptTokens: 2000, completionTokens: 1000, totalTokens: 3000 } });
+    tracker.record({ agent: 'creative', phase: 'phase2', model: 'model-a', usage: { promptTokens: 1000, completionTokens: 1000, totalTokens: 2000 } });
+
+    const summary = tracker.toJSON();
+    expect(summary).toMatchObject({ promptTokens: 4000, completionTokens: 2500, totalTokens: 6500, calls: 3, currency: 'USD' });
+    expect(summary.cost).toBeCloseTo(0.0065);
+    expect(summary.byAgent.creative).toMatchObject({ totalTokens: 3500, calls: 2 });
+    expect(summary.byPhase.phase1).toMatchObject({ totalTokens: 4500, calls: 2 });
+    expect(summary.byModel['model-b'].cost).toBeCloseTo(0.0015);
+  });
+
+  it('should count tokens for unpriced models without adding cost', () => {
+    const tracker = new UsageTracker(prices);
+
+    tracker.record({ agent: 'creative', phase: 'phase1', model: 'unknown', usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } });
+
+    expect(tracker.toJSON()).toMatchObject({ totalTokens: 15, cost: 0, unpricedModels: ['unknown'] });
+  });
+
+  it('should estimate the tokens of calls without a usage block', () => {
+    const tracker = new UsageTracker(prices);
+
+    tracker.record({
+      agent: 'creative',
+      phase: 'phase1',
+      model: 'model-a',
+      usage: null,
+      messages: [{ role: 'user', content: 'x'.repeat(400) }],
+      output: 'y'.repeat(200)
+    });
+
+    const summary = tracker.toJSON();
+    expect(summary).toMatchObject({ calls: 1, estimatedCalls: 1 });
+    expect(summary.promptTokens).toBeGreaterThan(summary.completionTokens);
+    expect(summary.completionTokens).toBeGreaterThan(0);
+    expect(summary.cost).toBeGreaterThan(0);
+  });
+
+  describe('estimateCost', () => {
+    it('should price prompt and completion tokens per million', () => {
+      expect(estimateCost('model-a', { promptTokens: 1e6, completionTokens: 1e6 }, prices)).toBe(3);
+      expect(estimateCost('missing', { promptTokens: 1 }, prices)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Context Window
+ *
+ * Token accounting against each model's context window. Hosted models use
+ * different tokenizers, so tokens are estimated from a characters-per-token
+ * ratio per model (config.CONTEXT.models), corrected with the prompt token
+ * counts that providers report. Providers pass every request through fit()
+ * so no request is sent that the model cannot take.
+ *
+ * @class ContextWindow
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const config = require('../../config/config');
+
+// Tokens a chat message costs beyond its content (role and framing)
+const MESSAGE_OVERHEAD = 4;
+// Weight of each reported prompt token count in the calibrated ratio
+const CALIBRATION_RATE = 0.2;
+
+class ContextWindow {
+  /**
+   * @param {Object} options - Overrides for config.CONTEXT
+   * @param {Object} [options.models] - { model: { contextWindow, charsPerToken } }
+   * @param {number} [options.defaultWindow] - Window of models that are not listed
+   * @param {number} [options.defaultCharsPerToken] - Ratio of models that are not listed
+   * @param {number} [options.safetyMargin] - Tokens kept free on top of the completion limit
+   */
+  constructor(options = {}) {
+    this.models = options.models || config.CONTEXT.models;
+    this.defaultWindow = options.defaultWindow || config.CONTEXT.defaultWindow;
+    this.defaultCharsPerToken = options.defaultCharsPerToken || config.CONTEXT.defaultCharsPerToken;
+    this.safetyMargin = options.safetyMargin ?? config.CONTEXT.safetyMargin;
+    // Ratios learned from reported usage, by model
+    this.calibrated = new Map();
+  }
+
+  /**
+   * Get a model's context window
+   * @param {string} model - Model identifier
+   * @returns {number} Tokens
+   */
+  getLimit(model) {
+    return this.models[model]?.contextWindow || this.defaultWindow;
+  }
+
+  /**
+   * Get the characters-per-token ratio used to count a model's tokens
+   * @param {string} model - Model identifier
+   * @returns {number} Characters per token
+   */
+  getCharsPerToken(model) {
+    return this.calibrated.get(model) || this.models[model]?.charsPerToken || this.defaultCharsPerToken;
+  }
+
+  /**
+   * Estimate the tokens of a text for a model
+   * @param {string} text - Text to measure
+   * @param {string} model - Model identifier
+   * @returns {number} Estimated tokens
+   */
+  countTokens(text = '', model) {
+    return Math.ceil(String(text).length / this.getCharsPerToken(model));
+  }
+
+  /**
+   * Estimate the prompt tokens of a message list
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {string} model - Model identifier
+   * @returns {number} Estimated tokens
+   */
+  countMessages(messages, model) {
+    return messages.reduce((total, message) => total + this.countTokens(message.content, model) + MESSAGE_OVERHEAD, 0);
+  }
+
+  /**
+   * Move a model's ratio toward the one observed in a completed request
+   * @param {string} model - Model identifier
+   * @param {Array} messages - Messages that were sent
+   * @param {number} promptTokens - Prompt tokens the provider reported
+   */
+  calibrate(model, messages, promptTokens) {
+    const framing = (messages?.length || 0) * MESSAGE_OVERHEAD;
+    if (!promptTokens || promptTokens <= framing) return;
+
+    const chars = messages.reduce((total, message) => total + String(message.content || '').length, 0);
+    const observed = Math.min(Math.max(chars / (promptTokens - framing), 1), 8);
+    const current = this.getCharsPerToken(model);
+    this.calibrated.set(model, Math.round((current + (observed - current) * CALIBRATION_RATE) * 100) / 100);
+  }
+
+  /**
+   * Shorten a text to a token count, cutting from the middle so the
+   * opening (the request) and the end (the latest work and instructions)
+   * are kept
+   * @param {string} text - Text to shorten
+   * @param {number} maxTokens - Token limit
+   * @param {string} model - Model identifier
+   * @returns {string} The text, shortened when over the limit
+   */
+  truncate(text, maxTokens, model) {
+    const tokens = this.countTokens(text, model);
+    if (tokens <= maxTokens) return text;
+
+    const maxChars = Math.floor(Math.max(maxTokens, 0) * this.getCharsPerToken(model));
+    const marker = `\n\n[... ${tokens - maxTokens} tokens omitted to fit the context window ...]\n\n`;
+    if (maxChars <= marker.length) {
+      return text.slice(0, maxChars);
+    }
+
+    const keep = maxChars - marker.length;
+    const head = Math.floor(keep * 0.4);
+    return text.slice(0, head) + marker + text.slice(text.length - (keep - head));
+  }
+
+  /**
+   * Fit a request into a model's window. The completion limit is capped at
+   * half the window; then the oldest conversation messages (any between the
+   * leading system messages and the last message) are dropped, and finally
+   * the longest messages are cut from the middle.
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {string} model - Model identifier
+   * @param {number} [maxTokens] - Requested completion limit
+   * @returns {{messages: Array, maxTokens: number|undefined, truncated: boolean, promptTokens: number}} Fitted request
+   */
+  fit(messages, model, maxTokens) {
+    const limit = this.getLimit(model);
+    const completion = maxTokens ? Math.min(maxTokens, Math.floor(limit / 2)) : maxTokens;
+    const budget = limit - (completion || 0) - this.safetyMargin;
+    let total = this.countMessages(messages, model);
+
+    if (total <= budget) {
+      return { messages, maxTokens: completion, truncated: false, promptTokens: total };
+    }
+
+    const fitted = [...messages];
+    while (total > budget) {
+      const index = fitted.findIndex((message, i) => message.role !== 'system' && i < fitted.length - 1);
+      if (index === -1) break;
+      total -= this.countTokens(fitted[index].content, model) + MESSAGE_OVERHEAD;
+      fitted.splice(index, 1);
+    }
+
+    while (total > budget) {
+      const sizes = fitted.map(message => this.countTokens(message.content, model));
+      const longest = sizes.indexOf(Math.max(...sizes));
+      if (!sizes[longest]) break;
+      fitted[longest] = {
+        ...fitted[longest],
+        content: this.truncate(fitted[longest].content, sizes[longest] - (total - budget), model)
+      };
+      total = this.countMessages(fitted, model);
+    }
+
+    return { messages: fitted, maxTokens: completion, truncated: true, promptTokens: total };
+  }
+}
+
+module.exports = ContextWindow;
@@ -0,0 +1,100 @@
+/**
+ * Hash Embedder
+ *
+ * Built-in embedding model that needs no download, server or API key: words,
+ * word pairs and character trigrams are hashed into a fixed-size vector
+ * (feature hashing). It captures shared vocabulary and close spellings, not
+ * meaning; point EMBEDDING_PROVIDER at a neural model for that.
+ *
+ * @class HashEmbedder
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'us', 'was', 'we', 'what', 'when', 'which',
+  'will', 'with', 'would', 'you', 'your'
+]);
+
+// Weight of each feature kind relative to a whole word
+const PAIR_WEIGHT = 0.5;
+const TRIGRAM_WEIGHT = 0.25;
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Feature
+ * @returns {number} Unsigned hash
+ */
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+class HashEmbedder {
+  /**
+   * @param {Object} options - Embedder configuration
+   * @param {number} [options.dimensions] - Vector length
+   */
+  constructor(options = {}) {
+    this.name = 'builtin';
+    this.dimensions = options.dimensions || 512;
+    this.model = `hash-${this.dimensions}`;
+  }
+
+  /**
+   * Split a text into the words that carry its meaning
+   * @param {string} text - Text
+   * @returns {Array<string>} Lowercase words without stop words
+   */
+  tokenize(text) {
+    return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+      // Light stemming so "ideas" and "idea" share a feature
+      .map(word => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word));
+  }
+
+  /**
+   * Embed one text
+   * @param {string} text - Text
+   * @returns {Array<number>} Unit-length vector
+   */
+  embedText(text) {
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+    const words = this.tokenize(text);
+
+    words.forEach((word, index) => {
+      add(`w:${word}`, 1);
+      if (index > 0) add(`p:${words[index - 1]} ${word}`, PAIR_WEIGHT);
+      const padded = `<${word}>`;
+      for (let i = 0; i + 3 <= padded.length; i++) add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    counts.forEach((weight, feature) => {
+      const hash = fnv1a(feature);
+      // The top bit picks the sign so collisions cancel out instead of piling up
+      vector[hash % this.dimensions] += (hash & 0x80000000 ? -1 : 1) * Math.log1p(weight);
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+module.exports = HashEmbedder;
@@ -0,0 +1,48 @@
+/**
+ * Embedding Provider Factory
+ *
+ * Creates the embedding model used for conversation memory
+ * (EMBEDDING_PROVIDER): builtin (feature hashing, offline), openai, or
+ * local (Ollama / llama.cpp).
+ *
+ * Every embedder has a `model` identifier, stored with its vectors so that
+ * switching models re-indexes instead of comparing incompatible vectors,
+ * and `embed(texts)`, resolving to one unit-length vector per text.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const config = require('../../../config/config');
+const HashEmbedder = require('./hashEmbedder');
+const OpenAICompatibleEmbedder = require('./openAICompatibleEmbedder');
+
+const EMBEDDERS = {
+  builtin: HashEmbedder,
+  openai: OpenAICompatibleEmbedder,
+  local: OpenAICompatibleEmbedder
+};
+
+/**
+ * Create an embedding provider
+ * @param {string} [name] - Provider name, defaults to config.MEMORY.embeddings.provider
+ * @param {Object} [overrides] - Options merged over the configured ones
+ * @returns {Object} Embedder with model and embed(texts)
+ */
+const createEmbeddingProvider = (name = config.MEMORY.embeddings.provider, overrides = {}) => {
+  const Embedder = EMBEDDERS[name];
+  if (!Embedder) {
+    throw new Error(`Unknown embedding provider "${name}". Expected one of: ${Object.keys(EMBEDDERS).join(', ')}`);
+  }
+
+  return new Embedder({
+    name,
+    ...config.MEMORY.embeddings.providers[name],
+    ...overrides
+  });
+};
+
+module.exports = {
+  createEmbeddingProvider,
+  EMBEDDERS
+};
@@ -0,0 +1,76 @@
+/**
+ * OpenAI-Compatible Embedder
+ *
+ * Calls any `/embeddings` endpoint that follows the OpenAI wire format:
+ * OpenAI itself, or a local Ollama / llama.cpp server running an embedding
+ * model such as nomic-embed-text.
+ *
+ * @class OpenAICompatibleEmbedder
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+
+// Texts sent per request
+const BATCH_SIZE = 32;
+
+class OpenAICompatibleEmbedder {
+  /**
+   * @param {Object} options - Embedder configuration
+   * @param {string} options.endpoint - Full embeddings URL
+   * @param {string} options.model - Embedding model
+   * @param {string} [options.apiKey] - Bearer token, omitted when empty
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {string} [options.name] - Provider name for logs
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.endpoint = options.endpoint;
+    this.model = options.model;
+    this.apiKey = options.apiKey || '';
+    this.timeout = options.timeout || 30000;
+  }
+
+  /**
+   * Build request headers
+   * @returns {Object} HTTP headers
+   */
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} One unit-length vector per text
+   */
+  async embed(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const response = await axios.post(this.endpoint, {
+        model: this.model,
+        input: texts.slice(i, i + BATCH_SIZE)
+      }, {
+        headers: this.getHeaders(),
+        timeout: this.timeout
+      });
+
+      const data = [...(response.data?.data || [])].sort((a, b) => a.index - b.index);
+      if (data.length !== Math.min(BATCH_SIZE, texts.length - i)) {
+        throw new Error(`Expected ${Math.min(BATCH_SIZE, texts.length - i)} embeddings from ${this.model}, got ${data.length}`);
+      }
+      vectors.push(...data.map(({ embedding }) => {
+        const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0));
+        return norm ? embedding.map(value => value / norm) : embedding;
+      }));
+    }
+    return vectors;
+  }
+}
+
+module.exports = OpenAICompatibleEmbedder;
@@ -0,0 +1,314 @@
+/**
+ * Default Mock Script
+ *
+ * Canned, phase-aware responses for the mock provider. Keys are matched
+ * from most to least specific: "<agentType>/<phase>", "<phase>",
+ * "<agentType>", then "*". A value may be a string, a function of the
+ * request, an array (cycled per call) or { error: { status, message } }.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const topicOf = (request) => {
+  const text = request.messages[request.messages.length - 1]?.content || '';
+  const quoted = text.match(/(?:Original [Rr]equest|Current Request):\s*"?([^"\n]+)"?/);
+  return (quoted ? quoted[1] : text).trim().substring(0, 80);
+};
+
+// Final summary in the default report format (see utils/summaryReport)
+const fullReport = (request) => JSON.stringify({
+  executiveSummary: `The agents converged on a self-financing "Green Blocks" program for ${topicOf(request)}.`,
+  themes: ['self-financing', 'shared infrastructure'],
+  phaseHighlights: [],
+  ideas: [
+    {
+      title: 'Community Solar Gardens',
+      description: 'Shared rooftop solar arrays co-owned by neighbors with a public energy dashboard',
+      category: 'technology',
+      tags: ['solar', 'community', 'energy'],
+      implementationTimeline: 'medium-term',
+      scores: { innovation: 7, feasibility: 7, marketPotential: 8 },
+      selected: false,
+      rationale: 'Strong demand, but roof access agreements take time.'
+    },
+    {
+      title: 'Adaptive Street Lighting',
+      description: 'Street lights that dim when empty, bundled with air-quality sensors',
+      category: 'technology',
+      tags: ['lighting', 'sensors', 'efficiency'],
+      implementationTimeline: 'short-term',
+      scores: { innovation: 6, feasibility: 9, marketPotential: 7 },
+      selected: true,
+      rationale: 'Start with adaptive lighting in two pilot districts and reinvest the savings through a revolving green fund.'
+    },
+    {
+      title: 'Green Corridor Network',
+      description: 'Linked pocket parks built from vacant lots that double as bike routes',
+      category: 'social',
+      tags: ['parks', 'mobility'],
+      implementationTimeline: 'long-term',
+      scores: { innovation: 6, feasibility: 5, marketPotential: 6 },
+      selected: false,
+      rationale: 'High public value, but needs multi-year land acquisition.'
+    }
+  ],
+  risks: [{ risk: 'Roof access agreements stall the solar program', severity: 'medium', mitigation: 'Start on municipal roofs.' }],
+  roadmap: [{ phase: 'Pilot', timeframe: 'months 1-6', milestones: ['Lighting in two districts'] }],
+  nextSteps: [{ horizon: 'immediate', action: 'Select pilot districts and sensor vendors.' }],
+  successMetrics: ['Energy saved per household']
+});
+
+// Final summaries in the brainstorm, analysis, synthesis and refinement formats (see
+// utils/summaryFormats), keyed by a field only that format asks for
+const modeSummaries = {
+  clusters: (request) => JSON.stringify({
+    overview: `Ideas for ${topicOf(request)} ranged from shared energy to playful public space.`,
+    clusters: [
+      {
+        theme: 'Shared energy',
+        ideas: [
+          { title: 'Community Solar Gardens', description: 'Rooftop arrays co-owned by neighbors', category: 'technology', tags: ['solar', 'community'] },
+          { title: 'Energy Swap Meet', description: 'Neighbors trade surplus battery storage like a market', category: 'social', tags: ['energy', 'sharing'], wildcard: true }
+        ]
+      },
+      {
+        theme: 'Streets as parks',
+        ideas: [
+          { title: 'Green Corridor Network', description: 'Linked pocket parks that double as bike routes', category: 'social', tags: ['parks', 'mobility'] }
+        ]
+      }
+    ],
+    standouts: ['Energy Swap Meet'],
+    provocations: ['What if every parking space had to produce energy?']
+  }),
+
+  subProblems: (request) => JSON.stringify({
+    problemStatement: `Residents want ${topicOf(request)}, but programs stall between pilot and scale.`,
+    subProblems: [
+      { title: 'Funding gaps', description: 'Pilots are grant-funded and end with the grant', rootCauses: ['No revenue model', 'One-year budgets'], priority: 'high' },
+      { title: 'Low participation', description: 'Few residents join voluntary programs', rootCauses: ['Benefits are invisible'], priority: 'medium' }
+    ],
+    assumptions: [{ assumption: 'Residents would pay for visible benefits', confidence: 'low', test: 'Survey two districts' }],
+    insights: ['Savings from quick wins could fund the slower programs'],
+    openQuestions: ['Which department owns the budget?'],
+    recommendedApproach: 'Fix funding first with a revolving fund, then make benefits visible.',
+    nextSteps: [{ horizon: 'immediate', action: 'Map current green budgets by department.' }]
+  }),
+
+  criteria: () => JSON.stringify({
+    decision: 'Which program to launch first',
+    criteria: [{ name: 'Cost', weight: 2 }, { name: 'Impact', weight: 3 }],
+    options: [
+      { name: 'Community solar', summary: 'Shared rooftop arrays', pros: ['High impact'], cons: ['Slow permits'], scores: { Cost: 4, Impact: 9 }, verdict: 'viable' },
+      { name: 'Adaptive lighting', summary: 'Lights that dim when streets are empty', pros: ['Fast payback'], cons: ['Modest impact'], scores: { Cost: 9, Impact: 6 }, verdict: 'recommended' }
+    ],
+    recommendation: { option: 'Adaptive lighting', rationale: 'Its savings fund the solar program.', conditions: ['A solar grant becomes available'] },
+    combinedApproach: 'Reinvest lighting savings into community solar.',
+    nextSteps: [{ horizon: 'immediate', action: 'Pick two pilot districts.' }]
+  }),
+
+  changeSummary: () => JSON.stringify({
+    changeSummary: 'The pilot now pays for itself: lighting savings fund the sensors, and residents see the results.',
+    idea: {
+      title: 'Adaptive Street Lighting',
+      description: 'Street lights that dim when empty, bundled with air-quality sensors, piloted in two districts and financed from the energy they save',
+      category: 'technology',
+      tags: ['lighting', 'sensors', 'efficiency'],
+      implementationTimeline: 'short-term',
+      scores: { innovation: 7, feasibility: 9, marketPotential: 8 }
+    },
+    changes: [
+      { change: 'Finance the sensors from the lighting savings', reason: 'The critique found no budget for the sensors' },
+      { change: 'Publish air-quality readings per street', reason: 'Makes the benefit visible to residents' }
+    ],
+    openIssues: ['Who maintains the sensors after the pilot?'],
+    nextSteps: [{ horizon: 'immediate', action: 'Agree the savings split with the utilities department.' }]
+  })
+};
+
+module.exports = {
+  'creative/phase1_creative': (request) => `## Initial Ideas for ${topicOf(request)}
+
+1. **Community Solar Gardens** - Shared rooftop arrays that neighbors co-own.
+2. **Green Corridor Network** - Linked pocket parks that double as bike routes.
+3. **Adaptive Street Lighting** - Lights that dim when streets are empty.`,
+
+  'logical/phase1_logical': `## Feasibility Review
+
+- Community Solar Gardens: feasible with existing net-metering rules; main risk is roof access agreements.
+- Green Corridor Network: high public value, needs multi-year land acquisition.
+- Adaptive Street Lighting: low cost, proven sensors, quick payback.`,
+
+  'reasoning/phase1_reasoning': `## Analytical Reasoning
+
+The strongest pathway combines fast-payback lighting upgrades to fund the longer-horizon solar and corridor programs.`,
+
+  'phase2_creative': [
+    'Expansion: add a neighborhood energy dashboard so residents see shared solar output.',
+    'Expansion: let local artists design corridor waypoints to build ownership.'
+  ],
+
+  'phase2_logical': [
+    'Expansion: phase the corridor network by acquiring vacant lots first.',
+    'Expansion: bundle lighting sensors with air-quality monitoring to share installation cost.'
+  ],
+
+  'phase2_reasoning': [
+    'Expansion: sequence programs so early savings create a revolving green fund.',
+    'Expansion: measure success with energy saved per household and park access within 10 minutes.'
+  ],
+
+  'creative/phase3_creative': 'Refinement: brand the program "Green Blocks" with a shared dashboard and artist-designed corridors.',
+  'logical/phase3_logical': 'Refinement: start with lighting in two pilot districts, then solar on municipal roofs, then corridors.',
+  'reasoning/phase3_reasoning': 'Refinement: a revolving fund ties the three programs together and keeps them self-financing.',
+
+  'final_summary': (request) => {
+    const task = request.messages[request.messages.length - 1]?.content || '';
+    const mode = Object.keys(modeSummaries).find(field => task.includes(`"${field}"`));
+    return mode ? modeSummaries[mode](request) : fullReport(request);
+  },
+
+  'evaluation_logical': JSON.stringify({
+    scores: [
+      {
+        idea: 1,
+        impact: { score: 8, rationale: 'Cuts household energy bills across whole blocks.' },
+        feasibility: { score: 6, rationale: 'Net-metering rules allow it; roof agreements are slow.' },
+        cost: { score: 7, rationale: 'Panels and installation need significant upfront capital.' },
+        novelty: { score: 6, rationale: 'Community solar exists, the shared dashboard is new.' },
+        risk: { score: 5, rationale: 'Depends on owners signing roof access agreements.' }
+      },
+      {
+        idea: 2,
+        impact: { score: 6, rationale: 'Saves energy on every street it covers.' },
+        feasibility: { score: 9, rationale: 'Proven sensors on existing poles.' },
+        cost: { score: 3, rationale: 'Low cost with a quick payback.' },
+        novelty: { score: 5, rationale: 'Adaptive lighting is common; air-quality bundling is less so.' },
+        risk: { score: 2, rationale: 'Well-understood technology.' }
+      },
+      {
+        idea: 3,
+        impact: { score: 8, rationale: 'Adds green space and safe bike routes.' },
+        feasibility: { score: 4, rationale: 'Needs multi-year land acquisition.' },
+        cost: { score: 8, rationale: 'Land and construction are expensive.' },
+        novelty: { score: 6, rationale: 'Combines parks and mobility in one network.' },
+        risk: { score: 6, rationale: 'Exposed to land prices and council priorities.' }
+      }
+    ]
+  }),
+
+  'evaluation_reasoning': JSON.stringify({
+    scores: [
+      {
+        idea: 1,
+        impact: { score: 7, rationale: 'Builds local ownership of clean energy.' },
+        feasibility: { score: 7, rationale: 'Municipal roofs are a fast start.' },
+        cost: { score: 6, rationale: 'Co-ownership spreads the upfront cost.' },
+        novelty: { score: 7, rationale: 'The dashboard makes shared output visible.' },
+        risk: { score: 4, rationale: 'Manageable if municipal roofs come first.' }
+      },
+      {
+        idea: 2,
+        impact: { score: 7, rationale: 'Its savings fund the other programs.' },
+        feasibility: { score: 9, rationale: 'Can start in two pilot districts right away.' },
+        cost: { score: 2, rationale: 'Pays for itself within a few years.' },
+        novelty: { score: 5, rationale: 'An incremental upgrade.' },
+        risk: { score: 2, rationale: 'Little can go wrong in a pilot.' }
+      },
+      {
+        idea: 3,
+        impact: { score: 9, rationale: 'Changes how residents move through the city.' },
+        feasibility: { score: 5, rationale: 'Vacant lots make a phased start possible.' },
+        cost: { score: 8, rationale: 'The most expensive of the three.' },
+        novelty: { score: 7, rationale: 'Artist-designed waypoints set it apart.' },
+        risk: { score: 5, rationale: 'Long timelines invite scope changes.' }
+      }
+    ]
+  }),
+
+  // Prefers ideas in this order; unknown ideas tie
+  'tournament_match': (request) => {
+    const preference = ['Adaptive Street Lighting', 'Community Solar Gardens', 'Green Corridor Network'];
+    const text = request.messages[request.messages.length - 1]?.content || '';
+    const rankOf = label => preference.indexOf((text.match(new RegExp(`IDEA ${label}: (.+)`)) || [])[1]);
+    const [a, b] = [rankOf('A'), rankOf('B')];
+    if (a === -1 || b === -1 || a === b) {
+      return JSON.stringify({ winner: 'tie', rationale: 'Both ideas are equally strong.' });
+    }
+    const winner = a < b ? 'A' : 'B';
+    return JSON.stringify({ winner, rationale: `Idea ${winner} pays back sooner with less risk.` });
+  },
+
+  'debate_proposal': JSON.stringify({
+    claims: [
+      { text: 'Community Solar Gardens can cut participating households\' power bills by 20%.' },
+      { text: 'Adaptive Street Lighting pays for itself within three years.' },
+      { text: 'A Green Corridor Network can be built on existing vacant lots.' }
+    ]
+  }),
+
+  // Round 1 attacks two claims; by round 2 the critic has nothing left
+  'debate_critique': [
+    JSON.stringify({
+      objections: [
+        { target: 'c1', text: 'Savings depend on net-metering rates that the utility can change.' },
+        { target: 'c3', text: 'Vacant lots are scattered and rarely connect into corridors.' }
+      ]
+    }),
+    JSON.stringify({ objections: [] })
+  ],
+
+  'debate_rebuttal': JSON.stringify({
+    rebuttals: [
+      { objection: 'o1', text: 'Fixed-rate community contracts lock savings in for 15 years.' },
+      { objection: 'o2', text: 'Conceded: connect lots with protected bike lanes on side streets instead.' }
+    ]
+  }),
+
+  'debate_adjudication': JSON.stringify({
+    verdicts: [
+      { claim: 'c1', status: 'upheld', reasoning: 'Fixed-rate contracts answer the tariff risk.' },
+      { claim: 'c2', status: 'upheld', reasoning: 'Unchallenged and backed by sensor cost data.' },
+      { claim: 'c3', status: 'revised', reasoning: 'Survives only with bike lanes linking the lots.' }
+    ],
+    summary: 'Solar and lighting stand; the corridor network needs bike lanes to work.'
+  }),
+
+  'idea_extraction': JSON.stringify([
+    {
+      title: 'Community Solar Gardens',
+      description: 'Shared rooftop solar arrays co-owned by neighbors with a public energy dashboard',
+      category: 'technology',
+      tags: ['solar', 'community', 'energy'],
+      implementationTimeline: 'medium-term',
+      confidence: 0.9,
+      originalSection: 'Ideas Summary'
+    },
+    {
+      title: 'Adaptive Street Lighting',
+      description: 'Street lights that dim when empty, bundled with air-quality sensors',
+      category: 'technology',
+      tags: ['lighting', 'sensors', 'efficiency'],
+      implementationTimeline: 'short-term',
+      confidence: 0.85,
+      originalSection: 'Final Recommendation'
+    }
+  ]),
+
+  'title': 'Green City Initiatives',
+
+  'context_summary': (request) => {
+    const text = request.messages[request.messages.length - 1]?.content || '';
+    const previous = (text.match(/^Summary so far:\n(.+)$/m) || [])[1];
+    const added = (text.match(/^New (.+):$/m) || [])[1] || 'content';
+    return `${previous ? `${previous} ` : ''}[Summary of ${added}]`;
+  },
+
+  'assistant/chat': (request) => `Happy to help with "${topicOf(request)}". Try /ideate to run a full session.`,
+
+  '*': (request) => {
+    const { agentType = 'assistant', phase = 'chat' } = request.metadata || {};
+    return `[${agentType}/${phase}] Mock response for: ${topicOf(request)}`;
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * LLM Provider Factory
+ *
+ * Creates the provider selected for this deployment (LLM_PROVIDER):
+ * groq, openai, local (Ollama / llama.cpp) or mock.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const config = require('../../config/config');
+const GroqProvider = require('./providers/groqProvider');
+const OpenAICompatibleProvider = require('./providers/openAICompatibleProvider');
+const LocalProvider = require('./providers/localProvider');
+const MockProvider = require('./providers/mockProvider');
+const ModelRouter = require('./modelRouter');
+
+const PROVIDERS = {
+  groq: GroqProvider,
+  openai: OpenAICompatibleProvider,
+  local: LocalProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create an LLM provider
+ * @param {string} [name] - Provider name, defaults to config.LLM.provider
+ * @param {Object} [overrides] - Options merged over the configured ones
+ * @returns {BaseProvider} Provider instance
+ */
+const createLLMProvider = (name = config.LLM.provider, overrides = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider({
+    timeout: config.LLM.timeout,
+    ...config.LLM.providers[name],
+    ...overrides
+  });
+};
+
+module.exports = {
+  createLLMProvider,
+  ModelRouter,
+  PROVIDERS
+};
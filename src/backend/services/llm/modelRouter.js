@@ -0,0 +1,174 @@
+/**
+ * Model Router
+ *
+ * Chooses which model an agent call runs on and remembers how each model
+ * has been behaving. Every call outcome is recorded (success, latency,
+ * HTTP status); selection then favours models with a good recent success
+ * rate and low latency, and skips models that were rate limited (429)
+ * until their cooldown expires. Selection stays weighted-random so agents
+ * still see a mix of models.
+ *
+ * @class ModelRouter
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const config = require('../../config/config');
+
+class ModelRouter {
+  /**
+   * @param {Object} options - Router options
+   * @param {number} [options.maxAttempts] - Models tried per agent call before falling back
+   * @param {number} [options.windowSize] - Recent calls kept per model for health scoring
+   * @param {number} [options.rateLimitCooldownMs] - How long a rate-limited model is skipped
+   * @param {Function} [options.random] - Random source in [0, 1), for tests
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || config.ROUTING.maxAttempts;
+    this.windowSize = options.windowSize || config.ROUTING.healthWindow;
+    this.rateLimitCooldownMs = options.rateLimitCooldownMs ?? config.ROUTING.rateLimitCooldownMs;
+    this.random = options.random || Math.random;
+
+    // model -> { calls, successes, failures, rateLimits, recent: [{ ok, latencyMs }], cooldownUntil, lastError }
+    this.models = new Map();
+  }
+
+  /**
+   * Get (and create on first use) the stats entry for a model
+   * @param {string} model - Model identifier
+   * @returns {Object} Mutable stats entry
+   */
+  getEntry(model) {
+    if (!this.models.has(model)) {
+      this.models.set(model, {
+        calls: 0,
+        successes: 0,
+        failures: 0,
+        rateLimits: 0,
+        recent: [],
+        cooldownUntil: 0,
+        lastError: null
+      });
+    }
+    return this.models.get(model);
+  }
+
+  /**
+   * Record the outcome of a model call
+   * @param {string} model - Model identifier
+   * @param {Object} outcome - Call outcome
+   * @param {boolean} outcome.ok - Whether the call produced usable output
+   * @param {number} outcome.latencyMs - Call duration
+   * @param {number} [outcome.status] - HTTP status of a failed call
+   * @param {string} [outcome.error] - Error message of a failed call
+   */
+  record(model, { ok, latencyMs, status, error }) {
+    const entry = this.getEntry(model);
+    entry.calls++;
+    entry.recent.push({ ok, latencyMs });
+    if (entry.recent.length > this.windowSize) {
+      entry.recent.shift();
+    }
+
+    if (ok) {
+      entry.successes++;
+      return;
+    }
+
+    entry.failures++;
+    entry.lastError = error || null;
+    if (status === 429) {
+      entry.rateLimits++;
+      entry.cooldownUntil = Date.now() + this.rateLimitCooldownMs;
+    }
+  }
+
+  /**
+   * Score a model from its recent calls. Unused models start at a neutral
+   * score so they still get tried; slow models are penalised relative to
+   * a 10 second reference latency.
+   * @param {string} model - Model identifier
+   * @returns {number} Selection weight, higher is better
+   */
+  score(model) {
+    const recent = this.models.get(model)?.recent || [];
+    const successes = recent.filter(call => call.ok).length;
+    // Laplace smoothing: no data → 0.5, one failure doesn't zero a model out
+    const successRate = (successes + 1) / (recent.length + 2);
+
+    const okCalls = recent.filter(call => call.ok);
+    const avgLatency = okCalls.length
+      ? okCalls.reduce((total, call) => total + call.latencyMs, 0) / okCalls.length
+      : 0;
+    const latencyFactor = 1 / (1 + avgLatency / 10000);
+
+    return successRate * successRate * latencyFactor;
+  }
+
+  /**
+   * Check whether a model is cooling down after a rate limit
+   * @param {string} model - Model identifier
+   * @returns {boolean} Whether the model should be skipped
+   */
+  isCoolingDown(model) {
+    return (this.models.get(model)?.cooldownUntil || 0) > Date.now();
+  }
+
+  /**
+   * Pick a model from a pool, weighted by health
+   * @param {Array<string>} pool - Candidate models
+   * @param {Array<string>} [exclude] - Models already tried for this call
+   * @returns {string|null} Chosen model, or null when every model was tried
+   */
+  select(pool, exclude = []) {
+    const untried = pool.filter(model => !exclude.includes(model));
+    if (!untried.length) return null;
+
+    // Rate-limited models are only used when nothing else is left
+    const available = untried.filter(model => !this.isCoolingDown(model));
+    const candidates = available.length ? available : untried;
+
+    const weights = candidates.map(model => this.score(model));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let pick = this.random() * total;
+    for (let i = 0; i < candidates.length; i++) {
+      pick -= weights[i];
+      if (pick < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * Get the number of models to try for a call
+   * @param {Array<string>} pool - Candidate models
+   * @returns {number} Attempt limit
+   */
+  getAttemptLimit(pool) {
+    return Math.min(this.maxAttempts, pool.length);
+  }
+
+  /**
+   * Get a health snapshot of every model the router has seen
+   * @returns {Array<Object>} Per-model stats
+   */
+  getHealth() {
+    return [...this.models.entries()].map(([model, entry]) => {
+      const okCalls = entry.recent.filter(call => call.ok);
+      return {
+        model,
+        calls: entry.calls,
+        successes: entry.successes,
+        failures: entry.failures,
+        rateLimits: entry.rateLimits,
+        successRate: entry.recent.length ? Math.round((okCalls.length / entry.recent.length) * 100) / 100 : null,
+        avgLatencyMs: okCalls.length
+          ? Math.round(okCalls.reduce((total, call) => total + call.latencyMs, 0) / okCalls.length)
+          : null,
+        coolingDown: this.isCoolingDown(model),
+        lastError: entry.lastError
+      };
+    });
+  }
+}
+
+module.exports = ModelRouter;
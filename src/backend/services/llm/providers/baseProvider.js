@@ -0,0 +1,102 @@
+/**
+ * Base LLM Provider
+ *
+ * Defines the interface every provider implements. Services never talk to
+ * an HTTP endpoint directly; they call `complete()` on a provider and get
+ * back normalized content and token usage.
+ *
+ * @class BaseProvider
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const ContextWindow = require('../contextWindow');
+const logger = require('../../../utils/logger');
+
+/**
+ * @typedef {Object} CompletionRequest
+ * @property {string} model - Model identifier
+ * @property {Array<{role: string, content: string}>} messages - Chat messages
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [maxTokens] - Maximum completion tokens
+ * @property {number} [timeout] - Request timeout in milliseconds
+ * @property {boolean} [stream] - Stream the response
+ * @property {Function} [onDelta] - Called with each partial content string when streaming
+ * @property {Object} [parameters] - Extra provider parameters (top_p, penalties, ...)
+ * @property {Object} [metadata] - Caller context (agentType, phase) used by offline providers
+ * @property {AbortSignal} [signal] - Aborts the request; the call then rejects with a cancellation error
+ */
+
+/**
+ * @typedef {Object} CompletionResult
+ * @property {string} content - Response text
+ * @property {string} model - Model that produced the response
+ * @property {Object|null} usage - { promptTokens, completionTokens, totalTokens }
+ */
+
+class BaseProvider {
+  /**
+   * @param {Object} options - Provider configuration
+   * @param {string} options.name - Provider name
+   * @param {Object} options.models - Model pools keyed by role
+   * @param {ContextWindow} [options.contextWindow] - Token accounting, defaults to config.CONTEXT
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+    this.models = options.models || {};
+    this.timeout = options.timeout || 30000;
+    this.contextWindow = options.contextWindow || new ContextWindow();
+  }
+
+  /**
+   * Fit a request into its model's context window; every provider calls
+   * this before sending, so no request exceeds the model's limit
+   * @param {CompletionRequest} request - Completion request
+   * @returns {CompletionRequest} The request, trimmed when it did not fit
+   */
+  fitRequest(request) {
+    const { messages, maxTokens, truncated, promptTokens } = this.contextWindow.fit(request.messages, request.model, request.maxTokens);
+    if (!truncated && maxTokens === request.maxTokens) return request;
+
+    if (truncated) {
+      logger.warn(`Trimmed a request to fit the ${request.model} context window`, {
+        provider: this.name,
+        phase: request.metadata?.phase,
+        limit: this.contextWindow.getLimit(request.model),
+        promptTokens
+      });
+    }
+    return { ...request, messages, maxTokens };
+  }
+
+  /**
+   * Run a chat completion
+   * @param {CompletionRequest} request - Completion request
+   * @returns {Promise<CompletionResult>} Normalized result
+   */
+  async complete(request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Get the model pool for a role, falling back to the default pool
+   * @param {string} role - default, reasoning, utility or extraction
+   * @returns {Array<string>} Model identifiers
+   */
+  getModelPool(role = 'default') {
+    const pool = this.models[role];
+    if (Array.isArray(pool) && pool.length > 0) return pool;
+    return this.models.default || [];
+  }
+
+  /**
+   * Get the first model configured for a role
+   * @param {string} role - Model role
+   * @returns {string} Model identifier
+   */
+  getModel(role = 'default') {
+    return this.getModelPool(role)[0];
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,20 @@
+/**
+ * Groq Provider
+ *
+ * Groq's hosted models behind its OpenAI-compatible endpoint.
+ *
+ * @class GroqProvider
+ * @extends OpenAICompatibleProvider
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+class GroqProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({ ...options, name: 'groq' });
+  }
+}
+
+module.exports = GroqProvider;
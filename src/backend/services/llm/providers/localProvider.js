@@ -0,0 +1,23 @@
+/**
+ * Local Model Provider
+ *
+ * Ollama and llama.cpp's server both expose an OpenAI-compatible
+ * `/v1/chat/completions` endpoint, so a local deployment only differs in
+ * its URL, its model names and the absence of an API key.
+ *
+ * @class LocalProvider
+ * @extends OpenAICompatibleProvider
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+class LocalProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    // Local models are slower to produce long answers than hosted ones
+    super({ timeout: 120000, ...options, name: 'local' });
+  }
+}
+
+module.exports = LocalProvider;
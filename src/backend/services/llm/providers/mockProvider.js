@@ -0,0 +1,153 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic, scripted offline provider. Responses are looked up in a
+ * script keyed by agent type and phase (see fixtures/defaultScript.js), so
+ * a full ideation session, idea extraction and title generation can run
+ * end to end without network access.
+ *
+ * @class MockProvider
+ * @extends BaseProvider
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const BaseProvider = require('./baseProvider');
+const defaultScript = require('../fixtures/defaultScript');
+
+class MockProvider extends BaseProvider {
+  /**
+   * @param {Object} options - Provider configuration
+   * @param {Object|string} [options.script] - Script object, or path to a module exporting one
+   * @param {number} [options.latency] - Simulated latency per call in milliseconds
+   */
+  constructor(options = {}) {
+    super({
+      models: { default: ['mock-model'] },
+      ...options,
+      name: 'mock'
+    });
+
+    this.script = { ...defaultScript, ...this.loadScript(options.script) };
+    this.latency = options.latency || 0;
+    this.calls = [];
+    this.callCounts = new Map();
+  }
+
+  /**
+   * Load a script override
+   * @param {Object|string} script - Script object or module path
+   * @returns {Object} Script entries
+   */
+  loadScript(script) {
+    if (!script) return {};
+    if (typeof script === 'string') {
+      return require(path.resolve(script));
+    }
+    return script;
+  }
+
+  /**
+   * Find the script key for a request, most specific first
+   * @param {Object} request - Completion request
+   * @returns {string} Matching script key
+   */
+  resolveKey(request) {
+    const { agentType, phase } = request.metadata || {};
+    const candidates = [`${agentType}/${phase}`, phase, agentType, '*'];
+    return candidates.find(key => key && Object.prototype.hasOwnProperty.call(this.script, key));
+  }
+
+  /**
+   * Produce the response text for a request
+   * @param {Object} request - Completion request
+   * @returns {string} Response content
+   */
+  respond(request) {
+    const key = this.resolveKey(request);
+    let entry = this.script[key];
+
+    // Arrays cycle through their entries on each call for the key
+    if (Array.isArray(entry)) {
+      const count = this.callCounts.get(key) || 0;
+      this.callCounts.set(key, count + 1);
+      entry = entry[count % entry.length];
+    }
+
+    if (entry && typeof entry === 'object' && entry.error) {
+      const error = new Error(entry.error.message || 'Mock provider error');
+      error.response = { status: entry.error.status || 500, statusText: entry.error.message };
+      throw error;
+    }
+
+    return typeof entry === 'function' ? entry(request) : String(entry);
+  }
+
+  /**
+   * Rough token estimate used for mock usage reporting
+   * @param {string} text - Text to measure
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(text = '') {
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Wait for the simulated latency. Like axios, rejects with a CanceledError
+   * when the request's signal is aborted.
+   * @param {AbortSignal} [signal] - Request abort signal
+   * @returns {Promise<void>}
+   */
+  wait(signal) {
+    const canceled = () => Object.assign(new Error('canceled'), { name: 'CanceledError', code: 'ERR_CANCELED' });
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(canceled());
+      if (!this.latency) return resolve();
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(canceled());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, this.latency);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  async complete(request) {
+    request = this.fitRequest(request);
+    this.calls.push(request);
+
+    await this.wait(request.signal);
+
+    const content = this.respond(request);
+
+    if (request.stream && typeof request.onDelta === 'function') {
+      content.split(/(?<=\s)/).forEach(delta => request.onDelta(delta));
+    }
+
+    const promptTokens = this.estimateTokens(request.messages.map(m => m.content).join('\n'));
+    const completionTokens = this.estimateTokens(content);
+
+    return {
+      content,
+      model: request.model || this.getModel(),
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  /**
+   * Get the calls made for a phase, in order
+   * @param {string} phase - Phase name from request metadata
+   * @returns {Array<Object>} Recorded requests
+   */
+  getCallsForPhase(phase) {
+    return this.calls.filter(call => call.metadata?.phase === phase);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,154 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Talks to any `/chat/completions` endpoint that follows the OpenAI wire
+ * format, with optional SSE streaming. Groq and local servers build on it.
+ *
+ * @class OpenAICompatibleProvider
+ * @extends BaseProvider
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const logger = require('../../../utils/logger');
+const { readSSEStream } = require('../../../utils/sseParser');
+
+class OpenAICompatibleProvider extends BaseProvider {
+  /**
+   * @param {Object} options - Provider configuration
+   * @param {string} options.endpoint - Full chat completions URL
+   * @param {string} [options.apiKey] - Bearer token, omitted when empty
+   */
+  constructor(options = {}) {
+    super({ name: 'openai', ...options });
+    this.endpoint = options.endpoint;
+    this.apiKey = options.apiKey || '';
+  }
+
+  /**
+   * Build request headers
+   * @returns {Object} HTTP headers
+   */
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Build the wire payload for a request
+   * @param {Object} request - Completion request
+   * @param {boolean} stream - Whether to request a stream
+   * @returns {Object} Request body
+   */
+  buildPayload(request, stream) {
+    const payload = {
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...request.parameters,
+      stream
+    };
+
+    // Ask for a final usage chunk when streaming
+    if (stream) {
+      payload.stream_options = { include_usage: true };
+    }
+
+    return payload;
+  }
+
+  /**
+   * Normalize an OpenAI usage block
+   * @param {Object} usage - Raw usage block
+   * @returns {Object|null} Normalized usage
+   */
+  normalizeUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    };
+  }
+
+  async complete(request) {
+    request = this.fitRequest(request);
+
+    if (request.stream && typeof request.onDelta === 'function') {
+      return this.completeStreaming(request);
+    }
+
+    const response = await axios.post(this.endpoint, this.buildPayload(request, false), {
+      headers: this.getHeaders(),
+      timeout: request.timeout || this.timeout,
+      signal: request.signal
+    });
+
+    const usage = this.normalizeUsage(response.data?.usage);
+    this.contextWindow.calibrate(request.model, request.messages, usage?.promptTokens);
+
+    return {
+      content: response.data?.choices?.[0]?.message?.content || '',
+      model: response.data?.model || request.model,
+      usage
+    };
+  }
+
+  /**
+   * Request a streamed completion, reporting each content delta.
+   * Falls back to a regular request if the stream fails before any output.
+   * @param {Object} request - Completion request with onDelta
+   * @returns {Promise<Object>} Normalized result
+   */
+  async completeStreaming(request) {
+    let content = '';
+    let usage = null;
+
+    try {
+      const response = await axios.post(this.endpoint, this.buildPayload(request, true), {
+        headers: this.getHeaders(),
+        responseType: 'stream',
+        timeout: request.timeout || this.timeout,
+        signal: request.signal
+      });
+
+      await readSSEStream(response.data, (chunk) => {
+        // Groq reports usage under x_groq, OpenAI on the final chunk
+        const chunkUsage = chunk.usage || chunk.x_groq?.usage;
+        if (chunkUsage) usage = chunkUsage;
+
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          request.onDelta(delta);
+        }
+      });
+
+      usage = this.normalizeUsage(usage);
+      this.contextWindow.calibrate(request.model, request.messages, usage?.promptTokens);
+
+      return {
+        content,
+        model: request.model,
+        usage
+      };
+    } catch (error) {
+      // A cancelled request is not retried
+      if (content || request.signal?.aborted) throw error;
+
+      logger.warn('Streaming request failed, retrying without streaming', {
+        provider: this.name,
+        message: error.message
+      });
+      return this.complete({ ...request, stream: false });
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,124 @@
+/**
+ * Usage Tracker
+ *
+ * Accumulates the token `usage` blocks returned by providers for one
+ * session (or one chat exchange) and prices them with the per-model rates
+ * in config.PRICING. Totals are kept per agent, per phase and per model.
+ * A call the provider reports no usage for (a local server that sends no
+ * usage chunk, a cancelled stream) still counts: its tokens are estimated
+ * from the request and output text.
+ *
+ * @class UsageTracker
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const config = require('../../config/config');
+const ContextWindow = require('./contextWindow');
+
+const emptyTotals = () => ({ promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, calls: 0 });
+
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * Estimate the cost of a completion
+ * @param {string} model - Model identifier
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @param {Object} [prices] - Per-model prices per million tokens: { input, output }
+ * @returns {number|null} Estimated cost, or null when the model has no configured price
+ */
+const estimateCost = (model, usage, prices = config.PRICING.models) => {
+  const price = prices[model];
+  if (!price || !usage) return null;
+  return ((usage.promptTokens || 0) * (price.input || 0) + (usage.completionTokens || 0) * (price.output || 0)) / 1e6;
+};
+
+class UsageTracker {
+  /**
+   * @param {Object} [prices] - Per-model prices, defaults to config.PRICING.models
+   * @param {Object} [options] - Tracker options
+   * @param {ContextWindow} [options.contextWindow] - Token estimates for calls without usage, ideally the provider's
+   */
+  constructor(prices = config.PRICING.models, { contextWindow = null } = {}) {
+    this.prices = prices;
+    this.contextWindow = contextWindow || new ContextWindow();
+    this.estimatedCalls = 0;
+    this.totals = emptyTotals();
+    this.byAgent = {};
+    this.byPhase = {};
+    this.byModel = {};
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * Record the usage of one completion
+   * @param {Object} call - Completion details
+   * @param {string} call.agent - Agent type (or caller such as 'assistant')
+   * @param {string} call.phase - Pipeline phase id (or caller phase such as 'chat')
+   * @param {string} call.model - Model that produced the output
+   * @param {Object|null} call.usage - { promptTokens, completionTokens, totalTokens } from the provider
+   * @param {Array<Object>} [call.messages] - Request messages, estimated when there is no usage
+   * @param {string} [call.output] - Output received, estimated when there is no usage
+   */
+  record({ agent, phase, model, usage, messages = [], output = '' }) {
+    if (!usage) {
+      usage = this.estimateUsage(model, messages, output);
+      this.estimatedCalls++;
+    }
+
+    const cost = estimateCost(model, usage, this.prices);
+    if (cost === null) this.unpricedModels.add(model);
+
+    const add = (totals) => {
+      totals.promptTokens += usage.promptTokens || 0;
+      totals.completionTokens += usage.completionTokens || 0;
+      totals.totalTokens += usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0);
+      totals.cost += cost || 0;
+      totals.calls++;
+    };
+
+    add(this.totals);
+    add(this.byAgent[agent] = this.byAgent[agent] || emptyTotals());
+    add(this.byPhase[phase] = this.byPhase[phase] || emptyTotals());
+    add(this.byModel[model] = this.byModel[model] || emptyTotals());
+  }
+
+  /**
+   * Estimate the usage of a call from its text
+   * @param {string} model - Model identifier
+   * @param {Array<Object>} messages - Request messages
+   * @param {string} output - Output received
+   * @returns {Object} { promptTokens, completionTokens, totalTokens }
+   */
+  estimateUsage(model, messages, output) {
+    const promptTokens = messages.length ? this.contextWindow.countMessages(messages, model) : 0;
+    const completionTokens = this.contextWindow.countTokens(output || '', model);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  /**
+   * Serializable usage summary, stored on the assistant message metadata
+   * @returns {Object} Totals plus per-agent, per-phase and per-model breakdowns
+   */
+  toJSON() {
+    const round = groups => Object.fromEntries(
+      Object.entries(groups).map(([key, totals]) => [key, { ...totals, cost: roundCost(totals.cost) }])
+    );
+
+    return {
+      ...this.totals,
+      cost: roundCost(this.totals.cost),
+      currency: config.PRICING.currency,
+      // Cost excludes these models because no price is configured for them
+      unpricedModels: [...this.unpricedModels],
+      // Calls whose tokens are estimated because the provider reported no usage
+      estimatedCalls: this.estimatedCalls,
+      byAgent: round(this.byAgent),
+      byPhase: round(this.byPhase),
+      byModel: round(this.byModel)
+    };
+  }
+}
+
+module.exports = UsageTracker;
+module.exports.estimateCost = estimateCost;
@@ -0,0 +1,169 @@
+/**
+ * Memory Service
+ *
+ * Semantic memory of past conversation turns and saved ideas. Messages and
+ * ideas are embedded (see llm/embeddings) and the vectors stored in SQLite;
+ * each new message recalls the most similar ones so agents can build on
+ * earlier work that has scrolled out of the prompt.
+ *
+ * Indexing is lazy: every recall first embeds the messages and ideas that
+ * have no vector from the current model yet, so ideas saved, edited or
+ * imported anywhere are picked up without hooks, and switching embedding
+ * models re-indexes on its own. Recall searches the current conversation,
+ * or every conversation when config.MEMORY.crossConversation is on.
+ *
+ * @class MemoryService
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { createEmbeddingProvider } = require('./llm/embeddings');
+
+// Characters of a message or idea that are embedded and stored
+const MAX_CONTENT_CHARS = 2000;
+
+/**
+ * Cosine similarity of two unit-length vectors
+ * @param {ArrayLike<number>} a - Vector
+ * @param {ArrayLike<number>} b - Vector of the same length
+ * @returns {number} Similarity between -1 and 1
+ */
+const similarity = (a, b) => {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+};
+
+class MemoryService {
+  /**
+   * @param {DatabaseService} databaseService - Stores the vectors
+   * @param {Object} [options] - Overrides for config.MEMORY
+   * @param {Object} [options.embedder] - Embedding provider (see llm/embeddings)
+   * @param {boolean} [options.enabled] - Recall at all
+   * @param {boolean} [options.crossConversation] - Search every conversation
+   * @param {number} [options.topK] - Memories per recall
+   * @param {number} [options.minScore] - Similarity a memory needs
+   * @param {number} [options.maxChars] - Characters of memories per prompt
+   */
+  constructor(databaseService, options = {}) {
+    this.db = databaseService;
+    this.embedder = options.embedder || createEmbeddingProvider();
+    this.enabled = options.enabled ?? config.MEMORY.enabled;
+    this.crossConversation = options.crossConversation ?? config.MEMORY.crossConversation;
+    this.topK = options.topK || config.MEMORY.topK;
+    this.minScore = options.minScore ?? config.MEMORY.minScore ?? config.MEMORY.embeddings.providers[this.embedder.name]?.minScore ?? 0.3;
+    this.maxChars = options.maxChars || config.MEMORY.maxChars;
+    this.maxCandidates = config.MEMORY.maxCandidates;
+    this.indexBatch = config.MEMORY.indexBatch;
+  }
+
+  /**
+   * Embed messages and ideas that have no vector from the current model
+   * @param {number} [limit] - Maximum messages and ideas each
+   * @returns {Promise<number>} Items indexed
+   */
+  async indexPending(limit = this.indexBatch) {
+    const { messages, ideas } = await this.db.getUnindexedMemories(this.embedder.model, limit);
+    const items = [
+      ...messages.map(msg => ({
+        sourceType: 'message',
+        sourceId: msg.id,
+        conversationId: msg.conversation_id,
+        content: `${msg.role}: ${msg.content}`
+      })),
+      ...ideas.map(idea => ({
+        sourceType: 'idea',
+        sourceId: idea.id,
+        conversationId: idea.conversation_id,
+        content: `${idea.title}: ${idea.description}`
+      }))
+    ].map(item => ({ ...item, content: item.content.substring(0, MAX_CONTENT_CHARS) }));
+    if (!items.length) return 0;
+
+    const vectors = await this.embedder.embed(items.map(item => item.content));
+    for (const [index, item] of items.entries()) {
+      await this.db.saveEmbedding({ ...item, model: this.embedder.model, vector: vectors[index] });
+    }
+    logger.info(`Indexed ${items.length} memories with ${this.embedder.model}`);
+    return items.length;
+  }
+
+  /**
+   * Find the past messages and ideas most similar to a new message
+   * @param {string} query - New message
+   * @param {Object} options - Recall options
+   * @param {string} options.conversationId - Current conversation
+   * @param {Array<string>} [options.excludeIds] - Message ids already in the prompt
+   * @returns {Promise<Array<Object>>} Memories, most similar first, as
+   *   { type, id, conversationId, content, score, otherConversation }; empty when
+   *   memory is off or fails
+   */
+  async recall(query, { conversationId, excludeIds = [] }) {
+    if (!this.enabled || !query?.trim()) return [];
+
+    try {
+      await this.indexPending();
+      const [queryVector] = await this.embedder.embed([query.substring(0, MAX_CONTENT_CHARS)]);
+      const candidates = await this.db.getEmbeddings({
+        model: this.embedder.model,
+        conversationId: this.crossConversation ? null : conversationId,
+        limit: this.maxCandidates
+      });
+
+      const excluded = new Set(excludeIds);
+      return candidates
+        .filter(row => !(row.source_type === 'message' && excluded.has(row.source_id)))
+        .map(row => ({
+          type: row.source_type,
+          id: row.source_id,
+          conversationId: row.conversation_id,
+          content: row.content,
+          score: Math.round(similarity(queryVector, row.vector) * 1000) / 1000,
+          otherConversation: row.conversation_id !== conversationId
+        }))
+        .filter(memory => memory.score >= this.minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.topK);
+    } catch (error) {
+      logger.warn('Memory recall failed; continuing without memories', { conversationId, message: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Render recalled memories as a context message for chat and agent prompts
+   * @param {Array<Object>} memories - Memories from recall
+   * @returns {Object|null} { role: 'system', content, memory: true }, or null when there are none
+   */
+  toContextMessage(memories) {
+    if (!memories.length) return null;
+
+    const perMemory = Math.floor(this.maxChars / memories.length);
+    const lines = memories.map(({ type, content, otherConversation }) => {
+      const source = `${type === 'idea' ? 'Saved idea' : 'Earlier message'}${otherConversation ? ' from another conversation' : ''}`;
+      const text = content.length > perMemory ? `${content.substring(0, perMemory)}...` : content;
+      return `- [${source}] ${text}`;
+    });
+    return {
+      role: 'system',
+      content: `Related memories from past discussion (build on them where relevant):\n${lines.join('\n')}`,
+      memory: true
+    };
+  }
+
+  /**
+   * Describe recalled memories for message metadata
+   * @param {Array<Object>} memories - Memories from recall
+   * @returns {Array<Object>} { type, id, conversationId, excerpt, score, otherConversation }
+   */
+  describe(memories) {
+    return memories.map(({ content, ...memory }) => ({
+      ...memory,
+      excerpt: content.length > 120 ? `${content.substring(0, 120)}...` : content
+    }));
+  }
+}
+
+module.exports = MemoryService;
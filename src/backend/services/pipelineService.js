@@ -0,0 +1,223 @@
+/**
+ * Pipeline Service
+ *
+ * Loads and validates the ideation pipeline definitions that drive
+ * AgentOrchestrator. A pipeline is an ordered list of phases:
+ *
+ * - chain:   a fixed list of agent steps, run sequentially (each step sees
+ *            the earlier steps' output) or in parallel (steps see only the
+ *            steps named in their dependsOn)
+ * - loop:    balanced random agent selection with no back-to-back repeats,
+ *            capped by maxIterations and timeLimitMs
+ * - debate:  the proposer makes claims, the critic objects to them and the
+ *            proposer rebuts every objection, for up to `rounds` rounds;
+ *            the judge then rules on each claim
+ * - summary: the final synthesis step; must be the last phase. Its `format`
+ *            picks the output (see utils/summaryFormats)
+ *
+ * A pipeline's optional `roles` give agents a persona for the whole session
+ * in place of their usual system prompt (see FrameworkService).
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const Joi = require('joi');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { findDependencyError } = require('../utils/taskScheduler');
+const { SUMMARY_FORMATS } = require('../utils/summaryFormats');
+
+const stepSchema = Joi.object({
+  agent: Joi.string().required(),
+  phase: Joi.string(),
+  modifier: Joi.string().allow(''),
+  instruction: Joi.string().allow(''),
+  dependsOn: Joi.array().items(Joi.string()).unique()
+});
+
+const phaseSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9_]+$/i).required(),
+  label: Joi.string().required(),
+  description: Joi.string().allow(''),
+  type: Joi.string().valid('chain', 'loop', 'debate', 'summary').required(),
+  mode: Joi.string().valid('sequential', 'parallel').default('sequential'),
+  steps: Joi.when('type', {
+    is: 'chain',
+    then: Joi.array().items(stepSchema).min(1).unique('agent').required(),
+    otherwise: Joi.forbidden()
+  }),
+  agents: Joi.when('type', {
+    is: 'loop',
+    then: Joi.array().items(Joi.string()).min(2).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+  proposer: Joi.when('type', { is: 'debate', then: Joi.string().default('creative'), otherwise: Joi.forbidden() }),
+  critic: Joi.when('type', { is: 'debate', then: Joi.string().default('logical'), otherwise: Joi.forbidden() }),
+  judge: Joi.when('type', { is: 'debate', then: Joi.string().default('reasoning'), otherwise: Joi.forbidden() }),
+  rounds: Joi.when('type', { is: 'debate', then: Joi.number().integer().min(1).max(5).default(2), otherwise: Joi.forbidden() }),
+  modifiers: Joi.object().pattern(Joi.string(), Joi.string()),
+  maxIterations: Joi.number().integer().min(1).max(50).default(10),
+  concurrency: Joi.number().integer().min(1),
+  timeLimitMs: Joi.number().integer().min(1000),
+  agent: Joi.when('type', {
+    is: 'summary',
+    then: Joi.string().required(),
+    otherwise: Joi.forbidden()
+  }),
+  // Output format of the summary (see utils/summaryFormats)
+  format: Joi.when('type', {
+    is: 'summary',
+    then: Joi.string().valid(...Object.keys(SUMMARY_FORMATS)).default('report'),
+    otherwise: Joi.forbidden()
+  }),
+  // Agents that score the summary's ideas, overriding config.SCORING.agents
+  evaluators: Joi.when('type', {
+    is: 'summary',
+    then: Joi.array().items(Joi.string()).unique(),
+    otherwise: Joi.forbidden()
+  }),
+  phase: Joi.string(),
+  modifier: Joi.string().allow(''),
+  instruction: Joi.string().allow('')
+});
+
+const pipelineSchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().allow(''),
+  timeLimitMs: Joi.number().integer().min(1000),
+  roles: Joi.object().pattern(Joi.string(), Joi.string().trim().min(1)),
+  phases: Joi.array().items(phaseSchema).min(1).unique('id').required()
+    .custom((phases, helpers) => {
+      const summaryIndex = phases.findIndex(phase => phase.type === 'summary');
+      if (summaryIndex !== phases.length - 1 || phases.filter(phase => phase.type === 'summary').length > 1) {
+        return helpers.error('pipeline.summary');
+      }
+      return phases;
+    }, 'single trailing summary phase')
+    .messages({
+      'pipeline.summary': 'A pipeline needs exactly one summary phase, as its last phase'
+    })
+});
+
+class PipelineService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} [options.definitions] - Definitions object instead of reading a file
+   * @param {string} [options.file] - Path to a pipelines JSON file
+   */
+  constructor(options = {}) {
+    const definitions = options.definitions || this.readFile(options.file || config.PIPELINES.file);
+
+    this.pipelines = {};
+    Object.entries(definitions.pipelines || {}).forEach(([key, definition]) => {
+      this.pipelines[key] = { key, ...this.validate(key, definition) };
+    });
+
+    this.defaultPipeline = definitions.default || Object.keys(this.pipelines)[0];
+    if (!this.has(this.defaultPipeline)) {
+      throw new Error(`Default pipeline "${this.defaultPipeline}" is not defined`);
+    }
+
+    logger.info(`Loaded ${Object.keys(this.pipelines).length} ideation pipelines`, {
+      pipelines: Object.keys(this.pipelines),
+      default: this.defaultPipeline
+    });
+  }
+
+  /**
+   * Read pipeline definitions from a JSON file
+   * @param {string} file - File path
+   * @returns {Object} Parsed definitions
+   */
+  readFile(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load pipelines from ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a pipeline definition and apply defaults
+   * @param {string} key - Pipeline key
+   * @param {Object} definition - Raw definition
+   * @returns {Object} Validated definition
+   */
+  validate(key, definition) {
+    const { error, value } = pipelineSchema.validate(definition, { abortEarly: false });
+    if (error) {
+      throw new Error(`Invalid pipeline "${key}": ${error.details.map(detail => detail.message).join(', ')}`);
+    }
+
+    value.phases.filter(phase => phase.type === 'chain').forEach((phase) => {
+      const problem = findDependencyError(phase.steps.map(step => ({ id: step.agent, dependsOn: step.dependsOn })));
+      if (problem) {
+        throw new Error(`Invalid pipeline "${key}": phase "${phase.id}" has ${problem}`);
+      }
+    });
+
+    return value;
+  }
+
+  /**
+   * Add or replace a pipeline at runtime
+   * @param {string} key - Pipeline key
+   * @param {Object} definition - Raw definition
+   * @param {Object} [meta] - Extra fields kept on the pipeline (e.g. { framework: true })
+   * @returns {Object} Validated pipeline
+   */
+  register(key, definition, meta = {}) {
+    this.pipelines[key] = { key, ...this.validate(key, definition), ...meta };
+    return this.pipelines[key];
+  }
+
+  /**
+   * Remove a pipeline added at runtime
+   * @param {string} key - Pipeline key
+   */
+  unregister(key) {
+    if (key === this.defaultPipeline) {
+      throw new Error(`The default pipeline "${key}" cannot be removed`);
+    }
+    delete this.pipelines[key];
+  }
+
+  /**
+   * Get a pipeline by key
+   * @param {string} [key] - Pipeline key, defaults to the default pipeline
+   * @returns {Object} Pipeline definition
+   */
+  get(key) {
+    const pipelineKey = key || this.defaultPipeline;
+    if (!this.has(pipelineKey)) {
+      throw new Error(`Unknown pipeline: ${key}`);
+    }
+    return this.pipelines[pipelineKey];
+  }
+
+  /**
+   * Check whether a pipeline exists
+   * @param {string} key - Pipeline key
+   * @returns {boolean} Whether it is defined
+   */
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.pipelines, key);
+  }
+
+  /**
+   * List pipeline summaries
+   * @returns {Array<Object>} Key, name, description and phase labels
+   */
+  list() {
+    return Object.values(this.pipelines).map(pipeline => ({
+      key: pipeline.key,
+      name: pipeline.name,
+      description: pipeline.description,
+      phases: pipeline.phases.map(phase => phase.label)
+    }));
+  }
+}
+
+module.exports = PipelineService;
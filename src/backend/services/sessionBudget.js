@@ -0,0 +1,95 @@
+/**
+ * Session Budget
+ *
+ * Token, cost and wall-clock limits for one ideation session. The
+ * orchestrator checks the budget before every phase, loop iteration and
+ * chain step; once any limit is nearly spent (only the summary reserve is
+ * left) the remaining work is skipped and the session goes straight to the
+ * final summary, which always runs.
+ *
+ * @class SessionBudget
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+
+class SessionBudget {
+  /**
+   * @param {Object} [limits] - Overrides for config.BUDGET; 0 or null means unlimited
+   * @param {number} [limits.maxTokens] - Total tokens across all agent calls
+   * @param {number} [limits.maxCost] - Estimated cost in config.PRICING.currency
+   * @param {number} [limits.maxSeconds] - Wall-clock seconds
+   * @param {number} [limits.summaryReserve] - Fraction of each limit kept for the final summary
+   */
+  constructor(limits = {}) {
+    const merged = { ...config.BUDGET, ...limits };
+
+    this.maxTokens = merged.maxTokens || null;
+    this.maxCost = merged.maxCost || null;
+    this.maxSeconds = merged.maxSeconds || null;
+    this.summaryReserve = Math.min(Math.max(merged.summaryReserve ?? 0, 0), 0.9);
+    this.exhausted = null;
+  }
+
+  /**
+   * Whether any limit is set
+   * @returns {boolean} True when the budget can end a session early
+   */
+  isLimited() {
+    return Boolean(this.maxTokens || this.maxCost || this.maxSeconds);
+  }
+
+  /**
+   * Latest time non-summary work may start
+   * @param {number} startTime - Session start timestamp
+   * @returns {number} Deadline timestamp, Infinity when unlimited
+   */
+  getDeadline(startTime) {
+    return this.maxSeconds ? startTime + this.maxSeconds * 1000 * (1 - this.summaryReserve) : Infinity;
+  }
+
+  /**
+   * Check whether the budget is nearly spent. The first limit found is
+   * remembered as the one that ended the session.
+   * @param {Object} usage - Totals from UsageTracker ({ totalTokens, cost })
+   * @param {number} startTime - Session start timestamp
+   * @returns {Object|null} { limit: 'tokens'|'cost'|'time', used, max } once exhausted
+   */
+  check(usage, startTime) {
+    if (this.exhausted) return this.exhausted;
+
+    const usable = 1 - this.summaryReserve;
+    const elapsedSeconds = (Date.now() - startTime) / 1000;
+
+    if (this.maxTokens && usage.totalTokens >= this.maxTokens * usable) {
+      this.exhausted = { limit: 'tokens', used: usage.totalTokens, max: this.maxTokens };
+    } else if (this.maxCost && usage.cost >= this.maxCost * usable) {
+      this.exhausted = { limit: 'cost', used: Math.round(usage.cost * 1e6) / 1e6, max: this.maxCost };
+    } else if (this.maxSeconds && elapsedSeconds >= this.maxSeconds * usable) {
+      this.exhausted = { limit: 'time', used: Math.round(elapsedSeconds * 10) / 10, max: this.maxSeconds };
+    }
+
+    return this.exhausted;
+  }
+
+  /**
+   * Budget report for the session result
+   * @param {Object} usage - Totals from UsageTracker
+   * @param {number} startTime - Session start timestamp
+   * @returns {Object} Limits, amounts used and the limit that ended the session (or null)
+   */
+  toJSON(usage, startTime) {
+    return {
+      limits: { maxTokens: this.maxTokens, maxCost: this.maxCost, maxSeconds: this.maxSeconds },
+      used: {
+        tokens: usage.totalTokens,
+        cost: Math.round(usage.cost * 1e6) / 1e6,
+        seconds: Math.round((Date.now() - startTime) / 100) / 10
+      },
+      stoppedBy: this.exhausted
+    };
+  }
+}
+
+module.exports = SessionBudget;
@@ -0,0 +1,159 @@
+/**
+ * Session Replay Service
+ *
+ * Re-runs a stored ideation session from one of its phases. Phases before
+ * the chosen one are not executed again: their stored results are fed back
+ * to the orchestrator, so a team can keep the opening phase and redo the
+ * expansion, or regenerate only the final summary on a different model.
+ * Each re-run is stored as a new version linked to the session it came from.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const logger = require('../utils/logger');
+const { ARGUMENT_STEPS, parseArguments, addArguments, applyVerdicts } = require('../utils/argumentGraph');
+
+class SessionReplayService {
+  /**
+   * @param {DatabaseService} databaseService - Stored sessions, turns and messages
+   * @param {MagenticOneService} magenticOneService - Runs the resumed session
+   */
+  constructor(databaseService, magenticOneService) {
+    this.db = databaseService;
+    this.magenticOneService = magenticOneService;
+    this.pipelines = magenticOneService.agentOrchestrator.pipelines;
+  }
+
+  /**
+   * Find a pipeline phase from a user reference: its id, its 1-based
+   * position, or "summary" for the final summary
+   * @param {Object} pipeline - Pipeline definition
+   * @param {string|number} ref - Phase reference
+   * @returns {Object|null} Phase definition
+   */
+  resolvePhase(pipeline, ref) {
+    const value = String(ref).trim().toLowerCase();
+
+    if (/^\d+$/.test(value)) {
+      return pipeline.phases[Number(value) - 1] || null;
+    }
+    if (value === 'summary') {
+      return pipeline.phases.find(phase => phase.type === 'summary') || null;
+    }
+    return pipeline.phases.find(phase => phase.id.toLowerCase() === value) || null;
+  }
+
+  /**
+   * Rebuild per-phase results from a session's agent turns, for sessions
+   * stored before phase results were saved with the session
+   * @param {Object} pipeline - Pipeline definition
+   * @param {Array} turns - Agent turns ordered by seq
+   * @returns {Object} Phase results keyed by phase id
+   */
+  rebuildSessionData(pipeline, turns) {
+    const sessionData = {};
+
+    pipeline.phases
+      .filter(phase => phase.type !== 'summary')
+      .forEach(phase => {
+        const phaseTurns = turns.filter(turn => turn.phase === phase.id);
+        if (!phaseTurns.length) return;
+
+        if (phase.type === 'debate') {
+          sessionData[phase.id] = this.rebuildArgumentGraph(phase, phaseTurns);
+          return;
+        }
+
+        sessionData[phase.id] = phase.type === 'loop'
+          ? phaseTurns.map(turn => ({ agent: turn.agent, iteration: turn.iteration, content: turn.output, timestamp: 0 }))
+          : Object.fromEntries(phaseTurns.map(turn => [turn.agent, turn.output]));
+      });
+
+    return sessionData;
+  }
+
+  /**
+   * Replay a debate phase's turns, in order, into its argument graph
+   * @param {Object} phase - Debate phase definition
+   * @param {Array} turns - The phase's agent turns ordered by seq
+   * @returns {Object} Argument graph as { nodes, summary }
+   */
+  rebuildArgumentGraph(phase, turns) {
+    const graph = { nodes: [], summary: '' };
+
+    turns.forEach((turn) => {
+      const step = (turn.step || '').slice(phase.id.length + 1);
+      if (step === 'adjudication') {
+        applyVerdicts(graph, turn.output, turn.agent);
+      } else if (ARGUMENT_STEPS[step]) {
+        const { items } = parseArguments(graph, step, turn.output);
+        addArguments(graph, ARGUMENT_STEPS[step].type, items, { agent: turn.agent, round: turn.iteration || 0 });
+      }
+    });
+
+    return graph;
+  }
+
+  /**
+   * Re-run a stored session from a phase onward
+   * @param {string} sessionId - Session to resume
+   * @param {Object} options - Re-run options
+   * @param {string|number} options.fromPhase - Phase id, 1-based position or "summary"
+   * @param {string} [options.model] - Run every re-executed agent on this model, defaults to the session's
+   * @param {Object} [options.budget] - Token, cost and time limits for the re-run
+   * @param {boolean} [options.stream] - Stream agent output to socket clients
+   * @param {string} [options.conversationId] - Only resume sessions from this conversation
+   * @returns {Promise<Object>} { session, parent, phase } on success, or { status, error } when the
+   *   session or phase cannot be found
+   */
+  async rerun(sessionId, { fromPhase, model, budget, stream = false, conversationId = null }) {
+    const parent = await this.db.getIdeationSession(sessionId);
+    if (!parent || (conversationId && parent.conversation_id !== conversationId)) {
+      return { status: 404, error: 'Ideation session not found' };
+    }
+    if (!this.pipelines.has(parent.pipeline)) {
+      return { status: 400, error: `Pipeline "${parent.pipeline}" no longer exists` };
+    }
+
+    const pipeline = this.pipelines.get(parent.pipeline);
+    const phase = this.resolvePhase(pipeline, fromPhase);
+    if (!phase) {
+      const phases = pipeline.phases.map((candidate, index) => `${index + 1}. ${candidate.id}`).join(', ');
+      return { status: 400, error: `Unknown phase "${fromPhase}". Phases of "${pipeline.key}": ${phases}` };
+    }
+
+    const sessionData = parent.session_data
+      || this.rebuildSessionData(pipeline, await this.db.getAgentTurns(sessionId));
+    const rootSessionId = parent.root_session_id || parent.id;
+    const versions = await this.db.getIdeationSessionVersions(rootSessionId);
+    const version = Math.max(...versions.map(existing => existing.version || 1)) + 1;
+
+    const messages = await this.db.getMessages(parent.conversation_id);
+    const context = messages.map(msg => ({ role: msg.role, content: msg.content, agentType: msg.agent_type }));
+
+    // The re-run keeps the agents, depth and idea count the session was started with
+    const { agents, depth, ideas } = parent.options || {};
+
+    logger.info(`Re-running session ${sessionId} from ${phase.id} as version ${version}`, { model: model || parent.model || null });
+    const session = await this.magenticOneService.runIdeationSession(parent.prompt, context, {
+      conversationId: parent.conversation_id,
+      pipeline: pipeline.key,
+      agents: agents || undefined,
+      depth: depth || undefined,
+      ideas: ideas || undefined,
+      model: model || parent.model || undefined,
+      budget,
+      stream,
+      resume: { fromPhase: phase.id, sessionData, parentSessionId: parent.id }
+    });
+
+    return {
+      session: { ...session, rootSessionId, version },
+      parent,
+      phase
+    };
+  }
+}
+
+module.exports = SessionReplayService;
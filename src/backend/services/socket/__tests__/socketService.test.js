@@ -0,0 +1,92 @@
+const SocketService = require('../socketService');
+const MagenticOneService = require('../../magenticOneService');
+const MockProvider = require('../../llm/providers/mockProvider');
+
+// Records what each room, and every client, received
+const createIO = () => {
+  const received = [];
+  return {
+    received,
+    on: jest.fn(),
+    emit: jest.fn((event, data) => received.push({ room: '*', event, data })),
+    to: jest.fn(room => ({ emit: (event, data) => received.push({ room, event, data }) }))
+  };
+};
+
+describe('SocketService', () => {
+  let io;
+  let service;
+  let socketService;
+
+  beforeEach(() => {
+    io = createIO();
+    service = new MagenticOneService({ provider: new MockProvider() });
+    socketService = new SocketService(io, service, { get: jest.fn(), set: jest.fn() });
+  });
+
+  describe('relayProgress', () => {
+    it('should send deltas on their own channel and lifecycle events to the conversation room', () => {
+      socketService.relayProgress({ type: 'agent_delta', sessionId: 's1', conversationId: 'c1', agent: 'creative', phase: 'phase1', summary: false, delta: 'Sol', elapsed: 5 });
+      socketService.relayProgress({ type: 'phase_started', sessionId: 's1', conversationId: 'c1', phase: 'phase1' });
+
+      expect(io.received).toEqual([
+        { room: 'c1', event: 'ideation_stream', data: { sessionId: 's1', conversationId: 'c1', agent: 'creative', phase: 'phase1', summary: false, delta: 'Sol' } },
+        { room: 'c1', event: 'ideation_progress', data: { type: 'phase_started', sessionId: 's1', conversationId: 'c1', phase: 'phase1' } }
+      ]);
+    });
+
+    it('should announce the end of a session and ignore events without a conversation', () => {
+      socketService.relayProgress({ type: 'session_failed', sessionId: 's1', conversationId: 'c1', error: 'boom' });
+      socketService.relayProgress({ type: 'session_started', sessionId: 's2', conversationId: null });
+
+      expect(io.received.map(({ room, event }) => `${room}:${event}`)).toEqual(['c1:ideation_progress', 'c1:ideation_complete']);
+      expect(io.received[1].data).toEqual({ sessionId: 's1', conversationId: 'c1', success: false });
+    });
+  });
+
+  describe('cancel_session', () => {
+    // A connected socket with its event handlers
+    const connect = (id) => {
+      const handlers = {};
+      socketService.setupSocketHandlers({ id, on: (event, handler) => { handlers[event] = handler; }, join: jest.fn(), leave: jest.fn() });
+      return handlers;
+    };
+
+    it('should cancel a running session and acknowledge whether one was found', () => {
+      const handlers = connect('socket-1');
+      const session = service.agentOrchestrator.createSession('Improve remote work', { conversationId: 'c1' });
+      service.agentOrchestrator.activeSessions.set(session.id, session);
+      const ack = jest.fn();
+
+      handlers.cancel_session(session.id, ack);
+      handlers.cancel_session('missing-session', ack);
+
+      expect(session.cancelled).toBeTruthy();
+      expect(ack.mock.calls).toEqual([[{ success: true }], [{ success: false }]]);
+    });
+  });
+
+  it('should send ideation requests to the REST endpoint instead of running them', async () => {
+    const socket = { id: 'socket-1', emit: jest.fn() };
+    const run = jest.spyOn(service, 'runIdeationSession');
+
+    await socketService.processMessage(socket, { content: 'Improve remote work', conversationId: 'c1', isIdeation: true });
+
+    expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({ code: 'IDEATION_OVER_HTTP' }));
+    expect(run).not.toHaveBeenCalled();
+    expect(io.received).toEqual([]);
+  });
+
+  it('should relay a whole session from the orchestrator once initialized', async () => {
+    socketService.initialize();
+
+    await service.runIdeationSession('Improve remote work', [], { conversationId: 'c1', pipeline: 'quick', stream: true });
+
+    const events = io.received.filter(({ room }) => room === 'c1');
+    const progress = events.filter(({ event }) => event === 'ideation_progress').map(({ data }) => data.type);
+    expect(progress[0]).toBe('session_started');
+    expect(progress[progress.length - 1]).toBe('session_completed');
+    expect(events.some(({ event }) => event === 'ideation_stream')).toBe(true);
+    expect(events[events.length - 1]).toMatchObject({ event: 'ideation_complete', data: { success: true } });
+  });
+});
@@ -1,5 +1,5 @@
 const logger = require('../../utils/logger');
-const { validateMessage } = require('../../middleware/validation');
+const { validateMessage, checkpointReviewSchema } = require('../../middleware/validation');
 
 class SocketService {
   constructor(io, magenticOneService, cacheService) {
@@ -14,9 +14,52 @@ class SocketService {
       logger.info('New client connected', { socketId: socket.id });
       this.setupSocketHandlers(socket);
     });
+
+    // Relay orchestrator lifecycle events to the conversation's room
+    this.magenticOneService.agentOrchestrator.on('progress', (event) => {
+      this.relayProgress(event);
+    });
+  }
+
+  relayProgress(event) {
+    if (!event.conversationId) return;
+
+    // Partial output is high-volume, so it gets its own channel
+    if (event.type === 'agent_delta') {
+      this.io.to(event.conversationId).emit('ideation_stream', {
+        sessionId: event.sessionId,
+        conversationId: event.conversationId,
+        agent: event.agent,
+        phase: event.phase,
+        summary: event.summary,
+        delta: event.delta
+      });
+      return;
+    }
+
+    this.io.to(event.conversationId).emit('ideation_progress', event);
+
+    if (event.type === 'session_completed' || event.type === 'session_failed') {
+      this.io.to(event.conversationId).emit('ideation_complete', {
+        sessionId: event.sessionId,
+        conversationId: event.conversationId,
+        success: event.type === 'session_completed'
+      });
+    }
   }
 
   setupSocketHandlers(socket) {
+    socket.on('join_conversation', (conversationId) => {
+      if (typeof conversationId !== 'string' || !conversationId) return;
+      socket.join(conversationId);
+      logger.info('Client joined conversation', { socketId: socket.id, conversationId });
+    });
+
+    socket.on('leave_conversation', (conversationId) => {
+      if (typeof conversationId !== 'string' || !conversationId) return;
+      socket.leave(conversationId);
+    });
+
     socket.on('chat message', async (data) => {
       try {
         // Add message to queue
@@ -33,6 +76,26 @@ class SocketService {
       }
     });
 
+    // Stop a running ideation session
+    socket.on('cancel_session', (sessionId, ack) => {
+      const cancelled = typeof sessionId === 'string' && this.magenticOneService.cancelSession(sessionId);
+      if (cancelled) {
+        logger.info('Ideation session cancelled by client', { socketId: socket.id, sessionId });
+      }
+      if (typeof ack === 'function') {
+        ack({ success: cancelled });
+      }
+    });
+
+    // Resume a session waiting at a checkpoint with the user's review of its ideas
+    socket.on('checkpoint_review', (sessionId, review, ack) => {
+      const { error, value } = checkpointReviewSchema.validate(review || {}, { stripUnknown: true });
+      const resumed = !error && typeof sessionId === 'string' && this.magenticOneService.submitCheckpoint(sessionId, value);
+      if (typeof ack === 'function') {
+        ack(error ? { success: false, error: error.details[0].message } : { success: resumed });
+      }
+    });
+
     socket.on('disconnect', () => {
       logger.info('Client disconnected', { socketId: socket.id });
       this.messageQueue.delete(socket.id);
@@ -112,6 +175,16 @@ class SocketService {
       throw new Error('Message content is missing');
     }
 
+    // Ideation runs through POST /api/chat/message, which stores the session,
+    // its transcript and token usage; sockets follow its progress
+    if (validatedMessage.isIdeation) {
+      socket.emit('error', {
+        message: 'Start ideation sessions with POST /api/chat/message and join the conversation to follow their progress',
+        code: 'IDEATION_OVER_HTTP'
+      });
+      return;
+    }
+
     // Check cache first
     const cacheKey = `message:${messageContent}:${validatedMessage.conversationId}`;
     const cachedResponse = await this.cacheService.get(cacheKey);
@@ -133,85 +206,7 @@ class SocketService {
       timestamp: new Date()
     });
 
-    if (validatedMessage.isIdeation) {
-      await this.processIdeationMessage(socket, messageContent, validatedMessage.conversationId);
-    } else {
-      await this.processChatMessage(socket, messageContent, validatedMessage.history || [], validatedMessage.conversationId);
-    }
-  }
-
-  async processIdeationMessage(socket, message, conversationId) {
-    try {
-      const startTime = Date.now();
-      const maxTime = 30000; // 30 seconds
-      
-      // Send initial status
-      this.io.emit('agent_status', { 
-        status: 'starting',
-        agent: 'System',
-        message: 'Starting collaborative ideation process...',
-        progress: {
-          percentage: 0,
-          elapsed: 0,
-          agents: [
-            { name: 'Creative', type: 'creative', active: true, thinking: true },
-            { name: 'Reasoning', type: 'reasoning', active: false, thinking: false },
-            { name: 'Logical', type: 'logical', active: false, thinking: false }
-          ]
-        }
-      });
-
-      // Progress updater
-      const progressInterval = setInterval(() => {
-        const elapsed = Math.floor((Date.now() - startTime) / 1000);
-        const percentage = Math.min((elapsed / 30) * 100, 95); // Never show 100% until done
-        
-        this.io.emit('agent_status', {
-          agent: 'System',
-          message: `Processing ideation (${elapsed}s)...`,
-          progress: {
-            percentage,
-            elapsed,
-            agents: [
-              { name: 'Creative', type: 'creative', active: elapsed < 10, thinking: elapsed < 10 },
-              { name: 'Reasoning', type: 'reasoning', active: elapsed >= 5 && elapsed < 20, thinking: elapsed >= 5 && elapsed < 20 },
-              { name: 'Logical', type: 'logical', active: elapsed >= 10, thinking: elapsed >= 10 && elapsed < 25 }
-            ]
-          }
-        });
-      }, 1000);
-
-      try {
-        // Use the MagenticOne service's optimized ideation process
-        const response = await this.magenticOneService.processIdeationMessage(message, []);
-        
-        clearInterval(progressInterval);
-        
-        // Send final message
-        this.io.emit('chat message', {
-          role: 'assistant',
-          content: response,
-          timestamp: new Date(),
-          isFinal: true
-        });
-
-        // Cache the response
-        await this.cacheService.set(`message:${message}:${conversationId}`, response);
-        
-        const totalTime = Date.now() - startTime;
-        logger.info(`Ideation completed in ${totalTime}ms`);
-        
-      } catch (error) {
-        clearInterval(progressInterval);
-        throw error;
-      }
-    } catch (error) {
-      logger.error('Error in ideation process:', { 
-        error: error.message,
-        socketId: socket.id
-      });
-      throw error;
-    }
+    await this.processChatMessage(socket, messageContent, validatedMessage.history || [], validatedMessage.conversationId);
   }
 
   async processChatMessage(socket, message, history, conversationId) {
@@ -0,0 +1,248 @@
+/**
+ * Tournament Service
+ *
+ * Ranks ideas by pairwise comparison instead of absolute scores. Every pair
+ * of entered ideas is judged once by the LLM, which picks a winner (or a
+ * tie) and explains why; the results are replayed in order as Elo updates
+ * to produce the ranking. Tournaments, their matches and the judge's
+ * rationales are stored so the team can see why one idea beat another.
+ *
+ * @class TournamentService
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const UsageTracker = require('./llm/usageTracker');
+const { createLLMProvider } = require('./llm');
+const { runTaskGraph } = require('../utils/taskScheduler');
+const { updateRatings } = require('../utils/elo');
+const { extractJSON } = require('../utils/summaryReport');
+
+const verdictSchema = Joi.object({
+  winner: Joi.string().uppercase().valid('A', 'B', 'TIE').required(),
+  rationale: Joi.string().trim().allow('').default('')
+});
+
+// Score of the first idea in a match for each verdict
+const OUTCOMES = { A: 1, B: 0, TIE: 0.5 };
+
+class TournamentService {
+  /**
+   * @param {DatabaseService} databaseService - Database service
+   * @param {BaseProvider} [provider] - LLM provider, defaults to the configured one
+   * @param {Object} [options] - Overrides for config.TOURNAMENT
+   */
+  constructor(databaseService, provider = createLLMProvider(), options = {}) {
+    this.db = databaseService;
+    this.provider = provider;
+    this.settings = { ...config.TOURNAMENT, ...options };
+  }
+
+  /**
+   * Pick the ideas to enter: a session's ideas, a conversation's ideas or
+   * the whole repository. Ideas already scored go first, best first, then
+   * the newest; at most settings.maxIdeas are entered.
+   * @param {Object} scope - Where the ideas come from
+   * @param {string} [scope.conversationId] - Conversation whose ideas to use
+   * @param {string} [scope.sessionId] - Only ideas saved from this ideation session
+   * @param {boolean} [scope.all] - Use the whole idea repository
+   * @returns {Promise<Array<Object>>} Entered ideas
+   */
+  async selectIdeas({ conversationId, sessionId, all = false }) {
+    let ideas = all || !conversationId
+      ? await this.db.getAllIdeas(100)
+      : await this.db.getIdeasByConversation(conversationId);
+    if (sessionId) {
+      ideas = ideas.filter(idea => idea.metadata?.sessionId === sessionId);
+    }
+
+    return [...ideas]
+      .sort((a, b) => (b.score ?? -1) - (a.score ?? -1))
+      .slice(0, this.settings.maxIdeas);
+  }
+
+  /**
+   * Round-robin schedule: every pair once. Which idea is shown first
+   * alternates so no idea is always in the same position.
+   * @param {Array<Object>} ideas - Entered ideas
+   * @returns {Array<Array<Object>>} Pairs as [first, second]
+   */
+  buildSchedule(ideas) {
+    const pairs = [];
+    ideas.forEach((ideaA, i) => {
+      ideas.slice(i + 1).forEach((ideaB, offset) => {
+        pairs.push((i + offset) % 2 ? [ideaB, ideaA] : [ideaA, ideaB]);
+      });
+    });
+    return pairs;
+  }
+
+  /**
+   * Run a tournament and store it
+   * @param {Array<Object>} ideas - Ideas to compare (at least two)
+   * @param {Object} [options] - Tournament options
+   * @param {string} [options.conversationId] - Conversation the tournament ran in
+   * @param {string} [options.sessionId] - Ideation session the ideas came from
+   * @param {string} [options.focus] - What the judge should weigh, e.g. "cheapest to launch"
+   * @returns {Promise<Object>} Tournament: { id, ranking, matches, usage, model, ... }
+   */
+  async runTournament(ideas, { conversationId = null, sessionId = null, focus = null } = {}) {
+    const usage = new UsageTracker();
+    const model = this.provider.getModel('reasoning');
+    const schedule = this.buildSchedule(ideas);
+    logger.info(`Running idea tournament: ${ideas.length} ideas, ${schedule.length} matches`, { conversationId, model });
+
+    // Judge concurrently, then apply the ratings in schedule order so the result doesn't depend on timing
+    const tasks = schedule.map((pair, seq) => ({ id: String(seq), pair }));
+    const verdicts = await runTaskGraph(tasks, ({ pair }) => this.judge(pair, { focus, model, usage }),
+      config.SETTINGS.maxConcurrentAgents);
+
+    const standings = new Map(ideas.map(idea => [idea.id, {
+      ideaId: idea.id, title: idea.title, rating: this.settings.initialRating, wins: 0, losses: 0, ties: 0
+    }]));
+    const matches = schedule.map(([ideaA, ideaB], seq) => {
+      const verdict = verdicts[String(seq)];
+      const a = standings.get(ideaA.id);
+      const b = standings.get(ideaB.id);
+      const match = {
+        seq, ideaA: ideaA.id, ideaB: ideaB.id, titleA: ideaA.title, titleB: ideaB.title,
+        winner: verdict ? verdict.winner.toLowerCase() : null, rationale: verdict?.rationale || null,
+        ratingsBefore: [a.rating, b.rating]
+      };
+      if (verdict) {
+        const outcome = OUTCOMES[verdict.winner];
+        [a.rating, b.rating] = updateRatings(a.rating, b.rating, outcome, this.settings.kFactor);
+        if (outcome === 0.5) {
+          a.ties++;
+          b.ties++;
+        } else {
+          (outcome ? a : b).wins++;
+          (outcome ? b : a).losses++;
+        }
+      }
+      match.ratingsAfter = [a.rating, b.rating];
+      return match;
+    });
+
+    const ranking = [...standings.values()]
+      .sort((x, y) => y.rating - x.rating || y.wins - x.wins)
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+    const tournament = {
+      id: uuidv4(),
+      conversationId,
+      sessionId,
+      focus,
+      model,
+      ranking,
+      matches,
+      usage: usage.toJSON(),
+      createdAt: new Date().toISOString()
+    };
+    await this.db.saveTournament(tournament);
+    return tournament;
+  }
+
+  /**
+   * Ask the judge which of two ideas is better
+   * @param {Array<Object>} pair - [first idea, second idea]
+   * @param {Object} options - Judge options
+   * @param {string} [options.focus] - What to weigh
+   * @param {string} options.model - Judge model
+   * @param {UsageTracker} options.usage - Token usage of the tournament
+   * @returns {Promise<Object|null>} { winner: 'A'|'B'|'TIE', rationale }, or null when the match could not be judged
+   */
+  async judge([ideaA, ideaB], { focus, model, usage }) {
+    try {
+      const messages = [
+        {
+          role: 'system',
+          content: 'You are an impartial judge comparing two ideas. Judge substance, not length or position. Return only valid JSON.'
+        },
+        { role: 'user', content: this.buildJudgePrompt(ideaA, ideaB, focus) }
+      ];
+      const response = await this.provider.complete({
+        model,
+        messages,
+        temperature: 0.2,
+        maxTokens: 300,
+        metadata: { agentType: 'judge', phase: 'tournament_match' }
+      });
+      usage.record({ agent: 'judge', phase: 'tournament_match', model: response.model || model, usage: response.usage, messages, output: response.content });
+
+      const json = extractJSON(response.content || '');
+      const { error, value } = verdictSchema.validate(json ? JSON.parse(json) : null, { stripUnknown: true });
+      if (error) {
+        logger.warn('Discarding invalid tournament verdict', { ideaA: ideaA.id, ideaB: ideaB.id, error: error.message });
+        return null;
+      }
+      return value;
+    } catch (error) {
+      logger.error('Tournament match failed', { ideaA: ideaA.id, ideaB: ideaB.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Build the judge's prompt for one match
+   * @param {Object} ideaA - Idea shown as A
+   * @param {Object} ideaB - Idea shown as B
+   * @param {string} [focus] - What to weigh
+   * @returns {string} Prompt
+   */
+  buildJudgePrompt(ideaA, ideaB, focus) {
+    return `Which of these two ideas is stronger overall${focus ? `, with a focus on: ${focus}` : ''}?
+Weigh the value it creates, how feasible it is, and its cost and risk.
+
+IDEA A: ${ideaA.title}
+${ideaA.description}
+
+IDEA B: ${ideaB.title}
+${ideaB.description}
+
+Respond with ONE JSON object and nothing else:
+{ "winner": "A", "B" or "tie", "rationale": "one or two sentences on why" }`;
+  }
+
+  /**
+   * Render a tournament as the chat reply
+   * @param {Object} tournament - Result of runTournament
+   * @returns {string} Markdown
+   */
+  renderTournament(tournament) {
+    const escape = text => text.replace(/\|/g, '\\|');
+    const judged = tournament.matches.filter(match => match.winner);
+    const lines = [
+      '## 🏆 Tournament Ranking',
+      '',
+      `${tournament.ranking.length} ideas, ${judged.length} of ${tournament.matches.length} matches judged${tournament.focus ? `, focused on *${tournament.focus}*` : ''}.`,
+      '',
+      '| Rank | Idea | Elo | W-L-T |',
+      '|------|------|-----|-------|',
+      ...tournament.ranking.map(({ rank, title, rating, wins, losses, ties }) =>
+        `| ${rank} | ${escape(title)} | ${Math.round(rating)} | ${wins}-${losses}-${ties} |`),
+      '',
+      '## ⚔️ Matches',
+      ''
+    ];
+
+    tournament.matches.forEach(({ titleA, titleB, winner, rationale }) => {
+      if (!winner) {
+        lines.push(`- **${titleA}** vs **${titleB}**: not judged`);
+      } else if (winner === 'tie') {
+        lines.push(`- **${titleA}** tied with **${titleB}**${rationale ? ` — ${rationale}` : ''}`);
+      } else {
+        const [first, second] = winner === 'a' ? [titleA, titleB] : [titleB, titleA];
+        lines.push(`- **${first}** beat **${second}**${rationale ? ` — ${rationale}` : ''}`);
+      }
+    });
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = TournamentService;
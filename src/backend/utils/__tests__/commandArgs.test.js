@@ -0,0 +1,47 @@
+const { tokenize, parseCommandArgs } = require('../commandArgs');
+
+describe('commandArgs', () => {
+  describe('tokenize', () => {
+    it('should keep quoted phrases together and read apostrophes as-is', () => {
+      const { words, error } = tokenize(`"Green Corridor Network" 'bike lanes' users' needs`);
+
+      expect(error).toBeNull();
+      expect(words.map(word => word.value)).toEqual(['Green Corridor Network', 'bike lanes', "users'", 'needs']);
+      expect(words[0]).toMatchObject({ raw: '"Green Corridor Network"', quoted: true });
+    });
+
+    it('should reject an unclosed double quote', () => {
+      expect(tokenize('"Green Corridor').error).toMatch('Unclosed quote');
+    });
+  });
+
+  describe('parseCommandArgs', () => {
+    it('should separate validated options from the text', () => {
+      const parsed = parseCommandArgs('--agents Creative,logical Make "smart" streets --depth=deep --ideas 10', ['agents', 'depth', 'ideas']);
+
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.options).toEqual({ agents: ['creative', 'logical'], depth: 'deep', ideas: 10 });
+      expect(parsed.text).toBe('Make "smart" streets');
+      expect(parsed.args).toEqual(['Make', 'smart', 'streets']);
+    });
+
+    it('should read quoted words and everything after -- as text', () => {
+      const parsed = parseCommandArgs('"--depth deep" -- --ideas 3', ['depth', 'ideas']);
+
+      expect(parsed.options).toEqual({});
+      expect(parsed.args).toEqual(['--depth deep', '--ideas', '3']);
+    });
+
+    it('should report every invalid, missing, repeated or unsupported option', () => {
+      const { errors } = parseCommandArgs('--depth medium --ideas 50 --ideas 2 --agents --framework x --colour red Topic', ['depth', 'ideas', 'agents']);
+
+      expect(errors).toEqual([
+        '`--depth` must be `quick` or `deep` (got `medium`)',
+        '`--ideas` must be a whole number from 1 to 20 (got `50`)',
+        '`--agents` needs a value, e.g. `--agents creative,logical`',
+        '`--framework` is not an option of this command; it accepts `--depth`, `--ideas`, `--agents`',
+        'Unknown option `--colour`; it accepts `--depth`, `--ideas`, `--agents`'
+      ]);
+    });
+  });
+});
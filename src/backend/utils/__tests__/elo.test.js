@@ -0,0 +1,18 @@
+const { expectedScore, updateRatings } = require('../elo');
+
+describe('elo', () => {
+  it('should expect even matches between equal ratings', () => {
+    expect(expectedScore(1000, 1000)).toBe(0.5);
+    expect(expectedScore(1400, 1000)).toBeCloseTo(0.909, 3);
+  });
+
+  it('should move ratings further for an upset than for an expected win', () => {
+    expect(updateRatings(1000, 1000, 1)).toEqual([1016, 984]);
+    expect(updateRatings(1000, 1000, 0.5)).toEqual([1000, 1000]);
+
+    const [favorite] = updateRatings(1200, 1000, 1);
+    const [underdog] = updateRatings(1000, 1200, 1);
+    expect(favorite - 1200).toBeLessThan(underdog - 1000);
+    expect(updateRatings(1000, 1000, 1, 10)).toEqual([1005, 995]);
+  });
+});
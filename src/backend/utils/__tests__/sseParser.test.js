@@ -0,0 +1,61 @@
+const { PassThrough } = require('stream');
+const { readSSEStream } = require('../sseParser');
+
+const event = data => `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+const delta = content => ({ choices: [{ delta: { content } }] });
+
+// Feed the body to the parser in chunks cut at the given byte offsets
+const read = async (body, cuts = [], { end = true } = {}) => {
+  const stream = new PassThrough();
+  const payloads = [];
+  const done = readSSEStream(stream, payload => payloads.push(payload));
+
+  const bytes = Buffer.from(body);
+  [0, ...cuts, bytes.length].reduce((start, cut) => {
+    stream.write(bytes.subarray(start, cut));
+    return cut;
+  });
+  if (end) {
+    stream.end();
+  } else {
+    stream.destroy();
+  }
+
+  await done;
+  return payloads;
+};
+
+describe('readSSEStream', () => {
+  it('should join lines and characters split across chunks', async () => {
+    const body = event(delta('💡 idée')) + event(delta(' de génie'));
+    const bytes = Buffer.from(body);
+    const emoji = bytes.indexOf('💡');
+    const accent = bytes.lastIndexOf('é');
+
+    const payloads = await read(body, [10, emoji + 1, emoji + 3, accent + 1]);
+
+    expect(payloads.map(payload => payload.choices[0].delta.content).join('')).toBe('💡 idée de génie');
+  });
+
+  it('should stop at [DONE] and skip malformed payloads and other fields', async () => {
+    const body = ': keep-alive\n' + event('{"choices": [') + 'event: message\n' + event(delta('kept')) + event('[DONE]') + event(delta('ignored'));
+
+    expect(await read(body)).toEqual([delta('kept')]);
+  });
+
+  it('should read a final line that has no newline', async () => {
+    expect(await read(`data: ${JSON.stringify({ usage: { total_tokens: 12 } })}`)).toEqual([{ usage: { total_tokens: 12 } }]);
+  });
+
+  it('should reject when the stream closes before it ends', async () => {
+    await expect(read(event(delta('partial')), [], { end: false })).rejects.toThrow('Stream closed before completion');
+  });
+
+  it('should reject when the callback throws', async () => {
+    const stream = new PassThrough();
+    const done = readSSEStream(stream, () => { throw new Error('handler failed'); });
+    stream.end(event(delta('x')));
+
+    await expect(done).rejects.toThrow('handler failed');
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  SUMMARY_FORMATS,
+  parseBrainstorm,
+  renderBrainstorm,
+  parseAnalysis,
+  renderAnalysis,
+  parseSynthesis,
+  renderSynthesis,
+  parseRefinement,
+  renderRefinement
+} = require('../summaryFormats');
+
+describe('summaryFormats', () => {
+  it('should flatten brainstorm clusters into ideas and star the standouts', () => {
+    const { report, errors } = parseBrainstorm(JSON.stringify({
+      overview: 'Many directions.',
+      clusters: [
+        { theme: 'Energy', ideas: [{ title: 'Solar Swap', description: 'Trade surplus power', wildcard: true }] },
+        { theme: 'Parks', ideas: [{ title: 'Pocket Parks', description: 'Tiny parks on lots' }] }
+      ],
+      standouts: ['solar swap']
+    }));
+
+    expect(errors).toEqual([]);
+    expect(report.themes).toEqual(['Energy', 'Parks']);
+    expect(report.ideas).toEqual([
+      expect.objectContaining({ title: 'Solar Swap', theme: 'Energy', selected: true, wildcard: true, category: 'product' }),
+      expect.objectContaining({ title: 'Pocket Parks', theme: 'Parks', selected: false })
+    ]);
+
+    const markdown = renderBrainstorm(report);
+    expect(markdown).toContain('### Energy\n\n- **Solar Swap** ⭐ 🃏 — Trade surplus power');
+    expect(markdown).toContain('## 💡 Ideas Summary:');
+    expect(markdown).not.toContain('Final Recommendation');
+  });
+
+  it('should render an analysis by priority without ideas', () => {
+    const { report } = parseAnalysis(JSON.stringify({
+      problemStatement: 'Pilots never scale.',
+      subProblems: [
+        { title: 'Participation', description: 'Few residents join', priority: 'low' },
+        { title: 'Funding', description: 'Grants run out', rootCauses: ['One-year budgets'], priority: 'high' }
+      ],
+      assumptions: [{ assumption: 'Residents would pay', confidence: 'low', test: 'Survey' }],
+      recommendedApproach: 'Fix funding first.',
+      nextSteps: [{ horizon: 'immediate', action: 'Map budgets' }]
+    }));
+
+    expect(report.ideas).toEqual([]);
+    const markdown = renderAnalysis(report);
+    expect(markdown.indexOf('**Funding**')).toBeLessThan(markdown.indexOf('**Participation**'));
+    expect(markdown).toContain('*Root causes:* One-year budgets');
+    expect(markdown).toContain('Residents would pay *(confidence: low)* *Test:* Survey');
+  });
+
+  it('should weight option scores by criterion and rank the options', () => {
+    const { report } = parseSynthesis(JSON.stringify({
+      decision: 'What to launch first',
+      criteria: [{ name: 'Cost', weight: 1 }, { name: 'Impact', weight: 3 }],
+      options: [
+        { name: 'Lighting', summary: 'Cheap and fast', scores: { cost: 10, impact: 4 } },
+        { name: 'Solar', summary: 'Big and slow', scores: { Cost: 4, Impact: 9 }, verdict: 'recommended' }
+      ],
+      recommendation: { option: 'Solar', rationale: 'Impact matters most' },
+      nextSteps: [{ horizon: 'immediate', action: 'Apply for permits' }]
+    }));
+
+    expect(report.options.map(option => [option.name, option.weightedScore])).toEqual([['Solar', 7.8], ['Lighting', 5.5]]);
+    const markdown = renderSynthesis(report);
+    expect(markdown).toContain('| Option | Cost ×1 | Impact ×3 | Weighted | Verdict |');
+    expect(markdown).toContain('| Solar | 4 | 9 | **7.8** | recommended |');
+    expect(markdown).toContain('## 🎯 Recommendation\n\n**Solar** — Impact matters most');
+  });
+
+  it('should make the refined idea the only, selected idea and list the changes', () => {
+    const { report } = parseRefinement(JSON.stringify({
+      changeSummary: 'Now self-financing.',
+      idea: { title: 'Adaptive Lighting', description: 'Lights that dim, paid for by their savings', scores: { innovation: 6, feasibility: 9, marketPotential: 7 } },
+      changes: [{ change: 'Fund sensors from savings', reason: 'No sensor budget' }, { change: 'Pilot in two districts' }],
+      nextSteps: [{ horizon: 'immediate', action: 'Pick districts' }]
+    }));
+
+    expect(report.ideas).toEqual([expect.objectContaining({ title: 'Adaptive Lighting', selected: true, rationale: 'Now self-financing.', category: 'product' })]);
+    const markdown = renderRefinement(report);
+    expect(markdown).toContain('## 🔁 Refined Idea: Adaptive Lighting');
+    expect(markdown).toContain('**Scores:** Innovation 6 · Feasibility 9 · Market potential 7');
+    expect(markdown).toContain('- **Fund sensors from savings** — No sensor budget\n- **Pilot in two districts**');
+    expect(markdown).not.toContain('Ideas Summary');
+  });
+
+  it('should report validation problems and score only full reports and refinements', () => {
+    const { report, errors } = parseSynthesis(JSON.stringify({ decision: 'x', criteria: [], options: [] }));
+
+    expect(report).toBeNull();
+    expect(errors.length).toBeGreaterThan(0);
+    expect(Object.entries(SUMMARY_FORMATS).filter(([, format]) => format.evaluate).map(([name]) => name)).toEqual(['report', 'refinement']);
+  });
+});
@@ -0,0 +1,65 @@
+const { parseSummaryReport, renderSummaryReport } = require('../summaryReport');
+
+describe('summaryReport', () => {
+  const idea = (title, scores, selected = false) => ({
+    title,
+    description: `${title} description`,
+    category: 'Technology',
+    scores,
+    selected
+  });
+
+  const report = {
+    executiveSummary: 'Two ideas stood out.',
+    ideas: [
+      idea('Solar Gardens', { innovation: 6, feasibility: 6, marketPotential: 6 }),
+      idea('Smart Lighting', { innovation: 8, feasibility: 9, marketPotential: 7 })
+    ],
+    nextSteps: [{ horizon: 'long-term', action: 'Scale citywide' }, { horizon: 'immediate', action: 'Pick pilots' }],
+    extra: 'dropped'
+  };
+
+  describe('parseSummaryReport', () => {
+    it('should validate, normalize and fill defaults', () => {
+      const { report: parsed, errors } = parseSummaryReport(`Sure!\n${JSON.stringify(report)}\nHope this helps.`);
+
+      expect(errors).toEqual([]);
+      expect(parsed.extra).toBeUndefined();
+      expect(parsed.ideas[0]).toMatchObject({ category: 'technology', tags: [], implementationTimeline: 'medium-term' });
+      // The best-scored idea is selected when the agent picked none
+      expect(parsed.ideas.map(entry => entry.selected)).toEqual([false, true]);
+    });
+
+    it('should report every validation problem', () => {
+      const { report: parsed, errors } = parseSummaryReport(JSON.stringify({
+        ...report,
+        ideas: [{ ...report.ideas[0], scores: { innovation: 11, feasibility: 5 } }],
+        nextSteps: []
+      }));
+
+      expect(parsed).toBeNull();
+      expect(errors).toEqual([
+        '"ideas[0].scores.innovation" must be less than or equal to 10',
+        '"ideas[0].scores.marketPotential" is required',
+        '"nextSteps" must contain at least 1 items'
+      ]);
+    });
+
+    it('should reject responses without valid JSON', () => {
+      expect(parseSummaryReport('No JSON here').errors).toEqual(['The response does not contain a JSON object']);
+      expect(parseSummaryReport('{"executiveSummary": }').errors[0]).toMatch(/^Invalid JSON/);
+    });
+  });
+
+  describe('renderSummaryReport', () => {
+    it('should render the markers other features look for and order next steps by horizon', () => {
+      const markdown = renderSummaryReport(parseSummaryReport(JSON.stringify(report)).report);
+
+      expect(markdown).toContain('## 💡 Ideas Summary:\n\n- **Solar Gardens** — Solar Gardens description');
+      expect(markdown).toContain('## 🎯 Final Recommendation:\n\n**Smart Lighting**');
+      expect(markdown).toContain('| Smart Lighting | 8 | 9 | 7 | technology | medium-term |');
+      expect(markdown.indexOf('Pick pilots')).toBeLessThan(markdown.indexOf('Scale citywide'));
+      expect(markdown).not.toContain('## ⚠️ Risks');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { runTaskGraph, findDependencyError } = require('../taskScheduler');
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('taskScheduler', () => {
+  describe('runTaskGraph', () => {
+    it('should never exceed the concurrency cap', async () => {
+      let running = 0;
+      let peak = 0;
+      const tasks = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, dependsOn: [] }));
+
+      const results = await runTaskGraph(tasks, async (task) => {
+        running++;
+        peak = Math.max(peak, running);
+        await delay(5);
+        running--;
+        return task.id.toUpperCase();
+      }, 2);
+
+      expect(peak).toBe(2);
+      expect(results).toEqual({ a: 'A', b: 'B', c: 'C', d: 'D', e: 'E' });
+    });
+
+    it('should start a task only after its dependencies and pass their results', async () => {
+      const order = [];
+      const tasks = [
+        { id: 'creative', dependsOn: [] },
+        { id: 'logical', dependsOn: ['creative'] },
+        { id: 'reasoning', dependsOn: ['creative'] }
+      ];
+
+      await runTaskGraph(tasks, async (task, results) => {
+        order.push(task.id);
+        if (task.id !== 'creative') {
+          expect(results.creative).toBe('ideas');
+        }
+        return task.id === 'creative' ? delay(5, 'ideas') : task.id;
+      });
+
+      expect(order[0]).toBe('creative');
+    });
+
+    it('should reject when a task fails', async () => {
+      const tasks = [{ id: 'a', dependsOn: [] }, { id: 'b', dependsOn: ['a'] }];
+      const runner = jest.fn().mockRejectedValueOnce(new Error('boom'));
+
+      await expect(runTaskGraph(tasks, runner)).rejects.toThrow('boom');
+      expect(runner).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('findDependencyError', () => {
+    it('should report unknown dependencies and cycles', () => {
+      expect(findDependencyError([{ id: 'a', dependsOn: ['x'] }])).toBe('"a" depends on unknown task "x"');
+      expect(findDependencyError([
+        { id: 'a', dependsOn: ['b'] },
+        { id: 'b', dependsOn: ['a'] }
+      ])).toBe('circular dependency between a, b');
+      expect(findDependencyError([{ id: 'a' }, { id: 'b', dependsOn: ['a'] }])).toBeNull();
+    });
+  });
+});
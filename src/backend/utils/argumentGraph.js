@@ -0,0 +1,238 @@
+/**
+ * Argument Graph
+ *
+ * Structured output of debate phases: the proposer's claims, the critic's
+ * objections to specific claims or rebuttals, the proposer's rebuttals to
+ * each objection and the judge's verdict on every claim. Agents answer with
+ * JSON that is validated here; a response that cannot be parsed is kept as
+ * a single argument so the debate can go on.
+ *
+ * Nodes are stored flat as { id, type, agent, round, parentId, text } with
+ * ids c1, o1, r1... and form one thread per claim:
+ * claim → objection → rebuttal → objection → ...
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const Joi = require('joi');
+const { extractJSON } = require('./summaryReport');
+
+const STATUSES = ['upheld', 'revised', 'refuted'];
+const ID_PREFIXES = { claim: 'c', objection: 'o', rebuttal: 'r' };
+
+const text = Joi.string().trim().min(1).required();
+
+// What each debate step answers with: the node type it adds and the field
+// naming the node it replies to
+const ARGUMENT_STEPS = {
+  proposal: {
+    type: 'claim',
+    schema: Joi.object({ claims: Joi.array().items(Joi.object({ text })).min(1).required() }),
+    format: '{ "claims": [{ "text": "one specific claim about your idea that can be challenged" }] }'
+  },
+  critique: {
+    type: 'objection',
+    ref: 'target',
+    schema: Joi.object({ objections: Joi.array().items(Joi.object({ target: Joi.string().trim().required(), text })).required() }),
+    format: '{ "objections": [{ "target": "id of the claim or rebuttal you attack, e.g. c1", "text": "the specific flaw, gap or risk" }] }'
+  },
+  rebuttal: {
+    type: 'rebuttal',
+    ref: 'objection',
+    schema: Joi.object({ rebuttals: Joi.array().items(Joi.object({ objection: Joi.string().trim().required(), text })).required() }),
+    format: '{ "rebuttals": [{ "objection": "id of the objection you answer, e.g. o1", "text": "your defense, concession or revision" }] }'
+  }
+};
+
+const verdictSchema = Joi.object({
+  verdicts: Joi.array().items(Joi.object({
+    claim: Joi.string().trim().required(),
+    status: Joi.string().lowercase().valid(...STATUSES).required(),
+    reasoning: Joi.string().trim().allow('').default('')
+  })).required(),
+  summary: Joi.string().trim().allow('').default('')
+});
+
+const VERDICT_FORMAT = `{ "verdicts": [{ "claim": "claim id, e.g. c1", "status": "one of ${STATUSES.join(', ')}", "reasoning": "which arguments decided it" }], "summary": "overall outcome of the debate" }`;
+
+/**
+ * Output format given to the agent of a debate step
+ * @param {string} step - proposal, critique, rebuttal or adjudication
+ * @returns {string} Prompt section
+ */
+const getArgumentFormat = step => `=== OUTPUT FORMAT ===
+Respond with ONE JSON object and nothing else (no markdown, no code fences), matching this shape:
+${step === 'adjudication' ? VERDICT_FORMAT : ARGUMENT_STEPS[step].format}`;
+
+/**
+ * Parse and validate a JSON response against a schema
+ * @param {string} response - Model output
+ * @param {Object} schema - Joi schema
+ * @returns {{value: Object|null, errors: Array<string>}} Validated data, or the problems found
+ */
+const parseJSON = (response, schema) => {
+  const json = extractJSON(response || '');
+  if (!json) {
+    return { value: null, errors: ['The response does not contain a JSON object'] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return { value: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const { error, value } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+  return error
+    ? { value: null, errors: error.details.map(detail => detail.message) }
+    : { value, errors: [] };
+};
+
+const getNode = (graph, id) => graph.nodes.find(node => node.id === id);
+
+/**
+ * Objections the proposer has not answered yet
+ * @param {Object} graph - Argument graph
+ * @returns {Array<Object>} Objection nodes
+ */
+const getOpenObjections = graph => graph.nodes.filter(node =>
+  node.type === 'objection' && !graph.nodes.some(child => child.parentId === node.id));
+
+/**
+ * Parse one debate step's response into arguments for the graph. Replies to
+ * unknown ids are dropped; an unparseable response becomes a single
+ * argument replying to the first claim (critique) or the oldest open
+ * objection (rebuttal).
+ * @param {Object} graph - Argument graph so far
+ * @param {string} step - proposal, critique or rebuttal
+ * @param {string} response - Model output
+ * @returns {{items: Array<{text: string, parentId: string|null}>, errors: Array<string>}} Arguments and parse problems
+ */
+const parseArguments = (graph, step, response) => {
+  const { type, ref, schema } = ARGUMENT_STEPS[step];
+  const { value, errors } = parseJSON(response, schema);
+  // Objections attack claims or rebuttals; rebuttals answer objections
+  const canReplyTo = id => {
+    const node = getNode(graph, id);
+    return Boolean(node) && (type === 'rebuttal' ? node.type === 'objection' : node.type !== 'objection');
+  };
+
+  if (!value) {
+    const fallbackParent = { claim: null, objection: graph.nodes[0]?.id, rebuttal: getOpenObjections(graph)[0]?.id }[type];
+    const raw = String(response || '').trim();
+    return {
+      items: raw && fallbackParent !== undefined ? [{ text: raw, parentId: fallbackParent }] : [],
+      errors
+    };
+  }
+
+  const items = [];
+  Object.values(value)[0].forEach((item) => {
+    const parentId = ref ? item[ref] : null;
+    if (ref && !canReplyTo(parentId)) {
+      errors.push(`Unknown ${ref} "${parentId}"`);
+      return;
+    }
+    items.push({ text: item.text, parentId });
+  });
+  return { items, errors };
+};
+
+/**
+ * Add arguments to the graph with the next free ids of their type
+ * @param {Object} graph - Argument graph, modified in place
+ * @param {string} type - claim, objection or rebuttal
+ * @param {Array<Object>} items - Arguments from parseArguments
+ * @param {Object} meta - { agent, round }
+ * @returns {Array<Object>} The new nodes
+ */
+const addArguments = (graph, type, items, { agent, round }) => {
+  const count = graph.nodes.filter(node => node.type === type).length;
+  const nodes = items.map((item, index) => ({
+    id: `${ID_PREFIXES[type]}${count + index + 1}`,
+    type,
+    agent,
+    round,
+    parentId: item.parentId,
+    text: item.text
+  }));
+  graph.nodes.push(...nodes);
+  return nodes;
+};
+
+/**
+ * Parse the judge's ruling and record a verdict on each claim it names.
+ * Claims without a verdict are left as they are.
+ * @param {Object} graph - Argument graph, modified in place
+ * @param {string} response - Model output
+ * @param {string} agent - Judge agent
+ * @returns {Array<string>} Parse problems
+ */
+const applyVerdicts = (graph, response, agent) => {
+  const { value, errors } = parseJSON(response, verdictSchema);
+  if (!value) {
+    graph.summary = String(response || '').trim();
+    return errors;
+  }
+
+  value.verdicts.forEach(({ claim, status, reasoning }) => {
+    const node = getNode(graph, claim);
+    if (node?.type !== 'claim') {
+      errors.push(`Unknown claim "${claim}"`);
+      return;
+    }
+    node.verdict = { status, reasoning, agent };
+  });
+  graph.summary = value.summary;
+  return errors;
+};
+
+/**
+ * Render the graph as indented threads, one per claim, for prompts and
+ * digests
+ * @param {Object} graph - Argument graph
+ * @param {Object} [options] - Formatting options
+ * @param {Function} [options.agentName] - Display name for an agent key
+ * @param {Function} [options.isHidden] - Leaves out a claim's thread when true for its id
+ * @param {Function} [options.isStarred] - Marks a claim with ⭐ when true for its id
+ * @returns {string} Thread text
+ */
+const formatArgumentThreads = (graph, { agentName = agent => agent, isHidden = () => false, isStarred = () => false } = {}) => {
+  const labels = { claim: 'Claim', objection: 'Objection', rebuttal: 'Rebuttal' };
+  const renderNode = (node, depth) => {
+    const line = `${'  '.repeat(depth)}${depth ? '↳ ' : ''}[${node.id}] ${labels[node.type]} (${agentName(node.agent)}${node.round ? `, round ${node.round}` : ''}): ${node.text}`;
+    const unanswered = node.type === 'objection' && !graph.nodes.some(child => child.parentId === node.id)
+      ? `\n${'  '.repeat(depth + 1)}↳ (no rebuttal)`
+      : '';
+    return [line + unanswered, ...graph.nodes
+      .filter(child => child.parentId === node.id)
+      .map(child => renderNode(child, depth + 1))].join('\n');
+  };
+
+  const threads = graph.nodes
+    .filter(node => node.type === 'claim' && !isHidden(node.id))
+    .map((claim) => {
+      const verdict = claim.verdict
+        ? `\n  ⚖️ Verdict: ${claim.verdict.status.toUpperCase()}${claim.verdict.reasoning ? ` — ${claim.verdict.reasoning}` : ''}`
+        : '';
+      return `${isStarred(claim.id) ? '⭐ ' : ''}${renderNode(claim, 0)}${verdict}`;
+    });
+
+  if (graph.summary) {
+    threads.push(`Judge's summary: ${graph.summary}`);
+  }
+  return threads.length ? `${threads.join('\n\n')}\n\n` : '';
+};
+
+module.exports = {
+  ARGUMENT_STEPS,
+  STATUSES,
+  getArgumentFormat,
+  getOpenObjections,
+  parseArguments,
+  addArguments,
+  applyVerdicts,
+  formatArgumentThreads
+};
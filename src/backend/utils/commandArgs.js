@@ -0,0 +1,159 @@
+/**
+ * Command Arguments
+ *
+ * Argument grammar for slash commands. The text after the command is split
+ * into words; "double" or 'single' quotes keep a phrase together as one
+ * word, and an apostrophe that opens no phrase is read as-is. `--name value`
+ * and `--name=value` set an option, and a bare `--` ends the options so the
+ * rest is read as text. Each command accepts a subset of COMMAND_OPTIONS;
+ * their values are validated here, and every word that is not an option is
+ * the command's text.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const Joi = require('joi');
+
+const MAX_IDEAS = 20;
+
+// Options by name: `example` is shown in help and errors, `expected`
+// completes "--<name> must be ..." when the value does not validate
+const COMMAND_OPTIONS = {
+  agents: {
+    schema: Joi.array().min(1).unique().items(Joi.string().lowercase().pattern(/^[a-z0-9_]+$/)),
+    list: true,
+    example: 'creative,logical',
+    expected: 'a comma-separated list of agent keys, e.g. `--agents creative,logical`',
+    description: 'Only these agents take part; the summary agent always runs'
+  },
+  depth: {
+    schema: Joi.string().lowercase().valid('quick', 'deep'),
+    example: 'deep',
+    expected: '`quick` or `deep`',
+    description: '`quick` halves the expansion iterations and debate rounds, `deep` doubles them'
+  },
+  model: {
+    schema: Joi.string().max(100).pattern(/^[\w.:/-]+$/),
+    example: 'llama-3.3-70b-versatile',
+    expected: 'a model id, e.g. `--model llama-3.3-70b-versatile`',
+    description: 'Run every agent on this model instead of its model pool'
+  },
+  ideas: {
+    schema: Joi.number().integer().min(1).max(MAX_IDEAS),
+    example: '10',
+    expected: `a whole number from 1 to ${MAX_IDEAS}`,
+    description: 'How many ideas the final summary lists'
+  },
+  framework: {
+    schema: Joi.string().lowercase().pattern(/^[a-z0-9_]+$/),
+    example: 'scamper',
+    expected: 'a framework key, e.g. `--framework scamper`',
+    description: 'Run an ideation framework instead of the default pipeline'
+  },
+  focus: {
+    schema: Joi.string().trim().min(1).max(300),
+    example: '"cut the upfront cost"',
+    expected: 'a short instruction, e.g. `--focus "cut the upfront cost"`',
+    description: 'What the refinement should concentrate on'
+  }
+};
+
+/**
+ * Split command text into words, keeping quoted phrases together
+ * @param {string} text - Text after the command name
+ * @returns {{words: Array<{value: string, raw: string, quoted: boolean}>, error: string|null}} Words (`raw` keeps
+ *   their quotes), or why the text could not be split
+ */
+const tokenize = (text) => {
+  const words = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (match[3]?.startsWith('"')) {
+      return { words, error: 'Unclosed quote: every `"` needs a matching closing `"`' };
+    }
+    const quoted = match[3] === undefined;
+    words.push({ value: quoted ? (match[1] ?? match[2]) : match[3], raw: match[0], quoted });
+  }
+  return { words, error: null };
+};
+
+/**
+ * Parse command text into positional words, options and free text
+ * @param {string} text - Text after the command name
+ * @param {Array<string>} [allowed] - Option names the command accepts
+ * @param {Object} [definitions] - Option definitions by name, COMMAND_OPTIONS unless a plugin adds its own
+ * @returns {{args: Array<string>, text: string, options: Object, errors: Array<string>}} Positional words,
+ *   the text they form (quotes kept), the validated options and every problem found
+ */
+const parseCommandArgs = (text = '', allowed = [], definitions = COMMAND_OPTIONS) => {
+  const positional = [];
+  const options = {};
+  const errors = [];
+  const { words, error } = tokenize(text);
+  if (error) errors.push(error);
+
+  let optionsEnded = false;
+  for (let index = 0; index < words.length; index++) {
+    const { value, quoted } = words[index];
+    if (quoted || optionsEnded || !value.startsWith('--')) {
+      positional.push(words[index]);
+      continue;
+    }
+    if (value === '--') {
+      optionsEnded = true;
+      continue;
+    }
+
+    const [flag, inline] = value.slice(2).split(/=(.*)/s);
+    const name = flag.toLowerCase();
+    if (!allowed.includes(name)) {
+      const accepted = allowed.length
+        ? `; it accepts ${allowed.map(option => `\`--${option}\``).join(', ')}`
+        : '; it takes no options';
+      errors.push(Object.prototype.hasOwnProperty.call(definitions, name)
+        ? `\`--${name}\` is not an option of this command${accepted}`
+        : `Unknown option \`--${name}\`${accepted}`);
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(options, name)) {
+      errors.push(`\`--${name}\` is given more than once`);
+      continue;
+    }
+
+    let raw = inline?.replace(/^(["'])(.*)\1$/, '$2');
+    if (raw === undefined) {
+      const next = words[index + 1];
+      if (!next || (!next.quoted && next.value.startsWith('--'))) {
+        errors.push(`\`--${name}\` needs a value, e.g. \`--${name} ${definitions[name].example}\``);
+        continue;
+      }
+      raw = next.value;
+      index++;
+    }
+
+    const option = definitions[name];
+    const input = option.list ? raw.split(',').map(item => item.trim()).filter(Boolean) : raw.trim();
+    const { error: invalid, value: parsed } = option.schema.validate(input);
+    if (invalid) {
+      errors.push(`\`--${name}\` must be ${option.expected} (got \`${raw}\`)`);
+      continue;
+    }
+    options[name] = parsed;
+  }
+
+  return {
+    args: positional.map(word => word.value),
+    text: positional.map(word => word.raw).join(' '),
+    options,
+    errors
+  };
+};
+
+module.exports = {
+  COMMAND_OPTIONS,
+  MAX_IDEAS,
+  tokenize,
+  parseCommandArgs
+};
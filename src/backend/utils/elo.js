@@ -0,0 +1,34 @@
+/**
+ * Elo Ratings
+ *
+ * Rating math for pairwise idea tournaments: each judged match moves the
+ * two ideas' ratings toward the result, by more when the result was
+ * unexpected.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+/**
+ * Probability that A beats B given their ratings
+ * @param {number} ratingA - Rating of A
+ * @param {number} ratingB - Rating of B
+ * @returns {number} Expected score of A, 0-1
+ */
+const expectedScore = (ratingA, ratingB) => 1 / (1 + 10 ** ((ratingB - ratingA) / 400));
+
+/**
+ * Ratings after one match
+ * @param {number} ratingA - Rating of A before the match
+ * @param {number} ratingB - Rating of B before the match
+ * @param {number} scoreA - 1 when A won, 0.5 for a tie, 0 when B won
+ * @param {number} [k] - Maximum rating change per match
+ * @returns {Array<number>} [new rating of A, new rating of B], rounded to one decimal
+ */
+const updateRatings = (ratingA, ratingB, scoreA, k = 32) => {
+  const change = k * (scoreA - expectedScore(ratingA, ratingB));
+  const round = value => Math.round(value * 10) / 10;
+  return [round(ratingA + change), round(ratingB - change)];
+};
+
+module.exports = { expectedScore, updateRatings };
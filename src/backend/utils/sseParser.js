@@ -0,0 +1,87 @@
+/**
+ * Server-Sent Events Parser
+ *
+ * Reads an OpenAI-compatible `text/event-stream` response body and hands
+ * each decoded `data:` payload to a callback. Chunks are decoded with a
+ * StringDecoder, so a character split across two chunks arrives intact.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const { StringDecoder } = require('string_decoder');
+const logger = require('./logger');
+
+/**
+ * Consume an SSE stream until it ends
+ * @param {Stream} stream - Readable response stream (axios responseType: 'stream')
+ * @param {Function} onData - Called with each parsed JSON payload
+ * @returns {Promise<void>} Resolves when the stream ends or sends [DONE]
+ */
+const readSSEStream = (stream, onData) => new Promise((resolve, reject) => {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let finished = false;
+
+  const finish = (error) => {
+    if (finished) return;
+    finished = true;
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  };
+
+  const handleLine = (rawLine) => {
+    const line = rawLine.trim();
+    // Lines after [DONE] in the same chunk are ignored
+    if (finished || !line.startsWith('data:')) return;
+
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') {
+      finish();
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch (error) {
+      logger.debug('Skipping malformed SSE payload', { payload: payload.substring(0, 100) });
+      return;
+    }
+
+    onData(data);
+  };
+
+  stream.on('data', (chunk) => {
+    if (finished) return;
+
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    try {
+      lines.forEach(handleLine);
+    } catch (error) {
+      finish(error);
+    }
+  });
+
+  stream.on('end', () => {
+    try {
+      buffer += decoder.end();
+      if (buffer) handleLine(buffer);
+      finish();
+    } catch (error) {
+      finish(error);
+    }
+  });
+
+  stream.on('error', finish);
+  // An aborted request destroys the stream without an 'end' event
+  stream.on('close', () => finish(new Error('Stream closed before completion')));
+});
+
+module.exports = { readSSEStream };
@@ -0,0 +1,475 @@
+/**
+ * Summary Formats
+ *
+ * Output formats of the final summary phase, chosen with the phase's
+ * `format` in config/pipelines.json:
+ * - report: the full ideation report (see summaryReport)
+ * - brainstorm: every idea, grouped by theme and left unjudged, with the
+ *   standouts worth exploring first (/brainstorm)
+ * - analysis: the problem broken into sub-problems with root causes,
+ *   assumptions and open questions (/analyze)
+ * - synthesis: the user's options compared on weighted criteria, with a
+ *   recommendation (/synthesize)
+ * - refinement: one saved idea, revised, with what changed and why (/refine)
+ *
+ * Each format has a default task, the JSON shape the agent answers with, a
+ * parser and a markdown renderer; formats that list ideas also say how to
+ * ask for a number of them (`--ideas`). Parsed reports always have an `ideas`
+ * list for the idea repository (empty for analysis and synthesis); the ideas
+ * of the full report and the refined idea are scored by the evaluator agents.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const Joi = require('joi');
+const {
+  CATEGORIES,
+  HORIZONS,
+  TIMELINES,
+  extractJSON,
+  ideaSchema,
+  parseSummaryReport,
+  renderSummaryReport,
+  SUMMARY_REPORT_FORMAT
+} = require('./summaryReport');
+
+const LEVELS = ['low', 'medium', 'high'];
+const VERDICTS = ['recommended', 'viable', 'not recommended'];
+
+const nextStepsSchema = Joi.array().min(1).items(Joi.object({
+  horizon: Joi.string().lowercase().valid(...HORIZONS).required(),
+  action: Joi.string().trim().required()
+})).required();
+
+const brainstormSchema = Joi.object({
+  overview: Joi.string().trim().min(1).required(),
+  clusters: Joi.array().min(1).max(6).items(Joi.object({
+    theme: Joi.string().trim().required(),
+    ideas: Joi.array().min(1).max(8).items(Joi.object({
+      title: Joi.string().trim().max(80).required(),
+      description: Joi.string().trim().required(),
+      category: Joi.string().lowercase().valid(...CATEGORIES).default('product'),
+      tags: Joi.array().items(Joi.string().trim().lowercase()).max(6).default([]),
+      wildcard: Joi.boolean().default(false)
+    })).required()
+  })).required(),
+  standouts: Joi.array().items(Joi.string().trim()).max(3).default([]),
+  provocations: Joi.array().items(Joi.string().trim()).default([])
+});
+
+const analysisSchema = Joi.object({
+  problemStatement: Joi.string().trim().min(1).required(),
+  subProblems: Joi.array().min(1).max(8).items(Joi.object({
+    title: Joi.string().trim().max(80).required(),
+    description: Joi.string().trim().required(),
+    rootCauses: Joi.array().items(Joi.string().trim()).default([]),
+    priority: Joi.string().lowercase().valid(...LEVELS).default('medium')
+  })).required(),
+  assumptions: Joi.array().items(Joi.object({
+    assumption: Joi.string().trim().required(),
+    confidence: Joi.string().lowercase().valid(...LEVELS).default('medium'),
+    test: Joi.string().trim().allow('').default('')
+  })).default([]),
+  insights: Joi.array().items(Joi.string().trim()).default([]),
+  openQuestions: Joi.array().items(Joi.string().trim()).default([]),
+  recommendedApproach: Joi.string().trim().min(1).required(),
+  nextSteps: nextStepsSchema
+});
+
+const synthesisSchema = Joi.object({
+  decision: Joi.string().trim().min(1).required(),
+  criteria: Joi.array().min(1).max(8).items(Joi.object({
+    name: Joi.string().trim().max(40).required(),
+    weight: Joi.number().integer().min(1).max(5).default(3)
+  })).unique('name').required(),
+  options: Joi.array().min(1).max(8).items(Joi.object({
+    name: Joi.string().trim().max(80).required(),
+    summary: Joi.string().trim().required(),
+    pros: Joi.array().items(Joi.string().trim()).default([]),
+    cons: Joi.array().items(Joi.string().trim()).default([]),
+    scores: Joi.object().pattern(Joi.string(), Joi.number().min(1).max(10)).default({}),
+    verdict: Joi.string().lowercase().valid(...VERDICTS).default('viable')
+  })).required(),
+  recommendation: Joi.object({
+    option: Joi.string().trim().required(),
+    rationale: Joi.string().trim().required(),
+    conditions: Joi.array().items(Joi.string().trim()).default([])
+  }).required(),
+  combinedApproach: Joi.string().trim().allow('').default(''),
+  nextSteps: nextStepsSchema
+});
+
+const refinementSchema = Joi.object({
+  changeSummary: Joi.string().trim().min(1).required(),
+  idea: ideaSchema.required(),
+  changes: Joi.array().min(1).items(Joi.object({
+    change: Joi.string().trim().required(),
+    reason: Joi.string().trim().allow('').default('')
+  })).required(),
+  openIssues: Joi.array().items(Joi.string().trim()).default([]),
+  nextSteps: nextStepsSchema
+});
+
+const BRAINSTORM_FORMAT = `=== OUTPUT FORMAT ===
+Respond with ONE JSON object and nothing else (no markdown, no code fences), matching this shape:
+{
+  "overview": "what was explored and the directions the ideas went in",
+  "clusters": [{
+    "theme": "theme that groups these ideas",
+    "ideas": [{
+      "title": "idea name, max 80 characters",
+      "description": "what it is and what makes it interesting",
+      "category": "one of ${CATEGORIES.join(', ')}",
+      "tags": ["2-4 lowercase keywords"],
+      "wildcard": true if the idea is deliberately unconventional
+    }]
+  }],
+  "standouts": ["titles of the 2-3 ideas most worth exploring first"],
+  "provocations": ["open 'what if...?' question to keep exploring"]
+}
+Use 2-6 clusters with up to 8 ideas each. Escape quotes and newlines inside strings.`;
+
+const ANALYSIS_FORMAT = `=== OUTPUT FORMAT ===
+Respond with ONE JSON object and nothing else (no markdown, no code fences), matching this shape:
+{
+  "problemStatement": "the problem restated precisely: who has it, where and why it matters",
+  "subProblems": [{
+    "title": "sub-problem, max 80 characters",
+    "description": "what it is and how it contributes to the whole",
+    "rootCauses": ["underlying cause"],
+    "priority": "one of ${LEVELS.join(', ')}"
+  }],
+  "assumptions": [{ "assumption": "something taken for granted", "confidence": "one of ${LEVELS.join(', ')}", "test": "how to check it" }],
+  "insights": ["non-obvious finding from the analysis"],
+  "openQuestions": ["question that still needs an answer"],
+  "recommendedApproach": "how to tackle the problem, in which order and why",
+  "nextSteps": [{ "horizon": "one of ${HORIZONS.join(', ')}", "action": "specific action" }]
+}
+List 2-8 sub-problems, most important first. Escape quotes and newlines inside strings.`;
+
+const SYNTHESIS_FORMAT = `=== OUTPUT FORMAT ===
+Respond with ONE JSON object and nothing else (no markdown, no code fences), matching this shape:
+{
+  "decision": "the decision the options are meant to settle",
+  "criteria": [{ "name": "criterion, max 40 characters", "weight": 1-5 }],
+  "options": [{
+    "name": "the option as the user gave it, max 80 characters",
+    "summary": "what choosing it means",
+    "pros": ["strength"],
+    "cons": ["weakness"],
+    "scores": { "<criterion name>": 1-10 },
+    "verdict": "one of ${VERDICTS.join(', ')}"
+  }],
+  "recommendation": { "option": "name of the recommended option", "rationale": "why it wins", "conditions": ["when another option would be the better choice"] },
+  "combinedApproach": "how the best parts of several options could be combined, or empty",
+  "nextSteps": [{ "horizon": "one of ${HORIZONS.join(', ')}", "action": "specific action" }]
+}
+Score every option on every criterion (10 is best, also for cost and risk). Escape quotes and newlines inside strings.`;
+
+const REFINEMENT_FORMAT = `=== OUTPUT FORMAT ===
+Respond with ONE JSON object and nothing else (no markdown, no code fences), matching this shape:
+{
+  "changeSummary": "how the idea changed in this revision and why it is stronger",
+  "idea": {
+    "title": "the idea's name, kept unless the refinement changed what it is, max 80 characters",
+    "description": "the complete revised idea: what it is, how it works and what makes it different",
+    "category": "one of ${CATEGORIES.join(', ')}",
+    "tags": ["2-4 lowercase keywords"],
+    "implementationTimeline": "one of ${TIMELINES.join(', ')}",
+    "scores": { "innovation": 1-10, "feasibility": 1-10, "marketPotential": 1-10 }
+  },
+  "changes": [{ "change": "what was added, cut or reworked", "reason": "the weakness or opportunity it answers" }],
+  "openIssues": ["risk or question the revision does not settle"],
+  "nextSteps": [{ "horizon": "one of ${HORIZONS.join(', ')}", "action": "specific action" }]
+}
+Describe the revised idea in full, not only the changes. Escape quotes and newlines inside strings.`;
+
+const BRAINSTORM_TASK = `=== YOUR TASK AS FINAL SUMMARY AGENT ===
+
+Collect every idea from this brainstorm. Do not judge, score or drop ideas: this is divergent thinking, and evaluation comes later.
+- Group the ideas into themes and merge only true duplicates
+- Keep the unconventional ideas and mark them as wildcards
+- Name the 2-3 standouts most worth exploring first
+- Add provocations that open further directions`;
+
+const ANALYSIS_TASK = `=== YOUR TASK AS FINAL SUMMARY AGENT ===
+
+Turn this analysis into a structured problem breakdown. Do not propose a list of product ideas.
+- Restate the problem precisely
+- Break it into sub-problems, each with its root causes and a priority
+- List the assumptions the analysis rests on, how confident we can be in each and how to test it
+- Record the key insights and the questions that remain open
+- Recommend an approach and the next steps`;
+
+const SYNTHESIS_TASK = `=== YOUR TASK AS FINAL SUMMARY AGENT ===
+
+Evaluate the options the user supplied. Do not invent new options; use the user's own names for them.
+- State the decision and the criteria that matter, weighted 1-5
+- Score every option on every criterion and list its pros and cons
+- Give each option a verdict and recommend one, with the conditions under which another would be better
+- Say whether the best parts of several options can be combined
+- List the next steps`;
+
+const REFINEMENT_TASK = `=== YOUR TASK AS FINAL SUMMARY AGENT ===
+
+Write the next revision of the saved idea from this refinement session. Do not replace it with a different idea.
+- Keep what the critique confirmed and fix or cut what it found weak
+- Fold in the improvements the agents agreed on
+- List each change with the reason for it
+- Record the issues that remain open and the next steps`;
+
+/**
+ * Parse a model response as JSON and validate it against a schema
+ * @param {Object} schema - Joi schema
+ * @param {string} text - Model output
+ * @returns {{value: Object|null, errors: Array<string>}} The validated object, or the problems found
+ */
+const parseWith = (schema, text = '') => {
+  const json = extractJSON(text);
+  if (!json) {
+    return { value: null, errors: ['The response does not contain a JSON object'] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return { value: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const { error, value } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return { value: null, errors: error.details.map(detail => detail.message) };
+  }
+  return { value, errors: [] };
+};
+
+const escapeCell = text => text.replace(/\|/g, '\\|');
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const renderList = (title, items) => (items.length ? [`## ${title}\n\n${items.map(item => `- ${item}`).join('\n')}`] : []);
+
+const renderNextSteps = nextSteps => `## ✅ Next Steps\n\n${HORIZONS
+  .flatMap(horizon => nextSteps.filter(step => step.horizon === horizon))
+  .map(({ horizon, action }) => `- **${horizon}:** ${action}`)
+  .join('\n')}`;
+
+/**
+ * Parse a brainstorm. Ideas are flattened into `ideas` with their theme;
+ * standouts are marked selected.
+ * @param {string} text - Model output
+ * @returns {{report: Object|null, errors: Array<string>}} The brainstorm, or the problems found
+ */
+const parseBrainstorm = (text) => {
+  const { value, errors } = parseWith(brainstormSchema, text);
+  if (!value) return { report: null, errors };
+
+  const ideas = value.clusters.flatMap(({ theme, ideas: clusterIdeas }) => clusterIdeas.map(idea => ({
+    ...idea,
+    theme,
+    implementationTimeline: 'research',
+    selected: value.standouts.some(title => sameName(title, idea.title)),
+    rationale: `Brainstormed under "${theme}"`
+  })));
+
+  return {
+    report: {
+      overview: value.overview,
+      themes: value.clusters.map(cluster => cluster.theme),
+      ideas,
+      provocations: value.provocations
+    },
+    errors: []
+  };
+};
+
+/**
+ * Render a brainstorm: ideas by theme, standouts starred and wildcards marked
+ * @param {Object} report - Brainstorm from parseBrainstorm
+ * @returns {string} Markdown
+ */
+const renderBrainstorm = (report) => {
+  const themes = report.themes.map(theme => `### ${theme}\n\n${report.ideas
+    .filter(idea => idea.theme === theme)
+    .map(idea => `- **${idea.title}**${idea.selected ? ' ⭐' : ''}${idea.wildcard ? ' 🃏' : ''} — ${idea.description}`)
+    .join('\n')}`);
+  const standouts = report.ideas.filter(idea => idea.selected).map(idea => `**${idea.title}**`);
+
+  return [
+    `## 🌱 Brainstorm\n\n${report.overview}`,
+    `## 💡 Ideas Summary:\n\n${themes.join('\n\n')}`,
+    ...(standouts.length ? [`## ⭐ Worth Exploring First\n\n${standouts.join(' · ')}`] : []),
+    ...renderList('🌀 Keep Exploring', report.provocations),
+    `*${report.ideas.length} ideas, left unjudged; 🃏 marks wildcards. Run \`/synthesize\` on a shortlist to evaluate them.*`
+  ].join('\n\n');
+};
+
+/**
+ * Parse a problem analysis
+ * @param {string} text - Model output
+ * @returns {{report: Object|null, errors: Array<string>}} The analysis, or the problems found
+ */
+const parseAnalysis = (text) => {
+  const { value, errors } = parseWith(analysisSchema, text);
+  return value ? { report: { ...value, ideas: [] }, errors: [] } : { report: null, errors };
+};
+
+/**
+ * Render a problem analysis: the breakdown by priority, then assumptions,
+ * insights, open questions and the recommended approach
+ * @param {Object} report - Analysis from parseAnalysis
+ * @returns {string} Markdown
+ */
+const renderAnalysis = (report) => {
+  const subProblems = LEVELS.slice().reverse()
+    .flatMap(priority => report.subProblems.filter(item => item.priority === priority))
+    .map(({ title, description, rootCauses, priority }) =>
+      `- **${title}** (${priority} priority) — ${description}${rootCauses.length ? `\n  *Root causes:* ${rootCauses.join('; ')}` : ''}`);
+
+  return [
+    `## 🧭 Problem Statement\n\n${report.problemStatement}`,
+    `## 🧩 Problem Breakdown\n\n${subProblems.join('\n')}`,
+    ...renderList('🔍 Assumptions', report.assumptions.map(({ assumption, confidence, test }) =>
+      `${assumption} *(confidence: ${confidence})*${test ? ` *Test:* ${test}` : ''}`)),
+    ...renderList('💡 Key Insights', report.insights),
+    ...renderList('❓ Open Questions', report.openQuestions),
+    `## 🎯 Recommended Approach\n\n${report.recommendedApproach}`,
+    renderNextSteps(report.nextSteps)
+  ].join('\n\n');
+};
+
+/**
+ * Parse an evaluation of options. Each option gets a `weightedScore`
+ * (1-10) from its criterion scores and the criteria weights, and options
+ * are ranked by it.
+ * @param {string} text - Model output
+ * @returns {{report: Object|null, errors: Array<string>}} The evaluation, or the problems found
+ */
+const parseSynthesis = (text) => {
+  const { value, errors } = parseWith(synthesisSchema, text);
+  if (!value) return { report: null, errors };
+
+  value.options.forEach((option) => {
+    const scored = value.criteria
+      .map(({ name, weight }) => ({ weight, score: Object.entries(option.scores).find(([key]) => sameName(key, name))?.[1] }))
+      .filter(({ score }) => score !== undefined);
+    const totalWeight = scored.reduce((sum, { weight }) => sum + weight, 0);
+    option.weightedScore = totalWeight
+      ? Math.round(scored.reduce((sum, { weight, score }) => sum + weight * score, 0) / totalWeight * 10) / 10
+      : null;
+  });
+  value.options.sort((a, b) => (b.weightedScore ?? 0) - (a.weightedScore ?? 0));
+
+  return { report: { ...value, ideas: [] }, errors: [] };
+};
+
+/**
+ * Render an evaluation of options: a weighted comparison table, pros and
+ * cons per option and the recommendation
+ * @param {Object} report - Evaluation from parseSynthesis
+ * @returns {string} Markdown
+ */
+const renderSynthesis = (report) => {
+  const score = (option, name) => Object.entries(option.scores).find(([key]) => sameName(key, name))?.[1] ?? '–';
+  const table = [
+    `| Option | ${report.criteria.map(({ name, weight }) => `${escapeCell(name)} ×${weight}`).join(' | ')} | Weighted | Verdict |`,
+    `|--------|${report.criteria.map(() => '---').join('|')}|----------|---------|`,
+    ...report.options.map(option =>
+      `| ${escapeCell(option.name)} | ${report.criteria.map(({ name }) => score(option, name)).join(' | ')} | **${option.weightedScore ?? '–'}** | ${option.verdict} |`)
+  ].join('\n');
+
+  const options = report.options.map(({ name, summary, pros, cons }) => [
+    `### ${name}`,
+    '',
+    summary,
+    ...(pros.length ? ['', `**Pros:** ${pros.join('; ')}`] : []),
+    ...(cons.length ? ['', `**Cons:** ${cons.join('; ')}`] : [])
+  ].join('\n'));
+
+  const { option, rationale, conditions } = report.recommendation;
+  return [
+    `## ⚖️ Decision\n\n${report.decision}`,
+    `## 📊 Options Compared\n\n${table}`,
+    options.join('\n\n'),
+    `## 🎯 Recommendation\n\n**${option}** — ${rationale}${conditions.length ? `\n\n*Choose differently if:*\n${conditions.map(condition => `- ${condition}`).join('\n')}` : ''}`,
+    ...(report.combinedApproach ? [`## 🔗 Combined Approach\n\n${report.combinedApproach}`] : []),
+    renderNextSteps(report.nextSteps)
+  ].join('\n\n');
+};
+
+/**
+ * Parse a refinement. The revised idea is the report's only idea, selected,
+ * with the change summary as its rationale.
+ * @param {string} text - Model output
+ * @returns {{report: Object|null, errors: Array<string>}} The refinement, or the problems found
+ */
+const parseRefinement = (text) => {
+  const { value, errors } = parseWith(refinementSchema, text);
+  if (!value) return { report: null, errors };
+
+  return {
+    report: { ...value, ideas: [{ ...value.idea, selected: true, rationale: value.changeSummary }] },
+    errors: []
+  };
+};
+
+/**
+ * Render a refinement: the revised idea, its scores, what changed and why,
+ * the open issues and next steps
+ * @param {Object} report - Refinement from parseRefinement
+ * @returns {string} Markdown
+ */
+const renderRefinement = (report) => {
+  const [idea] = report.ideas;
+  const { scores, evaluation } = idea;
+  const facts = [`*Category:* ${idea.category}`, `*Timeline:* ${idea.implementationTimeline}`, ...(idea.tags.length ? [`*Tags:* ${idea.tags.join(', ')}`] : [])];
+  const scorecard = evaluation && report.evaluation
+    ? `${report.evaluation.criteria.map(({ key, label, lowerIsBetter }) => `${label}${lowerIsBetter ? ' ↓' : ''} ${evaluation.criteria[key].score}`).join(' · ')} · **Overall ${evaluation.overall}**`
+    : `Innovation ${scores.innovation} · Feasibility ${scores.feasibility} · Market potential ${scores.marketPotential}`;
+
+  return [
+    `## 🔁 Refined Idea: ${idea.title}\n\n${idea.description}\n\n${facts.join(' · ')}\n\n**Scores:** ${scorecard}`,
+    `## ✏️ What Changed\n\n${report.changeSummary}\n\n${report.changes
+      .map(({ change, reason }) => `- **${change}**${reason ? ` — ${reason}` : ''}`)
+      .join('\n')}`,
+    ...renderList('❓ Open Issues', report.openIssues),
+    renderNextSteps(report.nextSteps)
+  ].join('\n\n');
+};
+
+// Formats by name; `task` is null where the orchestrator builds the task from the phases that ran,
+// `ideaCount` is null where the format lists no ideas
+const SUMMARY_FORMATS = {
+  report: {
+    task: null,
+    outputFormat: SUMMARY_REPORT_FORMAT,
+    ideaCount: count => `List exactly ${count} ideas instead.`,
+    parse: parseSummaryReport,
+    render: renderSummaryReport,
+    evaluate: true
+  },
+  brainstorm: {
+    task: BRAINSTORM_TASK,
+    outputFormat: BRAINSTORM_FORMAT,
+    ideaCount: count => `List ${count} ideas in total across the clusters.`,
+    parse: parseBrainstorm,
+    render: renderBrainstorm,
+    evaluate: false
+  },
+  analysis: { task: ANALYSIS_TASK, outputFormat: ANALYSIS_FORMAT, ideaCount: null, parse: parseAnalysis, render: renderAnalysis, evaluate: false },
+  synthesis: { task: SYNTHESIS_TASK, outputFormat: SYNTHESIS_FORMAT, ideaCount: null, parse: parseSynthesis, render: renderSynthesis, evaluate: false },
+  refinement: { task: REFINEMENT_TASK, outputFormat: REFINEMENT_FORMAT, ideaCount: null, parse: parseRefinement, render: renderRefinement, evaluate: true }
+};
+
+module.exports = {
+  SUMMARY_FORMATS,
+  parseBrainstorm,
+  renderBrainstorm,
+  parseAnalysis,
+  renderAnalysis,
+  parseSynthesis,
+  renderSynthesis,
+  parseRefinement,
+  renderRefinement
+};
@@ -0,0 +1,231 @@
+/**
+ * Summary Report
+ *
+ * Schema for the final summary agent's structured output: ideas with
+ * scores, risks, roadmap and next steps. The agent answers with JSON that
+ * is validated here, rendered to markdown for display, and saved to the
+ * idea repository as-is.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+const Joi = require('joi');
+
+const CATEGORIES = ['technology', 'business', 'product', 'service', 'process', 'research', 'creative', 'social'];
+const TIMELINES = ['immediate', 'short-term', 'medium-term', 'long-term', 'research'];
+const HORIZONS = ['immediate', 'medium-term', 'long-term'];
+const SEVERITIES = ['low', 'medium', 'high'];
+const DEFAULT_MAX_IDEAS = 8;
+
+const score = Joi.number().min(1).max(10).required();
+
+// One idea of the report; also the revised idea of a refinement (see summaryFormats)
+const ideaSchema = Joi.object({
+  title: Joi.string().trim().max(80).required(),
+  description: Joi.string().trim().required(),
+  category: Joi.string().lowercase().valid(...CATEGORIES).default('product'),
+  tags: Joi.array().items(Joi.string().trim().lowercase()).max(6).default([]),
+  implementationTimeline: Joi.string().lowercase().valid(...TIMELINES).default('medium-term'),
+  scores: Joi.object({
+    innovation: score,
+    feasibility: score,
+    marketPotential: score
+  }).required(),
+  selected: Joi.boolean().default(false),
+  rationale: Joi.string().trim().allow('').default('')
+});
+
+const summaryReportSchema = Joi.object({
+  executiveSummary: Joi.string().trim().min(1).required(),
+  themes: Joi.array().items(Joi.string().trim()).default([]),
+  phaseHighlights: Joi.array().items(Joi.object({
+    phase: Joi.string().trim().required(),
+    highlights: Joi.string().trim().required()
+  })).default([]),
+  ideas: Joi.array().min(1).max(Joi.ref('$maxIdeas')).items(ideaSchema).required(),
+  risks: Joi.array().items(Joi.object({
+    risk: Joi.string().trim().required(),
+    severity: Joi.string().lowercase().valid(...SEVERITIES).default('medium'),
+    mitigation: Joi.string().trim().allow('').default('')
+  })).default([]),
+  roadmap: Joi.array().items(Joi.object({
+    phase: Joi.string().trim().required(),
+    timeframe: Joi.string().trim().allow('').default(''),
+    milestones: Joi.array().items(Joi.string().trim()).default([])
+  })).default([]),
+  nextSteps: Joi.array().min(1).items(Joi.object({
+    horizon: Joi.string().lowercase().valid(...HORIZONS).required(),
+    action: Joi.string().trim().required()
+  })).required(),
+  successMetrics: Joi.array().items(Joi.string().trim()).default([])
+});
+
+// Output format given to the final summary agent
+const SUMMARY_REPORT_FORMAT = `=== OUTPUT FORMAT ===
+Respond with ONE JSON object and nothing else (no markdown, no code fences), matching this shape:
+{
+  "executiveSummary": "overview of the session and what it concluded",
+  "themes": ["key theme that emerged across phases"],
+  "phaseHighlights": [{ "phase": "phase name", "highlights": "what this phase contributed" }],
+  "ideas": [{
+    "title": "idea name, max 80 characters",
+    "description": "what it is, how it works and what makes it different",
+    "category": "one of ${CATEGORIES.join(', ')}",
+    "tags": ["2-4 lowercase keywords"],
+    "implementationTimeline": "one of ${TIMELINES.join(', ')}",
+    "scores": { "innovation": 1-10, "feasibility": 1-10, "marketPotential": 1-10 },
+    "selected": true if this is one of the 1-2 recommended ideas,
+    "rationale": "why it was or was not selected"
+  }],
+  "risks": [{ "risk": "major risk", "severity": "one of ${SEVERITIES.join(', ')}", "mitigation": "how to reduce it" }],
+  "roadmap": [{ "phase": "roadmap phase", "timeframe": "e.g. months 1-3", "milestones": ["milestone"] }],
+  "nextSteps": [{ "horizon": "one of ${HORIZONS.join(', ')}", "action": "specific action" }],
+  "successMetrics": ["how to measure progress"]
+}
+List 3-8 ideas. Escape quotes and newlines inside strings.`;
+
+const averageScore = idea => (idea.scores.innovation + idea.scores.feasibility + idea.scores.marketPotential) / 3;
+
+/**
+ * Pull the JSON object out of a model response, tolerating code fences and
+ * text around it
+ * @param {string} text - Model output
+ * @returns {string|null} JSON text, or null when there is no object
+ */
+const extractJSON = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  return start !== -1 && end > start ? body.slice(start, end + 1) : null;
+};
+
+/**
+ * Parse and validate a final summary response
+ * @param {string} text - Model output
+ * @param {Object} [options] - Parse options
+ * @param {number} [options.maxIdeas] - Ideas the session asked for (`--ideas`); at least 8 are always allowed
+ * @returns {{report: Object|null, errors: Array<string>}} The validated report, or the problems found
+ */
+const parseSummaryReport = (text = '', { maxIdeas = DEFAULT_MAX_IDEAS } = {}) => {
+  const json = extractJSON(text);
+  if (!json) {
+    return { report: null, errors: ['The response does not contain a JSON object'] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return { report: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const { error, value } = summaryReportSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    context: { maxIdeas: Math.max(maxIdeas, DEFAULT_MAX_IDEAS) }
+  });
+  if (error) {
+    return { report: null, errors: error.details.map(detail => detail.message) };
+  }
+
+  // Recommend the best-scored idea when the agent selected none
+  if (!value.ideas.some(idea => idea.selected)) {
+    const best = value.ideas.reduce((top, idea) => (averageScore(idea) > averageScore(top) ? idea : top));
+    best.selected = true;
+  }
+
+  return { report: value, errors: [] };
+};
+
+/**
+ * Render a validated report as the markdown reply. Keeps the
+ * "💡 Ideas Summary:" and "🎯 Final Recommendation:" markers that the
+ * rest of the app uses to recognize ideation replies.
+ * @param {Object} report - Report from parseSummaryReport
+ * @returns {string} Markdown
+ */
+const renderSummaryReport = (report) => {
+  const sections = [`## 📋 Executive Summary\n\n${report.executiveSummary}`];
+  if (report.themes.length) {
+    sections[0] += `\n\n**Key themes:** ${report.themes.join(' · ')}`;
+  }
+
+  if (report.phaseHighlights.length) {
+    sections.push(`## 🔄 Phase-by-Phase Breakdown\n\n${report.phaseHighlights
+      .map(({ phase, highlights }) => `- **${phase}:** ${highlights}`)
+      .join('\n')}`);
+  }
+
+  sections.push(`## 💡 Ideas Summary:\n\n${report.ideas
+    .map(idea => `- **${idea.title}**${idea.selected ? ' ⭐' : ''} — ${idea.description}`)
+    .join('\n')}`);
+
+  sections.push(`## 🎯 Final Recommendation:\n\n${report.ideas
+    .filter(idea => idea.selected)
+    .map(idea => `**${idea.title}**${idea.rationale ? ` — ${idea.rationale}` : ''}`)
+    .join('\n\n')}`);
+
+  const rows = report.ideas.map(({ title, scores, category, implementationTimeline }) =>
+    `| ${title.replace(/\|/g, '\\|')} | ${scores.innovation} | ${scores.feasibility} | ${scores.marketPotential} | ${category} | ${implementationTimeline} |`);
+  sections.push([
+    '## 📊 Idea Scorecard',
+    '',
+    '| Idea | Innovation | Feasibility | Market potential | Category | Timeline |',
+    '|------|-----------|-------------|------------------|----------|----------|',
+    ...rows
+  ].join('\n'));
+
+  // Added by the evaluator agents after validation (see IdeaScorer)
+  if (report.evaluation) {
+    const { agents, criteria } = report.evaluation;
+    const ranked = report.ideas
+      .filter(idea => idea.evaluation)
+      .sort((a, b) => a.evaluation.rank - b.evaluation.rank);
+    sections.push([
+      '## 🏅 Idea Ranking',
+      '',
+      `| Rank | Idea | ${criteria.map(({ label, lowerIsBetter }) => `${label}${lowerIsBetter ? ' ↓' : ''}`).join(' | ')} | Overall |`,
+      `|------|------|${criteria.map(() => '---').join('|')}|---------|`,
+      ...ranked.map(({ title, evaluation }) =>
+        `| ${evaluation.rank} | ${title.replace(/\|/g, '\\|')} | ${criteria.map(({ key }) => evaluation.criteria[key].score).join(' | ')} | **${evaluation.overall}** |`),
+      '',
+      `*Scored by the ${agents.join(' and ')} agents; ↓ marks criteria where lower is better.*`
+    ].join('\n'));
+  }
+  if (report.risks.length) {
+    sections.push(`## ⚠️ Risks\n\n${report.risks
+      .map(({ risk, severity, mitigation }) => `- **${severity}:** ${risk}${mitigation ? ` *Mitigation:* ${mitigation}` : ''}`)
+      .join('\n')}`);
+  }
+
+  if (report.roadmap.length) {
+    sections.push(`## 🗺️ Implementation Roadmap\n\n${report.roadmap
+      .map(({ phase, timeframe, milestones }) => `- **${phase}**${timeframe ? ` (${timeframe})` : ''}${milestones.length ? `: ${milestones.join('; ')}` : ''}`)
+      .join('\n')}`);
+  }
+
+  sections.push(`## ✅ Next Steps\n\n${HORIZONS
+    .flatMap(horizon => report.nextSteps.filter(step => step.horizon === horizon))
+    .map(({ horizon, action }) => `- **${horizon}:** ${action}`)
+    .join('\n')}`);
+
+  if (report.successMetrics.length) {
+    sections.push(`## 📈 Success Metrics\n\n${report.successMetrics.map(metric => `- ${metric}`).join('\n')}`);
+  }
+
+  return sections.join('\n\n');
+};
+
+module.exports = {
+  CATEGORIES,
+  HORIZONS,
+  TIMELINES,
+  extractJSON,
+  ideaSchema,
+  summaryReportSchema,
+  parseSummaryReport,
+  renderSummaryReport,
+  SUMMARY_REPORT_FORMAT
+};
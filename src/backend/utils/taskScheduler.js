@@ -0,0 +1,93 @@
+/**
+ * Task Scheduler
+ *
+ * Runs a set of tasks that may depend on each other, starting each one as
+ * soon as its dependencies have finished while keeping at most
+ * `concurrency` tasks in flight.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+/**
+ * Find a dependency cycle or missing dependency in a task list
+ * @param {Array<{id: string, dependsOn: Array<string>}>} tasks - Tasks to check
+ * @returns {string|null} Description of the problem, or null when the graph is runnable
+ */
+const findDependencyError = (tasks) => {
+  const ids = new Set(tasks.map(task => task.id));
+  for (const task of tasks) {
+    const missing = (task.dependsOn || []).find(dep => !ids.has(dep));
+    if (missing) return `"${task.id}" depends on unknown task "${missing}"`;
+  }
+
+  const done = new Set();
+  let progressed = true;
+  while (progressed) {
+    progressed = false;
+    tasks.forEach((task) => {
+      if (!done.has(task.id) && (task.dependsOn || []).every(dep => done.has(dep))) {
+        done.add(task.id);
+        progressed = true;
+      }
+    });
+  }
+
+  const stuck = tasks.filter(task => !done.has(task.id)).map(task => task.id);
+  return stuck.length ? `circular dependency between ${stuck.join(', ')}` : null;
+};
+
+/**
+ * Run tasks in dependency order with a concurrency cap
+ * @param {Array<{id: string, dependsOn: Array<string>}>} tasks - Tasks to run
+ * @param {Function} runner - Called as runner(task, results); returns a promise
+ * @param {number} [concurrency] - Maximum tasks in flight
+ * @returns {Promise<Object>} Runner results keyed by task id
+ */
+const runTaskGraph = (tasks, runner, concurrency = Infinity) => new Promise((resolve, reject) => {
+  const problem = findDependencyError(tasks);
+  if (problem) {
+    reject(new Error(`Cannot schedule tasks: ${problem}`));
+    return;
+  }
+
+  const results = {};
+  const completed = new Set();
+  const pending = [...tasks];
+  const limit = Math.max(1, concurrency);
+  let running = 0;
+  let failed = false;
+
+  const launch = () => {
+    if (failed) return;
+
+    if (!pending.length && !running) {
+      resolve(results);
+      return;
+    }
+
+    for (let i = 0; i < pending.length && running < limit; i++) {
+      const task = pending[i];
+      if (!(task.dependsOn || []).every(dep => completed.has(dep))) continue;
+
+      pending.splice(i--, 1);
+      running++;
+
+      Promise.resolve()
+        .then(() => runner(task, results))
+        .then((value) => {
+          results[task.id] = value;
+          completed.add(task.id);
+          running--;
+          launch();
+        }, (error) => {
+          failed = true;
+          reject(error);
+        });
+    }
+  };
+
+  launch();
+});
+
+module.exports = { runTaskGraph, findDependencyError };
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import ConversationList from './components/ConversationList';
 import ChatInterface from './components/ChatInterface';
 import IdeaRepository from './components/IdeaRepository';
+import AgentManager from './components/AgentManager';
+import FrameworkManager from './components/FrameworkManager';
 import apiClient from './services/apiClient';
 import { useToast } from './components/Toast.jsx';
 import './styles/App.css';
@@ -10,8 +12,10 @@ const App = () => {
   const [activeConversation, setActiveConversation] = useState(null);
   const [conversations, setConversations] = useState([]);
   const [ideas, setIdeas] = useState([]);
+  // Scoring criteria used in the ideas' scorecards
+  const [scoringCriteria, setScoringCriteria] = useState([]);
   const [isConnected, setIsConnected] = useState(false);
-  const [view, setView] = useState('chat'); // 'chat' or 'ideas'
+  const [view, setView] = useState('chat'); // 'chat', 'ideas', 'agents' or 'frameworks'
 
   const { show } = useToast();
 
@@ -47,6 +51,7 @@ const App = () => {
     try {
       const data = await apiClient.getIdeas();
       setIdeas(data.ideas || []);
+      setScoringCriteria(data.criteria || []);
     } catch (error) {
       console.error('Failed to load ideas:', error);
       show(error.getUserMessage ? error.getUserMessage() : 'Failed to load ideas', { type: 'error' });
@@ -117,6 +122,18 @@ const App = () => {
           >
             💡 Ideas
           </button>
+          <button 
+            className={`nav-button ${view === 'agents' ? 'active' : ''}`}
+            onClick={() => setView('agents')}
+          >
+            🤖 Agents
+          </button>
+          <button 
+            className={`nav-button ${view === 'frameworks' ? 'active' : ''}`}
+            onClick={() => setView('frameworks')}
+          >
+            🧩 Frameworks
+          </button>
         </nav>
       </header>
 
@@ -139,11 +156,16 @@ const App = () => {
               onNewConversation={handleNewConversation}
               onIdeaExtracted={loadIdeas}
             />
-          ) : (
+          ) : view === 'ideas' ? (
             <IdeaRepository
               ideas={ideas}
+              criteria={scoringCriteria}
               onRefresh={loadIdeas}
             />
+          ) : view === 'agents' ? (
+            <AgentManager />
+          ) : (
+            <FrameworkManager />
           )}
         </section>
       </main>
@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/apiClient';
+import { useToast } from './Toast.jsx';
+import './AgentManager.css';
+
+const emptyForm = {
+  name: '',
+  emoji: '',
+  systemPrompt: '',
+  models: '',
+  temperature: 0.7,
+  phases: [],
+  enabled: true
+};
+
+const toForm = (agent) => ({
+  name: agent.name,
+  emoji: agent.emoji || '',
+  systemPrompt: agent.systemPrompt,
+  models: (agent.models || []).join(', '),
+  temperature: agent.temperature,
+  phases: agent.phases || [],
+  enabled: agent.enabled
+});
+
+const toPayload = (form) => ({
+  name: form.name.trim(),
+  emoji: form.emoji.trim(),
+  systemPrompt: form.systemPrompt.trim(),
+  models: form.models.split(',').map(model => model.trim()).filter(Boolean),
+  temperature: Number(form.temperature),
+  phases: form.phases,
+  enabled: form.enabled
+});
+
+const AgentManager = () => {
+  const [agents, setAgents] = useState([]);
+  const [phases, setPhases] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { show } = useToast();
+
+  useEffect(() => {
+    loadAgents();
+  }, []);
+
+  const loadAgents = async () => {
+    try {
+      const data = await apiClient.getAgents();
+      setAgents(data.data || []);
+      setPhases(data.phases || []);
+    } catch (error) {
+      console.error('Failed to load agents:', error);
+      show(error.getUserMessage ? error.getUserMessage() : 'Failed to load agents', { type: 'error' });
+    }
+  };
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const togglePhase = (phaseId) => {
+    setForm(prev => ({
+      ...prev,
+      phases: prev.phases.includes(phaseId)
+        ? prev.phases.filter(id => id !== phaseId)
+        : [...prev.phases, phaseId]
+    }));
+  };
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.phases.length === 0) {
+      show('Pick at least one phase for the agent to join', { type: 'error' });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await apiClient.updateAgent(editingId, toPayload(form));
+        show('Agent updated', { type: 'success', duration: 2000 });
+      } else {
+        await apiClient.createAgent(toPayload(form));
+        show('Agent created', { type: 'success', duration: 2000 });
+      }
+      resetForm();
+      await loadAgents();
+    } catch (error) {
+      console.error('Failed to save agent:', error);
+      show(error.getUserMessage ? error.getUserMessage() : 'Failed to save agent', { type: 'error' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (agent) => {
+    try {
+      await apiClient.updateAgent(agent.id, { enabled: !agent.enabled });
+      await loadAgents();
+    } catch (error) {
+      console.error('Failed to update agent:', error);
+      show(error.getUserMessage ? error.getUserMessage() : 'Failed to update agent', { type: 'error' });
+    }
+  };
+
+  const handleDelete = async (agent) => {
+    if (!window.confirm(`Delete the ${agent.name} agent?`)) return;
+
+    try {
+      await apiClient.deleteAgent(agent.id);
+      if (editingId === agent.id) resetForm();
+      show('Agent deleted', { type: 'success', duration: 2000 });
+      await loadAgents();
+    } catch (error) {
+      console.error('Failed to delete agent:', error);
+      show(error.getUserMessage ? error.getUserMessage() : 'Failed to delete agent', { type: 'error' });
+    }
+  };
+
+  const phaseLabel = (phaseId) => phases.find(phase => phase.id === phaseId)?.label || phaseId;
+
+  return (
+    <div className="agent-manager">
+      <div className="agent-manager-header">
+        <h2>🤖 Agents</h2>
+        <button onClick={loadAgents} className="refresh-button" title="Refresh agents">
+          🔄
+        </button>
+      </div>
+
+      <div className="agent-manager-body">
+        <div className="agent-list">
+          {agents.map(agent => (
+            <div key={agent.key} className={`agent-card ${agent.enabled ? '' : 'disabled'}`}>
+              <div className="agent-card-header">
+                <h3>{agent.emoji} {agent.name}</h3>
+                {agent.builtIn ? (
+                  <span className="agent-badge">Built-in</span>
+                ) : (
+                  <div className="agent-actions">
+                    <button onClick={() => handleToggle(agent)} title={agent.enabled ? 'Disable' : 'Enable'}>
+                      {agent.enabled ? '⏸️' : '▶️'}
+                    </button>
+                    <button onClick={() => { setEditingId(agent.id); setForm(toForm(agent)); }} title="Edit">
+                      ✏️
+                    </button>
+                    <button onClick={() => handleDelete(agent)} title="Delete">
+                      🗑️
+                    </button>
+                  </div>
+                )}
+              </div>
+              <p className="agent-prompt">{agent.systemPrompt}</p>
+              <div className="agent-meta">
+                <span>🌡️ {agent.temperature}</span>
+                <span>🧩 {agent.models?.length ? agent.models.join(', ') : `${agent.modelRole} model pool`}</span>
+              </div>
+              {!agent.builtIn && (
+                <div className="agent-phases">
+                  {agent.phases.map(phaseId => (
+                    <span key={phaseId} className="agent-phase">{phaseLabel(phaseId)}</span>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <form className="agent-form" onSubmit={handleSubmit}>
+          <h3>{editingId ? 'Edit agent' : 'New agent'}</h3>
+
+          <div className="agent-form-row">
+            <input
+              type="text"
+              className="agent-emoji-input"
+              placeholder="🤖"
+              value={form.emoji}
+              onChange={(e) => updateField('emoji', e.target.value)}
+              maxLength={8}
+            />
+            <input
+              type="text"
+              placeholder="Name, e.g. Customer Advocate"
+              value={form.name}
+              onChange={(e) => updateField('name', e.target.value)}
+              required
+            />
+          </div>
+
+          <textarea
+            placeholder="System prompt: who is this agent and what should it focus on?"
+            value={form.systemPrompt}
+            onChange={(e) => updateField('systemPrompt', e.target.value)}
+            rows={5}
+            required
+          />
+
+          <input
+            type="text"
+            placeholder="Allowed models, comma separated (blank = default pool)"
+            value={form.models}
+            onChange={(e) => updateField('models', e.target.value)}
+          />
+
+          <label className="agent-temperature">
+            Temperature: {Number(form.temperature).toFixed(1)}
+            <input
+              type="range"
+              min="0"
+              max="2"
+              step="0.1"
+              value={form.temperature}
+              onChange={(e) => updateField('temperature', e.target.value)}
+            />
+          </label>
+
+          <fieldset className="agent-phase-picker">
+            <legend>Joins phases</legend>
+            {phases.map(phase => (
+              <label key={phase.id} title={`Used by: ${phase.pipelines.join(', ')}`}>
+                <input
+                  type="checkbox"
+                  checked={form.phases.includes(phase.id)}
+                  onChange={() => togglePhase(phase.id)}
+                />
+                {phase.label} <code>{phase.id}</code>
+              </label>
+            ))}
+          </fieldset>
+
+          <label className="agent-enabled">
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => updateField('enabled', e.target.checked)}
+            />
+            Enabled
+          </label>
+
+          <div className="agent-form-actions">
+            {editingId && (
+              <button type="button" onClick={resetForm} className="agent-cancel-button">
+                Cancel
+              </button>
+            )}
+            <button type="submit" className="agent-save-button" disabled={isSaving}>
+              {isSaving ? 'Saving...' : editingId ? 'Save changes' : 'Create agent'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AgentManager;
@@ -1,7 +1,7 @@
 import React from 'react';
 import './AgentStatusIndicator.css';
 
-const AgentStatusIndicator = ({ status = {} }) => {
+const AgentStatusIndicator = ({ status = {}, progress = {} }) => {
   const agents = [
     { name: 'creative', icon: '🎨', label: 'Creative' },
     { name: 'reasoning', icon: '🧠', label: 'Reasoning' },
@@ -28,7 +28,10 @@ const AgentStatusIndicator = ({ status = {} }) => {
     <div className={`agent-status-container ${hasActiveAgents ? 'active' : ''}`}>
       {hasActiveAgents && (
         <div className="ideation-progress">
-          <span className="progress-indicator">✨ Multi-Agent Ideation in Progress</span>
+          <span className="progress-indicator">✨ {progress.label || 'Multi-Agent Ideation in Progress'}</span>
+          {progress.detail && (
+            <span className="progress-detail">{progress.detail}</span>
+          )}
         </div>
       )}
       
@@ -36,12 +39,13 @@ const AgentStatusIndicator = ({ status = {} }) => {
         {agents.map(agent => {
           const agentStatus = status[agent.name] || 'idle';
           const statusInfo = getStatusDisplay(agentStatus);
+          const model = progress.models?.[agent.name];
           
           return (
             <div 
               key={agent.name}
               className={`agent-indicator ${agent.name} ${statusInfo.class}`}
-              title={`${agent.label} Agent: ${statusInfo.text}`}
+              title={`${agent.label} Agent: ${statusInfo.text}${model ? ` (${model})` : ''}`}
             >
               <span className="agent-icon">{agent.icon}</span>
               <span className="agent-label">{agent.label}</span>
@@ -2,14 +2,21 @@ import React, { useState, useEffect, useRef } from 'react';
 import AgentStatusIndicator from './AgentStatusIndicator';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
+import CheckpointReview from './CheckpointReview';
+import SocketManager from '../services/SocketManager';
+import apiClient from '../services/apiClient';
+import { applyProgressEvent, initialProgress, previewStreamingSummary } from '../services/ideationProgress';
 import './ChatInterface.css';
 import { useToast } from './Toast.jsx';
 
 const ChatInterface = ({ conversation, onNewConversation, onIdeaExtracted }) => {
   const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
-  const [agentStatus, setAgentStatus] = useState({});
-  const [activeTimeouts, setActiveTimeouts] = useState([]);
+  const [progress, setProgress] = useState(initialProgress);
+  const [streamingSummary, setStreamingSummary] = useState('');
+  // Phase ids after which ideation sessions pause for review; empty runs autonomously
+  const [checkpoints, setCheckpoints] = useState([]);
+  const resetTimeoutRef = useRef(null);
   const { show } = useToast();
 
   useEffect(() => {
@@ -21,12 +28,48 @@ const ChatInterface = ({ conversation, onNewConversation, onIdeaExtracted }) =>
     }
   }, [conversation]);
 
-  // Cleanup timeouts on unmount
+  // Follow real agent activity for the active conversation
   useEffect(() => {
+    if (!conversation) return;
+
+    const socketManager = SocketManager.getInstance();
+    socketManager.connect();
+    socketManager.joinConversation(conversation.id);
+
+    const handleProgress = (event) => {
+      if (event.conversationId !== conversation.id) return;
+
+      clearTimeout(resetTimeoutRef.current);
+      setProgress(prev => applyProgressEvent(prev, event));
+
+      // A retried summary streams again from the start on the next model
+      if (event.type === 'session_started' || (event.type === 'agent_retry' && event.summary)) {
+        setStreamingSummary('');
+      }
+
+      // Reset to idle after showing completion
+      if (event.type === 'session_completed') {
+        resetTimeoutRef.current = setTimeout(() => setProgress(initialProgress), 5000);
+      }
+    };
+
+    // Render the final summary as it is generated
+    const handleStream = (event) => {
+      if (event.conversationId !== conversation.id || !event.summary) return;
+      setStreamingSummary(prev => prev + event.delta);
+    };
+
+    socketManager.on('ideation_progress', handleProgress);
+    socketManager.on('ideation_stream', handleStream);
+
     return () => {
-      activeTimeouts.forEach(timeout => clearTimeout(timeout));
+      socketManager.off('ideation_progress', handleProgress);
+      socketManager.off('ideation_stream', handleStream);
+      socketManager.leaveConversation(conversation.id);
+      clearTimeout(resetTimeoutRef.current);
+      setProgress(initialProgress);
     };
-  }, [activeTimeouts]);
+  }, [conversation?.id]);
 
   const loadMessages = async () => {
     if (!conversation) return;
@@ -72,107 +115,14 @@ const ChatInterface = ({ conversation, onNewConversation, onIdeaExtracted }) =>
     setMessages(prev => [...prev, userMessage]);
     setIsLoading(true);
     
-    // Check if this is an ideation command
-    const isIdeationCommand = message.trim().toLowerCase().startsWith('/ideate') ||
-                             message.trim().toLowerCase().startsWith('/brainstorm') ||
-                             message.trim().toLowerCase().startsWith('/analyze') ||
-                             message.trim().toLowerCase().startsWith('/synthesize');
-    
-    // Set agent status to simulate realistic ideation process based on actual server timing
-    if (isIdeationCommand) {
-      // Phase 1: Creative → Logical → Reasoning (roughly 15s total)
-      setAgentStatus({
-        creative: 'active',
-        reasoning: 'thinking', 
-        logical: 'thinking'
-      });
-      
-      // Creative completes, Logical starts (after ~3s)
-      setTimeout(() => {
-        setAgentStatus({
-          creative: 'complete',
-          reasoning: 'thinking',
-          logical: 'active'
-        });
-      }, 3000);
-      
-      // Logical completes, Reasoning starts (after ~9s total)
-      setTimeout(() => {
-        setAgentStatus({
-          creative: 'complete',
-          reasoning: 'active',
-          logical: 'complete'
-        });
-      }, 9000);
-      
-      // Phase 1 complete, start Phase 2 randomization (after ~15s)
-      setTimeout(() => {
-        setAgentStatus({
-          creative: 'thinking',
-          reasoning: 'thinking',
-          logical: 'thinking'
-        });
-      }, 15000);
-      
-      // Phase 2: Show randomized activity for 60s (15s-75s)
-      let phase2Interval;
-      setTimeout(() => {
-        phase2Interval = setInterval(() => {
-          const agents = ['creative', 'reasoning', 'logical'];
-          const activeAgent = agents[Math.floor(Math.random() * agents.length)];
-          
-          setAgentStatus({
-            creative: activeAgent === 'creative' ? 'active' : 'thinking',
-            reasoning: activeAgent === 'reasoning' ? 'active' : 'thinking',
-            logical: activeAgent === 'logical' ? 'active' : 'thinking'
-          });
-        }, 4000); // Change every 4s for more dynamic feel
-      }, 15000);
-      
-      // End Phase 2, start Phase 3 refinement (after ~75s)
-      setTimeout(() => {
-        if (phase2Interval) clearInterval(phase2Interval);
-        setAgentStatus({
-          creative: 'active',
-          reasoning: 'thinking',
-          logical: 'thinking'
-        });
-      }, 75000);
-      
-      // Phase 3 progression (75s-110s)
-      setTimeout(() => {
-        setAgentStatus({
-          creative: 'complete',
-          reasoning: 'thinking',
-          logical: 'active'
-        });
-      }, 85000);
-      
-      setTimeout(() => {
-        setAgentStatus({
-          creative: 'complete',
-          reasoning: 'active',
-          logical: 'complete'
-        });
-      }, 95000);
-      
-      // Phase 4: Final Summary (110s-120s)
-      setTimeout(() => {
-        setAgentStatus({
-          creative: 'complete',
-          reasoning: 'active',
-          logical: 'complete'
-        });
-      }, 110000);
-    }
-
     try {
       const response = await fetch('/api/chat/message', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           conversationId: currentConversation.id,
-          message: message
+          message: message,
+          checkpoints
         })
       });
 
@@ -191,23 +141,6 @@ const ChatInterface = ({ conversation, onNewConversation, onIdeaExtracted }) =>
         };
         setMessages(prev => [...prev, aiMessage]);
         
-        // Complete all agents if this was an ideation session
-        if (isIdeationCommand) {
-          // Final completion state - all agents complete
-          setTimeout(() => {
-            setAgentStatus({
-              creative: 'complete',
-              reasoning: 'complete',
-              logical: 'complete'
-            });
-            
-            // Reset to idle after showing completion
-            setTimeout(() => {
-              setAgentStatus({});
-            }, 5000);
-          }, 100);
-        }
-        
         // Check if ideas were extracted
         if (data.ideasExtracted) {
           onIdeaExtracted?.();
@@ -225,13 +158,49 @@ const ChatInterface = ({ conversation, onNewConversation, onIdeaExtracted }) =>
       }]);
     } finally {
       setIsLoading(false);
-      
-      // Reset agent status on error
-      if (isIdeationCommand) {
-        setTimeout(() => {
-          setAgentStatus({});
-        }, 1000);
-      }
+      setStreamingSummary('');
+    }
+  };
+
+  // Stop the running session; the pending reply then arrives with a summary of the completed phases
+  const handleStop = async () => {
+    if (!progress.sessionId) return;
+    try {
+      await apiClient.cancelSession(progress.sessionId);
+    } catch (error) {
+      console.error('Failed to stop session:', error);
+      show(error.getUserMessage ? error.getUserMessage() : 'Failed to stop the session', { type: 'error' });
+    }
+  };
+
+  // Resume a session paused at a checkpoint with the user's review
+  const handleCheckpointSubmit = async (review) => {
+    try {
+      await apiClient.submitCheckpoint(progress.sessionId, review);
+    } catch (error) {
+      console.error('Failed to submit review:', error);
+      show(error.getUserMessage ? error.getUserMessage() : 'Failed to submit the review', { type: 'error' });
+    }
+  };
+
+  // Re-run a stored session from a phase; the new version arrives as a new reply
+  const handleRerun = async (sessionId, options) => {
+    setIsLoading(true);
+    try {
+      const { data } = await apiClient.rerunSession(sessionId, { ...options, stream: true });
+      setMessages(prev => [...prev, {
+        id: data.messageId,
+        content: data.content,
+        sender: 'ai',
+        timestamp: new Date().toISOString(),
+        metadata: data.metadata
+      }]);
+    } catch (error) {
+      console.error('Failed to re-run session:', error);
+      show(error.getUserMessage ? error.getUserMessage() : 'Failed to re-run session', { type: 'error' });
+    } finally {
+      setIsLoading(false);
+      setStreamingSummary('');
     }
   };
 
@@ -268,18 +237,32 @@ const ChatInterface = ({ conversation, onNewConversation, onIdeaExtracted }) =>
           <h2>{conversation.title}</h2>
           <span className="conversation-id">ID: {conversation.id}</span>
         </div>
-        <AgentStatusIndicator status={agentStatus} />
+        <AgentStatusIndicator status={progress.status} progress={progress} />
       </div>
 
       <MessageList 
         messages={messages}
         isLoading={isLoading}
-        agentStatus={agentStatus}
+        agentStatus={progress.status}
+        streamingContent={previewStreamingSummary(streamingSummary)}
+        onRerun={handleRerun}
       />
 
+      {progress.checkpoint && (
+        <CheckpointReview
+          key={`${progress.sessionId}-${progress.checkpoint.phase}`}
+          checkpoint={progress.checkpoint}
+          onSubmit={handleCheckpointSubmit}
+        />
+      )}
+
       <MessageInput 
         onSend={handleSendMessage}
         disabled={isLoading}
+        onStop={handleStop}
+        canStop={progress.running && !progress.cancelling}
+        checkpoints={checkpoints}
+        onCheckpointsChange={setCheckpoints}
       />
     </div>
   );
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import './CheckpointReview.css';
+
+// Review panel for a session paused at a checkpoint: star or discard the
+// phase's ideas, add new ones and leave notes before the next phase starts
+const CheckpointReview = ({ checkpoint, onSubmit }) => {
+  const [marks, setMarks] = useState({});
+  const [added, setAdded] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  // Clicking the active mark again clears it
+  const toggleMark = (id, mark) => {
+    setMarks(prev => ({ ...prev, [id]: prev[id] === mark ? null : mark }));
+  };
+
+  const addIdea = () => {
+    if (!draft.trim()) return;
+    setAdded(prev => [...prev, draft.trim()]);
+    setDraft('');
+  };
+
+  const handleDraftKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addIdea();
+    }
+  };
+
+  const handleSubmit = async () => {
+    const withMark = mark => Object.keys(marks).filter(id => marks[id] === mark);
+    setSubmitting(true);
+    try {
+      await onSubmit({ starred: withMark('starred'), discarded: withMark('discarded'), added, notes });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const minutes = Math.round(checkpoint.timeoutMs / 60000);
+
+  return (
+    <div className="checkpoint-review">
+      <div className="checkpoint-header">
+        <h3>🧭 Review {checkpoint.label}</h3>
+        <span className="checkpoint-hint">
+          The next phase starts when you continue{minutes > 0 && ` (or on its own after ${minutes} min)`}
+        </span>
+      </div>
+
+      <ul className="checkpoint-ideas">
+        {checkpoint.ideas.map(idea => (
+          <li key={idea.id} className={`checkpoint-idea ${marks[idea.id] || ''}`}>
+            <div className="checkpoint-idea-header">
+              <span className="checkpoint-idea-agent">
+                {idea.agentName}{idea.iteration && ` · expansion ${idea.iteration}`}
+              </span>
+              <div className="checkpoint-idea-actions">
+                <button
+                  type="button"
+                  onClick={() => toggleMark(idea.id, 'starred')}
+                  className={marks[idea.id] === 'starred' ? 'active' : ''}
+                  title="Star: the next phase develops this first"
+                >
+                  ⭐
+                </button>
+                <button
+                  type="button"
+                  onClick={() => toggleMark(idea.id, 'discarded')}
+                  className={marks[idea.id] === 'discarded' ? 'active' : ''}
+                  title="Discard: leave this out of the next phases"
+                >
+                  🗑️
+                </button>
+              </div>
+            </div>
+            <div className="checkpoint-idea-content">{idea.content}</div>
+          </li>
+        ))}
+      </ul>
+
+      {added.length > 0 && (
+        <ul className="checkpoint-added">
+          {added.map((idea, index) => (
+            <li key={index}>
+              ➕ {idea}
+              <button type="button" onClick={() => setAdded(prev => prev.filter((_, i) => i !== index))} title="Remove">
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="checkpoint-add">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleDraftKeyDown}
+          placeholder="Add an idea of your own..."
+          maxLength={1000}
+        />
+        <button type="button" onClick={addIdea} disabled={!draft.trim()}>Add</button>
+      </div>
+
+      <textarea
+        className="checkpoint-notes"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder="Steering notes for the next phase (optional)"
+        maxLength={2000}
+        rows={2}
+      />
+
+      <div className="checkpoint-footer">
+        <button type="button" className="checkpoint-continue" onClick={handleSubmit} disabled={submitting}>
+          {submitting ? '⏳' : '▶️'} Continue
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CheckpointReview;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { AGENT_NAMES } from '../services/ideationProgress';
+import './DebateThreads.css';
+
+const LABELS = { claim: 'Claim', objection: 'Objection', rebuttal: 'Rebuttal' };
+const VERDICTS = { upheld: '✅ Upheld', revised: '✏️ Revised', refuted: '❌ Refuted' };
+
+// One argument and, indented below it, every argument that replies to it
+const ArgumentNode = ({ node, nodes }) => {
+  const replies = nodes.filter(child => child.parentId === node.id);
+
+  return (
+    <li className={`debate-node ${node.type}`}>
+      <div className="debate-node-header">
+        <span className="debate-node-type">{LABELS[node.type]}</span>
+        <span className="debate-node-meta">
+          {node.id} · {AGENT_NAMES[node.agent] || node.agent}{node.round ? ` · round ${node.round}` : ''}
+        </span>
+      </div>
+      <div className="debate-node-text">{node.text}</div>
+      {node.type === 'objection' && !replies.length && (
+        <div className="debate-unanswered">No rebuttal</div>
+      )}
+      {replies.length > 0 && (
+        <ul className="debate-replies">
+          {replies.map(reply => <ArgumentNode key={reply.id} node={reply} nodes={nodes} />)}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// A debate phase's argument graph as threads: each claim with its
+// objections and rebuttals, and the judge's verdict
+const DebateThreads = ({ graph }) => {
+  const claims = graph.nodes.filter(node => node.type === 'claim');
+
+  return (
+    <div className="debate-threads">
+      {claims.map(claim => (
+        <div key={claim.id} className="debate-thread">
+          <ul>
+            <ArgumentNode node={claim} nodes={graph.nodes} />
+          </ul>
+          {claim.verdict && (
+            <div className={`debate-verdict ${claim.verdict.status}`}>
+              <strong>{VERDICTS[claim.verdict.status]}</strong>
+              {claim.verdict.reasoning && ` — ${claim.verdict.reasoning}`}
+            </div>
+          )}
+        </div>
+      ))}
+      {graph.summary && <p className="debate-summary">⚖️ {graph.summary}</p>}
+    </div>
+  );
+};
+
+export default DebateThreads;
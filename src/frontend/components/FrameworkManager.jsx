@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../services/apiClient';
+import { useToast } from './Toast.jsx';
+import './FrameworkManager.css';
+
+const ROLE_AGENTS = [
+  { key: 'creative', label: '💡 Creative' },
+  { key: 'logical', label: '⚖️ Logical' },
+  { key: 'reasoning', label: '🧠 Reasoning' }
+];
+
+const examplePhases = [
+  {
+    id: 'explore',
+    label: 'Phase 1: Explore',
+    type: 'chain',
+    mode: 'parallel',
+    steps: [
+      { agent: 'creative', modifier: 'Generate bold ideas for the topic.' },
+      { agent: 'logical', modifier: 'List the constraints any idea must meet.' }
+    ]
+  },
+  {
+    id: 'final',
+    label: 'Phase 2: Final Summary',
+    type: 'summary',
+    agent: 'reasoning',
+    modifier: 'Select the best 1-2 ideas and give next steps.'
+  }
+];
+
+const emptyForm = {
+  name: '',
+  description: '',
+  roles: { creative: '', logical: '', reasoning: '' },
+  phases: JSON.stringify(examplePhases, null, 2)
+};
+
+const toForm = (framework) => ({
+  name: framework.name,
+  description: framework.description || '',
+  roles: { ...emptyForm.roles, ...framework.roles },
+  phases: JSON.stringify(framework.phases, null, 2)
+});
+
+const toPayload = (form) => ({
+  name: form.name.trim(),
+  description: form.description.trim(),
+  roles: Object.fromEntries(Object.entries(form.roles)
+    .map(([agent, role]) => [agent, role.trim()])
+    .filter(([, role]) => role)),
+  phases: JSON.parse(form.phases)
+});
+
+const FrameworkManager = () => {
+  const [frameworks, setFrameworks] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editingKey, setEditingKey] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { show } = useToast();
+
+  useEffect(() => {
+    loadFrameworks();
+  }, []);
+
+  const loadFrameworks = async () => {
+    try {
+      const data = await apiClient.getFrameworks();
+      setFrameworks(data.data || []);
+    } catch (error) {
+      console.error('Failed to load frameworks:', error);
+      show(error.getUserMessage ? error.getUserMessage() : 'Failed to load frameworks', { type: 'error' });
+    }
+  };
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateRole = (agent, value) => {
+    setForm(prev => ({ ...prev, roles: { ...prev.roles, [agent]: value } }));
+  };
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingKey(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    let payload;
+    try {
+      payload = toPayload(form);
+    } catch (error) {
+      show(`Phases are not valid JSON: ${error.message}`, { type: 'error' });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      if (editingKey) {
+        await apiClient.updateFramework(editingKey, payload);
+        show('Framework updated', { type: 'success', duration: 2000 });
+      } else {
+        await apiClient.createFramework(payload);
+        show('Framework created', { type: 'success', duration: 2000 });
+      }
+      resetForm();
+      await loadFrameworks();
+    } catch (error) {
+      console.error('Failed to save framework:', error);
+      show(error.getUserMessage ? error.getUserMessage() : 'Failed to save framework', { type: 'error' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (framework) => {
+    const question = framework.builtIn
+      ? `Discard your edits to ${framework.name} and restore the built-in version?`
+      : `Delete the ${framework.name} framework?`;
+    if (!window.confirm(question)) return;
+
+    try {
+      await apiClient.deleteFramework(framework.key);
+      if (editingKey === framework.key) resetForm();
+      show(framework.builtIn ? 'Framework reset' : 'Framework deleted', { type: 'success', duration: 2000 });
+      await loadFrameworks();
+    } catch (error) {
+      console.error('Failed to delete framework:', error);
+      show(error.getUserMessage ? error.getUserMessage() : 'Failed to delete framework', { type: 'error' });
+    }
+  };
+
+  return (
+    <div className="framework-manager">
+      <div className="framework-manager-header">
+        <h2>🧩 Frameworks</h2>
+        <button onClick={loadFrameworks} className="refresh-button" title="Refresh frameworks">
+          🔄
+        </button>
+      </div>
+
+      <div className="framework-manager-body">
+        <div className="framework-list">
+          {frameworks.map(framework => (
+            <div key={framework.key} className="framework-card">
+              <div className="framework-card-header">
+                <h3>{framework.name}</h3>
+                <div className="framework-actions">
+                  {framework.builtIn && (
+                    <span className="framework-badge">{framework.customized ? 'Built-in, edited' : 'Built-in'}</span>
+                  )}
+                  <button onClick={() => { setEditingKey(framework.key); setForm(toForm(framework)); }} title="Edit">
+                    ✏️
+                  </button>
+                  {(!framework.builtIn || framework.customized) && (
+                    <button onClick={() => handleDelete(framework)} title={framework.builtIn ? 'Reset to built-in' : 'Delete'}>
+                      {framework.builtIn ? '↩️' : '🗑️'}
+                    </button>
+                  )}
+                </div>
+              </div>
+              {framework.description && <p className="framework-description">{framework.description}</p>}
+              <code className="framework-usage">/ideate --framework {framework.key} &lt;topic&gt;</code>
+              <div className="framework-phases">
+                {framework.phases.map(phase => (
+                  <span key={phase.id} className="framework-phase">{phase.label}</span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <form className="framework-form" onSubmit={handleSubmit}>
+          <h3>{editingKey ? `Edit ${editingKey}` : 'New framework'}</h3>
+
+          <input
+            type="text"
+            placeholder="Name, e.g. Blue Ocean Strategy"
+            value={form.name}
+            onChange={(e) => updateField('name', e.target.value)}
+            required
+          />
+
+          <input
+            type="text"
+            placeholder="What the framework does"
+            value={form.description}
+            onChange={(e) => updateField('description', e.target.value)}
+          />
+
+          <fieldset className="framework-roles">
+            <legend>Agent roles (blank = usual system prompt)</legend>
+            {ROLE_AGENTS.map(agent => (
+              <label key={agent.key}>
+                {agent.label}
+                <textarea
+                  placeholder={`Who is the ${agent.key} agent in this framework?`}
+                  value={form.roles[agent.key] || ''}
+                  onChange={(e) => updateRole(agent.key, e.target.value)}
+                  rows={3}
+                />
+              </label>
+            ))}
+          </fieldset>
+
+          <label className="framework-phases-input">
+            Phases (JSON, same format as config/pipelines.json)
+            <textarea
+              value={form.phases}
+              onChange={(e) => updateField('phases', e.target.value)}
+              rows={14}
+              spellCheck={false}
+              required
+            />
+          </label>
+
+          <div className="framework-form-actions">
+            {editingKey && (
+              <button type="button" onClick={resetForm} className="framework-cancel-button">
+                Cancel
+              </button>
+            )}
+            <button type="submit" className="framework-save-button" disabled={isSaving}>
+              {isSaving ? 'Saving...' : editingKey ? 'Save changes' : 'Create framework'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default FrameworkManager;
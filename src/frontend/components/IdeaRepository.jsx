@@ -1,7 +1,11 @@
 import React, { useState, useMemo } from 'react';
+import IdeaScorecard from './IdeaScorecard';
 import './IdeaRepository.css';
 
-const IdeaRepository = ({ ideas, onRefresh }) => {
+// Overall score or one criterion's average score, undefined for unscored ideas
+const scoreOf = (idea, key) => (key === 'overall' ? idea.scorecard?.overall : idea.scorecard?.criteria[key]?.score);
+
+const IdeaRepository = ({ ideas, criteria = [], onRefresh }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [selectedTags, setSelectedTags] = useState([]);
@@ -55,8 +59,18 @@ const IdeaRepository = ({ ideas, onRefresh }) => {
       return true;
     });
 
-    // Sort ideas
+    // Sort ideas; score sorts put the best first (lowest for lower-is-better
+    // criteria) and unscored ideas last
     filtered.sort((a, b) => {
+      if (sortBy.startsWith('score:')) {
+        const key = sortBy.slice('score:'.length);
+        const direction = criteria.find(criterion => criterion.key === key)?.lowerIsBetter ? 1 : -1;
+        const scoreA = scoreOf(a, key);
+        const scoreB = scoreOf(b, key);
+        if (scoreA == null || scoreB == null) return (scoreA == null) - (scoreB == null);
+        return direction * (scoreA - scoreB);
+      }
+
       switch (sortBy) {
         case 'title':
           return a.title.localeCompare(b.title);
@@ -69,7 +83,7 @@ const IdeaRepository = ({ ideas, onRefresh }) => {
     });
 
     return filtered;
-  }, [ideas, searchTerm, selectedCategory, selectedTags, sortBy]);
+  }, [ideas, criteria, searchTerm, selectedCategory, selectedTags, sortBy]);
 
   const toggleTag = (tag) => {
     setSelectedTags(prev => 
@@ -136,6 +150,12 @@ const IdeaRepository = ({ ideas, onRefresh }) => {
               <option value="created_at">Latest First</option>
               <option value="title">Title A-Z</option>
               <option value="category">Category</option>
+              <option value="score:overall">Overall Score</option>
+              {criteria.map(({ key, label, lowerIsBetter }) => (
+                <option key={key} value={`score:${key}`}>
+                  {label} ({lowerIsBetter ? 'lowest' : 'highest'} first)
+                </option>
+              ))}
             </select>
           </div>
         </div>
@@ -193,6 +213,10 @@ const IdeaRepository = ({ ideas, onRefresh }) => {
               </div>
               
               <p className="idea-description">{idea.description}</p>
+
+              {idea.scorecard && (
+                <IdeaScorecard scorecard={idea.scorecard} criteria={criteria} />
+              )}
               
               {parseIdeaTags(idea.tags).length > 0 && (
                 <div className="idea-tags">
@@ -204,6 +228,9 @@ const IdeaRepository = ({ ideas, onRefresh }) => {
               
               <div className="idea-footer">
                 <span className="idea-date">{formatDate(idea.created_at)}</span>
+                {idea.revision > 1 && (
+                  <span className="idea-revision" title="Refined with /refine">Revision {idea.revision}</span>
+                )}
                 {idea.source_message_id && (
                   <span className="idea-source">From conversation</span>
                 )}
@@ -0,0 +1,54 @@
+import React from 'react';
+import './IdeaScorecard.css';
+
+// Multi-criteria scores of one idea: the weighted overall score, a bar per
+// criterion and each evaluator agent's rationale
+const IdeaScorecard = ({ scorecard, criteria }) => {
+  const keys = Object.keys(scorecard.criteria);
+  // Known criteria first, in their configured order
+  const ordered = [
+    ...criteria.filter(criterion => keys.includes(criterion.key)),
+    ...keys.filter(key => !criteria.some(criterion => criterion.key === key)).map(key => ({ key, label: key }))
+  ];
+
+  return (
+    <div className="idea-scorecard">
+      {scorecard.overall != null && (
+        <div className="scorecard-overall" title="Weighted score across all criteria">
+          <span>Overall</span>
+          <strong>{scorecard.overall}</strong>
+        </div>
+      )}
+
+      <ul className="scorecard-criteria">
+        {ordered.map(({ key, label, lowerIsBetter }) => {
+          const { score, rationales } = scorecard.criteria[key];
+          return (
+            <li key={key}>
+              <details>
+                <summary>
+                  <span className="scorecard-label">
+                    {label}{lowerIsBetter && <span title="Lower is better"> ↓</span>}
+                  </span>
+                  <span className={`scorecard-bar ${lowerIsBetter ? 'inverted' : ''}`}>
+                    <span style={{ width: `${score * 10}%` }} />
+                  </span>
+                  <span className="scorecard-score">{score}</span>
+                </summary>
+                <ul className="scorecard-rationales">
+                  {rationales.map(({ agent, score: agentScore, rationale }) => (
+                    <li key={agent}>
+                      <strong>{agent}</strong> ({agentScore}){rationale && `: ${rationale}`}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default IdeaScorecard;
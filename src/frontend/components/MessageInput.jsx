@@ -1,7 +1,16 @@
 import React, { useState, useRef, useEffect } from 'react';
 import './MessageInput.css';
 
-const MessageInput = ({ onSend, disabled }) => {
+// Pause points offered for ideation sessions, as the phase ids to pause after
+const REVIEW_MODES = [
+  { value: '', label: 'Autonomous' },
+  { value: 'phase1', label: 'Review after phase 1' },
+  { value: 'phase1,phase2', label: 'Review after phases 1 & 2' }
+];
+
+// While a reply is pending, onStop (when given) turns the send button into a Stop button.
+// onCheckpointsChange (when given) shows a picker for where ideation sessions pause for review.
+const MessageInput = ({ onSend, disabled, onStop, canStop = false, checkpoints = [], onCheckpointsChange }) => {
   const [message, setMessage] = useState('');
   const [showCommandHints, setShowCommandHints] = useState(false);
   const textareaRef = useRef(null);
@@ -9,9 +18,15 @@ const MessageInput = ({ onSend, disabled }) => {
   const commands = [
     { command: '/help', description: 'Show available commands' },
     { command: '/ideate', description: 'Full ideation session (e.g., /ideate sustainable energy)' },
-    { command: '/brainstorm', description: 'Quick brainstorming (e.g., /brainstorm mobile apps)' },
-    { command: '/analyze', description: 'Deep analysis (e.g., /analyze blockchain)' },
-    { command: '/synthesize', description: 'Combine insights from previous ideas' }
+    { command: '/ideate --framework', description: 'Ideate with SCAMPER, Six Thinking Hats, JTBD, Lean Canvas or your own (e.g., /ideate --framework scamper bike sharing)' },
+    { command: '/ideate --depth', description: 'Options: --depth quick|deep, --agents creative,logical, --ideas 10, --model <id> (e.g., /ideate --depth deep --ideas 10 urban farming)' },
+    { command: '/brainstorm', description: 'Many unjudged ideas grouped by theme (e.g., /brainstorm mobile apps)' },
+    { command: '/analyze', description: 'Break a problem into sub-problems and root causes (e.g., /analyze team churn)' },
+    { command: '/synthesize', description: 'Evaluate your options and recommend one (e.g., /synthesize SaaS vs. marketplace)' },
+    { command: '/debate', description: 'Claims, objections and rebuttals, then a verdict (e.g., /debate congestion pricing)' },
+    { command: '/rerun', description: 'Re-run the last session from a phase (e.g., /rerun summary)' },
+    { command: '/tournament', description: 'Rank this conversation\'s ideas head-to-head (e.g., /tournament cheapest to launch)' },
+    { command: '/refine', description: 'Critique and improve a saved idea, saved as its next revision (e.g., /refine Community Solar Gardens)' }
   ];
 
   useEffect(() => {
@@ -90,14 +105,26 @@ const MessageInput = ({ onSend, disabled }) => {
             rows={1}
             className="message-textarea"
           />
-          <button
-            type="submit"
-            disabled={disabled || !message.trim()}
-            className="send-button"
-            title="Send message (Enter)"
-          >
-            {disabled ? '⏳' : '🚀'}
-          </button>
+          {disabled && onStop ? (
+            <button
+              type="button"
+              onClick={onStop}
+              disabled={!canStop}
+              className="send-button stop-button"
+              title={canStop ? 'Stop the session and summarize what is done' : 'Waiting for the session to start'}
+            >
+              ⏹️
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={disabled || !message.trim()}
+              className="send-button"
+              title="Send message (Enter)"
+            >
+              {disabled ? '⏳' : '🚀'}
+            </button>
+          )}
         </div>
       </form>
 
@@ -123,6 +150,19 @@ const MessageInput = ({ onSend, disabled }) => {
         >
           /brainstorm
         </button>
+        {onCheckpointsChange && (
+          <select
+            className="review-mode"
+            value={checkpoints.join(',')}
+            onChange={(e) => onCheckpointsChange(e.target.value ? e.target.value.split(',') : [])}
+            disabled={disabled}
+            title="Pause ideation sessions so you can star, discard or add ideas before the next phase"
+          >
+            {REVIEW_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+        )}
       </div>
     </div>
   );
@@ -2,9 +2,10 @@ import React, { useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import remarkBreaks from 'remark-breaks';
+import SessionTranscript from './SessionTranscript';
 import './MessageList.css';
 
-const MessageList = ({ messages, isLoading, agentStatus }) => {
+const MessageList = ({ messages, isLoading, agentStatus, streamingContent = '', onRerun }) => {
   const messagesEndRef = useRef(null);
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -12,7 +13,7 @@ const MessageList = ({ messages, isLoading, agentStatus }) => {
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, streamingContent]);
 
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString([], { 
@@ -21,21 +22,16 @@ const MessageList = ({ messages, isLoading, agentStatus }) => {
     });
   };
 
-  const detectMemoryUsage = (content) => {
-    const memoryPatterns = [
-      /building on our previous/i,
-      /from our earlier/i,
-      /based on what we discussed/i,
-      /continuing from/i,
-      /as mentioned before/i,
-      /from our conversation/i,
-      /previously discussed/i,
-      /earlier ideation/i
-    ];
-    
-    return memoryPatterns.some(pattern => pattern.test(content));
+  const formatCost = (usage) => {
+    if (!usage.cost) return null;
+    const digits = usage.cost < 0.01 ? 4 : 2;
+    return `~${usage.currency === 'USD' ? '$' : `${usage.currency} `}${usage.cost.toFixed(digits)}`;
   };
 
+  const describeUsage = (usage) => Object.entries(usage.byModel || {})
+    .map(([model, totals]) => `${model}: ${totals.totalTokens.toLocaleString()} tokens in ${totals.calls} calls`)
+    .join('\n');
+
   const detectSlashCommand = (content) => {
     return content.trim().startsWith('/');
   };
@@ -52,6 +48,24 @@ const MessageList = ({ messages, isLoading, agentStatus }) => {
     return sessionPatterns.some(pattern => pattern.test(content));
   };
 
+  const renderMarkdown = (content) => (
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm, remarkBreaks]}
+      components={{
+        // Custom rendering for better formatting
+        h2: ({children}) => <h2 className="message-heading">{children}</h2>,
+        h3: ({children}) => <h3 className="message-subheading">{children}</h3>,
+        code: ({inline, children}) => 
+          inline ? <code className="inline-code">{children}</code> 
+                 : <code className="code-block">{children}</code>,
+        ul: ({children}) => <ul className="message-list-items">{children}</ul>,
+        li: ({children}) => <li className="message-list-item">{children}</li>
+      }}
+    >
+      {content}
+    </ReactMarkdown>
+  );
+
   const getAgentFromContent = (content) => {
     if (/Creative Agent|## Creative Agent/i.test(content)) return 'creative';
     if (/Reasoning Agent|## Reasoning Agent/i.test(content)) return 'reasoning';
@@ -62,7 +76,7 @@ const MessageList = ({ messages, isLoading, agentStatus }) => {
   return (
     <div className="message-list">
       {messages.map(message => {
-        const hasMemory = detectMemoryUsage(message.content);
+        const memories = message.metadata?.memory || [];
         const isCommand = message.sender === 'user' && detectSlashCommand(message.content);
         const isIdeationSession = detectIdeationSession(message.content);
         const agentType = getAgentFromContent(message.content);
@@ -91,10 +105,22 @@ const MessageList = ({ messages, isLoading, agentStatus }) => {
                 </div>
               )}
               
-              {hasMemory && (
-                <div className="memory-indicator">
-                  <span>🧠 Using conversation memory</span>
-                </div>
+              {memories.length > 0 && (
+                <details className="memory-indicator">
+                  <summary>🧠 Recalled {memories.length} {memories.length === 1 ? 'memory' : 'memories'}</summary>
+                  <ul className="memory-list">
+                    {memories.map(memory => (
+                      <li key={`${memory.type}-${memory.id}`} className="memory-item">
+                        <span className="memory-source">
+                          {memory.type === 'idea' ? '💡 Idea' : '💬 Message'}
+                          {memory.otherConversation && ' · other conversation'}
+                          {` · ${Math.round(memory.score * 100)}% match`}
+                        </span>
+                        <span className="memory-excerpt">{memory.excerpt}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
               )}
               
               {isIdeationSession && (
@@ -104,21 +130,7 @@ const MessageList = ({ messages, isLoading, agentStatus }) => {
               )}
 
               <div className="message-text">
-                <ReactMarkdown
-                  remarkPlugins={[remarkGfm, remarkBreaks]}
-                  components={{
-                    // Custom rendering for better formatting
-                    h2: ({children}) => <h2 className="message-heading">{children}</h2>,
-                    h3: ({children}) => <h3 className="message-subheading">{children}</h3>,
-                    code: ({inline, children}) => 
-                      inline ? <code className="inline-code">{children}</code> 
-                             : <code className="code-block">{children}</code>,
-                    ul: ({children}) => <ul className="message-list-items">{children}</ul>,
-                    li: ({children}) => <li className="message-list-item">{children}</li>
-                  }}
-                >
-                  {message.content}
-                </ReactMarkdown>
+                {renderMarkdown(message.content)}
               </div>
 
               {message.metadata && (
@@ -133,6 +145,17 @@ const MessageList = ({ messages, isLoading, agentStatus }) => {
                       Model: {message.metadata.model}
                     </div>
                   )}
+                  {message.metadata.usage && (
+                    <div className="usage-info" title={describeUsage(message.metadata.usage)}>
+                      🔢 {message.metadata.usage.totalTokens.toLocaleString()} tokens
+                      {formatCost(message.metadata.usage) && ` · ${formatCost(message.metadata.usage)}`}
+                      {message.metadata.usage.unpricedModels?.length > 0 && ' (some models unpriced)'}
+                      {message.metadata.usage.estimatedCalls > 0 && ' (partly estimated)'}
+                    </div>
+                  )}
+                  {message.metadata.sessionId && (
+                    <SessionTranscript sessionId={message.metadata.sessionId} onRerun={onRerun} />
+                  )}
                 </div>
               )}
             </div>
@@ -140,7 +163,22 @@ const MessageList = ({ messages, isLoading, agentStatus }) => {
         );
       })}
       
-      {isLoading && (
+      {isLoading && streamingContent && (
+        <div className="message ai streaming">
+          <div className="message-header">
+            <span className="message-sender">🤖 AI Assistant</span>
+            <span className="message-time">Writing final summary...</span>
+          </div>
+          <div className="message-content">
+            <div className="message-text">
+              {renderMarkdown(streamingContent)}
+              <span className="streaming-cursor">▍</span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isLoading && !streamingContent && (
         <div className="message ai loading">
           <div className="message-header">
             <span className="message-sender">🤖 AI Assistant</span>
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import apiClient from '../services/apiClient';
+import { AGENT_NAMES } from '../services/ideationProgress';
+import DebateThreads from './DebateThreads';
+import './SessionTranscript.css';
+
+/**
+ * Group transcript turns by pipeline phase, keeping phase order
+ * @param {Array} turns - Agent turns ordered by seq
+ * @returns {Array<{phase: string, label: string, turns: Array}>} Phase groups
+ */
+const groupByPhase = (turns) => turns.reduce((groups, turn) => {
+  const last = groups[groups.length - 1];
+  if (last && last.phase === turn.phase) {
+    last.turns.push(turn);
+  } else {
+    groups.push({ phase: turn.phase, label: turn.phase_label || turn.phase, turns: [turn] });
+  }
+  return groups;
+}, []);
+
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
+/**
+ * Phases a session can be re-run from: those whose results were reused
+ * from an earlier version, then those it executed itself
+ * @param {Object} transcript - { session, turns }
+ * @returns {Array<{id: string, label: string}>} Phases in pipeline order
+ */
+const getRerunPhases = ({ session, turns }) => {
+  const labels = Object.fromEntries(turns.map(turn => [turn.phase, turn.phase_label || turn.phase]));
+  const ids = new Set([...Object.keys(session.session_data || {}), ...turns.map(turn => turn.phase)]);
+  return [...ids].map(id => ({ id, label: labels[id] || id }));
+};
+
+/**
+ * "How we got here" drawer for an ideation reply: loads the session's
+ * transcript on first open, lists every agent turn by phase and can re-run
+ * the session from any phase (onRerun receives the session id and options)
+ */
+const SessionTranscript = ({ sessionId, onRerun }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [transcript, setTranscript] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [rerunPhase, setRerunPhase] = useState('');
+  const [rerunModel, setRerunModel] = useState('');
+
+  const toggle = async () => {
+    const opening = !isOpen;
+    setIsOpen(opening);
+    if (!opening || transcript) return;
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await apiClient.getSessionTranscript(sessionId);
+      setTranscript(data.data);
+      const phases = getRerunPhases(data.data);
+      setRerunPhase(phases[phases.length - 1]?.id || '');
+    } catch (err) {
+      console.error('Failed to load session transcript:', err);
+      setError(err.getUserMessage ? err.getUserMessage() : 'Failed to load the session transcript');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRerun = (e) => {
+    e.preventDefault();
+    onRerun(sessionId, { fromPhase: rerunPhase, ...(rerunModel.trim() && { model: rerunModel.trim() }) });
+  };
+
+  return (
+    <div className="session-transcript">
+      <button className="transcript-toggle" onClick={toggle} aria-expanded={isOpen}>
+        {isOpen ? '▾' : '▸'} 🔍 How we got here
+      </button>
+
+      {isOpen && (
+        <div className="transcript-drawer">
+          {isLoading && <div className="transcript-status">Loading transcript...</div>}
+          {error && <div className="transcript-status error">{error}</div>}
+
+          {transcript?.versions?.length > 1 && (
+            <div className="transcript-versions">
+              {transcript.versions.map(version => (
+                <span key={version.id} className={`version-chip ${version.id === sessionId ? 'current' : ''}`}>
+                  v{version.version}
+                  {version.resumed_from ? ` · from ${version.resumed_from}` : ''}
+                  {version.model ? ` · ${version.model}` : ''}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {transcript && onRerun && (
+            <form className="transcript-rerun" onSubmit={handleRerun}>
+              <label>
+                Re-run from
+                <select value={rerunPhase} onChange={(e) => setRerunPhase(e.target.value)}>
+                  {getRerunPhases(transcript).map(phase => (
+                    <option key={phase.id} value={phase.id}>{phase.label}</option>
+                  ))}
+                </select>
+              </label>
+              <input
+                type="text"
+                value={rerunModel}
+                onChange={(e) => setRerunModel(e.target.value)}
+                placeholder="Model (optional)"
+              />
+              <button type="submit" disabled={!rerunPhase}>🔁 Re-run</button>
+            </form>
+          )}
+
+          {transcript && groupByPhase(transcript.turns).map(group => (
+            <section key={group.phase} className="transcript-phase">
+              <h4>{group.label}</h4>
+              {transcript.session.session_data?.[group.phase]?.nodes && (
+                <DebateThreads graph={transcript.session.session_data[group.phase]} />
+              )}
+              {group.turns.map(turn => (
+                <details key={turn.id} className={`transcript-turn ${turn.fallback ? 'fallback' : ''}`}>
+                  <summary>
+                    <span className="turn-agent">
+                      {AGENT_NAMES[turn.agent] || turn.agent}
+                      {turn.iteration ? ` · #${turn.iteration}` : ''}
+                    </span>
+                    <span className="turn-meta">
+                      {turn.model} · {formatDuration(turn.latency_ms)}
+                      {turn.total_tokens ? ` · ${turn.total_tokens.toLocaleString()} tokens` : ''}
+                      {turn.attempts > 1 ? ` · ${turn.attempts} attempts` : ''}
+                      {turn.fallback ? ' · fallback' : ''}
+                    </span>
+                  </summary>
+                  <div className="turn-output">
+                    <ReactMarkdown remarkPlugins={[remarkGfm]}>{turn.output || ''}</ReactMarkdown>
+                  </div>
+                  <details className="turn-prompt">
+                    <summary>Prompt</summary>
+                    <pre>{turn.system_prompt}</pre>
+                    <pre>{turn.prompt}</pre>
+                  </details>
+                </details>
+              ))}
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionTranscript;
@@ -4,6 +4,7 @@ class SocketManager {
   constructor() {
     this.socket = null;
     this.listeners = new Map();
+    this.conversations = new Set();
   }
 
   static getInstance() {
@@ -23,6 +24,8 @@ class SocketManager {
 
     this.socket.on('connect', () => {
       console.log('Socket connected:', this.socket.id);
+      // Rejoin rooms requested before the connection was established
+      this.conversations.forEach(id => this.socket.emit('join_conversation', id));
       this.emit('connect');
     });
 
@@ -35,6 +38,10 @@ class SocketManager {
       this.emit('ideation_progress', data);
     });
 
+    this.socket.on('ideation_stream', (data) => {
+      this.emit('ideation_stream', data);
+    });
+
     this.socket.on('ideation_complete', (data) => {
       this.emit('ideation_complete', data);
     });
@@ -57,12 +64,14 @@ class SocketManager {
   }
 
   joinConversation(conversationId) {
+    this.conversations.add(conversationId);
     if (this.socket?.connected) {
       this.socket.emit('join_conversation', conversationId);
     }
   }
 
   leaveConversation(conversationId) {
+    this.conversations.delete(conversationId);
     if (this.socket?.connected) {
       this.socket.emit('leave_conversation', conversationId);
     }
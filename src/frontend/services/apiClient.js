@@ -180,6 +180,65 @@ class APIClient {
     return this.get(`/ideas/conversation/${conversationId}`);
   }
 
+  async getIdeaRevisions(ideaId) {
+    return this.get(`/ideas/${ideaId}/revisions`);
+  }
+
+  // Ideation session API methods
+  async getSessions(conversationId) {
+    return this.get('/sessions', { conversationId });
+  }
+
+  async getSessionTranscript(sessionId) {
+    return this.get(`/sessions/${sessionId}/transcript`);
+  }
+
+  async rerunSession(sessionId, options) {
+    return this.post(`/sessions/${sessionId}/rerun`, options);
+  }
+
+  async cancelSession(sessionId) {
+    return this.post(`/sessions/${sessionId}/cancel`);
+  }
+
+  async submitCheckpoint(sessionId, review) {
+    return this.post(`/sessions/${sessionId}/checkpoint`, review);
+  }
+
+  // Agent API methods
+  async getAgents() {
+    return this.get('/agents');
+  }
+
+  async createAgent(agent) {
+    return this.post('/agents', agent);
+  }
+
+  async updateAgent(id, updates) {
+    return this.put(`/agents/${id}`, updates);
+  }
+
+  async deleteAgent(id) {
+    return this.delete(`/agents/${id}`);
+  }
+
+  // Framework API methods
+  async getFrameworks() {
+    return this.get('/frameworks');
+  }
+
+  async createFramework(framework) {
+    return this.post('/frameworks', framework);
+  }
+
+  async updateFramework(key, updates) {
+    return this.put(`/frameworks/${key}`, updates);
+  }
+
+  async deleteFramework(key) {
+    return this.delete(`/frameworks/${key}`);
+  }
+
   // Health check
   async healthCheck() {
     return this.get('/health');
@@ -0,0 +1,230 @@
+/**
+ * Ideation Progress Reducer
+ *
+ * Turns the orchestrator's `ideation_progress` socket events into the
+ * per-agent status map rendered by AgentStatusIndicator and MessageList.
+ *
+ * @author Brian Meyer
+ * @version 1.0.0
+ */
+
+export const AGENT_NAMES = {
+  creative: 'Creative',
+  reasoning: 'Reasoning',
+  logical: 'Logical'
+};
+
+export const initialProgress = {
+  sessionId: null,
+  status: {},
+  models: {},
+  label: null,
+  detail: null,
+  // A session is in progress and can still be stopped
+  running: false,
+  // Stop was pressed and the session is wrapping up
+  cancelling: false,
+  // The session is paused for the user's review: { phase, label, ideas, timeoutMs }
+  checkpoint: null
+};
+
+const setAll = (status, value) => Object.keys({ ...AGENT_NAMES, ...status })
+  .reduce((acc, agent) => ({ ...acc, [agent]: value }), {});
+
+/**
+ * Apply a single progress event to the current progress state
+ * @param {Object} state - Current progress state
+ * @param {Object} event - Event emitted by the server
+ * @returns {Object} Next progress state
+ */
+export const applyProgressEvent = (state, event) => {
+  const agentName = AGENT_NAMES[event.agent] || event.agent;
+
+  switch (event.type) {
+    case 'session_started':
+      return {
+        ...initialProgress,
+        sessionId: event.sessionId,
+        running: true,
+        status: setAll({}, 'thinking'),
+        label: 'Starting collaborative ideation...'
+      };
+
+    case 'phase_started':
+      return {
+        ...state,
+        status: setAll(state.status, 'thinking'),
+        label: event.label,
+        detail: null
+      };
+
+    case 'iteration_started':
+      return {
+        ...state,
+        detail: `Expansion iteration ${event.iteration}`
+      };
+
+    case 'debate_round':
+      return {
+        ...state,
+        detail: `Debate round ${event.round} of ${event.rounds}`
+      };
+
+    case 'phase_skipped': {
+      const reasons = { budget: `${event.limit} budget reached`, cancelled: 'stopped', time_limit: 'time limit reached', agents: 'none of its agents selected' };
+      return {
+        ...state,
+        detail: `Skipped ${event.label} (${reasons[event.reason] || event.reason})`
+      };
+    }
+
+    case 'cancel_requested':
+      return {
+        ...state,
+        cancelling: true,
+        checkpoint: null,
+        detail: 'Stopping... summarizing the completed phases'
+      };
+
+    case 'checkpoint_reached':
+      return {
+        ...state,
+        status: setAll(state.status, 'idle'),
+        checkpoint: { phase: event.phase, label: event.label, ideas: event.ideas, timeoutMs: event.timeoutMs },
+        detail: `Waiting for your review of ${event.label}`
+      };
+
+    case 'checkpoint_resumed':
+      return {
+        ...state,
+        checkpoint: null,
+        detail: event.reason === 'timeout' ? 'No review received, continuing' : 'Review received, continuing'
+      };
+
+    case 'phase_reused':
+      return {
+        ...state,
+        detail: `Reusing stored results of ${event.label}`
+      };
+
+    case 'budget_exhausted':
+      return {
+        ...state,
+        detail: `Session ${event.limit} budget reached, moving to the final summary`
+      };
+
+    case 'summary_started':
+      return {
+        ...state,
+        detail: 'Synthesizing final summary...'
+      };
+
+    case 'evaluation_started':
+      return {
+        ...state,
+        detail: `Scoring ${event.ideas} ideas (${event.agents.map(agent => AGENT_NAMES[agent] || agent).join(', ')})...`
+      };
+
+    case 'evaluation_completed':
+      return {
+        ...state,
+        detail: event.ranking.length ? `Top-ranked idea: ${event.ranking[0].title} (${event.ranking[0].overall})` : null
+      };
+    case 'agent_started':
+      return {
+        ...state,
+        status: { ...state.status, [event.agent]: 'active' },
+        models: { ...state.models, [event.agent]: event.model },
+        detail: `${agentName} is working (${event.model})`
+      };
+
+    case 'agent_cancelled':
+      return {
+        ...state,
+        status: { ...state.status, [event.agent]: 'idle' },
+        detail: `${agentName} stopped`
+      };
+
+    case 'agent_retry':
+      return {
+        ...state,
+        models: { ...state.models, [event.agent]: event.nextModel },
+        detail: `${agentName} retrying on ${event.nextModel} (${event.model} failed)`
+      };
+
+    case 'agent_completed':
+      return {
+        ...state,
+        status: { ...state.status, [event.agent]: 'complete' },
+        detail: event.fallback
+          ? `${agentName} fell back after ${event.attempts} failed model attempts`
+          : `${agentName} finished (${event.chars} chars)`
+      };
+
+    case 'session_completed':
+      return {
+        ...state,
+        status: setAll(state.status, 'complete'),
+        label: event.cancelled ? 'Ideation stopped' : 'Ideation complete',
+        running: false,
+        cancelling: false,
+        detail: event.fallback ? 'Some agents used fallback text after model errors' : null
+      };
+
+    case 'session_failed':
+      return initialProgress;
+
+    default:
+      return state;
+  }
+};
+
+/**
+ * Strip reasoning blocks from partially streamed output, including a
+ * <think> block that has been opened but not yet closed
+ * @param {string} text - Streamed text so far
+ * @returns {string} Displayable text
+ */
+export const cleanStreamingText = (text) => text
+  .replace(/<think>[\s\S]*?<\/think>/g, '')
+  .replace(/<think>[\s\S]*$/, '')
+  .trimStart();
+
+// Preview headings for each summary format, by the field that leads it
+const STREAMING_SECTIONS = {
+  executiveSummary: { heading: '📋 Executive Summary', items: '💡 Ideas' },
+  overview: { heading: '🌱 Brainstorm', items: '💡 Ideas' },
+  problemStatement: { heading: '🧭 Problem Statement', items: '🧩 Problem Breakdown' },
+  decision: { heading: '⚖️ Decision', items: '📊 Options' },
+  changeSummary: { heading: '✏️ What Changed', items: '🔁 Refined Idea' }
+};
+
+/**
+ * Readable preview of a final summary that is still streaming. The summary
+ * agent writes a JSON report, so its lead text (executive summary, brainstorm
+ * overview, problem statement, decision or refinement changes) and the idea,
+ * sub-problem or option titles are picked out of the partial JSON; any other text is shown
+ * as-is.
+ * @param {string} text - Streamed text so far
+ * @returns {string} Displayable markdown
+ */
+export const previewStreamingSummary = (text) => {
+  const cleaned = cleanStreamingText(text);
+  if (!/^(```(json)?\s*)?\{/.test(cleaned)) return cleaned;
+
+  const unescape = raw => raw.replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+  const lead = cleaned.match(/"(executiveSummary|overview|problemStatement|decision|changeSummary)"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  const { heading, items } = STREAMING_SECTIONS[lead ? lead[1] : 'executiveSummary'];
+  // Synthesis options are named rather than titled, after the (also named) criteria
+  const isDecision = lead?.[1] === 'decision';
+  const options = cleaned.indexOf('"options"');
+  const source = isDecision ? (options === -1 ? '' : cleaned.slice(options)) : cleaned;
+  const titles = [...source.matchAll(isDecision ? /"name"\s*:\s*"((?:[^"\\]|\\.)*)"/g : /"title"\s*:\s*"((?:[^"\\]|\\.)*)"/g)]
+    .map(match => unescape(match[1]));
+
+  let preview = `## ${heading}\n\n${lead ? unescape(lead[2]) : '...'}`;
+  if (titles.length) {
+    preview += `\n\n## ${items}\n\n${titles.map(title => `- ${title}`).join('\n')}`;
+  }
+  return preview;
+};